@@ -2,8 +2,179 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import { createProxyMiddleware } from "http-proxy-middleware";
-import { getConfig, setConfig } from "./src/utils/configStore.js";
-import { getFormats, saveFormats } from "./src/utils/formatStore.js";
+import {
+  getConfig,
+  setConfig,
+  getPublicConfig,
+  listProfiles,
+  findProfile,
+  getCurrentProfileId,
+  runWithProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  resetConfig,
+  getProfileScopedPath,
+} from "./src/utils/configStore.js";
+import {
+  getFormats,
+  saveFormats,
+  getFormatsRevision,
+  listFormatRevisions,
+  getFormatRevision,
+  diffFormats,
+} from "./src/utils/formatStore.js";
+import {
+  formatDate,
+  formatDuration,
+  OUTPUT_TYPES,
+  renderFormat,
+  renderTemplate,
+} from "./src/utils/templateEngine.js";
+import {
+  FORMAT_TYPES,
+  validateFormats,
+  validateTemplate,
+} from "./src/utils/templateValidator.js";
+import {
+  CONFLICT_RESOLUTIONS,
+  createFormatPack,
+  findPackConflicts,
+  mergeFormatPack,
+  parseFormatPack,
+} from "./src/utils/formatPacks.js";
+import { getFormatPresets } from "./src/utils/formatPresets.js";
+import {
+  getPosterCacheDir,
+  findPoster,
+  markPosterServed,
+  addPoster,
+  removePoster,
+  clearPosters,
+  deletePosterCache,
+  removePostersExcept,
+  getPosterCacheStats,
+  flushPosterIndexes,
+  IMAGE_KINDS,
+} from "./src/utils/posterStore.js";
+import {
+  getPosterVariant,
+  parsePosterOptions,
+  pregeneratePosterVariants,
+} from "./src/utils/posterImages.js";
+import {
+  flushCaches,
+  getCacheBackend,
+  openCache,
+  scheduleCacheSave,
+} from "./src/utils/cacheStore.js";
+import {
+  matchesMediaQuery,
+  needsMetadata,
+  parseMediaQuery,
+  sortMedia,
+} from "./src/utils/mediaQuery.js";
+import {
+  getNextPageUrl,
+  getPageInfo,
+  paginate,
+  parsePagination,
+} from "./src/utils/pagination.js";
+import {
+  formatMusicTitle,
+  getMusicFields,
+  getMusicThumb,
+  isMusicItem,
+  MUSIC_VARIABLES,
+} from "./src/utils/musicFields.js";
+import {
+  countByType,
+  fromPlexHubs,
+  fromTautulliItem,
+  fromTautulliUser,
+  parseSearchQuery,
+  rankResults,
+} from "./src/utils/search.js";
+import {
+  getLibraryBreakdown,
+  getLibraryTotals,
+  getMostWatched,
+  toWatchTimeStats,
+} from "./src/utils/libraryStats.js";
+import {
+  getIpAddresses,
+  getTopGenres,
+  getTopTitles,
+  toHistoryEntry,
+  toPlayerStats,
+} from "./src/utils/userStats.js";
+import {
+  TautulliError,
+  callTautulli,
+  isTautulliConfigured,
+  getTautulliMetrics,
+  resetTautulliMetrics,
+} from "./src/utils/tautulliClient.js";
+import {
+  registerLiveSource,
+  registerLiveFeed,
+  handleLiveConnection,
+  invalidateLiveFeeds,
+  getLiveStats,
+} from "./src/utils/liveUpdates.js";
+import {
+  syncHistory,
+  queryHistory,
+  getPlayBreakdown,
+  getHistoryStatus,
+  deleteHistory,
+  startHistorySync,
+} from "./src/utils/historyStore.js";
+import {
+  TARGET_TYPES,
+  listTargets,
+  getTarget,
+  validateTarget,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  disableProfileRules,
+  getDeliveryLog,
+  clearDeliveryLog,
+} from "./src/utils/notificationStore.js";
+import {
+  registerRuleType,
+  getRuleTypes,
+  isValidRuleType,
+  runNotificationChecks,
+  sendTestNotification,
+  getNotifierStatus,
+  startNotifications,
+} from "./src/utils/notifier.js";
+import {
+  hasAdmin,
+  getAdminUsername,
+  createAdmin,
+  verifyCredentials,
+  changePassword,
+  createSession,
+  verifySession,
+  listApiKeys,
+  getApiScopes,
+  getRequiredScope,
+  isValidScope,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  verifyApiKey,
+  markApiKeyUsed,
+  flushApiKeyUsage,
+} from "./src/utils/authStore.js";
 import {
   logError,
   logWarn,
@@ -37,19 +208,42 @@ const __dirname = path.dirname(__filename);
 // Constants and Configuration
 // ======================================================================
 
-const POSTER_CACHE_DIR = path.join(process.cwd(), "cache", "posters");
-
 const SAVED_SECTIONS_PATH = path.join(
   process.cwd(),
   "configs",
   "sections.json"
 );
 
+// Cookie and header the dashboard uses to pick a server profile
+const PROFILE_COOKIE = "ptd_profile";
+const PROFILE_HEADER = "x-server-profile";
+
+// Pseudo profile that merges every server in the views that support it
+const ALL_PROFILES = "all";
+
 const PROXY_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT) || 30000;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
   ? process.env.ALLOWED_ORIGINS.split(",").map((origin) => origin.trim())
   : ["http://localhost:3005"];
 
+// Session cookie used by the dashboard UI
+const SESSION_COOKIE = "ptd_session";
+
+// Routes reachable without a session or API key
+const PUBLIC_API_ROUTES = [
+  "/api/auth/status",
+  "/api/auth/login",
+  "/api/auth/logout",
+  "/api/auth/setup",
+];
+
+// Account and API key management is only available to logged-in sessions
+const SESSION_ONLY_PREFIX = "/api/auth/";
+
+// Failed login tracking (per client IP)
+const LOGIN_MAX_ATTEMPTS = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
 // Plex headers configuration
 const PLEX_HEADERS = [
   "x-plex-client-identifier",
@@ -63,13 +257,26 @@ const PLEX_HEADERS = [
   "x-plex-language",
 ];
 
+// Origins allowed to call the API with the session cookie; "*" in
+// ALLOWED_ORIGINS allows any
+const isAllowedOrigin = (origin) =>
+  !!origin &&
+  (ALLOWED_ORIGINS.includes("*") || ALLOWED_ORIGINS.includes(origin));
+
 // CORS Configuration
 const corsOptions = {
-  origin: true,
+  origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization", ...PLEX_HEADERS],
-  exposedHeaders: ["Access-Control-Allow-Origin"],
+  allowedHeaders: [
+    "Content-Type",
+    "Authorization",
+    "X-API-Key",
+    "X-Server-Profile",
+    "If-Match",
+    ...PLEX_HEADERS,
+  ],
+  exposedHeaders: ["Access-Control-Allow-Origin", "ETag"],
   preflightContinue: false,
   optionsSuccessStatus: 204,
 };
@@ -100,9 +307,12 @@ function getAppVersion() {
   }
 }
 
+// Each server profile keeps its own posters and saved sections
+const getSavedSectionsPath = () => getProfileScopedPath(SAVED_SECTIONS_PATH);
+
 // Directory Management
 const ensureDirectories = () => {
-  const dirs = [path.dirname(SAVED_SECTIONS_PATH), POSTER_CACHE_DIR];
+  const dirs = [path.dirname(SAVED_SECTIONS_PATH), getPosterCacheDir()];
 
   dirs.forEach((dir) => {
     if (!fs.existsSync(dir)) {
@@ -116,148 +326,6 @@ const ensureDirectories = () => {
 // Formatting Utilities
 // ======================================================================
 
-const formatDate = (timestamp, format = "default") => {
-  // Return early if no timestamp
-  if (!timestamp) return "Never";
-
-  let date;
-
-  try {
-    // Handle ISO date strings (YYYY-MM-DD)
-    if (typeof timestamp === "string" && timestamp.includes("-")) {
-      date = new Date(timestamp);
-    }
-    // Handle numeric timestamps
-    else if (typeof timestamp === "number" || !isNaN(Number(timestamp))) {
-      const ts = typeof timestamp === "number" ? timestamp : Number(timestamp);
-      // If timestamp is smaller than year 2100 in seconds, assume it's in seconds
-      date = ts < 4294967296 ? new Date(ts * 1000) : new Date(ts);
-    }
-    // Fallback
-    else {
-      date = new Date(timestamp);
-    }
-  } catch (e) {
-    logError(`Error parsing date: ${timestamp}`, e);
-    return "Invalid Date";
-  }
-
-  // Ensure we have a valid date
-  if (isNaN(date.getTime())) {
-    logWarn(`Invalid date from timestamp: ${timestamp}`);
-    return "Invalid Date";
-  }
-
-  const now = new Date();
-  const diffMs = now - date;
-  const diffSeconds = Math.floor(diffMs / 1000);
-  const diffMinutes = Math.floor(diffSeconds / 60);
-  const diffHours = Math.floor(diffMinutes / 60);
-  const diffDays = Math.floor(diffHours / 24);
-  const diffMonths = Math.floor(diffDays / 30);
-  const diffYears = Math.floor(diffDays / 365);
-
-  switch (format) {
-    case "short":
-      return date.toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-
-    case "relative":
-      if (diffSeconds < 0) return date.toLocaleDateString();
-
-      if (diffYears > 0) {
-        return diffYears === 1 ? "1 year ago" : `${diffYears} years ago`;
-      }
-
-      if (diffMonths > 0) {
-        return diffMonths === 1 ? "1 month ago" : `${diffMonths} months ago`;
-      }
-
-      if (diffDays > 0) {
-        return diffDays === 1 ? "1 day ago" : `${diffDays} days ago`;
-      }
-
-      if (diffHours > 0) {
-        return diffHours === 1 ? "1 hour ago" : `${diffHours} hours ago`;
-      }
-
-      if (diffMinutes > 0) {
-        return diffMinutes === 1
-          ? "1 minute ago"
-          : `${diffMinutes} minutes ago`;
-      }
-
-      return diffSeconds === 1 ? "1 second ago" : `${diffSeconds} seconds ago`;
-
-    case "full":
-      return date.toLocaleDateString("en-US", {
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-
-    case "time":
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-
-    default:
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-  }
-};
-
-const formatDuration = (durationMs) => {
-  // Ensure we have a valid input
-  if (!durationMs) return "0m";
-
-  let duration;
-
-  // Handle string inputs that might already be formatted
-  if (typeof durationMs === "string") {
-    // If it's already in the format we want, return it
-    if (/^\d+h( \d+m)?$|^\d+m$/.test(durationMs.trim())) {
-      return durationMs.trim();
-    }
-
-    // If it's a number in string format, parse it
-    duration = Number(durationMs);
-  } else {
-    duration = Number(durationMs);
-  }
-
-  // If duration is invalid or 0, return "0m"
-  if (isNaN(duration) || duration <= 0) return "0m";
-
-  // If duration is in seconds, convert to milliseconds
-  if (duration > 0 && duration < 10000) {
-    duration *= 1000;
-  }
-
-  // Convert milliseconds to minutes
-  const totalMinutes = Math.floor(duration / 60000);
-
-  // Calculate hours and remaining minutes
-  const hours = Math.floor(totalMinutes / 60);
-  const minutes = totalMinutes % 60;
-
-  // Format the output
-  if (hours > 0 && minutes > 0) {
-    return `${hours}h ${minutes}m`;
-  } else if (hours > 0) {
-    return `${hours}h`;
-  } else {
-    return `${minutes}m`;
-  }
-};
-
 const formatArray = (arr) => {
   if (!arr || !Array.isArray(arr)) return "";
   return arr.join(", ");
@@ -287,152 +355,10 @@ function formatTimeDiff(timestamp) {
   return `${Math.floor(diff / 86400)}d ago`;
 }
 
-// Helper for two-digit padding
-const padTwoDigits = (num) => String(num).padStart(2, "0");
-
-// Format show episode helper
-const formatShowEpisode = (seasonNumber, episodeNumber) => {
-  const paddedSeason = padTwoDigits(seasonNumber);
-  const paddedEpisode = padTwoDigits(episodeNumber);
-  return `S${paddedSeason}E${paddedEpisode}`;
-};
-
 // ======================================================================
 // Format Templates
 // ======================================================================
 
-// Template processing
-const processTemplate = (template, data) => {
-  if (!template) return "";
-
-  let result = template;
-  const variables = template.match(/\{([^}]+)\}/g) || [];
-
-  variables.forEach((variable) => {
-    // Extract variable and optional format
-    const match = variable.slice(1, -1).split(":");
-    const key = match[0];
-    const format = match[1] || "default"; // Add default format if not specified
-
-    let value;
-
-    try {
-      // Special handling for timestamps with various naming conventions
-      if (
-        [
-          "addedAt",
-          "added_at",
-          "last_seen",
-          "updated_at",
-          "last_viewed_at",
-          "originally_available_at",
-        ].includes(key)
-      ) {
-        const timestamp = data[key];
-        value = formatDate(timestamp, format);
-      }
-      // Special handling for duration
-      else if (key === "duration") {
-        value = formatDuration(data[key]);
-      }
-      // Special handling for show episode formatting
-      else if (
-        data.mediaType === "episode" &&
-        (key === "parent_media_index" || key === "media_index")
-      ) {
-        // Continue with the special episode formatting logic
-        value = formatShowEpisode(data.parent_media_index, data.media_index);
-
-        // Replace the entire combined pattern with the formatted episode string
-        if (result.includes("{parent_media_index}E{media_index}")) {
-          result = result.replace(
-            /\{parent_media_index\}E\{media_index\}/,
-            value
-          );
-          return; // Skip the normal replacement for this variable
-        }
-
-        // If we're here, it's just a single index being used, so we'll format it as S01 or E05
-        if (key === "parent_media_index") {
-          value = "S" + String(data[key] || "0").padStart(2, "0");
-        } else if (key === "media_index") {
-          value = "E" + String(data[key] || "0").padStart(2, "0");
-        }
-      }
-      // Default handling
-      else {
-        value = data[key];
-      }
-    } catch (error) {
-      logError(`Error processing template variable ${key}:`, error);
-      value = ""; // Default to empty string on error
-    }
-
-    if (value !== undefined) {
-      result = result.replace(variable, value);
-    }
-  });
-
-  return result;
-};
-
-// Enhanced template processing with full support for season/episode formatting
-const enhancedProcessTemplate = (template, data) => {
-  if (!template) return "";
-
-  let result = template;
-  const variables = template.match(/\{([^}]+)\}/g) || [];
-
-  variables.forEach((variable) => {
-    const match = variable.slice(1, -1).split(":");
-    const key = match[0];
-    const format = match[1] || "default";
-
-    let value;
-
-    // Special handling for timestamp
-    if (key === "addedAt" || key === "added_at") {
-      const timestamp = data.addedAt || data.added_at;
-      value = formatDate(timestamp, format);
-    }
-    // Special handling for duration
-    else if (key === "duration") {
-      value = data.formatted_duration || formatDuration(Number(data[key]) || 0);
-    }
-    // Special handling for season and episode numbers
-    else if (key === "parent_media_index" || key === "media_index") {
-      // Get raw value with fallback to "0"
-      const rawValue = data[key] || "0";
-
-      // Parse to number (important for proper padding)
-      const numberValue =
-        typeof rawValue === "number" ? rawValue : parseInt(rawValue, 10);
-
-      // Apply 2-digit padding
-      value = String(numberValue).padStart(2, "0");
-
-      // Add S or E prefix for show/episode media types
-      if (data.media_type === "show" || data.media_type === "episode") {
-        if (key === "parent_media_index") {
-          value = `S${value}`;
-        } else if (key === "media_index") {
-          value = `E${value}`;
-        }
-      }
-    }
-    // Default handling for all other variables
-    else {
-      value = data[key];
-    }
-
-    if (value !== undefined) {
-      result = result.replace(variable, value);
-    }
-  });
-
-  return result;
-};
-
 // Format media with custom formats
 const formatMediaWithCustomFormats = (media, formats, sectionId = "all") => {
   const applicableFormats = formats.filter(
@@ -442,7 +368,7 @@ const formatMediaWithCustomFormats = (media, formats, sectionId = "all") => {
 
   const formattedData = {};
   applicableFormats.forEach((format) => {
-    formattedData[format.name] = processTemplate(format.template, media);
+    formattedData[format.name] = renderFormat(format, media);
   });
 
   return {
@@ -479,7 +405,7 @@ function formatLibraryWithCustomFormats(library, formats) {
 
   const formattedData = {};
   applicableFormats.forEach((format) => {
-    formattedData[format.name] = processTemplate(format.template, library);
+    formattedData[format.name] = renderFormat(format, library);
   });
 
   return {
@@ -492,6 +418,9 @@ function formatLibraryWithCustomFormats(library, formats) {
 function formatShowTitle(session) {
   if (!session) return "";
 
+  // Tracks also have grandparent titles and indexes, but no seasons
+  if (isMusicItem(session)) return formatMusicTitle(session);
+
   if (
     session.grandparent_title &&
     session.parent_media_index &&
@@ -512,13 +441,33 @@ function formatShowTitle(session) {
   return title.replace(/\s*\(\d{4}\)|\s+[-–]\s+\d{4}/, "");
 }
 
+// Page fields for a list response, with the next page as a link in the
+// body and in the Link header
+const getPageResponse = (req, res, page, counts) => {
+  const pageInfo = getPageInfo(page, counts);
+  const next = pageInfo.nextCursor
+    ? getNextPageUrl(
+        req.originalUrl.split("?")[0],
+        req.query,
+        pageInfo.nextCursor
+      )
+    : null;
+
+  if (next) res.setHeader("Link", `<${next}>; rel="next"`);
+  return { ...pageInfo, next };
+};
+
+// Answer a bad ?cursor= the same way on every list endpoint
+const rejectPagination = (res, error) =>
+  res.status(400).json({ error: "Invalid pagination", message: error });
+
 // Helper function for processing media in batches
 const processMediaInBatches = async (
   mediaItems,
   requestId,
-  config,
   recentlyAddedFormats,
-  type
+  type,
+  output
 ) => {
   const BATCH_SIZE = 5; // Process 5 items at a time
   const processedItems = [];
@@ -574,25 +523,13 @@ const processMediaInBatches = async (
           } else if (media.rating_key) {
             // Only fetch metadata if not cached and we have a rating_key
             try {
-              const metadataResponse = await axios.get(
-                `${config.tautulliUrl}/api/v2`,
-                {
-                  params: {
-                    apikey: config.tautulliApiKey,
-                    cmd: "get_metadata",
-                    rating_key: media.rating_key,
-                  },
-                  // Increase timeout to 20 seconds
-                  timeout: 20000,
-                  headers: {
-                    "Cache-Control": "no-cache",
-                    Pragma: "no-cache",
-                  },
-                }
+              const responseData = await callTautulli(
+                "get_metadata",
+                { rating_key: media.rating_key },
+                // Increase timeout to 20 seconds
+                { timeout: 20000 }
               );
 
-              const responseData = metadataResponse.data?.response?.data;
-
               if (responseData) {
                 // Extract metadata
                 const mediaInfo = responseData.media_info?.[0] || {};
@@ -633,6 +570,8 @@ const processMediaInBatches = async (
           // Enhanced media object with both aliases and formatted data
           const enhancedMedia = {
             ...media,
+            // Artist, album and track names before media_type is replaced
+            ...(isMusicItem(media) ? getMusicFields(media) : {}),
             mediaType: type,
             media_type: type,
             formatted_duration: formattedDuration,
@@ -657,37 +596,10 @@ const processMediaInBatches = async (
             )
             .forEach((format) => {
               try {
-                // Process special variables before template processing
-                let processedTemplate = format.template;
-
-                // Handle added_at:format pattern specifically
-                const dateFormatPattern = /\{added_at:([^}]+)\}/g;
-                processedTemplate = processedTemplate.replace(
-                  dateFormatPattern,
-                  (match, formatType) => {
-                    return formatDate(media.added_at, formatType);
-                  }
-                );
-
-                // Same for addedAt:format
-                const dateFormatPattern2 = /\{addedAt:([^}]+)\}/g;
-                processedTemplate = processedTemplate.replace(
-                  dateFormatPattern2,
-                  (match, formatType) => {
-                    return formatDate(media.added_at, formatType);
-                  }
-                );
-
-                // Special handling for duration
-                processedTemplate = processedTemplate.replace(
-                  /\{duration\}/g,
-                  formattedDuration
-                );
-
-                // Now process the template with the enhanced media data
-                formattedData[format.name] = enhancedProcessTemplate(
-                  processedTemplate,
-                  enhancedMedia
+                formattedData[format.name] = renderFormat(
+                  format,
+                  enhancedMedia,
+                  output
                 );
               } catch (templateError) {
                 logWarn(
@@ -717,6 +629,9 @@ const processMediaInBatches = async (
                   "0"
                 )} - ${media.title || ""}`;
               }
+            } else if (isMusicItem(media)) {
+              formattedData["Music Title"] =
+                formatMusicTitle(media) || "Unknown";
             } else {
               formattedData["Title"] = media.title || "Unknown";
             }
@@ -726,6 +641,7 @@ const processMediaInBatches = async (
             ...formattedData,
             raw_data: {
               ...media,
+              ...(isMusicItem(media) ? getMusicFields(media) : {}),
               formatted_duration: formattedDuration,
               video_full_resolution:
                 media.video_full_resolution || videoResolution,
@@ -767,28 +683,13 @@ const processMediaInBatches = async (
 // ======================================================================
 
 // Get library details (stats & watch time)
-const getLibraryDetails = async (sectionId, config) => {
+const getLibraryDetails = async (sectionId) => {
   try {
     // Get library stats and watch statistics in parallel
-    const [statsResponse, watchStatsResponse] = await Promise.all([
-      axios.get(`${config.tautulliUrl}/api/v2`, {
-        params: {
-          apikey: config.tautulliApiKey,
-          cmd: "get_library_media_info",
-          section_id: sectionId,
-        },
-      }),
-      axios.get(`${config.tautulliUrl}/api/v2`, {
-        params: {
-          apikey: config.tautulliApiKey,
-          cmd: "get_library_watch_time_stats",
-          section_id: sectionId,
-        },
-      }),
-    ]);
-
-    const stats = statsResponse.data?.response?.data || {};
-    const watchStats = watchStatsResponse.data?.response?.data || {};
+    const [stats, watchStats] = await Promise.all([
+      callTautulli("get_library_media_info", { section_id: sectionId }),
+      callTautulli("get_library_watch_time_stats", { section_id: sectionId }),
+    ]).then((results) => results.map((data) => data || {}));
 
     return {
       count: stats.count || 0,
@@ -811,27 +712,140 @@ const getLibraryDetails = async (sectionId, config) => {
   }
 };
 
+// Items checked at most for filters that need metadata (genre, rating,
+// content rating), newest first
+const MEDIA_FILTER_SCAN_LIMIT =
+  parseInt(process.env.MEDIA_FILTER_SCAN_LIMIT) || 500;
+
+// Everything in a library section as listed by Tautulli
+const getSectionItems = async (section) => {
+  const cacheKey = `section:${section.section_id}:items`;
+  const cached = mediaCache.get(cacheKey);
+  if (cached) return cached;
+
+  const response = await callTautulli("get_library_media_info", {
+    section_id: section.section_id,
+    order_column: "added_at",
+    order_dir: "desc",
+    // Tautulli pages this list; ask for the whole section at once
+    length: Math.max(parseInt(section.count, 10) || 0, 1000),
+  });
+
+  const items = (response?.data || []).map((item) => ({
+    ...item,
+    section_id: section.section_id,
+    section_name: section.section_name,
+    library_name: section.section_name,
+  }));
+
+  mediaCache.set(cacheKey, items);
+  return items;
+};
+
+// Merge get_metadata into library items, five requests at a time. Uses the
+// same metadata cache as the recently added list.
+const withItemMetadata = async (items) => {
+  const BATCH_SIZE = 5;
+  const enriched = [];
+
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = await Promise.all(
+      items.slice(i, i + BATCH_SIZE).map(async (item) => {
+        const cacheKey = `metadata:${item.rating_key}`;
+        let metadata = metadataCache.get(cacheKey);
+
+        if (!metadata) {
+          try {
+            const responseData = await callTautulli(
+              "get_metadata",
+              { rating_key: item.rating_key },
+              { timeout: 20000 }
+            );
+            if (!responseData) return item;
+
+            const mediaInfo = responseData.media_info?.[0] || {};
+            metadata = {
+              video_full_resolution:
+                mediaInfo.video_full_resolution || "Unknown",
+              content_rating: responseData.content_rating || null,
+              rating: responseData.rating || null,
+              summary: responseData.summary || null,
+              duration: responseData.duration || null,
+              complete_metadata: responseData,
+              media_info: mediaInfo,
+              timestamp: Date.now(),
+            };
+            metadataCache.set(cacheKey, metadata);
+          } catch (error) {
+            logWarn(
+              `Could not fetch metadata for item ${item.rating_key} (${item.title}): ${error.message}`
+            );
+            return item;
+          }
+        }
+
+        const complete = metadata.complete_metadata || {};
+        return {
+          ...complete,
+          ...item,
+          video_full_resolution: metadata.video_full_resolution,
+          content_rating: metadata.content_rating,
+          rating: metadata.rating,
+          audience_rating: complete.audience_rating || null,
+          summary: metadata.summary || item.summary,
+          duration: metadata.duration || item.duration,
+          genres: complete.genres || [],
+          directors: complete.directors || [],
+          writers: complete.writers || [],
+          actors: complete.actors || [],
+          labels: complete.labels || [],
+          collections: complete.collections || [],
+        };
+      })
+    );
+    enriched.push(...batch);
+  }
+
+  return enriched;
+};
+
+// Filter and sort library items by a parsed media query. Filters the library
+// listing can answer are applied first; genre, rating and content rating
+// need each item's metadata, which is fetched for the newest
+// MEDIA_FILTER_SCAN_LIMIT candidates only (truncated tells when more were
+// left out).
+const queryMediaItems = async (items, query) => {
+  let candidates = sortMedia(items, { sort: "added", order: "desc" }).filter(
+    (item) => matchesMediaQuery(item, query, { metadata: false })
+  );
+
+  let truncated = false;
+  if (needsMetadata(query)) {
+    truncated = candidates.length > MEDIA_FILTER_SCAN_LIMIT;
+    candidates = await withItemMetadata(
+      candidates.slice(0, MEDIA_FILTER_SCAN_LIMIT)
+    );
+  }
+
+  const matches = sortMedia(
+    candidates.filter((item) => matchesMediaQuery(item, query)),
+    query
+  );
+  return { matches, truncated };
+};
+
 // Enhanced getUserHistory function that also fetches media metadata
-async function getUserHistoryWithMetadata(
-  baseUrl,
-  apiKey,
-  userId,
-  requestId = ""
-) {
+async function getUserHistoryWithMetadata(userId, requestId = "") {
   try {
     logDebug(`[${requestId}] Fetching history for user ${userId}...`);
 
-    const response = await axios.get(`${baseUrl}/api/v2`, {
-      params: {
-        apikey: apiKey,
-        cmd: "get_history",
-        user_id: userId,
-        length: 1,
-      },
-      timeout: 10000, // 10 second timeout
-    });
+    const history = await callTautulli(
+      "get_history",
+      { user_id: userId, length: 1 },
+      { timeout: 10000 } // 10 second timeout
+    );
 
-    const historyItem = response.data?.response?.data?.data?.[0] || null;
+    const historyItem = history?.data?.[0] || null;
 
     if (historyItem) {
       logDebug(
@@ -845,17 +859,12 @@ async function getUserHistoryWithMetadata(
             `[${requestId}] Fetching metadata for item ${historyItem.rating_key}...`
           );
 
-          const metadataResponse = await axios.get(`${baseUrl}/api/v2`, {
-            params: {
-              apikey: apiKey,
-              cmd: "get_metadata",
-              rating_key: historyItem.rating_key,
-            },
-            timeout: 5000,
-          });
-
           // Get the actual media duration from metadata
-          const mediaInfo = metadataResponse.data?.response?.data;
+          const mediaInfo = await callTautulli(
+            "get_metadata",
+            { rating_key: historyItem.rating_key },
+            { timeout: 5000 }
+          );
           if (mediaInfo && mediaInfo.duration) {
             historyItem.media_duration = mediaInfo.duration; // Add the media duration to history item
             logDebug(
@@ -891,7 +900,12 @@ async function getUserHistoryWithMetadata(
 // Poster Utilities
 // ======================================================================
 
-const downloadPosterFromTautulli = async (thumbPath, apiKey, ratingKey) => {
+const downloadPosterFromTautulli = async (
+  thumbPath,
+  apiKey,
+  ratingKey,
+  kind = "poster"
+) => {
   try {
     const config = getConfig();
 
@@ -900,7 +914,7 @@ const downloadPosterFromTautulli = async (thumbPath, apiKey, ratingKey) => {
       throw new Error("Tautulli configuration missing");
     }
 
-    logDebug(`Downloading poster for ${ratingKey} from path: ${thumbPath}`);
+    logDebug(`Downloading ${kind} for ${ratingKey} from path: ${thumbPath}`);
 
     const response = await axios.get(`${config.tautulliUrl}/pms_image_proxy`, {
       params: {
@@ -911,34 +925,26 @@ const downloadPosterFromTautulli = async (thumbPath, apiKey, ratingKey) => {
       timeout: 30000, // 30-second timeout for slow servers
     });
 
-    const imageData = response.data;
-    const contentType = response.headers["content-type"];
-
-    // Determine the file extension
-    let fileExt = "jpg"; // Default to jpg
-    if (contentType) {
-      if (contentType.includes("jpeg") || contentType.includes("jpg")) {
-        fileExt = "jpg";
-      } else if (contentType.includes("png")) {
-        fileExt = "png";
-      } else if (contentType.includes("gif")) {
-        fileExt = "gif";
-      }
-    }
+    // Save the image to the cache, evicting old ones if it is full
+    const poster = addPoster(
+      ratingKey,
+      response.data,
+      response.headers["content-type"],
+      kind
+    );
 
-    // Save the poster to the cache
-    const posterPath = path.join(POSTER_CACHE_DIR, `${ratingKey}.${fileExt}`);
-    fs.writeFileSync(posterPath, imageData);
+    logInfo(`Downloaded ${kind} for ${ratingKey}`);
 
-    logInfo(`Downloaded poster for ${ratingKey}`);
+    // Resize it for the dashboard's views in the background
+    pregeneratePosterVariants(ratingKey, kind);
 
     return {
       success: true,
-      path: posterPath,
-      contentType,
+      path: poster.path,
+      contentType: poster.contentType,
     };
   } catch (error) {
-    logError(`Error downloading poster for ${ratingKey}:`, error);
+    logError(`Error downloading ${kind} for ${ratingKey}:`, error);
     return {
       success: false,
       error: error.message,
@@ -946,23 +952,137 @@ const downloadPosterFromTautulli = async (thumbPath, apiKey, ratingKey) => {
   }
 };
 
+// Path of an image kind in Tautulli metadata: the show poster for episodes,
+// album art for music, the season poster and episode still of episodes
+const getImagePath = (kind, metadata) => {
+  const mediaType = String(metadata.media_type || "").toLowerCase();
+
+  switch (kind) {
+    case "art":
+      return (
+        metadata.art || metadata.parent_art || metadata.grandparent_art || null
+      );
+    case "season":
+      if (mediaType === "season") return metadata.thumb || null;
+      return mediaType === "episode" ? metadata.parent_thumb || null : null;
+    case "still":
+      return mediaType === "episode" ? metadata.thumb || null : null;
+    default:
+      if (mediaType === "episode") {
+        return (
+          metadata.grandparent_thumb ||
+          metadata.parent_thumb ||
+          metadata.thumb ||
+          null
+        );
+      }
+      return getMusicThumb(metadata) || metadata.thumb || null;
+  }
+};
+
+// Send a cached image, resized when options ask for it. sendFile adds ETag
+// and Last-Modified and answers revalidation requests with 304 Not Modified.
+const sendCachedImage = async (
+  req,
+  res,
+  image,
+  { ratingKey, kind = "poster", options = null, onError }
+) => {
+  let file = image;
+
+  if (options) {
+    res.vary("Accept");
+    try {
+      file =
+        (await getPosterVariant(ratingKey, {
+          ...options,
+          kind,
+          accept: req.get("Accept"),
+        })) || image;
+    } catch (resizeError) {
+      // Serve the original rather than nothing
+      logWarn(
+        `Could not resize ${kind} for ${ratingKey}: ${resizeError.message}`
+      );
+    }
+  }
+
+  // Served images are the last to be evicted
+  markPosterServed(ratingKey, kind);
+
+  // Keep it fresh briefly, then revalidate with the ETag and Last-Modified
+  // that sendFile sets, so replaced images show up
+  res.setHeader("Cache-Control", "public, max-age=300, must-revalidate"); // 5 minutes
+  res.setHeader("Content-Type", file.contentType);
+
+  res.sendFile(file.path, (sendError) => {
+    if (sendError && !res.headersSent) {
+      logError(`Error sending image file ${file.path}:`, sendError);
+      onError(sendError);
+    }
+  });
+};
+
+// Stream an image from Tautulli's pms_image_proxy to the client
+const streamTautulliImage = async (res, params) => {
+  const config = getConfig();
+
+  if (!config.tautulliUrl || !config.tautulliApiKey) {
+    return res.status(503).json({ error: "Tautulli is not configured" });
+  }
+
+  try {
+    const response = await axios.get(`${config.tautulliUrl}/pms_image_proxy`, {
+      params: { ...params, apikey: config.tautulliApiKey },
+      responseType: "stream",
+      timeout: 30000,
+    });
+
+    res.setHeader(
+      "Content-Type",
+      response.headers["content-type"] || "image/jpeg"
+    );
+    res.setHeader("Cache-Control", "public, max-age=86400"); // 1 day
+    response.data.pipe(res);
+  } catch (error) {
+    logError(`Error proxying image ${params.img}:`, error.message);
+    if (!res.headersSent) {
+      res.status(error.response?.status || 502).json({
+        error: "Failed to load image",
+      });
+    }
+  }
+};
+
 // ======================================================================
 // Caching System
 // ======================================================================
 
-// Generic cache factory to create different cache instances
-const createCache = (defaultTTL = 10 * 60 * 1000) => {
-  return {
+// Generic cache factory to create different cache instances. Named caches
+// are saved to disk when CACHE_BACKEND=file and warmed from it on boot.
+const createCache = (defaultTTL = 10 * 60 * 1000, { name = null } = {}) => {
+  const instance = {
+    name,
     cache: new Map(),
     ttl: defaultTTL,
 
+    // Save the change when the cache is persistent
+    changed() {
+      if (this.name) scheduleCacheSave(this.name);
+    },
+
+    // Entries are kept apart per server profile
+    scopedKey(key) {
+      return `${getCurrentProfileId()}:${key}`;
+    },
+
     get(key) {
-      const item = this.cache.get(key);
+      const item = this.cache.get(this.scopedKey(key));
       if (!item) return null;
 
       // Check if cached item has expired
       if (Date.now() > item.expires) {
-        this.cache.delete(key);
+        this.cache.delete(this.scopedKey(key));
         return null;
       }
 
@@ -981,7 +1101,7 @@ const createCache = (defaultTTL = 10 * 60 * 1000) => {
     set(key, value, ttl = this.ttl) {
       try {
         // Store a deep clone of the value to prevent reference issues
-        this.cache.set(key, {
+        this.cache.set(this.scopedKey(key), {
           value: JSON.parse(JSON.stringify(value)),
           expires: Date.now() + ttl,
         });
@@ -990,19 +1110,57 @@ const createCache = (defaultTTL = 10 * 60 * 1000) => {
         console.warn(
           `Warning: Could not deep clone value for ${key}, using simple copy`
         );
-        this.cache.set(key, {
+        this.cache.set(this.scopedKey(key), {
           value: { ...value },
           expires: Date.now() + ttl,
         });
       }
+      this.changed();
     },
 
     delete(key) {
-      this.cache.delete(key);
+      this.cache.delete(this.scopedKey(key));
+      this.changed();
+    },
+
+    // Delete every entry starting with the prefix, e.g. all pages of a list.
+    // Returns how many were deleted.
+    deletePrefix(prefix) {
+      const scopedPrefix = this.scopedKey(prefix);
+      const matching = this.keys().filter((key) =>
+        key.startsWith(scopedPrefix)
+      );
+      matching.forEach((key) => this.cache.delete(key));
+      if (matching.length > 0) this.changed();
+      return matching.length;
+    },
+
+    // Unexpired values of every entry starting with the prefix
+    values(prefix = "") {
+      const profilePrefix = this.scopedKey("");
+      return this.keys()
+        .filter((key) => key.startsWith(profilePrefix + prefix))
+        .map((key) => this.get(key.slice(profilePrefix.length)))
+        .filter((value) => value !== null);
+    },
+
+    // Unexpired entries of every key starting with the prefix, with their
+    // expiry times
+    entries(prefix = "") {
+      const profilePrefix = this.scopedKey("");
+      const now = Date.now();
+      return this.keys()
+        .filter((key) => key.startsWith(profilePrefix + prefix))
+        .map((key) => ({
+          key: key.slice(profilePrefix.length),
+          ...this.cache.get(key),
+        }))
+        .filter((entry) => entry.expires > now);
     },
 
     clear() {
       this.cache.clear();
+      this.changed();
     },
 
     keys() {
@@ -1016,23 +1174,48 @@ const createCache = (defaultTTL = 10 * 60 * 1000) => {
       };
     },
   };
+
+  if (name) {
+    instance.cache = new Map(openCache(name, () => instance.cache));
+  }
+  return instance;
 };
 
 // Create specific cache instances
-const historyCache = createCache(10 * 60 * 1000); // 10 minutes
-const mediaCache = createCache(10 * 60 * 1000); // 10 minutes - increased cache time
-const metadataCache = createCache(30 * 60 * 1000); // 30 minutes
+const historyCache = createCache(10 * 60 * 1000, { name: "history" }); // 10 minutes
+const mediaCache = createCache(10 * 60 * 1000, { name: "media" }); // 10 minutes - increased cache time
+const metadataCache = createCache(30 * 60 * 1000, { name: "metadata" }); // 30 minutes
+const statsCache = createCache(5 * 60 * 1000); // 5 minutes
+const geoipCache = createCache(24 * 60 * 60 * 1000); // 24 hours
+
+// Write every batched save before the server stops, e.g. for a container
+// update: the poster index, API key usage, and the caches so the next start
+// is warm
+["SIGINT", "SIGTERM"].forEach((signal) =>
+  process.once(signal, () => {
+    flushPosterIndexes();
+    flushApiKeyUsage();
+    flushCaches();
+    process.exit(0);
+  })
+);
 
 // Track ongoing background refreshes to prevent duplicates
 const pendingRefreshes = new Map();
 
 // Function to refresh cache in the background without blocking the current request
-const refreshCacheInBackground = async (type, section, count) => {
-  const config = getConfig();
-  if (!config.tautulliUrl || !config.tautulliApiKey) return false;
+const refreshCacheInBackground = async (
+  type,
+  section,
+  cacheKey,
+  fetchCount
+) => {
+  if (!isTautulliConfigured()) return false;
 
   // Create a unique key for this refresh
-  const refreshKey = `refresh:${type}:${section || "all"}`;
+  const refreshKey = `refresh:${getCurrentProfileId()}:${type}:${
+    section || "all"
+  }`;
 
   // If already refreshing this data, skip
   if (pendingRefreshes.has(refreshKey)) return false;
@@ -1050,14 +1233,8 @@ const refreshCacheInBackground = async (type, section, count) => {
     if (!validTypes[type]) return false;
 
     // Get sections first to identify what needs refreshing
-    const sectionsResponse = await axios.get(`${config.tautulliUrl}/api/v2`, {
-      params: {
-        apikey: config.tautulliApiKey,
-        cmd: "get_libraries_table",
-      },
-    });
-
-    const allSections = sectionsResponse.data?.response?.data?.data || [];
+    const librariesTable = await callTautulli("get_libraries_table");
+    const allSections = librariesTable?.data || [];
 
     // Filter sections by type and optional section ID
     const matchingSections = allSections.filter((s) => {
@@ -1075,25 +1252,21 @@ const refreshCacheInBackground = async (type, section, count) => {
 
     // Fetch and cache section media
     for (const section of matchingSections) {
-      const sectionCacheKey = `section:${section.section_id}:media`;
+      const sectionCacheKey = `section:${section.section_id}:media:${fetchCount}`;
 
       // Fetch from API
-      const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-        params: {
-          apikey: config.tautulliApiKey,
-          cmd: "get_recently_added",
-          section_id: section.section_id,
-          count: 50,
-        },
+      const recentlyAdded = await callTautulli("get_recently_added", {
+        section_id: section.section_id,
+        count: fetchCount,
       });
 
-      const sectionMedia = (
-        response.data?.response?.data?.recently_added || []
-      ).map((item) => ({
-        ...item,
-        section_id: section.section_id,
-        section_name: section.section_name || section.name,
-      }));
+      const sectionMedia = (recentlyAdded?.recently_added || []).map(
+        (item) => ({
+          ...item,
+          section_id: section.section_id,
+          section_name: section.section_name || section.name,
+        })
+      );
 
       // Cache the section media
       mediaCache.set(sectionCacheKey, sectionMedia);
@@ -1102,9 +1275,6 @@ const refreshCacheInBackground = async (type, section, count) => {
       );
     }
 
-    // Main cache key update
-    const mainCacheKey = `media:${type}:${section || "all"}:${count}`;
-
     // Process the full data like the main endpoint would
     // We won't fetch metadata as that's a separate cache and would slow this down
     const cacheEntry = {
@@ -1117,8 +1287,8 @@ const refreshCacheInBackground = async (type, section, count) => {
     };
 
     // Update the main cache entry
-    mediaCache.set(mainCacheKey, cacheEntry);
-    logDebug(`Background refresh: Updated main cache for ${mainCacheKey}`);
+    mediaCache.set(cacheKey, cacheEntry);
+    logDebug(`Background refresh: Updated main cache for ${cacheKey}`);
 
     return true;
   } catch (error) {
@@ -1162,71 +1332,94 @@ const createDynamicProxy = (serviceName, options = {}) => {
           from: path,
           to: newPath,
         });
-        return newPath;
-      },
-      onProxyReq: (proxyReq, req, res) => {
-        // Add service-specific headers
-        if (serviceName === "Plex" && config.plexToken) {
-          proxyReq.setHeader(
-            "X-Plex-Client-Identifier",
-            "PlexTautulliDashboard"
-          );
-          proxyReq.setHeader("X-Plex-Product", "Plex Tautulli Dashboard");
-          proxyReq.setHeader("X-Plex-Version", "1.0.0");
 
-          if (!req.query["X-Plex-Token"]) {
-            proxyReq.setHeader("X-Plex-Token", config.plexToken);
-          }
+        // The dashboard API key in ?apikey= is ours, not the service's; the
+        // Tautulli API key never leaves the server, add it here
+        const url = new URL(newPath, "http://localhost");
+        url.searchParams.delete("apikey");
+        if (serviceName === "Tautulli" && config.tautulliApiKey) {
+          url.searchParams.set("apikey", config.tautulliApiKey);
         }
 
-        // Log the proxied request (with sensitive data redacted)
-        logDebug(`${serviceName} proxy request:`, {
-          path: proxyReq.path,
-          headers: {
-            ...proxyReq.getHeaders(),
-            "x-plex-token": "[REDACTED]",
-            authorization: "[REDACTED]",
-          },
-        });
-      },
-      onProxyRes: (proxyRes, req, res) => {
-        // Handle CORS headers
-        const origin = req.headers.origin || ALLOWED_ORIGINS[0];
-        proxyRes.headers["Access-Control-Allow-Origin"] =
-          ALLOWED_ORIGINS.includes("*") ? "*" : origin;
-        proxyRes.headers["Access-Control-Allow-Credentials"] = "true";
-        proxyRes.headers["Access-Control-Allow-Headers"] = [
-          "Content-Type",
-          "Authorization",
-          ...PLEX_HEADERS,
-        ].join(", ");
-
-        // Log the response (without sensitive data)
-        logDebug(`${serviceName} proxy response:`, {
-          status: proxyRes.statusCode,
-          url: req.url,
-          headers: {
-            ...proxyRes.headers,
-            authorization: proxyRes.headers.authorization
-              ? "[REDACTED]"
-              : undefined,
-          },
-        });
+        return `${url.pathname}${url.search}`;
       },
-      onError: (err, req, res) => {
-        logError(`${serviceName} proxy error:`, {
-          message: err.message,
-          code: err.code,
-          stack: process.env.NODE_ENV === "development" ? err.stack : undefined,
-        });
+      // http-proxy-middleware v3 takes event handlers under "on"
+      on: {
+        proxyReq: (proxyReq, req, res) => {
+          // The dashboard's own credentials stay here; some profiles may
+          // point at servers that belong to someone else
+          proxyReq.removeHeader("cookie");
+          proxyReq.removeHeader("x-api-key");
+          proxyReq.removeHeader("authorization");
+
+          // Add service-specific headers
+          if (serviceName === "Plex" && config.plexToken) {
+            proxyReq.setHeader(
+              "X-Plex-Client-Identifier",
+              "PlexTautulliDashboard"
+            );
+            proxyReq.setHeader("X-Plex-Product", "Plex Tautulli Dashboard");
+            proxyReq.setHeader("X-Plex-Version", "1.0.0");
 
-        // Send a more detailed error response
-        res.status(500).json({
-          error: `${serviceName} Proxy Error`,
-          message: err.message,
-          code: err.code,
-          detail: `Failed to proxy request to ${serviceName}. Please check your connection and settings.`,
-        });
+            if (!req.query["X-Plex-Token"]) {
+              proxyReq.setHeader("X-Plex-Token", config.plexToken);
+            }
+          }
+
+          // Log the proxied request (with sensitive data redacted)
+          logDebug(`${serviceName} proxy request:`, {
+            path: proxyReq.path,
+            headers: {
+              ...proxyReq.getHeaders(),
+              "x-plex-token": "[REDACTED]",
+              authorization: "[REDACTED]",
+            },
+          });
+        },
+        proxyRes: (proxyRes, req, res) => {
+          // Handle CORS headers; Plex and Tautulli's own are dropped so
+          // only allowed origins can read the response
+          delete proxyRes.headers["access-control-allow-origin"];
+          delete proxyRes.headers["access-control-allow-credentials"];
+          if (isAllowedOrigin(req.headers.origin)) {
+            proxyRes.headers["Access-Control-Allow-Origin"] =
+              req.headers.origin;
+            proxyRes.headers["Access-Control-Allow-Credentials"] = "true";
+          }
+          proxyRes.headers["Access-Control-Allow-Headers"] = [
+            "Content-Type",
+            "Authorization",
+            ...PLEX_HEADERS,
+          ].join(", ");
+
+          // Log the response (without sensitive data)
+          logDebug(`${serviceName} proxy response:`, {
+            status: proxyRes.statusCode,
+            url: req.url,
+            headers: {
+              ...proxyRes.headers,
+              authorization: proxyRes.headers.authorization
+                ? "[REDACTED]"
+                : undefined,
+            },
+          });
+        },
+        error: (err, req, res) => {
+          logError(`${serviceName} proxy error:`, {
+            message: err.message,
+            code: err.code,
+            stack:
+              process.env.NODE_ENV === "development" ? err.stack : undefined,
+          });
+
+          // Send a more detailed error response
+          res.status(500).json({
+            error: `${serviceName} Proxy Error`,
+            message: err.message,
+            code: err.code,
+            detail: `Failed to proxy request to ${serviceName}. Please check your connection and settings.`,
+          });
+        },
       },
       ...options,
     });
@@ -1288,12 +1481,434 @@ app.use((req, res, next) => {
     headers: {
       ...req.headers,
       "x-plex-token": req.headers["x-plex-token"] ? "[REDACTED]" : undefined,
+      "x-api-key": req.headers["x-api-key"] ? "[REDACTED]" : undefined,
       authorization: req.headers.authorization ? "[REDACTED]" : undefined,
+      cookie: req.headers.cookie ? "[REDACTED]" : undefined,
     },
   });
   next();
 });
 
+// ======================================================================
+// Authentication
+// ======================================================================
+
+// Parse the Cookie header into a plain object
+const parseCookies = (cookieHeader = "") =>
+  cookieHeader.split(";").reduce((cookies, part) => {
+    const index = part.indexOf("=");
+    if (index > -1) {
+      const name = part.slice(0, index).trim();
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+
+// Extract a dashboard API key from header, bearer token or query string
+const getApiKeyFromRequest = (req) => {
+  if (req.headers["x-api-key"]) return req.headers["x-api-key"];
+
+  const authHeader = req.headers.authorization || "";
+  if (authHeader.startsWith("Bearer ")) return authHeader.slice(7).trim();
+
+  return typeof req.query.apikey === "string" ? req.query.apikey : null;
+};
+
+const isSecureRequest = (req) =>
+  req.secure || req.headers["x-forwarded-proto"] === "https";
+
+const setSessionCookie = (req, res, session) => {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: isSecureRequest(req),
+    maxAge: session.maxAge,
+    path: "/",
+  });
+};
+
+const clearSessionCookie = (req, res) => {
+  res.clearCookie(SESSION_COOKIE, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: isSecureRequest(req),
+    path: "/",
+  });
+};
+
+// Resolve who is making the request (session user, API key or nobody)
+const resolveAuth = (req) => {
+  const session = verifySession(
+    parseCookies(req.headers.cookie)[SESSION_COOKIE]
+  );
+  if (session) {
+    return { type: "session", username: session.sub };
+  }
+
+  const apiKey = verifyApiKey(getApiKeyFromRequest(req));
+  if (apiKey) {
+    return { type: "apiKey", apiKey };
+  }
+
+  return null;
+};
+
+// Guard every API route: sessions get full access, API keys their scopes
+const requireAuth = (req, res, next) => {
+  // Express matches routes case-insensitively, so the guards must too
+  const fullPath = (req.baseUrl + req.path).toLowerCase();
+
+  if (req.method === "OPTIONS" || PUBLIC_API_ROUTES.includes(fullPath)) {
+    return next();
+  }
+
+  const auth = resolveAuth(req);
+
+  if (!auth) {
+    return res.status(401).json({
+      error: "Authentication required",
+      message: hasAdmin()
+        ? "Please log in or provide a valid API key"
+        : "No admin account exists yet. Complete the setup wizard first.",
+      setupRequired: !hasAdmin(),
+    });
+  }
+
+  if (auth.type === "apiKey") {
+    if (fullPath.startsWith(SESSION_ONLY_PREFIX)) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: "Account settings require a logged-in session",
+      });
+    }
+
+    const requiredScope = getRequiredScope(req.method, fullPath);
+    if (
+      !auth.apiKey.scopes.includes(requiredScope) &&
+      !auth.apiKey.scopes.includes("admin:config")
+    ) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `This API key is missing the "${requiredScope}" scope`,
+        requiredScope,
+      });
+    }
+
+    markApiKeyUsed(auth.apiKey.id);
+  }
+
+  req.auth = auth;
+  next();
+};
+
+app.use("/api", requireAuth);
+
+// Pick the server profile for this request: ?server= wins over the header,
+// which wins over the dashboard cookie. A stale cookie falls back to the
+// default profile instead of failing every request.
+const selectProfile = (req, res, next) => {
+  const explicit = req.query.server || req.headers[PROFILE_HEADER];
+  const requested =
+    explicit || parseCookies(req.headers.cookie)[PROFILE_COOKIE];
+
+  if (!requested) return next();
+
+  if (requested === ALL_PROFILES) {
+    req.allServers = true;
+    return next();
+  }
+
+  if (!findProfile(requested)) {
+    if (!explicit) return next();
+    return res.status(400).json({
+      error: "Unknown server profile",
+      message: `No server profile with id "${requested}"`,
+    });
+  }
+
+  runWithProfile(requested, next);
+};
+
+app.use("/api", selectProfile);
+
+// Endpoints that return formatted items and accept ?output= to render every
+// format as plain text, HTML, Markdown or JSON
+const FORMATTED_ROUTES = [
+  "/api/recent",
+  "/api/media",
+  "/api/users",
+  "/api/sessions",
+  "/api/downloads",
+  "/api/libraries",
+  "/api/sections",
+];
+
+const checkOutputType = (req, res, next) => {
+  const { output } = req.query;
+  if (output === undefined || OUTPUT_TYPES.includes(output)) return next();
+
+  res.status(400).json({
+    error: "Invalid output type",
+    message: `Output must be one of ${OUTPUT_TYPES.join(", ")}`,
+  });
+};
+
+app.use(FORMATTED_ROUTES, checkOutputType);
+
+// Failed login attempts per client IP
+const loginAttempts = new Map();
+
+const isLockedOut = (ip) => {
+  const entry = loginAttempts.get(ip);
+  if (!entry) return false;
+
+  if (Date.now() - entry.firstAttempt > LOGIN_LOCKOUT_MS) {
+    loginAttempts.delete(ip);
+    return false;
+  }
+
+  return entry.count >= LOGIN_MAX_ATTEMPTS;
+};
+
+const recordFailedLogin = (ip) => {
+  const entry = loginAttempts.get(ip);
+  if (!entry || Date.now() - entry.firstAttempt > LOGIN_LOCKOUT_MS) {
+    loginAttempts.set(ip, { count: 1, firstAttempt: Date.now() });
+  } else {
+    entry.count++;
+  }
+};
+
+// Validate username/password input for setup and password changes
+const validateCredentialsInput = (username, password) => {
+  if (!username || typeof username !== "string" || !username.trim()) {
+    return "Username is required";
+  }
+  if (!password || typeof password !== "string" || password.length < 8) {
+    return "Password must be at least 8 characters";
+  }
+  return null;
+};
+
+// Current authentication state for the UI
+app.get("/api/auth/status", (req, res) => {
+  const auth = resolveAuth(req);
+
+  res.json({
+    success: true,
+    setupRequired: !hasAdmin(),
+    authenticated: auth?.type === "session",
+    username: auth?.type === "session" ? auth.username : null,
+  });
+});
+
+// Create the admin account (first run only)
+app.post("/api/auth/setup", (req, res) => {
+  try {
+    if (hasAdmin()) {
+      return res.status(409).json({
+        success: false,
+        error: "Admin account already exists",
+      });
+    }
+
+    const { username, password } = req.body;
+    const validationError = validateCredentialsInput(username, password);
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const admin = createAdmin(username, password);
+    setSessionCookie(req, res, createSession());
+
+    res.json({ success: true, username: admin.username });
+  } catch (error) {
+    logError("Error creating admin account:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create admin account",
+      message: error.message,
+    });
+  }
+});
+
+// Log in with the admin credentials
+app.post("/api/auth/login", (req, res) => {
+  const ip = req.ip;
+
+  if (isLockedOut(ip)) {
+    logWarn(`Login temporarily blocked for ${ip} after repeated failures`);
+    return res.status(429).json({
+      success: false,
+      error: "Too many failed login attempts. Please try again later.",
+    });
+  }
+
+  const { username, password } = req.body;
+
+  if (!verifyCredentials(username, password)) {
+    recordFailedLogin(ip);
+    logWarn(`Failed login attempt for "${username}" from ${ip}`);
+    return res.status(401).json({
+      success: false,
+      error: "Invalid username or password",
+    });
+  }
+
+  loginAttempts.delete(ip);
+  setSessionCookie(req, res, createSession());
+  logInfo(`User ${getAdminUsername()} logged in`);
+
+  res.json({ success: true, username: getAdminUsername() });
+});
+
+// Log out of the current session
+app.post("/api/auth/logout", (req, res) => {
+  clearSessionCookie(req, res);
+  res.json({ success: true });
+});
+
+// Change the admin password
+app.post("/api/auth/password", (req, res) => {
+  try {
+    if (req.auth.type !== "session") {
+      return res.status(403).json({ success: false, error: "Forbidden" });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const validationError = validateCredentialsInput(
+      getAdminUsername(),
+      newPassword
+    );
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    if (!changePassword(currentPassword, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        error: "Current password is incorrect",
+      });
+    }
+
+    // Re-issue a session since the password change invalidated all others
+    setSessionCookie(req, res, createSession());
+    res.json({ success: true });
+  } catch (error) {
+    logError("Error changing password:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to change password",
+      message: error.message,
+    });
+  }
+});
+
+// Managing API keys takes a logged-in session, even if an API key got past
+// requireAuth
+const requireSession = (req, res, next) => {
+  if (req.auth?.type !== "session") {
+    return res.status(403).json({ success: false, error: "Forbidden" });
+  }
+  next();
+};
+
+// List API keys
+app.get("/api/auth/api-keys", requireSession, (req, res) => {
+  res.json({ success: true, apiKeys: listApiKeys() });
+});
+
+// List the scopes that can be granted to API keys
+app.get("/api/auth/scopes", (req, res) => {
+  res.json({ success: true, scopes: getApiScopes() });
+});
+
+// Reject scope lists that are empty or contain unknown scopes
+const validateScopesInput = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "Select at least one scope";
+  }
+
+  const unknown = scopes.filter((scope) => !isValidScope(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(", ")}`;
+  }
+
+  return null;
+};
+
+// Create a new API key
+app.post("/api/auth/api-keys", requireSession, (req, res) => {
+  const scopeError = validateScopesInput(req.body?.scopes);
+  if (scopeError) {
+    return res.status(400).json({ success: false, error: scopeError });
+  }
+
+  try {
+    const { key, apiKey } = createApiKey(req.body.name, req.body.scopes);
+    res.json({ success: true, key, apiKey });
+  } catch (error) {
+    logError("Error creating API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create API key",
+      message: error.message,
+    });
+  }
+});
+
+// Update an API key's label or scopes
+app.put("/api/auth/api-keys/:id", requireSession, (req, res) => {
+  const { name, scopes } = req.body || {};
+
+  if (scopes !== undefined) {
+    const scopeError = validateScopesInput(scopes);
+    if (scopeError) {
+      return res.status(400).json({ success: false, error: scopeError });
+    }
+  }
+
+  try {
+    const apiKey = updateApiKey(req.params.id, { name, scopes });
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    logError("Error updating API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update API key",
+      message: error.message,
+    });
+  }
+});
+
+// Revoke an API key
+app.delete("/api/auth/api-keys/:id", requireSession, (req, res) => {
+  try {
+    if (!revokeApiKey(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: "API key not found",
+      });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logError("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke API key",
+      message: error.message,
+    });
+  }
+});
+
 // ======================================================================
 // Logging API Routes
 // ======================================================================
@@ -1416,19 +2031,64 @@ app.get("/api/logs/download", (req, res) => {
 // API Routes
 // ======================================================================
 
+// Who made a change, as recorded in the formats history
+const describeAuth = (auth) => {
+  if (auth?.type === "session") return auth.username;
+  if (auth?.type === "apiKey") return `API key "${auth.apiKey.name}"`;
+  return "system";
+};
+
+// The formats revision doubles as the ETag of GET /api/formats
+const formatsEtag = (revision) => `"${revision}"`;
+
+// Revision the client based its change on, from If-Match or the body.
+// Clients that send neither are not checked.
+const getExpectedRevision = (req) => {
+  const ifMatch = req.get("If-Match");
+  if (ifMatch && ifMatch !== "*") {
+    return parseInt(ifMatch.replace(/^W\//, "").replace(/"/g, ""), 10);
+  }
+  if (req.body?.revision !== undefined) {
+    return parseInt(req.body.revision, 10);
+  }
+  return null;
+};
+
+// Answer 409 when someone else saved formats since the client loaded them
+const rejectStaleFormats = (req, res) => {
+  const expected = getExpectedRevision(req);
+  const current = getFormatsRevision();
+
+  if (expected === null || expected === current) return false;
+
+  res
+    .set("ETag", formatsEtag(current))
+    .status(409)
+    .json({
+      error: "Formats changed",
+      message: `Formats were changed elsewhere (now revision ${current}). Reload and try again.`,
+      revision: current,
+    });
+  return true;
+};
+
 // Formats Management
 app.get("/api/formats", (req, res) => {
   try {
     const formats = getFormats();
+    const revision = getFormatsRevision();
     // Ensure libraries array exists
     formats.libraries = formats.libraries || [];
 
+    res.set("ETag", formatsEtag(revision));
     res.json({
       downloads: formats.downloads || [],
       recentlyAdded: formats.recentlyAdded || [],
       sections: formats.sections || [],
       libraries: formats.libraries,
       users: formats.users || [],
+      sessions: formats.sessions || [],
+      revision,
     });
   } catch (error) {
     logError("Error reading formats:", error);
@@ -1444,6 +2104,19 @@ app.post("/api/formats", (req, res) => {
       return res.status(400).json({ error: "Invalid format data" });
     }
 
+    // Refuse formats that would render wrong; warnings are passed back
+    const validation = validateFormats(type, formats);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "Invalid formats",
+        message: validation.errors[0].message,
+        errors: validation.errors,
+        warnings: validation.warnings,
+      });
+    }
+
+    if (rejectStaleFormats(req, res)) return;
+
     // Get current formats
     const allFormats = getFormats();
 
@@ -1468,10 +2141,20 @@ app.post("/api/formats", (req, res) => {
     }
 
     // Save formats
-    if (saveFormats(allFormats)) {
+    const revision = saveFormats(allFormats, {
+      author: describeAuth(req.auth),
+      summary: `Updated ${type} formats`,
+    });
+    if (revision) {
+      // Push re-formatted activity and users to live subscribers
+      invalidateLiveFeeds();
+
+      res.set("ETag", formatsEtag(revision));
       res.json({
         success: true,
         formats: allFormats,
+        revision,
+        warnings: validation.warnings,
       });
     } else {
       throw new Error("Failed to save formats");
@@ -1485,36 +2168,258 @@ app.post("/api/formats", (req, res) => {
   }
 });
 
-// Media API
-app.get("/api/media/:type", async (req, res) => {
-  try {
-    const { type } = req.params;
-    const { count = 10, section } = req.query;
-    const config = getConfig();
+// Revisions of formats.json, newest first
+app.get("/api/formats/history", (req, res) => {
+  const { page, error } = parsePagination(req.query, { defaultLimit: 500 });
+  if (error) return rejectPagination(res, error);
 
-    if (!["movies", "shows"].includes(type)) {
-      return res.status(400).json({ error: "Invalid media type" });
-    }
+  const revisions = listFormatRevisions();
+  const pageRevisions = paginate(revisions, page);
 
-    // Get formats
-    const formats = getFormats().sections || [];
+  res.json({
+    success: true,
+    revision: getFormatsRevision(),
+    ...getPageResponse(req, res, page, {
+      total: revisions.length,
+      count: pageRevisions.length,
+    }),
+    revisions: pageRevisions,
+  });
+});
 
-    // Get all sections
-    const sectionsResponse = await axios.get(`${config.tautulliUrl}/api/v2`, {
-      params: {
-        apikey: config.tautulliApiKey,
-        cmd: "get_libraries_table",
-      },
-    });
+// One revision with its changes against the revision before it, or against
+// ?compare=<revision>
+app.get("/api/formats/history/:revision", (req, res) => {
+  const entry = getFormatRevision(parseInt(req.params.revision, 10));
+  if (!entry) {
+    return res.status(404).json({ error: "Revision not found" });
+  }
 
-    const allSections = sectionsResponse.data?.response?.data?.data || [];
-    const mediaType = type === "shows" ? "show" : "movie";
-    let targetSections = allSections.filter(
-      (s) => s.section_type === mediaType
-    );
+  const compareTo = req.query.compare
+    ? getFormatRevision(parseInt(req.query.compare, 10))
+    : getFormatRevision(entry.revision - 1);
+  if (req.query.compare && !compareTo) {
+    return res.status(404).json({ error: "Revision to compare not found" });
+  }
 
-    // Filter by specific section if provided
-    if (section) {
+  res.json({
+    success: true,
+    revision: entry,
+    compare: compareTo?.revision ?? null,
+    changes: diffFormats(compareTo?.formats || {}, entry.formats),
+  });
+});
+
+// Restore an earlier revision; the restore itself becomes a new revision
+app.post("/api/formats/history/:revision/rollback", (req, res) => {
+  try {
+    const entry = getFormatRevision(parseInt(req.params.revision, 10));
+    if (!entry) {
+      return res.status(404).json({ error: "Revision not found" });
+    }
+
+    if (rejectStaleFormats(req, res)) return;
+
+    const revision = saveFormats(entry.formats, {
+      author: describeAuth(req.auth),
+      summary: `Rolled back to revision ${entry.revision}`,
+    });
+    if (!revision) {
+      throw new Error("Failed to save formats");
+    }
+
+    invalidateLiveFeeds();
+
+    res.set("ETag", formatsEtag(revision));
+    res.json({ success: true, revision, formats: getFormats() });
+  } catch (error) {
+    logError("Error rolling back formats:", error);
+    res.status(500).json({
+      error: "Failed to roll back formats",
+      message: error.message,
+    });
+  }
+});
+
+// Built-in format packs, optionally only those of ?type=
+app.get("/api/formats/presets", (req, res) => {
+  res.json({ success: true, presets: getFormatPresets(req.query.type) });
+});
+
+// All formats of one type as a format pack file
+app.get("/api/formats/export/:type", (req, res) => {
+  const { type } = req.params;
+
+  if (!FORMAT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: "Invalid format type",
+      message: `Format type must be one of ${FORMAT_TYPES.join(", ")}`,
+    });
+  }
+
+  const pack = createFormatPack({
+    name: req.query.name || `${type} formats`,
+    description: req.query.description || "",
+    type,
+    formats: getFormats()[type] || [],
+  });
+
+  res.set("Content-Disposition", `attachment; filename="formats-${type}.json"`);
+  res.json(pack);
+});
+
+// Add the formats of a pack to the existing formats of its type. Without a
+// conflict resolution, names that are already taken are reported with 409
+// so the client can ask what to do with them.
+app.post("/api/formats/import", (req, res) => {
+  try {
+    const { pack: input, conflict } = req.body || {};
+
+    const { pack, error } = parseFormatPack(input);
+    if (error) {
+      return res
+        .status(400)
+        .json({ error: "Invalid format pack", message: error });
+    }
+
+    if (conflict && !CONFLICT_RESOLUTIONS.includes(conflict)) {
+      return res.status(400).json({
+        error: "Invalid conflict resolution",
+        message: `Conflict resolution must be one of ${CONFLICT_RESOLUTIONS.join(
+          ", "
+        )}`,
+      });
+    }
+
+    if (rejectStaleFormats(req, res)) return;
+
+    const allFormats = getFormats();
+    const existing = allFormats[pack.type] || [];
+
+    const conflicts = findPackConflicts(existing, pack.formats);
+    if (conflicts.length > 0 && !conflict) {
+      return res.status(409).json({
+        error: "Format names taken",
+        message: `${conflicts.length} format name(s) already exist: ${[
+          ...new Set(conflicts),
+        ].join(", ")}`,
+        conflicts,
+        revision: getFormatsRevision(),
+      });
+    }
+
+    const merged = mergeFormatPack(existing, pack.formats, conflict);
+
+    // Same checks as a save from the format editors
+    const validation = validateFormats(pack.type, merged.formats);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: "Invalid formats",
+        message: validation.errors[0].message,
+        errors: validation.errors,
+        warnings: validation.warnings,
+      });
+    }
+
+    allFormats[pack.type] = merged.formats;
+
+    const revision = saveFormats(allFormats, {
+      author: describeAuth(req.auth),
+      summary: `Imported "${pack.name}" ${pack.type} formats`,
+    });
+    if (!revision) {
+      throw new Error("Failed to save formats");
+    }
+
+    invalidateLiveFeeds();
+
+    res.set("ETag", formatsEtag(revision));
+    res.json({
+      success: true,
+      type: pack.type,
+      added: merged.added,
+      replaced: merged.replaced,
+      renamed: merged.renamed,
+      skipped: merged.skipped,
+      revision,
+      warnings: validation.warnings,
+    });
+  } catch (error) {
+    logError("Error importing format pack:", error);
+    res.status(500).json({
+      error: "Failed to import format pack",
+      message: error.message,
+    });
+  }
+});
+
+// Check formats without saving them
+app.post("/api/formats/validate", (req, res) => {
+  const { type, formats, template, output } = req.body || {};
+
+  if (!FORMAT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: "Invalid format type",
+      message: `Format type must be one of ${FORMAT_TYPES.join(", ")}`,
+    });
+  }
+
+  // A single template can be checked while it is being edited
+  if (template !== undefined && !Array.isArray(formats)) {
+    const { errors, warnings } = validateTemplate(template, type, { output });
+    return res.json({
+      success: true,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+    });
+  }
+
+  if (!Array.isArray(formats)) {
+    return res.status(400).json({ error: "Invalid format data" });
+  }
+
+  res.json({ success: true, ...validateFormats(type, formats) });
+});
+
+// Media API
+app.get("/api/media/:type", async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { section } = req.query;
+
+    const sectionTypes = {
+      movies: "movie",
+      shows: "show",
+      music: "artist",
+    };
+    if (!sectionTypes[type]) {
+      return res.status(400).json({ error: "Invalid media type" });
+    }
+
+    const { query, error } = parseMediaQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error: "Invalid filter", message: error });
+    }
+
+    const { page: requestedPage, error: pageError } = parsePagination(
+      req.query,
+      { defaultLimit: 10, maxLimit: 200 }
+    );
+    if (pageError) return rejectPagination(res, pageError);
+
+    // Get formats
+    const formats = getFormats().sections || [];
+
+    // Get all sections
+    const librariesTable = await callTautulli("get_libraries_table");
+    const allSections = librariesTable?.data || [];
+    let targetSections = allSections.filter(
+      (s) => s.section_type === sectionTypes[type]
+    );
+
+    // Filter by specific section if provided
+    if (section) {
       targetSections = targetSections.filter(
         (s) => s.section_id.toString() === section
       );
@@ -1523,34 +2428,33 @@ app.get("/api/media/:type", async (req, res) => {
       }
     }
 
-    // Fetch recently added for each section
-    const mediaPromises = targetSections.map(async (section) => {
-      // Get library details including counts
-      const libraryDetails = await getLibraryDetails(
-        section.section_id,
-        config
-      );
+    const sectionItems = await Promise.all(
+      targetSections.map((s) => getSectionItems(s))
+    );
+    const { matches, truncated } = await queryMediaItems(
+      sectionItems.flat(),
+      query
+    );
+    const page = paginate(matches, requestedPage);
 
-      // Get recently added items
-      const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-        params: {
-          apikey: config.tautulliApiKey,
-          cmd: "get_recently_added",
-          section_id: section.section_id,
-          count: count,
-          include_details: 1, // Request additional metadata
-        },
-      });
+    // Library stats are shared by every item of a section
+    const libraryDetails = {};
+    await Promise.all(
+      targetSections.map(async (s) => {
+        libraryDetails[s.section_id] = await getLibraryDetails(s.section_id);
+      })
+    );
 
-      const items = response.data?.response?.data?.recently_added || [];
+    const pageItems = needsMetadata(query)
+      ? page
+      : await withItemMetadata(page);
 
-      // Enhance each item with library details and section info
-      return items.map((item) => ({
+    // Apply custom formats
+    const formattedMedia = pageItems.map((item) => {
+      const media = {
         ...item,
-        ...libraryDetails,
-        section_id: section.section_id,
-        section_name: section.section_name,
-        library_name: section.section_name, // Add library name
+        ...libraryDetails[item.section_id],
+        ...(isMusicItem(item) ? getMusicFields(item) : {}),
         // Ensure arrays are always arrays even if empty
         directors: item.directors || [],
         writers: item.writers || [],
@@ -1558,20 +2462,8 @@ app.get("/api/media/:type", async (req, res) => {
         genres: item.genres || [],
         labels: item.labels || [],
         collections: item.collections || [],
-      }));
-    });
-
-    let allMedia = await Promise.all(mediaPromises);
-    allMedia = allMedia.flat();
-
-    // Sort by date added (newest first)
-    allMedia.sort((a, b) => b.added_at - a.added_at);
-
-    // Limit to requested count
-    allMedia = allMedia.slice(0, parseInt(count));
+      };
 
-    // Apply custom formats
-    const formattedMedia = allMedia.map((media) => {
       const applicableFormats = formats.filter(
         (format) =>
           format.sectionId === "all" ||
@@ -1580,7 +2472,11 @@ app.get("/api/media/:type", async (req, res) => {
 
       const formattedData = {};
       applicableFormats.forEach((format) => {
-        formattedData[format.name] = processTemplate(format.template, media);
+        formattedData[format.name] = renderFormat(
+          format,
+          media,
+          req.query.output
+        );
       });
 
       return {
@@ -1590,7 +2486,12 @@ app.get("/api/media/:type", async (req, res) => {
     });
 
     res.json({
-      total: formattedMedia.length,
+      ...getPageResponse(req, res, requestedPage, {
+        total: matches.length,
+        count: page.length,
+      }),
+      // Only the newest MEDIA_FILTER_SCAN_LIMIT items were checked
+      truncated,
       sections: targetSections.map((s) => ({
         id: s.section_id,
         name: s.section_name,
@@ -1606,432 +2507,1832 @@ app.get("/api/media/:type", async (req, res) => {
   }
 });
 
-// Users API
-app.get("/api/users", async (req, res) => {
-  try {
-    // Generate unique request ID for logging
-    const requestId =
-      Date.now().toString(36) + Math.random().toString(36).substring(2);
-    logInfo(`[${requestId}] Starting /api/users request`);
+// ======================================================================
+// Multi-server Helpers
+// ======================================================================
 
-    const config = getConfig();
-    const { count = 50 } = req.query; // Default to 100 if not specified
-    const requestedCount = Math.max(1, parseInt(count, 10) || 50);
-    const forceRefresh = req.query.refresh === "true"; // Optional force refresh parameter
+// Run a route handler once for every configured server profile and collect
+// what it would have sent. Used by the "all servers" views.
+const collectFromProfiles = async (req, handler) => {
+  const results = [];
 
-    // No caching headers for browser
-    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
-    res.setHeader("Pragma", "no-cache");
-    res.setHeader("Expires", "0");
+  for (const profile of listProfiles()) {
+    if (!profile.tautulliUrl || !profile.hasTautulliKey) continue;
 
-    // Get stored formats
-    const formatsData = getFormats();
-    const userFormats = formatsData.users || [];
+    const captured = { statusCode: 200, body: null };
+    const res = {
+      setHeader: () => {},
+      status(code) {
+        captured.statusCode = code;
+        return this;
+      },
+      json(body) {
+        captured.body = body;
+        return this;
+      },
+    };
 
-    logInfo(`[${requestId}] Fetching active sessions and users...`);
+    await runWithProfile(profile.id, () => handler(req, res));
+    results.push({
+      server: { id: profile.id, name: profile.name },
+      ...captured,
+    });
+  }
 
-    // STEP 1: Fetch both active sessions and users in parallel
-    let activeSessions = [];
-    let allUsers = [];
+  return results;
+};
 
-    try {
-      const [activeSessionsResponse, usersResponse] = await Promise.all([
-        axios.get(`${config.tautulliUrl}/api/v2`, {
-          params: {
-            apikey: config.tautulliApiKey,
-            cmd: "get_activity",
-          },
-          timeout: 10000,
-        }),
-        axios.get(`${config.tautulliUrl}/api/v2`, {
-          params: {
-            apikey: config.tautulliApiKey,
-            cmd: "get_users_table",
-            length: 1000,
-          },
-          timeout: 10000,
-        }),
-      ]);
+// A merged page can draw on every server's first offset + limit items, so
+// each server is asked for all of them
+const withPagePrefix = (req, { offset, limit }) =>
+  Object.create(req, {
+    query: {
+      value: {
+        ...req.query,
+        offset: "0",
+        limit: String(offset + limit),
+        cursor: undefined,
+        page: undefined,
+      },
+    },
+  });
 
-      activeSessions =
-        activeSessionsResponse.data?.response?.data?.sessions || [];
-      allUsers = usersResponse.data?.response?.data?.data || [];
+// Merge per-profile results; servers that failed are listed instead of
+// failing the whole response
+const respondWithMerged = (res, results, merge) => {
+  const succeeded = results.filter(
+    ({ statusCode, body }) => statusCode < 400 && body
+  );
 
-      logInfo(
-        `[${requestId}] Successfully fetched ${activeSessions.length} active sessions and ${allUsers.length} users`
-      );
-    } catch (error) {
-      logError(`[${requestId}] Error fetching initial data:`, error);
-      throw new Error(`Failed to fetch initial user data: ${error.message}`);
-    }
-
-    // STEP 2: Create a lookup map for active sessions
-    const watchingUsers = {};
-    for (const session of activeSessions) {
-      if (session.state === "playing") {
-        watchingUsers[session.user_id] = {
-          current_media: session.grandparent_title
-            ? `${session.grandparent_title} - ${session.title}`
-            : session.title,
-          last_played_modified: formatShowTitle(session),
-          media_type: session.media_type,
-          progress_percent: session.progress_percent || "0",
-          view_offset: Math.floor((session.view_offset || 0) / 1000),
-          duration: Math.floor((session.duration || 0) / 1000), // Store in seconds for consistency
-          media_duration: session.duration || 0, // Actual media duration in milliseconds
-          last_seen: Math.floor(Date.now() / 1000),
-          parent_media_index: session.parent_media_index,
-          media_index: session.media_index,
-          title: session.title || "",
-          full_title: session.full_title || "",
-          parent_title: session.parent_title || "",
-          grandparent_title: session.grandparent_title || "",
-          original_title: session.original_title || "",
-          year: session.year || "",
-          rating_key: session.rating_key,
-        };
+  if (succeeded.length === 0) {
+    const failed = results[0];
+    return res.status(failed ? failed.statusCode : 503).json(
+      failed?.body || {
+        error: "No servers configured",
+        message: "Configure Tautulli for at least one server profile",
       }
-    }
+    );
+  }
 
-    // STEP 3: Filter out Local users and sort by last_seen (most recent first)
-    const filteredUsers = allUsers
-      .filter((user) => user.friendly_name !== "Local")
-      .sort((a, b) => {
-        // First check if user is watching (active users first)
-        const aIsWatching = !!watchingUsers[a.user_id];
-        const bIsWatching = !!watchingUsers[b.user_id];
-
-        if (aIsWatching && !bIsWatching) return -1;
-        if (!aIsWatching && bIsWatching) return 1;
-
-        // If neither is watching or both are watching, sort by last_seen
-        const aLastSeen = aIsWatching
-          ? Date.now() / 1000
-          : a.last_seen
-          ? parseInt(a.last_seen, 10)
-          : 0;
-        const bLastSeen = bIsWatching
-          ? Date.now() / 1000
-          : b.last_seen
-          ? parseInt(b.last_seen, 10)
-          : 0;
-
-        return bLastSeen - aLastSeen;
-      });
+  res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+  res.json({
+    success: true,
+    ...merge(succeeded),
+    servers: results.map(({ server, statusCode, body }) => ({
+      ...server,
+      success: statusCode < 400,
+      ...(statusCode >= 400 ? { error: body?.message || body?.error } : {}),
+    })),
+  });
+};
+
+// Users API
+// Build the /api/users payload. Live updates pass the sessions they already
+// fetched so get_activity isn't called twice.
+const buildUsersResponse = async ({
+  page = { offset: 0, limit: 50 },
+  forceRefresh = false,
+  requestId = Date.now().toString(36),
+  activeSessions: knownSessions = null,
+  output,
+} = {}) => {
+  // Get stored formats
+  const formatsData = getFormats();
+  const userFormats = formatsData.users || [];
+
+  logInfo(`[${requestId}] Fetching active sessions and users...`);
+
+  // STEP 1: Fetch both active sessions and users in parallel
+  let activeSessions = [];
+  let allUsers = [];
+
+  try {
+    const [sessions, usersTable] = await Promise.all([
+      knownSessions ||
+        callTautulli("get_activity", {}, { timeout: 10000 }).then(
+          (activity) => activity?.sessions || []
+        ),
+      callTautulli("get_users_table", { length: 1000 }, { timeout: 10000 }),
+    ]);
+
+    activeSessions = sessions;
+    allUsers = usersTable?.data || [];
 
     logInfo(
-      `[${requestId}] Sorted ${filteredUsers.length} users by active status and last seen time`
+      `[${requestId}] Successfully fetched ${activeSessions.length} active sessions and ${allUsers.length} users`
     );
+  } catch (error) {
+    logError(`[${requestId}] Error fetching initial data:`, error);
+    throw new Error(`Failed to fetch initial user data: ${error.message}`);
+  }
+
+  // STEP 2: Create a lookup map for active sessions
+  const watchingUsers = {};
+  for (const session of activeSessions) {
+    if (session.state === "playing") {
+      watchingUsers[session.user_id] = {
+        current_media: session.grandparent_title
+          ? `${session.grandparent_title} - ${session.title}`
+          : session.title,
+        last_played_modified: formatShowTitle(session),
+        media_type: session.media_type,
+        progress_percent: session.progress_percent || "0",
+        view_offset: Math.floor((session.view_offset || 0) / 1000),
+        duration: Math.floor((session.duration || 0) / 1000), // Store in seconds for consistency
+        media_duration: session.duration || 0, // Actual media duration in milliseconds
+        last_seen: Math.floor(Date.now() / 1000),
+        parent_media_index: session.parent_media_index,
+        media_index: session.media_index,
+        title: session.title || "",
+        full_title: session.full_title || "",
+        parent_title: session.parent_title || "",
+        grandparent_title: session.grandparent_title || "",
+        original_title: session.original_title || "",
+        year: session.year || "",
+        rating_key: session.rating_key,
+      };
+    }
+  }
+
+  // STEP 3: Filter out Local users and sort by last_seen (most recent first)
+  const filteredUsers = allUsers
+    .filter((user) => user.friendly_name !== "Local")
+    .sort((a, b) => {
+      // First check if user is watching (active users first)
+      const aIsWatching = !!watchingUsers[a.user_id];
+      const bIsWatching = !!watchingUsers[b.user_id];
+
+      if (aIsWatching && !bIsWatching) return -1;
+      if (!aIsWatching && bIsWatching) return 1;
+
+      // If neither is watching or both are watching, sort by last_seen
+      const aLastSeen = aIsWatching
+        ? Date.now() / 1000
+        : a.last_seen
+        ? parseInt(a.last_seen, 10)
+        : 0;
+      const bLastSeen = bIsWatching
+        ? Date.now() / 1000
+        : b.last_seen
+        ? parseInt(b.last_seen, 10)
+        : 0;
+
+      return bLastSeen - aLastSeen;
+    });
+
+  logInfo(
+    `[${requestId}] Sorted ${filteredUsers.length} users by active status and last seen time`
+  );
+
+  // STEP 4: Limit users to the requested page
+  const limitedUsers = paginate(filteredUsers, page);
+
+  logInfo(
+    `[${requestId}] Processing ${limitedUsers.length} users (${
+      page.offset + 1
+    } to ${page.offset + page.limit} by activity)`
+  );
+
+  // STEP 5: Process each limited user
+  const processedUsers = await Promise.all(
+    limitedUsers.map(async (user, index) => {
+      const watching = watchingUsers[user.user_id];
+      const lastSeen = watching
+        ? watching.last_seen
+        : parseInt(user.last_seen, 10);
+
+      // If user is watching, clear their cache entry to ensure fresh data next time
+      if (watching) {
+        historyCache.delete(`user_history:${user.user_id}`);
+      }
+
+      // Create base user data object with default values
+      return {
+        friendly_name: user.friendly_name || "",
+        user_id: user.user_id,
+        email: user.email || "",
+        plays: parseInt(user.plays || "0", 10),
+        duration: watching?.media_duration || 0, // Initialize with media duration if watching
+        formatted_duration: "", // Will be set after we have the actual media duration
+        last_seen: lastSeen,
+        last_seen_formatted: watching
+          ? "🟢"
+          : user.last_seen
+          ? formatTimeDiff(user.last_seen)
+          : "Never",
+        is_active: !!watching,
+        is_watching: watching ? "Watching" : "Watched",
+        state: watching ? "watching" : "watched",
+
+        // Existing properties
+        media_type: watching
+          ? watching.media_type.charAt(0).toUpperCase() +
+            watching.media_type.slice(1)
+          : "",
+        progress_percent: watching ? `${watching.progress_percent}%` : "",
+        progress_time: watching
+          ? `${formatTimeHHMM(watching.view_offset * 1000)} / ${formatTimeHHMM(
+              watching.duration * 1000
+            )}`
+          : "",
+        title: watching ? watching.title : "",
+        original_title: watching ? watching.original_title : "",
+        year: watching ? watching.year : "",
+        full_title: watching ? watching.full_title : "",
+        last_played: watching
+          ? watching.current_media
+          : user.last_played || "Nothing",
+        last_played_modified: watching
+          ? watching.last_played_modified
+          : user.last_played || "Nothing",
+        parent_title: watching ? watching.parent_title : "",
+        grandparent_title: watching ? watching.grandparent_title : "",
+        media_index: watching
+          ? String(watching.media_index).padStart(2, "0")
+          : "",
+        parent_media_index: watching
+          ? String(watching.parent_media_index).padStart(2, "0")
+          : "",
+        ...getMusicFields(watching),
+
+        // Track original index for updating
+        _index: index,
+        _cached: false,
+      };
+    })
+  );
+
+  // STEP 6: ONLY fetch history for users who aren't watching and are in our limited set
+  const historyPromises = [];
+
+  for (let i = 0; i < processedUsers.length; i++) {
+    const userData = processedUsers[i];
+
+    // Only fetch history if user isn't watching but has played something
+    if (!userData.is_active && userData.last_played !== "Nothing") {
+      const cacheKey = `user_history:${userData.user_id}`;
+
+      // Check cache first
+      const cachedHistory = forceRefresh ? null : historyCache.get(cacheKey);
+
+      if (cachedHistory) {
+        // Use cached history data
+        logDebug(
+          `[${requestId}] Using cached history for user ${userData.friendly_name} (${userData.user_id})`
+        );
 
-    // STEP 4: Limit users to those we'll actually return
-    const limitedUsers = filteredUsers.slice(0, requestedCount);
+        // Update user data with cached history
+        processedUsers[i].media_type = cachedHistory.media_type || "";
+        processedUsers[i].title = cachedHistory.title || "";
+        processedUsers[i].original_title = cachedHistory.original_title || "";
+        processedUsers[i].year = cachedHistory.year || "";
+        processedUsers[i].full_title = cachedHistory.full_title || "";
+        processedUsers[i].parent_title = cachedHistory.parent_title || "";
+        processedUsers[i].grandparent_title =
+          cachedHistory.grandparent_title || "";
+        processedUsers[i].media_index = cachedHistory.media_index || "";
+        processedUsers[i].parent_media_index =
+          cachedHistory.parent_media_index || "";
+        MUSIC_VARIABLES.forEach((field) => {
+          processedUsers[i][field] = cachedHistory[field] || "";
+        });
+        processedUsers[i].last_played_modified =
+          cachedHistory.last_played_modified || processedUsers[i].last_played;
+        processedUsers[i].duration = cachedHistory.media_duration || 0; // Use cached media duration
+        processedUsers[i].formatted_duration = formatDuration(
+          processedUsers[i].duration
+        ); // Format it
+        processedUsers[i]._cached = true;
+      } else {
+        // Queue up history fetch with index attached
+        logDebug(
+          `[${requestId}] Queueing history fetch for user ${userData.friendly_name} (${userData.user_id})`
+        );
+
+        historyPromises.push({
+          index: i,
+          userId: userData.user_id,
+          promise: getUserHistoryWithMetadata(userData.user_id, requestId),
+        });
+      }
+    } else if (userData.is_active) {
+      // If user is active, use the media duration from watching
+      const watching = watchingUsers[userData.user_id];
+      if (watching && watching.media_duration) {
+        processedUsers[i].duration = watching.media_duration;
+        processedUsers[i].formatted_duration = formatDuration(
+          watching.media_duration
+        );
+      }
+    }
+  }
 
+  // STEP 7: Fetch history and metadata for users with no cache hit
+  if (historyPromises.length > 0) {
     logInfo(
-      `[${requestId}] Processing ${limitedUsers.length} users (top ${requestedCount} active users)`
+      `[${requestId}] Fetching history for ${historyPromises.length} users (cache miss or forced refresh)...`
     );
 
-    // STEP 5: Process each limited user
-    const processedUsers = await Promise.all(
-      limitedUsers.map(async (user, index) => {
-        const watching = watchingUsers[user.user_id];
-        const lastSeen = watching
-          ? watching.last_seen
-          : parseInt(user.last_seen, 10);
-
-        // If user is watching, clear their cache entry to ensure fresh data next time
-        if (watching) {
-          historyCache.delete(`user_history:${user.user_id}`);
-        }
+    // Wait for all history promises to complete
+    const historyResults = await Promise.allSettled(
+      historyPromises.map((item) => item.promise)
+    );
 
-        // Create base user data object with default values
-        return {
-          friendly_name: user.friendly_name || "",
-          user_id: user.user_id,
-          email: user.email || "",
-          plays: parseInt(user.plays || "0", 10),
-          duration: watching?.media_duration || 0, // Initialize with media duration if watching
-          formatted_duration: "", // Will be set after we have the actual media duration
-          last_seen: lastSeen,
-          last_seen_formatted: watching
-            ? "🟢"
-            : user.last_seen
-            ? formatTimeDiff(user.last_seen)
-            : "Never",
-          is_active: !!watching,
-          is_watching: watching ? "Watching" : "Watched",
-          state: watching ? "watching" : "watched",
-
-          // Existing properties
-          media_type: watching
-            ? watching.media_type.charAt(0).toUpperCase() +
-              watching.media_type.slice(1)
-            : "",
-          progress_percent: watching ? `${watching.progress_percent}%` : "",
-          progress_time: watching
-            ? `${formatTimeHHMM(
-                watching.view_offset * 1000
-              )} / ${formatTimeHHMM(watching.duration * 1000)}`
+    // Apply history results to users
+    historyPromises.forEach((item, i) => {
+      const { index, userId } = item;
+      const result = historyResults[i];
+
+      if (result.status === "fulfilled" && result.value) {
+        const historyItem = result.value;
+        const cacheKey = `user_history:${userId}`;
+
+        // Get the media duration from the history item
+        const mediaDuration = historyItem.media_duration || 0;
+
+        // Prepare the cache object
+        const cacheObj = {
+          media_type: historyItem.media_type
+            ? historyItem.media_type.charAt(0).toUpperCase() +
+              historyItem.media_type.slice(1)
             : "",
-          title: watching ? watching.title : "",
-          original_title: watching ? watching.original_title : "",
-          year: watching ? watching.year : "",
-          full_title: watching ? watching.full_title : "",
-          last_played: watching
-            ? watching.current_media
-            : user.last_played || "Nothing",
-          last_played_modified: watching
-            ? watching.last_played_modified
-            : user.last_played || "Nothing",
-          parent_title: watching ? watching.parent_title : "",
-          grandparent_title: watching ? watching.grandparent_title : "",
-          media_index: watching
-            ? String(watching.media_index).padStart(2, "0")
+          title: historyItem.title || "",
+          original_title: historyItem.original_title || "",
+          year: historyItem.year || "",
+          full_title: historyItem.full_title || "",
+          parent_title: historyItem.parent_title || "",
+          grandparent_title: historyItem.grandparent_title || "",
+          media_index: historyItem.media_index
+            ? String(historyItem.media_index).padStart(2, "0")
             : "",
-          parent_media_index: watching
-            ? String(watching.parent_media_index).padStart(2, "0")
+          parent_media_index: historyItem.parent_media_index
+            ? String(historyItem.parent_media_index).padStart(2, "0")
             : "",
-
-          // Track original index for updating
-          _index: index,
-          _cached: false,
+          last_played_modified: formatShowTitle(historyItem),
+          ...getMusicFields(historyItem),
+          media_duration: mediaDuration, // Store actual media duration
+          timestamp: Date.now(),
         };
-      })
-    );
 
-    // STEP 6: ONLY fetch history for users who aren't watching and are in our limited set
-    const historyPromises = [];
+        // Update user data with history and media duration
+        processedUsers[index].media_type = cacheObj.media_type;
+        processedUsers[index].title = cacheObj.title;
+        processedUsers[index].original_title = cacheObj.original_title;
+        processedUsers[index].year = cacheObj.year;
+        processedUsers[index].full_title = cacheObj.full_title;
+        processedUsers[index].parent_title = cacheObj.parent_title;
+        processedUsers[index].grandparent_title = cacheObj.grandparent_title;
+        processedUsers[index].media_index = cacheObj.media_index;
+        processedUsers[index].parent_media_index = cacheObj.parent_media_index;
+        MUSIC_VARIABLES.forEach((field) => {
+          processedUsers[index][field] = cacheObj[field];
+        });
+        processedUsers[index].last_played_modified =
+          cacheObj.last_played_modified;
+        processedUsers[index].duration = mediaDuration; // Use actual media duration
+        processedUsers[index].formatted_duration =
+          formatDuration(mediaDuration); // Format it
 
-    for (let i = 0; i < processedUsers.length; i++) {
-      const userData = processedUsers[i];
+        // Store in cache
+        historyCache.set(cacheKey, cacheObj);
 
-      // Only fetch history if user isn't watching but has played something
-      if (!userData.is_active && userData.last_played !== "Nothing") {
-        const cacheKey = `user_history:${userData.user_id}`;
+        logDebug(
+          `[${requestId}] Updated and cached history for user ${processedUsers[index].friendly_name}: ${processedUsers[index].media_type} - ${processedUsers[index].title} - Duration: ${processedUsers[index].formatted_duration}`
+        );
+      } else {
+        // If history fetch failed, set a default formatted duration
+        processedUsers[index].formatted_duration = "Unknown";
 
-        // Check cache first
-        const cachedHistory = forceRefresh ? null : historyCache.get(cacheKey);
+        // Log the error
+        logWarn(
+          `[${requestId}] Failed to fetch history for user ${
+            processedUsers[index].friendly_name
+          }: ${
+            result.status === "rejected" ? result.reason : "No history found"
+          }`
+        );
+      }
+    });
+  }
 
-        if (cachedHistory) {
-          // Use cached history data
-          logDebug(
-            `[${requestId}] Using cached history for user ${userData.friendly_name} (${userData.user_id})`
-          );
+  // Final formatting of any users that might not have a formatted_duration yet
+  processedUsers.forEach((user, i) => {
+    if (!user.formatted_duration && user.duration) {
+      processedUsers[i].formatted_duration = formatDuration(user.duration);
+    } else if (!user.formatted_duration) {
+      processedUsers[i].formatted_duration = "0m";
+    }
+  });
 
-          // Update user data with cached history
-          processedUsers[i].media_type = cachedHistory.media_type || "";
-          processedUsers[i].title = cachedHistory.title || "";
-          processedUsers[i].original_title = cachedHistory.original_title || "";
-          processedUsers[i].year = cachedHistory.year || "";
-          processedUsers[i].full_title = cachedHistory.full_title || "";
-          processedUsers[i].parent_title = cachedHistory.parent_title || "";
-          processedUsers[i].grandparent_title =
-            cachedHistory.grandparent_title || "";
-          processedUsers[i].media_index = cachedHistory.media_index || "";
-          processedUsers[i].parent_media_index =
-            cachedHistory.parent_media_index || "";
-          processedUsers[i].last_played_modified =
-            cachedHistory.last_played_modified || processedUsers[i].last_played;
-          processedUsers[i].duration = cachedHistory.media_duration || 0; // Use cached media duration
-          processedUsers[i].formatted_duration = formatDuration(
-            processedUsers[i].duration
-          ); // Format it
-          processedUsers[i]._cached = true;
-        } else {
-          // Queue up history fetch with index attached
-          logDebug(
-            `[${requestId}] Queueing history fetch for user ${userData.friendly_name} (${userData.user_id})`
-          );
+  const formattedUsers = processedUsers.map((userData) => {
+    const rawData = userData.raw_data || userData;
 
-          historyPromises.push({
-            index: i,
-            userId: userData.user_id,
-            promise: getUserHistoryWithMetadata(
-              config.tautulliUrl,
-              config.tautulliApiKey,
-              userData.user_id,
-              requestId
-            ),
-          });
-        }
-      } else if (userData.is_active) {
-        // If user is active, use the media duration from watching
-        const watching = watchingUsers[userData.user_id];
-        if (watching && watching.media_duration) {
-          processedUsers[i].duration = watching.media_duration;
-          processedUsers[i].formatted_duration = formatDuration(
-            watching.media_duration
-          );
-        }
+    // Determine media type for format matching
+    const mediaTypeMap = {
+      movie: "movie",
+      episode: "episode",
+      track: "track",
+    };
+    const mediaType = (rawData.media_type || "").toLowerCase();
+    const mappedMediaType = mediaTypeMap[mediaType] || mediaType;
+
+    // Filter formats based on media type
+    const applicableFormats = userFormats.filter(
+      (format) =>
+        !format.mediaType || // No media type specified (applies to all)
+        format.mediaType === mappedMediaType
+    );
+
+    // Apply each applicable format
+    const formattedOutput = {};
+    applicableFormats.forEach((format) => {
+      try {
+        const result = renderFormat(format, userData, output);
+        formattedOutput[format.name] = result;
+      } catch (err) {
+        logError(
+          `[${requestId}] Error applying format to user ${rawData.friendly_name}:`,
+          err
+        );
+        formattedOutput[format.name] = "";
       }
-    }
+    });
 
-    // STEP 7: Fetch history and metadata for users with no cache hit
-    if (historyPromises.length > 0) {
-      logInfo(
-        `[${requestId}] Fetching history for ${historyPromises.length} users (cache miss or forced refresh)...`
-      );
+    // Remove internal tracking properties
+    const { _index, _cached, ...cleanData } = rawData;
 
-      // Wait for all history promises to complete
-      const historyResults = await Promise.allSettled(
-        historyPromises.map((item) => item.promise)
-      );
+    return {
+      ...formattedOutput,
+      raw_data: cleanData,
+    };
+  });
+
+  return {
+    success: true,
+    ...getPageInfo(page, {
+      total: filteredUsers.length,
+      count: formattedUsers.length,
+    }),
+    requestedCount: page.limit,
+    users: formattedUsers,
+    cache: {
+      hits: processedUsers.filter((u) => u._cached).length,
+      misses: historyPromises.length,
+      total: historyCache.stats().size,
+    },
+  };
+};
+
+const handleUsersRequest = async (req, res) => {
+  try {
+    // Generate unique request ID for logging
+    const requestId =
+      Date.now().toString(36) + Math.random().toString(36).substring(2);
+    logInfo(`[${requestId}] Starting /api/users request`);
+
+    const { page, error } = parsePagination(req.query);
+    if (error) return rejectPagination(res, error);
+    const forceRefresh = req.query.refresh === "true"; // Optional force refresh parameter
+
+    // No caching headers for browser
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.setHeader("Pragma", "no-cache");
+    res.setHeader("Expires", "0");
+
+    const users = await buildUsersResponse({
+      page,
+      forceRefresh,
+      requestId,
+      output: req.query.output,
+    });
+    const response = {
+      ...users,
+      ...getPageResponse(req, res, page, {
+        total: users.total,
+        count: users.users.length,
+      }),
+    };
+
+    // STEP 9: Send response
+    logInfo(
+      `[${requestId}] Sending response with ${response.users.length} users`
+    );
+
+    res.json(response);
+
+    logInfo(`[${requestId}] Request completed successfully`);
+  } catch (error) {
+    logError("Error processing users:", error);
+    res.status(500).json({
+      error: "Failed to process users",
+      message: error.message,
+    });
+  }
+};
+
+app.get("/api/users", async (req, res) => {
+  if (!req.allServers) return handleUsersRequest(req, res);
+
+  const { page, error } = parsePagination(req.query);
+  if (error) return rejectPagination(res, error);
+  const results = await collectFromProfiles(
+    withPagePrefix(req, page),
+    handleUsersRequest
+  );
+
+  respondWithMerged(res, results, (bodies) => {
+    const users = paginate(
+      bodies
+        .flatMap(({ server, body }) =>
+          body.users.map((user) => ({ ...user, server }))
+        )
+        // Active users first, then most recently seen
+        .sort(
+          (a, b) =>
+            Number(!!b.raw_data.is_active) - Number(!!a.raw_data.is_active) ||
+            (b.raw_data.last_seen || 0) - (a.raw_data.last_seen || 0)
+        ),
+      page
+    );
+
+    return {
+      ...getPageResponse(req, res, page, {
+        total: bodies.reduce((sum, { body }) => sum + (body.total || 0), 0),
+        count: users.length,
+      }),
+      requestedCount: page.limit,
+      users,
+    };
+  });
+});
+
+// ======================================================================
+// Search API
+// ======================================================================
+
+// Search with Plex's hub search. Returns null when Plex isn't configured or
+// doesn't answer, so the local index is used instead.
+const searchPlex = async (text, limit) => {
+  const config = getConfig();
+  if (!config.plexUrl || !config.plexToken) return null;
+
+  try {
+    const response = await axios.get(`${config.plexUrl}/hubs/search`, {
+      params: { query: text, limit },
+      headers: {
+        Accept: "application/json",
+        "X-Plex-Token": config.plexToken,
+      },
+      timeout: 10000,
+    });
+    return fromPlexHubs(response.data?.MediaContainer?.Hub || []);
+  } catch (error) {
+    logWarn(`Plex search failed, using the local index: ${error.message}`);
+    return null;
+  }
+};
+
+// Everything the server knows without Plex: the items of every library plus
+// the recently added lists and metadata that are cached, which also cover
+// episodes
+const getLocalSearchIndex = async () => {
+  const librariesTable = await callTautulli("get_libraries_table");
+  const sections = (librariesTable?.data || []).filter((s) =>
+    ["movie", "show", "artist"].includes(s.section_type)
+  );
+  const sectionItems = await Promise.all(
+    sections.map((s) =>
+      getSectionItems(s).catch((error) => {
+        logWarn(
+          `Could not index section ${s.section_id} for search: ${error.message}`
+        );
+        return [];
+      })
+    )
+  );
+
+  return [
+    ...sectionItems.flat(),
+    ...mediaCache.values("section:").filter(Array.isArray).flat(),
+    ...metadataCache
+      .values("metadata:")
+      .map((entry) => entry.complete_metadata || entry),
+  ].map(fromTautulliItem);
+};
+
+const getSearchUsers = async () => {
+  const cached = statsCache.get("search:users");
+  if (cached) return cached;
+
+  const response = await callTautulli(
+    "get_users_table",
+    { length: 1000 },
+    { timeout: 10000 }
+  );
+  const users = (response?.data || []).map(fromTautulliUser);
+  statsCache.set("search:users", users);
+  return users;
+};
+
+// API keys only find users with the scope that can list them
+const canSearchUsers = (req) =>
+  req.auth?.type !== "apiKey" ||
+  ["read:activity", "admin:config"].some((scope) =>
+    req.auth.apiKey.scopes.includes(scope)
+  );
+
+const handleSearchRequest = async (req, res) => {
+  const { query, error } = parseSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: "Invalid search", message: error });
+  }
+
+  try {
+    const wantsMedia = query.types.some((type) => type !== "user");
+    const wantsUsers = query.types.includes("user") && canSearchUsers(req);
+
+    const [plexResults, users] = await Promise.all([
+      wantsMedia ? searchPlex(query.text, query.limit) : [],
+      wantsUsers
+        ? getSearchUsers().catch((error) => {
+            logWarn(`Could not search users: ${error.message}`);
+            return [];
+          })
+        : [],
+    ]);
+    const media = plexResults || (await getLocalSearchIndex());
+
+    const results = rankResults(
+      [
+        ...rankResults(media, query, { matchAll: !plexResults }),
+        ...rankResults(users, query),
+      ],
+      query,
+      { matchAll: false }
+    );
+
+    res.json({
+      success: true,
+      query: query.text,
+      // Where the media results came from: "plex" or the local "index"
+      source: wantsMedia ? (plexResults ? "plex" : "index") : null,
+      total: results.length,
+      counts: countByType(results),
+      results,
+    });
+  } catch (error) {
+    logError("Error searching:", error);
+    res.status(500).json({
+      error: "Failed to search",
+      message: error.message,
+    });
+  }
+};
+
+app.get("/api/search", async (req, res) => {
+  if (!req.allServers) return handleSearchRequest(req, res);
+
+  const { query, error } = parseSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: "Invalid search", message: error });
+  }
+  const results = await collectFromProfiles(req, handleSearchRequest);
+
+  respondWithMerged(res, results, (bodies) => {
+    const merged = rankResults(
+      bodies.flatMap(({ server, body }) =>
+        body.results.map((result) => ({ ...result, server }))
+      ),
+      query,
+      { matchAll: false }
+    );
+
+    return {
+      query: query.text,
+      total: merged.length,
+      counts: countByType(merged),
+      results: merged,
+    };
+  });
+});
+
+// ======================================================================
+// Streams API
+// ======================================================================
+
+// Tautulli reports "copy" for streams that are remuxed without re-encoding
+const STREAM_DECISIONS = {
+  "direct play": "direct play",
+  copy: "direct stream",
+  "direct stream": "direct stream",
+  transcode: "transcode",
+};
+
+const normalizeDecision = (decision) =>
+  STREAM_DECISIONS[String(decision || "").toLowerCase()] ||
+  (decision ? String(decision).toLowerCase() : "");
+
+// Format a bitrate given in kbps, e.g. "8.4 Mbps"
+const formatBitrate = (kbps) => {
+  const value = Number(kbps) || 0;
+  if (value <= 0) return "0 kbps";
+  if (value < 1000) return `${value} kbps`;
+  return `${(value / 1000).toFixed(1)} Mbps`;
+};
+
+const isLocalSession = (session) =>
+  String(session.local) === "1" || session.location === "lan";
+
+// Look up the city/country of a remote player, cached per IP address
+const lookupStreamLocation = async (ipAddress) => {
+  const cacheKey = `geoip:${ipAddress}`;
+  const cached = geoipCache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const geo = await callTautulli(
+      "get_geoip_lookup",
+      { ip_address: ipAddress },
+      { retries: 0, timeout: 5000 }
+    );
+    const location = {
+      city: geo?.city || "",
+      region: geo?.region || "",
+      country: geo?.country || "",
+    };
+    geoipCache.set(cacheKey, location);
+    return location;
+  } catch (error) {
+    // GeoIP needs a MaxMind key in Tautulli; just skip the location if it fails
+    logDebug(`GeoIP lookup failed for ${ipAddress}: ${error.message}`);
+    const location = { city: "", region: "", country: "" };
+    geoipCache.set(cacheKey, location, 60 * 60 * 1000);
+    return location;
+  }
+};
+
+// City and country of a remote session; local sessions have none
+const locateSession = (session) =>
+  !isLocalSession(session) && session.ip_address
+    ? lookupStreamLocation(session.ip_address)
+    : { city: "", region: "", country: "" };
+
+// Flatten a Tautulli session into the fields exposed to stream templates
+const toStreamData = (session, location) => {
+  const videoResolution =
+    session.video_full_resolution || session.video_resolution || "";
+  const streamVideoResolution =
+    session.stream_video_full_resolution ||
+    session.stream_video_resolution ||
+    "";
+
+  return {
+    session_key: session.session_key,
+    session_id: session.session_id,
+    user_id: session.user_id,
+    user: session.user,
+    friendly_name: session.friendly_name || session.user || "",
+    user_thumb: session.user_thumb || "",
+    state: session.state || "",
+    media_type: session.media_type || "",
+    rating_key: session.rating_key,
+    title: session.title || "",
+    full_title: session.full_title || "",
+    parent_title: session.parent_title || "",
+    grandparent_title: session.grandparent_title || "",
+    parent_media_index: session.parent_media_index || "",
+    media_index: session.media_index || "",
+    year: session.year || "",
+    ...getMusicFields(session),
+    // Album art for tracks, the show poster for episodes
+    thumb:
+      getMusicThumb(session) ||
+      session.grandparent_thumb ||
+      session.thumb ||
+      "",
+    progress_percent: Number(session.progress_percent) || 0,
+    view_offset: Number(session.view_offset) || 0,
+    duration: Number(session.duration) || 0,
+    player: session.player || "",
+    platform: session.platform || "",
+    product: session.product || "",
+    device: session.device || "",
+    quality_profile: session.quality_profile || "",
+    ip_address: session.ip_address || "",
+    location: isLocalSession(session) ? "lan" : "wan",
+    relayed: String(session.relayed) === "1",
+    secure: String(session.secure) === "1",
+    city: location.city,
+    region: location.region,
+    country: location.country,
+    transcode_decision: normalizeDecision(session.transcode_decision),
+    video_decision: normalizeDecision(session.video_decision),
+    audio_decision: normalizeDecision(session.audio_decision),
+    subtitle_decision: normalizeDecision(session.subtitle_decision),
+    container: session.container || "",
+    stream_container: session.stream_container || "",
+    video_codec: session.video_codec || "",
+    stream_video_codec: session.stream_video_codec || "",
+    video_resolution: videoResolution,
+    stream_video_resolution: streamVideoResolution,
+    audio_codec: session.audio_codec || "",
+    stream_audio_codec: session.stream_audio_codec || "",
+    audio_channels:
+      session.audio_channel_layout || session.audio_channels || "",
+    stream_audio_channels:
+      session.stream_audio_channel_layout ||
+      session.stream_audio_channels ||
+      "",
+    bitrate: Number(session.bitrate) || 0,
+    stream_bitrate: Number(session.stream_bitrate) || 0,
+    bandwidth: Number(session.bandwidth) || 0,
+    formatted_bitrate: formatBitrate(session.bitrate),
+    formatted_stream_bitrate: formatBitrate(session.stream_bitrate),
+    formatted_bandwidth: formatBitrate(session.bandwidth),
+    transcode_speed: session.transcode_speed || "",
+    transcode_hw:
+      String(session.transcode_hw_decoding) === "1" ||
+      String(session.transcode_hw_encoding) === "1",
+  };
+};
+
+// Apply stream formats to the current Tautulli activity
+const buildSessionsResponse = async (activity, output) => {
+  const { sessions: formats } = getFormats();
+  const sessions = activity?.sessions || [];
+
+  const streams = await Promise.all(
+    sessions.map(async (session) => {
+      const baseData = toStreamData(session, await locateSession(session));
+
+      // Create formatted data for this stream
+      const formattedData = {};
+      formats.forEach((format) => {
+        formattedData[format.name] = renderFormat(format, baseData, output);
+      });
+
+      return {
+        ...formattedData,
+        raw_data: baseData,
+      };
+    })
+  );
+
+  const count = (decision) =>
+    streams.filter((stream) => stream.raw_data.transcode_decision === decision)
+      .length;
+
+  return {
+    success: true,
+    total: streams.length,
+    streamCounts: {
+      directPlay: count("direct play"),
+      directStream: count("direct stream"),
+      transcode: count("transcode"),
+    },
+    bandwidth: {
+      total: Number(activity?.total_bandwidth) || 0,
+      lan: Number(activity?.lan_bandwidth) || 0,
+      wan: Number(activity?.wan_bandwidth) || 0,
+    },
+    sessions: streams,
+  };
+};
+
+// Current playback sessions with player, transcode and bandwidth details
+app.get("/api/sessions", async (req, res) => {
+  if (!isTautulliConfigured()) {
+    return res.status(503).json({
+      error: "Tautulli not configured",
+      message: "Configure Tautulli before requesting stream details",
+    });
+  }
+
+  // Sessions are few, so without a limit they all fit on one page
+  const { page, error: pageError } = parsePagination(req.query, {
+    defaultLimit: 500,
+  });
+  if (pageError) return rejectPagination(res, pageError);
+
+  try {
+    const activity = await callTautulli("get_activity", {}, { timeout: 10000 });
+    const response = await buildSessionsResponse(activity, req.query.output);
+    const sessions = paginate(response.sessions, page);
+
+    // Stream counts and bandwidth still cover every session
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({
+      ...response,
+      ...getPageResponse(req, res, page, {
+        total: response.sessions.length,
+        count: sessions.length,
+      }),
+      sessions,
+    });
+  } catch (error) {
+    logError("Error fetching sessions:", error);
+    res.status(502).json({
+      error: "Failed to fetch sessions",
+      message: error.message,
+    });
+  }
+});
+
+// ======================================================================
+// User Details
+// ======================================================================
+
+// Newest plays of a user that their most watched titles, genres and IP
+// addresses are worked out from
+const USER_HISTORY_SAMPLE = parseInt(process.env.USER_HISTORY_SAMPLE) || 1000;
+
+// Most watched titles whose metadata is looked up for the favourite genres
+const USER_GENRE_TITLES = 20;
+
+const rejectMissingUser = (res, userId) =>
+  res.status(404).json({
+    error: "User not found",
+    message: `No user with id ${userId}`,
+  });
+
+// Tautulli's get_user, or null for an unknown user id
+const findTautulliUser = async (userId) => {
+  const user = await callTautulli("get_user", { user_id: userId });
+  return user?.user_id ? user : null;
+};
+
+const toUserInfo = (user) => ({
+  user_id: user.user_id,
+  username: user.username || "",
+  friendly_name: user.friendly_name || user.username || "",
+  email: user.email || "",
+  user_thumb: user.user_thumb || "",
+  is_active: String(user.is_active) === "1",
+  is_admin: String(user.is_admin) === "1",
+  is_home_user: String(user.is_home_user) === "1",
+  shared_libraries: user.shared_libraries || [],
+});
+
+// Totals, watch time, players, favourite content and IP addresses of a user
+const getUserDetails = async (userId, forceRefresh) => {
+  const cacheKey = `user:${userId}:details`;
+  if (!forceRefresh) {
+    const cached = statsCache.get(cacheKey);
+    if (cached) return cached;
+  }
+
+  const user = await findTautulliUser(userId);
+  if (!user) return null;
+
+  const [watchTimeStats, playerStats, history] = await Promise.all([
+    callTautulli("get_user_watch_time_stats", { user_id: userId }),
+    callTautulli("get_user_player_stats", { user_id: userId }),
+    callTautulli(
+      "get_history",
+      { user_id: userId, length: USER_HISTORY_SAMPLE },
+      { timeout: 20000 }
+    ),
+  ]);
+  const rows = history?.data || [];
+
+  // Genres come from the metadata of the shows, artists and movies played
+  const genreTitles = await withItemMetadata(
+    getTopTitles(rows, USER_GENRE_TITLES).filter((title) => title.rating_key)
+  );
+
+  const details = {
+    user: toUserInfo(user),
+    totals: {
+      plays: Number(history?.recordsFiltered) || rows.length,
+      // Most watched, genres and IP addresses only cover these plays
+      sampled: rows.length,
+    },
+    watchTime: toWatchTimeStats(watchTimeStats),
+    players: toPlayerStats(playerStats),
+    mostWatched: getTopTitles(rows),
+    genres: getTopGenres(genreTitles),
+    ipAddresses: getIpAddresses(rows),
+  };
+
+  statsCache.set(cacheKey, details);
+  return details;
+};
+
+// A user's profile and statistics, with what they are playing right now
+app.get("/api/users/:userId", async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const [details, activity] = await Promise.all([
+      getUserDetails(userId, req.query.refresh === "true"),
+      callTautulli("get_activity", {}, { timeout: 10000 }).catch((error) => {
+        logWarn(
+          `Could not fetch activity for user ${userId}: ${error.message}`
+        );
+        return null;
+      }),
+    ]);
+    if (!details) return rejectMissingUser(res, userId);
+
+    const sessions = await Promise.all(
+      (activity?.sessions || [])
+        .filter((session) => String(session.user_id) === String(userId))
+        .map(async (session) =>
+          toStreamData(session, await locateSession(session))
+        )
+    );
+
+    res.setHeader("Cache-Control", "no-cache, no-store, must-revalidate");
+    res.json({ success: true, ...details, sessions });
+  } catch (error) {
+    logError(`Error fetching user ${userId}:`, error);
+    res.status(500).json({
+      error: "Failed to fetch user",
+      message: error.message,
+    });
+  }
+});
+
+// A user's plays, newest first, paged by Tautulli
+app.get("/api/users/:userId/history", async (req, res) => {
+  const { userId } = req.params;
+
+  const { page, error } = parsePagination(req.query, {
+    defaultLimit: 25,
+    maxLimit: 200,
+  });
+  if (error) return rejectPagination(res, error);
+
+  try {
+    const [user, history] = await Promise.all([
+      findTautulliUser(userId),
+      callTautulli(
+        "get_history",
+        { user_id: userId, start: page.offset, length: page.limit },
+        { timeout: 20000 }
+      ),
+    ]);
+    if (!user) return rejectMissingUser(res, userId);
+
+    const entries = (history?.data || []).map(toHistoryEntry);
+
+    res.json({
+      success: true,
+      ...getPageResponse(req, res, page, {
+        total: Number(history?.recordsFiltered) || 0,
+        count: entries.length,
+      }),
+      history: entries,
+    });
+  } catch (error) {
+    logError(`Error fetching history of user ${userId}:`, error);
+    res.status(500).json({
+      error: "Failed to fetch user history",
+      message: error.message,
+    });
+  }
+});
+
+// ======================================================================
+// Watch History API
+// ======================================================================
+
+// Query the locally stored watch history
+app.get("/api/history", (req, res) => {
+  const { user, section, mediaType, from, to, pageSize } = req.query;
+
+  // page and pageSize are still understood next to limit, offset and cursor
+  const { page, error } = parsePagination({ limit: pageSize, ...req.query });
+  if (error) return rejectPagination(res, error);
+
+  try {
+    const result = queryHistory({
+      userId: user,
+      sectionId: section,
+      mediaType,
+      from,
+      to,
+      ...page,
+    });
+
+    res.json({
+      success: true,
+      ...result,
+      ...getPageResponse(req, res, page, {
+        total: result.total,
+        count: result.history.length,
+      }),
+      lastSync: getHistoryStatus().lastSync,
+    });
+  } catch (error) {
+    // Only filter parsing can fail here
+    res.status(400).json({
+      error: "Invalid history filter",
+      message: error.message,
+    });
+  }
+});
+
+app.get("/api/history/status", (req, res) => {
+  res.json({ success: true, status: getHistoryStatus() });
+});
+
+// Pull new rows from Tautulli now; { full: true } re-reads all history
+app.post("/api/history/sync", async (req, res) => {
+  try {
+    const result = await syncHistory({ full: req.body?.full === true });
+    res.json({ success: true, result, status: getHistoryStatus() });
+  } catch (error) {
+    logError("History sync failed:", error);
+    res.status(isTautulliConfigured() ? 502 : 400).json({
+      error: "Failed to sync history",
+      message: error.message,
+    });
+  }
+});
+
+// Keep the local history up to date in the background
+startHistorySync();
+
+// ======================================================================
+// Statistics API
+// ======================================================================
+
+const STATS_GROUPINGS = ["day", "week", "month"];
+
+// Seconds to hours with one decimal
+const toHours = (seconds) =>
+  Math.round(((Number(seconds) || 0) / 3600) * 10) / 10;
+
+// Bucket a YYYY-MM-DD date into its day, week (starting Monday) or month
+const getPeriodKey = (date, groupBy) => {
+  if (groupBy === "month") return date.slice(0, 7);
+  if (groupBy === "week") {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  }
+  return date;
+};
+
+// Merge Tautulli's plays and duration charts into one entry per period,
+// keeping the per-series split (Movies, TV, Music, ...)
+const buildTimeline = (playsChart, durationChart, groupBy) => {
+  const periods = new Map();
+
+  const addChart = (chart, field) => {
+    (chart?.categories || []).forEach((date, index) => {
+      const period = getPeriodKey(date, groupBy);
+      if (!periods.has(period)) {
+        periods.set(period, { period, plays: { total: 0 }, duration: {} });
+      }
+      const entry = periods.get(period);
+
+      (chart.series || []).forEach((series) => {
+        const value = Number(series.data?.[index]) || 0;
+        entry[field][series.name] = (entry[field][series.name] || 0) + value;
+        entry[field].total = (entry[field].total || 0) + value;
+      });
+    });
+  };
+
+  addChart(playsChart, "plays");
+  addChart(durationChart, "duration");
+
+  return [...periods.values()].map(({ period, plays, duration }) => ({
+    period,
+    plays,
+    hours: Object.fromEntries(
+      Object.entries(duration).map(([name, seconds]) => [
+        name,
+        toHours(seconds),
+      ])
+    ),
+  }));
+};
+
+// Sum all series of an hour-of-day chart into 24 buckets
+const buildHourOfDay = (playsChart, durationChart) =>
+  (playsChart?.categories || []).map((hour, index) => {
+    const sumSeries = (chart) =>
+      (chart?.series || []).reduce(
+        (total, series) => total + (Number(series.data?.[index]) || 0),
+        0
+      );
+
+    return {
+      hour: parseInt(hour, 10),
+      plays: sumSeries(playsChart),
+      hours: toHours(sumSeries(durationChart)),
+    };
+  });
+
+// Pick one stat block out of get_home_stats
+const getHomeStatRows = (homeStats, statId) =>
+  (homeStats || []).find((stat) => stat.stat_id === statId)?.rows || [];
+
+app.get("/api/stats", async (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+  const groupBy = req.query.groupBy || "day";
+  const { user } = req.query;
+  const forceRefresh = req.query.refresh === "true";
+
+  if (!STATS_GROUPINGS.includes(groupBy)) {
+    return res.status(400).json({
+      error: "Invalid groupBy",
+      message: `groupBy must be one of: ${STATS_GROUPINGS.join(", ")}`,
+    });
+  }
+
+  if (!isTautulliConfigured()) {
+    return res.status(503).json({
+      error: "Tautulli is not configured",
+    });
+  }
+
+  const cacheKey = `stats:${days}:${groupBy}:${user || "all"}`;
+  if (!forceRefresh) {
+    const cached = statsCache.get(cacheKey);
+    if (cached) return res.json(cached);
+  }
+
+  try {
+    const rangeParams = { time_range: days, ...(user && { user_id: user }) };
+
+    const [
+      playsByDate,
+      durationByDate,
+      playsByHour,
+      durationByHour,
+      homeStats,
+    ] = await Promise.all([
+      callTautulli("get_plays_by_date", { ...rangeParams, y_axis: "plays" }),
+      callTautulli("get_plays_by_date", { ...rangeParams, y_axis: "duration" }),
+      callTautulli("get_plays_by_hourofday", {
+        ...rangeParams,
+        y_axis: "plays",
+      }),
+      callTautulli("get_plays_by_hourofday", {
+        ...rangeParams,
+        y_axis: "duration",
+      }),
+      callTautulli("get_home_stats", {
+        ...rangeParams,
+        stats_type: "plays",
+        stats_count: 10,
+      }),
+    ]);
+
+    const timeline = buildTimeline(playsByDate, durationByDate, groupBy);
+
+    // Movies, shows and artists ranked together by plays
+    const topTitles = [
+      ["top_movies", "movie"],
+      ["top_tv", "show"],
+      ["top_music", "artist"],
+    ]
+      .flatMap(([statId, mediaType]) =>
+        getHomeStatRows(homeStats, statId).map((row) => ({
+          title: row.grandparent_title || row.title,
+          mediaType,
+          ratingKey: row.grandparent_rating_key || row.rating_key,
+          thumb: row.grandparent_thumb || row.thumb || null,
+          plays: row.total_plays || 0,
+          hours: toHours(row.total_duration),
+        }))
+      )
+      .sort((a, b) => b.plays - a.plays)
+      .slice(0, 10);
+
+    const stats = {
+      success: true,
+      days,
+      groupBy,
+      user: user || null,
+      summary: {
+        plays: timeline.reduce((total, entry) => total + entry.plays.total, 0),
+        hours:
+          Math.round(
+            timeline.reduce(
+              (total, entry) => total + (entry.hours.total || 0),
+              0
+            ) * 10
+          ) / 10,
+      },
+      timeline,
+      hourOfDay: buildHourOfDay(playsByHour, durationByHour),
+      topUsers: getHomeStatRows(homeStats, "top_users").map((row) => ({
+        userId: row.user_id,
+        name: row.friendly_name || row.user,
+        thumb: row.user_thumb || null,
+        plays: row.total_plays || 0,
+        hours: toHours(row.total_duration),
+      })),
+      topTitles,
+      topLibraries: getHomeStatRows(homeStats, "top_libraries").map((row) => ({
+        sectionId: row.section_id,
+        name: row.section_name,
+        plays: row.total_plays || 0,
+        hours: toHours(row.total_duration),
+      })),
+      platforms: getHomeStatRows(homeStats, "top_platforms").map((row) => ({
+        name: row.platform_name || row.platform,
+        plays: row.total_plays || 0,
+        hours: toHours(row.total_duration),
+      })),
+      // Tautulli has no per-player stats, so these come from stored history
+      players: getPlayBreakdown("player", {
+        since: Math.floor(Date.now() / 1000) - days * 24 * 60 * 60,
+        userId: user,
+      })
+        .slice(0, 10)
+        .map(({ name, plays, duration }) => ({
+          name,
+          plays,
+          hours: toHours(duration),
+        })),
+      generatedAt: new Date().toISOString(),
+    };
+
+    statsCache.set(cacheKey, stats);
+    res.json(stats);
+  } catch (error) {
+    logError("Error building statistics:", error);
+    res.status(502).json({
+      error: "Failed to fetch statistics",
+      message: error.message,
+    });
+  }
+});
+
+// ======================================================================
+// Notifications
+// ======================================================================
+
+// Recently added items per section are fetched once per check and shared
+// between rules watching the same section
+const fetchRecentlyAddedItems = (sectionId, requests) => {
+  const key = sectionId || "all";
+  if (!requests.has(key)) {
+    requests.set(
+      key,
+      callTautulli("get_recently_added", {
+        count: 25,
+        ...(sectionId && sectionId !== "all" ? { section_id: sectionId } : {}),
+      }).then((data) => data?.recently_added || [])
+    );
+  }
+  return requests.get(key);
+};
+
+registerRuleType("recently_added", {
+  label: "New item added",
+  description: "A movie, episode or track was added to a library",
+  defaultTitle: "New in {library_name}",
+  defaultTemplate: "{full_title} ({year})",
+  variables: [
+    "title",
+    "full_title",
+    "grandparent_title",
+    "parent_media_index",
+    "media_index",
+    "year",
+    "media_type",
+    "library_name",
+    "added_at",
+  ],
+  check: async (rules, state) => {
+    if (!isTautulliConfigured()) return [];
+
+    const requests = new Map();
+    const events = [];
+
+    for (const rule of rules) {
+      const items = await fetchRecentlyAddedItems(
+        rule.conditions?.sectionId,
+        requests
+      );
+      const newest = Math.max(0, ...items.map((item) => Number(item.added_at)));
+      const baseline = state.get(rule.id);
+
+      // The first check only records where we are, so enabling a rule
+      // doesn't announce the whole recently added list
+      if (baseline) {
+        items
+          .filter((item) => Number(item.added_at) > baseline.lastAddedAt)
+          .reverse()
+          .forEach((item) =>
+            events.push({
+              rule,
+              data: {
+                ...item,
+                mediaType: item.media_type,
+                full_title: item.full_title || item.title,
+              },
+            })
+          );
+      }
+
+      state.set(rule.id, {
+        lastAddedAt: Math.max(newest, baseline?.lastAddedAt || 0),
+      });
+    }
+
+    return events;
+  },
+});
+
+// Shared by the session rules: fire once per new session matching the rule
+const checkSessionRules = (matches) => async (rules, state) => {
+  if (!isTautulliConfigured()) return [];
+
+  const activity = await callTautulli("get_activity", {}, { timeout: 10000 });
+  const sessions = (activity?.sessions || []).map((session) =>
+    toStreamData(session, { city: "", region: "", country: "" })
+  );
+  const events = [];
+
+  rules.forEach((rule) => {
+    const matching = sessions.filter((session) =>
+      matches(session, rule.conditions || {})
+    );
+    const baseline = state.get(rule.id);
+
+    if (baseline) {
+      matching
+        .filter((session) => !baseline.sessions.includes(session.session_key))
+        .forEach((session) => events.push({ rule, data: session }));
+    }
+
+    state.set(rule.id, {
+      sessions: matching.map((session) => session.session_key),
+    });
+  });
+
+  return events;
+};
+
+const STREAM_VARIABLES = [
+  "friendly_name",
+  "full_title",
+  "player",
+  "platform",
+  "product",
+  "ip_address",
+  "location",
+  "transcode_decision",
+  "video_resolution",
+  "stream_video_resolution",
+  "formatted_bandwidth",
+];
+
+// Rules may hold the user id as a number or a string, Tautulli sends either
+const matchesRuleUser = (session, userId) =>
+  userId === undefined ||
+  userId === null ||
+  userId === "" ||
+  String(session.user_id) === String(userId).trim();
+
+registerRuleType("stream_started", {
+  label: "Stream started",
+  description: "A user starts playing something",
+  defaultTitle: "{friendly_name} started streaming",
+  defaultTemplate: "{full_title} on {player} ({transcode_decision})",
+  variables: STREAM_VARIABLES,
+  check: checkSessionRules((session, { userId }) =>
+    matchesRuleUser(session, userId)
+  ),
+});
+
+registerRuleType("transcode", {
+  label: "Transcode started",
+  description: "A stream starts transcoding, optionally only from a resolution",
+  defaultTitle: "{friendly_name} is transcoding",
+  defaultTemplate:
+    "{full_title}: {video_resolution} → {stream_video_resolution} on {player}",
+  variables: STREAM_VARIABLES,
+  check: checkSessionRules(
+    (session, { resolution, userId }) =>
+      session.transcode_decision === "transcode" &&
+      (!resolution ||
+        resolution === "any" ||
+        session.video_resolution.toLowerCase() === resolution.toLowerCase()) &&
+      matchesRuleUser(session, userId)
+  ),
+});
+
+// Check whether Plex or Tautulli answers right now
+const checkServiceReachable = async (service) => {
+  const config = getConfig();
+
+  if (service === "plex") {
+    if (!config.plexUrl || !config.plexToken) return null;
+    await axios.get(`${config.plexUrl}/identity`, {
+      headers: { "X-Plex-Token": config.plexToken },
+      timeout: 5000,
+    });
+  } else {
+    if (!isTautulliConfigured()) return null;
+    await callTautulli("status", {}, { timeout: 5000, retries: 0 });
+  }
+  return true;
+};
+
+registerRuleType("server_offline", {
+  label: "Server offline",
+  description: "Plex or Tautulli stops responding (and optionally recovers)",
+  defaultTitle: "{service} is {status}",
+  defaultTemplate: "{service} is {status}. {error}",
+  variables: ["service", "status", "error"],
+  check: async (rules, state) => {
+    const results = new Map();
+    const events = [];
+
+    for (const rule of rules) {
+      const service = rule.conditions?.service === "plex" ? "plex" : "tautulli";
+
+      if (!results.has(service)) {
+        results.set(
+          service,
+          await checkServiceReachable(service).then(
+            (online) => ({ online }),
+            (error) => ({ online: false, error: error.message })
+          )
+        );
+      }
+
+      const { online, error } = results.get(service);
+      if (online === null) continue; // Not configured
+
+      const baseline = state.get(rule.id);
+      const changed = baseline && baseline.online !== online;
+
+      if (changed && (!online || rule.conditions?.notifyRecovery)) {
+        events.push({
+          rule,
+          data: {
+            service: service === "plex" ? "Plex" : "Tautulli",
+            status: online ? "back online" : "offline",
+            error: error || "",
+          },
+        });
+      }
+
+      state.set(rule.id, { online });
+    }
+
+    return events;
+  },
+});
+
+// Reject rule input with an unknown type or targets, or without a target
+const validateRuleInput = (input, existing = null) => {
+  const type = input.type ?? existing?.type;
+  if (!isValidRuleType(type)) {
+    return `Unknown rule type: ${type}`;
+  }
+
+  if (input.targetIds !== undefined) {
+    if (!Array.isArray(input.targetIds)) {
+      return "targetIds must be an array";
+    }
+
+    const knownTargets = listTargets().map((target) => target.id);
+    const unknown = input.targetIds.filter((id) => !knownTargets.includes(id));
+    if (unknown.length > 0) {
+      return `Unknown target(s): ${unknown.join(", ")}`;
+    }
+  }
+
+  // A rule left without targets by a deleted target can still be disabled
+  const targetIds = input.targetIds ?? existing?.targetIds ?? [];
+  const enabled = (input.enabled ?? existing?.enabled) !== false;
+  if (targetIds.length === 0 && enabled) {
+    return "At least one notification target is required";
+  }
+
+  if (input.profileId && !findProfile(input.profileId)) {
+    return `Unknown server profile: ${input.profileId}`;
+  }
+
+  return null;
+};
+
+// Targets, rules and the available rule types
+app.get("/api/notifications", (req, res) => {
+  res.json({
+    success: true,
+    targets: listTargets(),
+    rules: listRules(),
+    ruleTypes: getRuleTypes(),
+    targetTypes: TARGET_TYPES,
+    status: getNotifierStatus(),
+  });
+});
+
+app.post("/api/notifications/targets", (req, res) => {
+  const validationError = validateTarget(req.body || {});
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  try {
+    res.json({ success: true, target: createTarget(req.body) });
+  } catch (error) {
+    logError("Error creating notification target:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create notification target",
+      message: error.message,
+    });
+  }
+});
+
+app.put("/api/notifications/targets/:id", (req, res) => {
+  const existing = getTarget(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: "Target not found" });
+  }
+
+  const validationError = validateTarget(req.body || {}, existing);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  try {
+    res.json({
+      success: true,
+      target: updateTarget(req.params.id, req.body),
+    });
+  } catch (error) {
+    logError("Error updating notification target:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update notification target",
+      message: error.message,
+    });
+  }
+});
+
+app.delete("/api/notifications/targets/:id", (req, res) => {
+  if (!deleteTarget(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Target not found" });
+  }
+  res.json({ success: true });
+});
+
+// Send a test message to a single target
+app.post("/api/notifications/targets/:id/test", async (req, res) => {
+  try {
+    const result = await sendTestNotification(req.params.id);
+    if (!result) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Target not found" });
+    }
+
+    res.json({ success: result.status === "delivered", ...result });
+  } catch (error) {
+    logError("Error sending test notification:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send test notification",
+      message: error.message,
+    });
+  }
+});
+
+app.post("/api/notifications/rules", (req, res) => {
+  const validationError = validateRuleInput(req.body || {});
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  res.json({ success: true, rule: createRule(req.body) });
+});
 
-      // Apply history results to users
-      historyPromises.forEach((item, i) => {
-        const { index, userId } = item;
-        const result = historyResults[i];
-
-        if (result.status === "fulfilled" && result.value) {
-          const historyItem = result.value;
-          const cacheKey = `user_history:${userId}`;
-
-          // Get the media duration from the history item
-          const mediaDuration = historyItem.media_duration || 0;
-
-          // Prepare the cache object
-          const cacheObj = {
-            media_type: historyItem.media_type
-              ? historyItem.media_type.charAt(0).toUpperCase() +
-                historyItem.media_type.slice(1)
-              : "",
-            title: historyItem.title || "",
-            original_title: historyItem.original_title || "",
-            year: historyItem.year || "",
-            full_title: historyItem.full_title || "",
-            parent_title: historyItem.parent_title || "",
-            grandparent_title: historyItem.grandparent_title || "",
-            media_index: historyItem.media_index
-              ? String(historyItem.media_index).padStart(2, "0")
-              : "",
-            parent_media_index: historyItem.parent_media_index
-              ? String(historyItem.parent_media_index).padStart(2, "0")
-              : "",
-            last_played_modified: formatShowTitle(historyItem),
-            media_duration: mediaDuration, // Store actual media duration
-            timestamp: Date.now(),
-          };
+app.put("/api/notifications/rules/:id", (req, res) => {
+  const existing = getRule(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ success: false, error: "Rule not found" });
+  }
 
-          // Update user data with history and media duration
-          processedUsers[index].media_type = cacheObj.media_type;
-          processedUsers[index].title = cacheObj.title;
-          processedUsers[index].original_title = cacheObj.original_title;
-          processedUsers[index].year = cacheObj.year;
-          processedUsers[index].full_title = cacheObj.full_title;
-          processedUsers[index].parent_title = cacheObj.parent_title;
-          processedUsers[index].grandparent_title = cacheObj.grandparent_title;
-          processedUsers[index].media_index = cacheObj.media_index;
-          processedUsers[index].parent_media_index =
-            cacheObj.parent_media_index;
-          processedUsers[index].last_played_modified =
-            cacheObj.last_played_modified;
-          processedUsers[index].duration = mediaDuration; // Use actual media duration
-          processedUsers[index].formatted_duration =
-            formatDuration(mediaDuration); // Format it
-
-          // Store in cache
-          historyCache.set(cacheKey, cacheObj);
+  const validationError = validateRuleInput(req.body || {}, existing);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
 
-          logDebug(
-            `[${requestId}] Updated and cached history for user ${processedUsers[index].friendly_name}: ${processedUsers[index].media_type} - ${processedUsers[index].title} - Duration: ${processedUsers[index].formatted_duration}`
-          );
-        } else {
-          // If history fetch failed, set a default formatted duration
-          processedUsers[index].formatted_duration = "Unknown";
+  res.json({ success: true, rule: updateRule(req.params.id, req.body) });
+});
 
-          // Log the error
-          logWarn(
-            `[${requestId}] Failed to fetch history for user ${
-              processedUsers[index].friendly_name
-            }: ${
-              result.status === "rejected" ? result.reason : "No history found"
-            }`
-          );
-        }
-      });
-    }
+app.delete("/api/notifications/rules/:id", (req, res) => {
+  if (!deleteRule(req.params.id)) {
+    return res.status(404).json({ success: false, error: "Rule not found" });
+  }
+  res.json({ success: true });
+});
 
-    // Final formatting of any users that might not have a formatted_duration yet
-    processedUsers.forEach((user, i) => {
-      if (!user.formatted_duration && user.duration) {
-        processedUsers[i].formatted_duration = formatDuration(user.duration);
-      } else if (!user.formatted_duration) {
-        processedUsers[i].formatted_duration = "0m";
-      }
-    });
+// Recent deliveries, newest first
+app.get("/api/notifications/log", (req, res) => {
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+  res.json({ success: true, log: getDeliveryLog(limit) });
+});
 
-    const formattedUsers = processedUsers.map((userData) => {
-      const rawData = userData.raw_data || userData;
+app.delete("/api/notifications/log", (req, res) => {
+  clearDeliveryLog();
+  res.json({ success: true });
+});
 
-      // Determine media type for format matching
-      const mediaTypeMap = {
-        movie: "movie",
-        episode: "episode",
-      };
-      const mediaType = (rawData.media_type || "").toLowerCase();
-      const mappedMediaType = mediaTypeMap[mediaType] || mediaType;
+// Evaluate all rules now instead of waiting for the schedule
+app.post("/api/notifications/check", async (req, res) => {
+  try {
+    const summary = await runNotificationChecks();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    logError("Error running notification checks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to run notification checks",
+      message: error.message,
+    });
+  }
+});
 
-      // Filter formats based on media type
-      const applicableFormats = userFormats.filter(
-        (format) =>
-          !format.mediaType || // No media type specified (applies to all)
-          format.mediaType === mappedMediaType
-      );
+startNotifications({ render: renderTemplate });
 
-      // Apply each applicable format
-      const formattedOutput = {};
-      applicableFormats.forEach((format) => {
-        try {
-          const result = processTemplate(format.template, userData);
-          formattedOutput[format.name] = result;
-        } catch (err) {
-          logError(
-            `[${requestId}] Error applying format to user ${rawData.friendly_name}:`,
-            err
-          );
-          formattedOutput[format.name] = "";
-        }
-      });
+// ==============================================================
+// Cache control
+// ==============================================================
 
-      // Remove internal tracking properties
-      const { _index, _cached, ...cleanData } = rawData;
+// Caches that can be inspected, by name
+const INSPECTABLE_CACHES = {
+  history: historyCache,
+  media: mediaCache,
+  metadata: metadataCache,
+};
 
-      return {
-        ...formattedOutput,
-        raw_data: cleanData,
-      };
+// Entries of the current server profile's caches whose keys start with
+// ?prefix=, optionally of one ?cache= only. Values are left out unless
+// ?values=true since media lists can be large.
+app.get("/api/cache/entries", (req, res) => {
+  const { cache: cacheName, prefix = "", values } = req.query;
+  if (cacheName && !INSPECTABLE_CACHES[cacheName]) {
+    return res.status(400).json({
+      error: "Invalid cache type",
+      message: `Cache type must be one of: ${Object.keys(
+        INSPECTABLE_CACHES
+      ).join(", ")}`,
     });
+  }
 
-    // STEP 9: Send response
-    logInfo(
-      `[${requestId}] Sending response with ${formattedUsers.length} users`
+  const { page, error } = parsePagination(req.query);
+  if (error) return rejectPagination(res, error);
+
+  try {
+    const now = Date.now();
+    const caches = Object.entries(INSPECTABLE_CACHES).filter(
+      ([name]) => !cacheName || name === cacheName
     );
+    const entries = caches
+      .flatMap(([name, cache]) =>
+        cache.entries(String(prefix)).map((entry) => ({
+          cache: name,
+          key: entry.key,
+          expires: new Date(entry.expires).toISOString(),
+          expiresIn: Math.round((entry.expires - now) / 1000),
+          size: Buffer.byteLength(JSON.stringify(entry.value)),
+          ...(values === "true" && { value: entry.value }),
+        }))
+      )
+      .sort(
+        (a, b) => a.cache.localeCompare(b.cache) || a.key.localeCompare(b.key)
+      );
+    const pageEntries = paginate(entries, page);
 
     res.json({
       success: true,
-      total: filteredUsers.length,
-      requestedCount: requestedCount,
-      users: formattedUsers,
-      cache: {
-        hits: processedUsers.filter((u) => u._cached).length,
-        misses: historyPromises.length,
-        total: historyCache.stats().size,
-      },
+      backend: getCacheBackend(),
+      caches: Object.fromEntries(
+        caches.map(([name, cache]) => [
+          name,
+          { size: cache.entries().length, ttl: cache.ttl / 1000 },
+        ])
+      ),
+      ...getPageResponse(req, res, page, {
+        total: entries.length,
+        count: pageEntries.length,
+      }),
+      entries: pageEntries,
     });
-
-    logInfo(`[${requestId}] Request completed successfully`);
   } catch (error) {
-    logError("Error processing users:", error);
+    logError("Failed to inspect cache", error);
     res.status(500).json({
-      error: "Failed to process users",
+      error: "Failed to inspect cache",
       message: error.message,
     });
   }
 });
 
-// ==============================================================
-// Cache control
-// ==============================================================
-
 // Add a route to clear all caches
 app.post("/api/clear-cache", (req, res) => {
   try {
@@ -2155,6 +4456,140 @@ app.get("/api/clear-image-cache", (req, res) => {
   }
 });
 
+// ======================================================================
+// Metadata & Image Proxy Routes
+// ======================================================================
+
+// Full Tautulli metadata for a single item, without exposing the API key
+app.get("/api/metadata/:ratingKey", async (req, res) => {
+  const { ratingKey } = req.params;
+  const includeChildren = req.query.children === "true";
+  const forceRefresh = req.query.refresh === "true";
+
+  if (!isTautulliConfigured()) {
+    return res.status(503).json({
+      success: false,
+      error: "Tautulli is not configured",
+    });
+  }
+
+  // Reuse metadata fetched while building recently added lists
+  const cacheKey = `metadata:${ratingKey}`;
+  const cached = metadataCache.get(cacheKey);
+  if (!includeChildren && !forceRefresh && cached?.complete_metadata) {
+    return res.json({ success: true, metadata: cached.complete_metadata });
+  }
+
+  try {
+    const metadata = await callTautulli(
+      "get_metadata",
+      {
+        rating_key: ratingKey,
+        ...(includeChildren && { include_children: 1 }),
+      },
+      { timeout: 20000 }
+    );
+
+    if (!metadata || Object.keys(metadata).length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Metadata not found",
+        ratingKey,
+      });
+    }
+
+    if (!includeChildren) {
+      const mediaInfo = metadata.media_info?.[0] || {};
+      metadataCache.set(cacheKey, {
+        video_full_resolution: mediaInfo.video_full_resolution || "Unknown",
+        content_rating: metadata.content_rating || null,
+        rating: metadata.rating || null,
+        summary: metadata.summary || null,
+        duration: metadata.duration || null,
+        complete_metadata: metadata,
+        media_info: mediaInfo,
+        timestamp: Date.now(),
+      });
+    }
+
+    res.json({ success: true, metadata });
+  } catch (error) {
+    logError(`Error fetching metadata for ${ratingKey}:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch metadata",
+      message: error.message,
+    });
+  }
+});
+
+// Only Plex library artwork may go through the image proxy; anything with a
+// scheme or host would let callers fetch arbitrary URLs through Tautulli
+const IMAGE_PROXY_PATH = /^\/library\/[\w\-./]+$/;
+const IMAGE_PROXY_MAX_SIZE = 4000;
+const IMAGE_PROXY_FALLBACKS = [
+  "poster",
+  "cover",
+  "art",
+  "poster-live",
+  "art-live",
+  "art-live-full",
+  "user",
+];
+
+// Parse an optional width/height; undefined when absent, null when invalid
+const parseImageSize = (value) => {
+  if (value === undefined || value === "") return undefined;
+  if (typeof value !== "string" || !/^\d+$/.test(value)) return null;
+
+  const size = parseInt(value, 10);
+  return size >= 1 && size <= IMAGE_PROXY_MAX_SIZE ? size : null;
+};
+
+// Proxy Plex artwork through Tautulli's pms_image_proxy
+app.get("/api/image-proxy", (req, res) => {
+  const { img, fallback } = req.query;
+
+  if (!img) {
+    return res.status(400).json({ error: "Missing img parameter" });
+  }
+
+  if (
+    typeof img !== "string" ||
+    !IMAGE_PROXY_PATH.test(img) ||
+    img.includes("..")
+  ) {
+    return res.status(400).json({
+      error: "Invalid img parameter",
+      message:
+        "img must be a Plex library path such as /library/metadata/1/thumb",
+    });
+  }
+
+  const width = parseImageSize(req.query.width);
+  const height = parseImageSize(req.query.height);
+  if (width === null || height === null) {
+    return res.status(400).json({
+      error: "Invalid image size",
+      message: `width and height must be whole numbers from 1 to ${IMAGE_PROXY_MAX_SIZE}`,
+    });
+  }
+
+  if (fallback !== undefined && !IMAGE_PROXY_FALLBACKS.includes(fallback)) {
+    return res.status(400).json({
+      error: "Invalid fallback parameter",
+      message: `fallback must be one of: ${IMAGE_PROXY_FALLBACKS.join(", ")}`,
+    });
+  }
+
+  streamTautulliImage(res, {
+    img,
+    ...(width && { width }),
+    ...(height && { height }),
+    ...(fallback && { fallback }),
+  });
+});
+
 // =======================================================
 // POster Cache Api Routes
 // =======================================================
@@ -2163,8 +4598,6 @@ app.get("/api/clear-image-cache", (req, res) => {
 app.post("/api/refresh-posters", async (req, res) => {
   try {
     const { sectionId, mediaId } = req.body;
-    // Default count for cache keys
-    const defaultCount = 50;
 
     // Generate a unique timestamp for cache busting
     const timestamp = Date.now();
@@ -2201,23 +4634,17 @@ app.post("/api/refresh-posters", async (req, res) => {
       // Also try to clear any section cache that might contain this media
       // This is more aggressive but ensures the changes get picked up
       try {
-        const config = getConfig();
-
         // Get the full metadata to find the section ID
-        const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-          params: {
-            apikey: config.tautulliApiKey,
-            cmd: "get_metadata",
-            rating_key: mediaId,
-          },
-          timeout: 5000,
-        });
+        const metadata = await callTautulli(
+          "get_metadata",
+          { rating_key: mediaId },
+          { timeout: 5000 }
+        );
 
         // If we got a section ID, clear that section's cache
-        const sectionId = response.data?.response?.data?.section_id;
+        const sectionId = metadata?.section_id;
         if (sectionId) {
-          const sectionCacheKey = `section:${sectionId}:media`;
-          mediaCache.delete(sectionCacheKey);
+          mediaCache.deletePrefix(`section:${sectionId}:media:`);
           logInfo(
             `[${requestId}] Cleared section cache for section ID ${sectionId} containing media ID ${mediaId}`
           );
@@ -2231,11 +4658,10 @@ app.post("/api/refresh-posters", async (req, res) => {
       }
     } else if (sectionId) {
       // Invalidate all media in a section
-      const sectionCacheKey = `section:${sectionId}:media`;
-      const hadCachedData = mediaCache.get(sectionCacheKey) !== null;
+      const hadCachedData =
+        mediaCache.deletePrefix(`section:${sectionId}:media:`) > 0;
 
       if (hadCachedData) {
-        mediaCache.delete(sectionCacheKey);
         logInfo(`[${requestId}] Cleared cache for section ID ${sectionId}`);
       } else {
         logInfo(
@@ -2246,12 +4672,9 @@ app.post("/api/refresh-posters", async (req, res) => {
       // Also look for any type-specific cache keys
       const typeKeys = ["movies", "shows", "music"];
       typeKeys.forEach((type) => {
-        // Fixed: Use defaultCount instead of undefined requestedCount
-        const typeCacheKey = `media:${type}:${sectionId}:${defaultCount}`;
-
         try {
-          if (mediaCache.get(typeCacheKey)) {
-            mediaCache.delete(typeCacheKey);
+          // Every cached page of the section
+          if (mediaCache.deletePrefix(`media:${type}:${sectionId}:`) > 0) {
             logInfo(
               `[${requestId}] Cleared type cache for ${type} section ${sectionId}`
             );
@@ -2322,49 +4745,42 @@ app.post("/api/refresh-posters", async (req, res) => {
   }
 });
 
-// Route to serve cached posters
-app.get("/api/posters/:ratingKey", (req, res) => {
+// Route to serve cached posters. ?size=thumb|card|modal or ?width= and
+// ?quality= serve a resized copy in the best format the browser accepts.
+app.get("/api/posters/:ratingKey", async (req, res) => {
   const { ratingKey } = req.params;
 
-  // Ensure directory exists
-  if (!fs.existsSync(POSTER_CACHE_DIR)) {
-    try {
-      fs.mkdirSync(POSTER_CACHE_DIR, { recursive: true });
-      logInfo(`Created missing poster cache directory: ${POSTER_CACHE_DIR}`);
-    } catch (dirError) {
-      logError("Failed to create poster cache directory:", dirError);
-      // Continue as we'll fall back to Tautulli proxy
-    }
+  const options = parsePosterOptions(req.query);
+  if (options?.error) {
+    return res.status(400).json({
+      error: "Invalid poster options",
+      message: options.error,
+    });
   }
 
-  // Look for the poster in the cache
+  // Look for the poster in the cache index, downloading it on a miss so even
+  // the first response can be revalidated
   try {
-    const files = fs.readdirSync(POSTER_CACHE_DIR);
-    const posterFile = files.find((file) => file.startsWith(`${ratingKey}.`));
-
-    if (posterFile) {
-      const posterPath = path.join(POSTER_CACHE_DIR, posterFile);
-      const contentType = posterFile.endsWith(".png")
-        ? "image/png"
-        : posterFile.endsWith(".gif")
-        ? "image/gif"
-        : "image/jpeg";
-
-      // Set cache headers for browser caching
-      res.setHeader("Cache-Control", "public, max-age=31536000"); // 1 year
-      res.setHeader("Content-Type", contentType);
-
-      // Stream the file
-      const stream = fs.createReadStream(posterPath);
-      stream.on("error", (streamError) => {
-        logError(`Error streaming poster file ${posterPath}:`, streamError);
-        // If streaming fails, fall back to proxy
-        fallbackToTautulliProxy();
+    let poster = findPoster(ratingKey);
+
+    if (!poster && isTautulliConfigured()) {
+      poster = await cacheImage(ratingKey, "poster").catch((cacheError) => {
+        logWarn(
+          `Could not cache poster for ${ratingKey}: ${cacheError.message}`
+        );
+        return null;
       });
+    }
 
-      stream.pipe(res);
+    if (poster) {
+      // If sending fails, fall back to proxy
+      await sendCachedImage(req, res, poster, {
+        ratingKey,
+        options,
+        onError: fallbackToTautulliProxy,
+      });
     } else {
-      // If not found in cache, fall back to Tautulli proxy
+      // If it can't be cached, fall back to Tautulli proxy
       fallbackToTautulliProxy();
     }
   } catch (error) {
@@ -2380,37 +4796,14 @@ app.get("/api/posters/:ratingKey", (req, res) => {
       logDebug(`Poster not cached for ${ratingKey}, proxying from Tautulli`);
 
       // Get metadata to find thumb path
-      axios
-        .get(`${config.tautulliUrl}/api/v2`, {
-          params: {
-            apikey: config.tautulliApiKey,
-            cmd: "get_metadata",
-            rating_key: ratingKey,
-          },
-          timeout: 5000,
-        })
-        .then((response) => {
-          if (response.data?.response?.result === "success") {
-            const metadata = response.data.response.data;
-
-            // Get appropriate thumb path
-            let thumbPath = metadata.thumb;
-
-            // For episodes, use grandparent_thumb or parent_thumb
-            if (metadata.media_type?.toLowerCase() === "episode") {
-              thumbPath =
-                metadata.grandparent_thumb ||
-                metadata.parent_thumb ||
-                metadata.thumb;
-            }
+      callTautulli("get_metadata", { rating_key: ratingKey }, { timeout: 5000 })
+        .then((metadata) => {
+          if (metadata && Object.keys(metadata).length > 0) {
+            const thumbPath = getImagePath("poster", metadata);
 
             if (thumbPath) {
-              // Redirect to Tautulli image proxy
-              res.redirect(
-                `${config.tautulliUrl}/pms_image_proxy?img=${encodeURIComponent(
-                  thumbPath
-                )}&apikey=${config.tautulliApiKey}`
-              );
+              // Stream from Tautulli, a redirect would expose the API key
+              streamTautulliImage(res, { img: thumbPath });
 
               // Also cache this poster for next time
               downloadPosterFromTautulli(
@@ -2445,7 +4838,8 @@ app.get("/api/posters/:ratingKey", (req, res) => {
 
 // Route to download and cache posters
 app.post("/api/posters/cache", async (req, res) => {
-  const { ratingKey, thumbPath, apiKey, mediaType } = req.body;
+  const { ratingKey, thumbPath, mediaType } = req.body;
+  const apiKey = getConfig().tautulliApiKey;
 
   if (!ratingKey || !thumbPath || !apiKey) {
     return res.status(400).json({
@@ -2456,10 +4850,7 @@ app.post("/api/posters/cache", async (req, res) => {
 
   try {
     // Check if poster is already cached
-    const files = fs.readdirSync(POSTER_CACHE_DIR);
-    const posterFile = files.find((file) => file.startsWith(`${ratingKey}.`));
-
-    if (posterFile) {
+    if (findPoster(ratingKey)) {
       // Poster already cached
       return res.json({
         success: true,
@@ -2471,31 +4862,31 @@ app.post("/api/posters/cache", async (req, res) => {
     // For episodes, we need to handle differently
     let actualThumbPath = thumbPath;
 
-    // If it's an episode, try to get metadata to find the best thumb
-    if (mediaType.toLowerCase() === "episode") {
+    // Episodes and tracks take their parents' art, so look it up
+    const parentArtType = ["episode", "track"].includes(
+      String(mediaType || "").toLowerCase()
+    );
+    if (parentArtType) {
       try {
-        const config = getConfig();
-        const metadataResponse = await axios.get(
-          `${config.tautulliUrl}/api/v2`,
-          {
-            params: {
-              apikey: apiKey,
-              cmd: "get_metadata",
-              rating_key: ratingKey,
-            },
-            timeout: 10000,
-          }
+        const metadata = await callTautulli(
+          "get_metadata",
+          { rating_key: ratingKey },
+          { timeout: 10000 }
         );
 
-        const metadata = metadataResponse.data?.response?.data;
-
         if (metadata) {
-          // Prefer grandparent_thumb or parent_thumb for episodes
+          // Album art for tracks, the show poster for episodes
           actualThumbPath =
-            metadata.grandparent_thumb || metadata.parent_thumb || thumbPath;
+            getMusicThumb(metadata) ||
+            metadata.grandparent_thumb ||
+            metadata.parent_thumb ||
+            thumbPath;
         }
       } catch (error) {
-        logWarn(`Error fetching metadata for episode ${ratingKey}:`, error);
+        logWarn(
+          `Error fetching metadata for ${mediaType} ${ratingKey}:`,
+          error
+        );
         // Continue with the original thumb path
       }
     }
@@ -2530,32 +4921,7 @@ app.post("/api/posters/cache", async (req, res) => {
 // Route to clear the poster cache
 app.post("/api/posters/cache/clear", (req, res) => {
   try {
-    // Ensure directory exists
-    if (!fs.existsSync(POSTER_CACHE_DIR)) {
-      fs.mkdirSync(POSTER_CACHE_DIR, { recursive: true });
-      logInfo(`Created missing poster cache directory: ${POSTER_CACHE_DIR}`);
-
-      // If we just created the directory, it's empty so we're done
-      return res.json({
-        success: true,
-        message: `Poster cache directory created (was missing)`,
-        count: 0,
-      });
-    }
-
-    const files = fs.readdirSync(POSTER_CACHE_DIR);
-
-    let deletedCount = 0;
-    for (const file of files) {
-      try {
-        const filePath = path.join(POSTER_CACHE_DIR, file);
-        fs.unlinkSync(filePath);
-        deletedCount++;
-      } catch (fileError) {
-        logWarn(`Error deleting file ${file}:`, fileError);
-        // Continue with other files
-      }
-    }
+    const deletedCount = clearPosters();
 
     logInfo(`Cleared poster cache, deleted ${deletedCount} files`);
 
@@ -2576,14 +4942,11 @@ app.post("/api/posters/cache/clear", (req, res) => {
 // Route to clean up unused poster cache files
 app.post("/api/posters/cache/cleanup", async (req, res) => {
   try {
-    // Get all files in the poster cache directory
-    const files = fs.readdirSync(POSTER_CACHE_DIR);
-
     // Get a list of all section IDs from saved sections
     let savedSections = [];
     try {
       const sectionsResponse = await fs.promises.readFile(
-        SAVED_SECTIONS_PATH,
+        getSavedSectionsPath(),
         "utf8"
       );
       savedSections = JSON.parse(sectionsResponse);
@@ -2606,8 +4969,7 @@ app.post("/api/posters/cache/cleanup", async (req, res) => {
     }
 
     // Get all media items from all sections
-    const config = getConfig();
-    if (!config.tautulliApiKey || !config.tautulliUrl) {
+    if (!isTautulliConfigured()) {
       return res.status(400).json({
         success: false,
         error: "Tautulli not configured",
@@ -2619,27 +4981,21 @@ app.post("/api/posters/cache/cleanup", async (req, res) => {
 
     for (const sectionId of allSectionIds) {
       try {
-        const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-          params: {
-            apikey: config.tautulliApiKey,
-            cmd: "get_recently_added",
+        const recentlyAdded = await callTautulli(
+          "get_recently_added",
+          {
             section_id: sectionId,
             count: 100, // Get a large number to include most active content
           },
-          timeout: 10000,
-        });
-
-        if (response.data?.response?.result === "success") {
-          const recentItems =
-            response.data?.response?.data?.recently_added || [];
+          { timeout: 10000 }
+        );
 
-          // Add all rating keys to the active set
-          recentItems.forEach((item) => {
-            if (item.rating_key) {
-              activeRatingKeys.add(item.rating_key.toString());
-            }
-          });
-        }
+        // Add all rating keys to the active set
+        (recentlyAdded?.recently_added || []).forEach((item) => {
+          if (item.rating_key) {
+            activeRatingKeys.add(item.rating_key.toString());
+          }
+        });
       } catch (error) {
         logError(
           `Error fetching recently added for section ${sectionId}:`,
@@ -2649,23 +5005,12 @@ app.post("/api/posters/cache/cleanup", async (req, res) => {
       }
     }
 
-    // Now determine which posters are unused
-    let deletedCount = 0;
-
-    for (const file of files) {
-      // Parse the rating key from the filename (e.g., "12345.jpg" -> "12345")
-      const ratingKeyMatch = file.match(/^(\d+)\./);
-      if (ratingKeyMatch) {
-        const ratingKey = ratingKeyMatch[1];
-
-        // If this rating key is not in the active set, delete the file
-        if (!activeRatingKeys.has(ratingKey)) {
-          const filePath = path.join(POSTER_CACHE_DIR, file);
-          fs.unlinkSync(filePath);
-          deletedCount++;
-        }
-      }
-    }
+    // Now delete the posters and art that are unused; avatars belong to
+    // users, not media, so they stay
+    const deletedCount = removePostersExcept(
+      activeRatingKeys,
+      IMAGE_KINDS.filter((kind) => kind !== "avatar")
+    );
 
     logInfo(`Cleaned up ${deletedCount} unused poster cache files`);
 
@@ -2696,24 +5041,7 @@ app.post("/api/posters/cache/clear/:ratingKey", (req, res) => {
       });
     }
 
-    // Ensure directory exists
-    if (!fs.existsSync(POSTER_CACHE_DIR)) {
-      fs.mkdirSync(POSTER_CACHE_DIR, { recursive: true });
-      logInfo(`Created missing poster cache directory: ${POSTER_CACHE_DIR}`);
-    }
-
-    // Find the poster file for this rating key
-    const files = fs.readdirSync(POSTER_CACHE_DIR);
-    const posterFiles = files.filter((file) =>
-      file.startsWith(`${ratingKey}.`)
-    );
-
-    let deletedCount = 0;
-    for (const file of posterFiles) {
-      const filePath = path.join(POSTER_CACHE_DIR, file);
-      fs.unlinkSync(filePath);
-      deletedCount++;
-    }
+    const deletedCount = removePoster(ratingKey);
 
     logInfo(
       `Cleared poster cache for rating key ${ratingKey}, deleted ${deletedCount} files`
@@ -2739,136 +5067,205 @@ app.post("/api/posters/cache/clear/:ratingKey", (req, res) => {
 // Route to get poster cache stats
 app.get("/api/posters/cache/stats", (req, res) => {
   try {
-    // Check if the poster cache directory exists, create it if not
-    if (!fs.existsSync(POSTER_CACHE_DIR)) {
-      try {
-        fs.mkdirSync(POSTER_CACHE_DIR, { recursive: true });
-        logInfo(`Created missing poster cache directory: ${POSTER_CACHE_DIR}`);
-      } catch (dirError) {
-        // If we can't create the directory, return a more informative error
-        logError(
-          `Failed to create poster cache directory: ${POSTER_CACHE_DIR}`,
-          dirError
-        );
-        return res.status(500).json({
-          success: false,
-          error: "Could not create poster cache directory",
-          details: dirError.message,
-          directory: POSTER_CACHE_DIR,
-        });
+    const stats = getPosterCacheStats();
+
+    // Helper function to format file size
+    const formatFileSize = (bytes) => {
+      if (!bytes || bytes === 0) return "0 Bytes";
+      const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
+      const i = Math.floor(Math.log(bytes) / Math.log(1024));
+      return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+    };
+
+    res.json({
+      success: true,
+      ...stats,
+      sizeFormatted: formatFileSize(stats.size),
+      maxSizeFormatted: stats.maxSize ? formatFileSize(stats.maxSize) : null,
+    });
+  } catch (error) {
+    logError("Unexpected error getting poster cache stats:", error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ================================================
+// Image Cache API Routes
+// ================================================
+
+// Downloads in progress, so concurrent requests for an image share one
+const pendingImageDownloads = new Map();
+
+// Download an image kind of a rating key into the cache. Avatars are looked
+// up by user id. Returns null when the item has no image of that kind.
+const cacheImage = (ratingKey, kind) => {
+  const pendingKey = `${getCurrentProfileId()}:${ratingKey}:${kind}`;
+  if (pendingImageDownloads.has(pendingKey)) {
+    return pendingImageDownloads.get(pendingKey);
+  }
+
+  const download = (async () => {
+    let imagePath = null;
+    if (kind === "avatar") {
+      const user = await findTautulliUser(ratingKey);
+      imagePath = user?.user_thumb || null;
+    } else {
+      const metadata = await callTautulli(
+        "get_metadata",
+        { rating_key: ratingKey },
+        { timeout: 10000 }
+      );
+      if (metadata && Object.keys(metadata).length > 0) {
+        imagePath = getImagePath(kind, metadata);
       }
     }
+    if (!imagePath) return null;
 
-    // After ensuring directory exists, try to read its contents
-    try {
-      // Use readdirSync with error handling
-      const files = fs.readdirSync(POSTER_CACHE_DIR);
+    const result = await downloadPosterFromTautulli(
+      imagePath,
+      getConfig().tautulliApiKey,
+      ratingKey,
+      kind
+    );
+    if (!result.success) throw new Error(result.error);
+    return findPoster(ratingKey, kind);
+  })().finally(() => pendingImageDownloads.delete(pendingKey));
 
-      // Calculate total size with better error handling
-      let totalSize = 0;
-      if (files.length > 0) {
-        for (const file of files) {
-          try {
-            const filePath = path.join(POSTER_CACHE_DIR, file);
-            const stats = fs.statSync(filePath);
-            totalSize += stats.size;
-          } catch (fileStatError) {
-            // Skip this file if we can't get its stats
-            logWarn(`Could not get stats for file ${file}:`, fileStatError);
-          }
-        }
+  pendingImageDownloads.set(pendingKey, download);
+  return download;
+};
+
+// Route to serve a cached poster, art, season poster, episode still or user
+// avatar, downloading it on first use. Takes the same size, width and
+// quality parameters as /api/posters/:ratingKey.
+app.get("/api/images/:ratingKey/:kind", async (req, res) => {
+  const { ratingKey, kind } = req.params;
+
+  if (!IMAGE_KINDS.includes(kind)) {
+    return res.status(400).json({
+      error: "Invalid image kind",
+      message: `kind must be one of ${IMAGE_KINDS.join(", ")}`,
+    });
+  }
+
+  const options = parsePosterOptions(req.query);
+  if (options?.error) {
+    return res.status(400).json({
+      error: "Invalid poster options",
+      message: options.error,
+    });
+  }
+
+  try {
+    let image = findPoster(ratingKey, kind);
+
+    if (!image) {
+      if (!isTautulliConfigured()) {
+        return res.status(503).json({ error: "Tautulli is not configured" });
       }
 
-      // Helper function to format file size
-      const formatFileSize = (bytes) => {
-        if (!bytes || bytes === 0) return "0 Bytes";
-        const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
-      };
+      image = await cacheImage(ratingKey, kind);
+      if (!image) {
+        return res.status(404).json({
+          error: "Image not found",
+          message: `No ${kind} image for ${ratingKey}`,
+        });
+      }
+    }
 
-      res.json({
-        success: true,
-        count: files.length,
-        size: totalSize,
-        sizeFormatted: totalSize > 0 ? formatFileSize(totalSize) : "0 Bytes",
-        directory: POSTER_CACHE_DIR,
-      });
-    } catch (readError) {
-      // Handle read error
-      logError(
-        `Error reading poster cache directory: ${POSTER_CACHE_DIR}`,
-        readError
-      );
-      return res.status(500).json({
-        success: false,
-        error: "Failed to read poster cache directory",
-        details: readError.message,
-        directory: POSTER_CACHE_DIR,
+    await sendCachedImage(req, res, image, {
+      ratingKey,
+      kind,
+      options,
+      onError: () => res.status(500).json({ error: "Failed to send image" }),
+    });
+  } catch (error) {
+    logError(`Error serving ${kind} for ${ratingKey}:`, error);
+    if (!res.headersSent) {
+      res.status(502).json({
+        error: "Failed to load image",
+        message: error.message,
       });
     }
-  } catch (error) {
-    // Catch-all for any other errors
-    logError("Unexpected error getting poster cache stats:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      directory: POSTER_CACHE_DIR,
-    });
   }
 });
 
-// ================================================
-// Format Enpoints
-// ================================================
+// ================================================
+// Format Enpoints
+// ================================================
+
+// Fetch the raw activity list from Plex
+const fetchPlexActivities = async () => {
+  const config = getConfig();
+
+  const plexResponse = await axios.get(`${config.plexUrl}/activities`, {
+    headers: {
+      Accept: "application/json",
+      "X-Plex-Token": config.plexToken,
+    },
+    timeout: 10000,
+  });
+
+  return plexResponse.data?.MediaContainer?.Activity || [];
+};
+
+// Apply download formats to Plex activities
+const buildDownloadsResponse = (activities, output) => {
+  // Get stored formats
+  const { downloads: formats } = getFormats();
+
+  // Process the data with formats
+  return {
+    total: activities.length,
+    activities: activities.map((activity) => {
+      const baseData = {
+        uuid: activity.uuid,
+        title: activity.title,
+        subtitle: activity.subtitle,
+        progress: activity.progress,
+        type: activity.type,
+      };
+
+      // Create formatted data for this activity
+      const formattedData = {};
+      formats.forEach((format) => {
+        formattedData[format.name] = renderFormat(format, baseData, output);
+      });
+
+      // Return with formats at top level and raw data in raw_data object
+      return {
+        ...formattedData, // Put custom formats at top level
+        raw_data: baseData, // Put original data in raw_data
+      };
+    }),
+  };
+};
 
 // Downloads endpoint
 app.get("/api/downloads", async (req, res) => {
+  // Downloads are few, so without a limit they all fit on one page
+  const { page, error: pageError } = parsePagination(req.query, {
+    defaultLimit: 500,
+  });
+  if (pageError) return rejectPagination(res, pageError);
+
   try {
-    const config = getConfig();
+    const activities = await fetchPlexActivities();
+    const response = buildDownloadsResponse(
+      paginate(activities, page),
+      req.query.output
+    );
 
-    // Fetch activities from Plex
-    const plexResponse = await axios.get(`${config.plexUrl}/activities`, {
-      headers: {
-        Accept: "application/json",
-        "X-Plex-Token": config.plexToken,
-      },
+    res.json({
+      ...response,
+      ...getPageResponse(req, res, page, {
+        total: activities.length,
+        count: response.activities.length,
+      }),
     });
-
-    // Get stored formats
-    const { downloads: formats } = getFormats();
-
-    // Process the data with formats
-    const processedData = {
-      total: plexResponse.data?.MediaContainer?.Activity?.length || 0,
-      activities:
-        plexResponse.data?.MediaContainer?.Activity?.map((activity) => {
-          const baseData = {
-            uuid: activity.uuid,
-            title: activity.title,
-            subtitle: activity.subtitle,
-            progress: activity.progress,
-            type: activity.type,
-          };
-
-          // Create formatted data for this activity
-          const formattedData = {};
-          formats.forEach((format) => {
-            formattedData[format.name] = processTemplate(
-              format.template,
-              baseData
-            );
-          });
-
-          // Return with formats at top level and raw data in raw_data object
-          return {
-            ...formattedData, // Put custom formats at top level
-            raw_data: baseData, // Put original data in raw_data
-          };
-        }) || [],
-    };
-
-    res.json(processedData);
   } catch (error) {
     logError("Error processing downloads:", error);
     res.status(500).json({
@@ -2882,25 +5279,21 @@ app.get("/api/downloads", async (req, res) => {
 // Libraries endpoint
 app.get("/api/libraries", async (req, res) => {
   try {
-    const config = getConfig();
     const { mediaType } = req.query; // Allow filtering by media type
 
-    const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-      params: {
-        apikey: config.tautulliApiKey,
-        cmd: "get_libraries_table",
-      },
+    // Libraries are few, so without a limit they all fit on one page
+    const { page, error } = parsePagination(req.query, {
+      defaultLimit: 500,
     });
+    if (error) return rejectPagination(res, error);
 
-    if (response.data?.response?.result !== "success") {
-      throw new Error("Failed to fetch libraries data");
-    }
+    const librariesTable = await callTautulli("get_libraries_table");
 
     // Get formats
     const formats = getFormats().libraries || [];
 
     // Process libraries with formatting
-    const libraries = response.data.response.data.data.map((library) => {
+    const libraries = (librariesTable?.data || []).map((library) => {
       // Base data object for template processing
       const baseData = {
         section_id: library.section_id,
@@ -2938,7 +5331,11 @@ app.get("/api/libraries", async (req, res) => {
       // Apply each format to create formatted data
       const formattedData = {};
       applicableFormats.forEach((format) => {
-        formattedData[format.name] = processTemplate(format.template, baseData);
+        formattedData[format.name] = renderFormat(
+          format,
+          baseData,
+          req.query.output
+        );
       });
 
       // Return with formats at top level and raw data in raw_data object
@@ -2966,9 +5363,14 @@ app.get("/api/libraries", async (req, res) => {
         })
       : libraries;
 
+    const pageLibraries = paginate(filteredLibraries, page);
+
     res.json({
-      total: filteredLibraries.length,
-      libraries: filteredLibraries,
+      ...getPageResponse(req, res, page, {
+        total: filteredLibraries.length,
+        count: pageLibraries.length,
+      }),
+      libraries: pageLibraries,
     });
   } catch (error) {
     logError("Error fetching libraries:", error);
@@ -2980,22 +5382,167 @@ app.get("/api/libraries", async (req, res) => {
   }
 });
 
+// ======================================================================
+// Library Details
+// ======================================================================
+
+// Movies whose metadata is fetched for the duration and dynamic range
+// breakdown, newest first. Shows and artists have no useful totals there.
+const LIBRARY_METADATA_SAMPLE =
+  parseInt(process.env.LIBRARY_METADATA_SAMPLE) || 100;
+
+// A row of get_libraries_table by section id, or null
+const findLibrarySection = async (sectionId) => {
+  const librariesTable = await callTautulli("get_libraries_table");
+  return (
+    (librariesTable?.data || []).find(
+      (library) => String(library.section_id) === String(sectionId)
+    ) || null
+  );
+};
+
+const toLibraryInfo = (section) => ({
+  section_id: section.section_id,
+  section_name: section.section_name,
+  section_type: section.section_type,
+  count: section.count || 0,
+  parent_count: section.parent_count || 0,
+  child_count: section.child_count || 0,
+  last_accessed: section.last_accessed || null,
+  last_played: section.last_played || null,
+});
+
+const withPoster = (item) => ({
+  ...item,
+  poster: `/api/posters/${item.rating_key}`,
+});
+
+const rejectMissingLibrary = (res, sectionId) =>
+  res.status(404).json({
+    error: "Library not found",
+    message: `No library with section id ${sectionId}`,
+  });
+
+// Totals, media breakdown, most watched items and watch time of a library
+app.get("/api/libraries/:sectionId", async (req, res) => {
+  const { sectionId } = req.params;
+  const forceRefresh = req.query.refresh === "true";
+
+  const cacheKey = `library:${sectionId}:details`;
+  if (!forceRefresh) {
+    const cached = statsCache.get(cacheKey);
+    if (cached) return res.json(cached);
+  }
+
+  try {
+    const section = await findLibrarySection(sectionId);
+    if (!section) return rejectMissingLibrary(res, sectionId);
+
+    const [items, watchTimeStats] = await Promise.all([
+      getSectionItems(section),
+      callTautulli("get_library_watch_time_stats", {
+        section_id: section.section_id,
+      }),
+    ]);
+
+    const sample =
+      section.section_type === "movie"
+        ? await withItemMetadata(
+            sortMedia(items, { sort: "added", order: "desc" }).slice(
+              0,
+              LIBRARY_METADATA_SAMPLE
+            )
+          )
+        : [];
+
+    const details = {
+      success: true,
+      library: toLibraryInfo(section),
+      totals: getLibraryTotals(items, sample),
+      breakdown: getLibraryBreakdown(items, sample),
+      mostWatched: getMostWatched(items).map(withPoster),
+      watchTime: toWatchTimeStats(watchTimeStats),
+      // Duration and dynamic range only cover the sampled items
+      sampled: { items: sample.length, total: items.length },
+      timestamp: Date.now(),
+    };
+
+    statsCache.set(cacheKey, details);
+    res.json(details);
+  } catch (error) {
+    logError(`Error fetching library ${sectionId}:`, error);
+    res.status(500).json({
+      error: "Failed to fetch library",
+      message: error.message,
+    });
+  }
+});
+
+// Items of a library, filtered and sorted like /api/media/:type
+app.get("/api/libraries/:sectionId/items", async (req, res) => {
+  const { sectionId } = req.params;
+
+  const { query, error } = parseMediaQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error: "Invalid filter", message: error });
+  }
+
+  const { page: requestedPage, error: pageError } = parsePagination(req.query, {
+    defaultLimit: 50,
+    maxLimit: 200,
+  });
+  if (pageError) return rejectPagination(res, pageError);
+
+  try {
+    const section = await findLibrarySection(sectionId);
+    if (!section) return rejectMissingLibrary(res, sectionId);
+
+    const { matches, truncated } = await queryMediaItems(
+      await getSectionItems(section),
+      query
+    );
+    const page = paginate(matches, requestedPage);
+
+    res.json({
+      ...getPageResponse(req, res, requestedPage, {
+        total: matches.length,
+        count: page.length,
+      }),
+      // Only the newest MEDIA_FILTER_SCAN_LIMIT items were checked
+      truncated,
+      library: toLibraryInfo(section),
+      items: page.map(withPoster),
+    });
+  } catch (error) {
+    logError(`Error fetching items of library ${sectionId}:`, error);
+    res.status(500).json({
+      error: "Failed to fetch library items",
+      message: error.message,
+    });
+  }
+});
+
 // Sections API
 app.get("/api/sections", async (req, res) => {
   try {
+    const { page, error } = parsePagination(req.query, {
+      defaultLimit: 500,
+    });
+    if (error) return rejectPagination(res, error);
+
     // Read saved sections
-    if (!fs.existsSync(SAVED_SECTIONS_PATH)) {
-      fs.writeFileSync(SAVED_SECTIONS_PATH, JSON.stringify([], null, 2));
+    if (!fs.existsSync(getSavedSectionsPath())) {
+      fs.writeFileSync(getSavedSectionsPath(), JSON.stringify([], null, 2));
     }
 
-    const rawData = fs.readFileSync(SAVED_SECTIONS_PATH, "utf8");
+    const rawData = fs.readFileSync(getSavedSectionsPath(), "utf8");
     const savedSections = JSON.parse(rawData);
 
     // Get formats
     const formats = getFormats().sections || [];
 
-    // Apply formats to sections
-    const formattedSections = savedSections.map((section) => {
+    // Apply formats to the sections of the page
+    const formattedSections = paginate(savedSections, page).map((section) => {
       // Create a processed section with null values converted to "Never"
       const processedSection = {
         ...section,
@@ -3028,7 +5575,11 @@ app.get("/api/sections", async (req, res) => {
       // Apply each format to create formatted data
       const formattedData = {};
       applicableFormats.forEach((format) => {
-        formattedData[format.name] = processTemplate(format.template, baseData);
+        formattedData[format.name] = renderFormat(
+          format,
+          baseData,
+          req.query.output
+        );
       });
 
       // Return with formats at top level and raw data in raw_data object
@@ -3039,7 +5590,10 @@ app.get("/api/sections", async (req, res) => {
     });
 
     res.json({
-      total: formattedSections.length,
+      ...getPageResponse(req, res, page, {
+        total: savedSections.length,
+        count: formattedSections.length,
+      }),
       sections: formattedSections,
     });
   } catch (error) {
@@ -3055,7 +5609,6 @@ app.get("/api/sections", async (req, res) => {
 app.post("/api/sections", async (req, res) => {
   try {
     const sections = req.body;
-    const config = getConfig();
 
     // Validate input
     if (!Array.isArray(sections)) {
@@ -3083,23 +5636,10 @@ app.post("/api/sections", async (req, res) => {
         try {
           logDebug(`Fetching details for section ${section.section_id}`);
 
-          // Get library details from libraries table
-          const libraryResponse = await axios.get(
-            `${config.tautulliUrl}/api/v2`,
-            {
-              params: {
-                apikey: config.tautulliApiKey,
-                cmd: "get_libraries_table",
-              },
-            }
-          );
-
-          if (libraryResponse.data?.response?.result !== "success") {
-            logError("Library response error:", libraryResponse.data);
-            throw new Error("Failed to fetch library details");
-          }
-
-          const libraryData = libraryResponse.data?.response?.data?.data || [];
+          // Get library details from libraries table; concurrent lookups
+          // share a single Tautulli request
+          const librariesTable = await callTautulli("get_libraries_table");
+          const libraryData = librariesTable?.data || [];
           const libraryDetails =
             libraryData.find((lib) => lib.section_id === section.section_id) ||
             {};
@@ -3132,7 +5672,7 @@ app.post("/api/sections", async (req, res) => {
 
     // Write enhanced sections to file
     fs.writeFileSync(
-      SAVED_SECTIONS_PATH,
+      getSavedSectionsPath(),
       JSON.stringify(sectionsWithDetails, null, 2)
     );
 
@@ -3155,15 +5695,30 @@ app.post("/api/sections", async (req, res) => {
 // Recently Added API Endpoint with Improved Caching
 // ======================================================================
 
+// Items read per section from Tautulli at a time
+const RECENT_FETCH_STEP = 50;
+
 // Recently Added endpoint
-app.get("/api/recent/:type", async (req, res) => {
+// Cached pages keep their page counts and creation time for the server's own
+// use; clients only get the documented page fields
+const toRecentResponse = ({ _page, _timestamp, ...response }) => response;
+
+const handleRecentRequest = async (req, res) => {
   try {
     const config = getConfig();
     const { type } = req.params;
-    const { section, count = 50, refresh = "false" } = req.query; // Add refresh parameter
-    const requestedCount = parseInt(count, 10);
+    const { section, refresh = "false", output } = req.query; // Add refresh parameter
     const forceRefresh = refresh === "true";
 
+    const { page, error: pageError } = parsePagination(req.query);
+    if (pageError) return rejectPagination(res, pageError);
+
+    // Tautulli can't count recently added items, so each section is read up
+    // to the end of the requested page, in steps of RECENT_FETCH_STEP
+    const fetchCount =
+      Math.ceil((page.offset + page.limit) / RECENT_FETCH_STEP) *
+      RECENT_FETCH_STEP;
+
     // Generate request ID for logging and cache key
     const requestId =
       Date.now().toString(36) + Math.random().toString(36).substring(2);
@@ -3192,54 +5747,11 @@ app.get("/api/recent/:type", async (req, res) => {
       });
     }
 
-    // Test Tautulli connection before proceeding
-    try {
-      logDebug(`[${requestId}] Testing Tautulli connection`);
-      const testResponse = await axios.get(`${config.tautulliUrl}/api/v2`, {
-        params: {
-          apikey: config.tautulliApiKey,
-          cmd: "status",
-        },
-        timeout: 5000,
-        headers: {
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
-        },
-      });
-
-      if (testResponse.data?.response?.result !== "success") {
-        logError(
-          `[${requestId}] Tautulli connection test failed:`,
-          testResponse.data
-        );
-        return res.status(502).json({
-          error: "Tautulli connection failed",
-          message: "Could not connect to Tautulli API",
-          details: testResponse.data,
-        });
-      }
-
-      logDebug(`[${requestId}] Tautulli connection test successful`);
-    } catch (error) {
-      logError(`[${requestId}] Tautulli connection test error:`, {
-        message: error.message,
-        code: error.code,
-        response: error.response?.data,
-        status: error.response?.status,
-      });
-
-      return res.status(502).json({
-        error: "Tautulli connection failed",
-        message: `Error connecting to Tautulli: ${error.message}`,
-        details: {
-          code: error.code,
-          status: error.response?.status,
-        },
-      });
-    }
-
     // Create cache key based on request parameters
-    const cacheKey = `media:${type}:${section || "all"}:${requestedCount}`;
+    // Responses rendered with ?output= are cached apart from the default
+    const cacheKey = `media:${type}:${section || "all"}:${page.offset}:${
+      page.limit
+    }${output ? `:${output}` : ""}`;
 
     // Get from cache first if not forcing refresh
     if (!forceRefresh) {
@@ -3260,16 +5772,9 @@ app.get("/api/recent/:type", async (req, res) => {
           // Create a deep copy to prevent reference issues
           const cachedResponse = JSON.parse(JSON.stringify(cachedMedia));
 
-          // Add cache metadata
           const response = {
-            ...cachedResponse,
-            _cache: {
-              hit: true,
-              age:
-                Math.floor((Date.now() - cachedResponse._timestamp) / 1000) +
-                "s",
-              key: cacheKey,
-            },
+            ...toRecentResponse(cachedResponse),
+            ...getPageResponse(req, res, page, cachedResponse._page),
           };
 
           // Trigger background refresh if cache is more than 5 minutes old
@@ -3279,7 +5784,7 @@ app.get("/api/recent/:type", async (req, res) => {
                 logDebug(
                   `[${requestId}] Refreshing cache in background for ${cacheKey}`
                 );
-                refreshCacheInBackground(type, section, requestedCount);
+                refreshCacheInBackground(type, section, cacheKey, fetchCount);
               } catch (e) {
                 logError(
                   `[${requestId}] Error refreshing cache in background:`,
@@ -3304,18 +5809,8 @@ app.get("/api/recent/:type", async (req, res) => {
     // Fetch sections first
     let allSections;
     try {
-      const sectionsResponse = await axios.get(`${config.tautulliUrl}/api/v2`, {
-        params: {
-          apikey: config.tautulliApiKey,
-          cmd: "get_libraries_table",
-        },
-        headers: {
-          "Cache-Control": "no-cache",
-          Pragma: "no-cache",
-        },
-      });
-
-      allSections = sectionsResponse.data?.response?.data?.data || [];
+      const librariesTable = await callTautulli("get_libraries_table");
+      allSections = librariesTable?.data || [];
 
       if (
         !allSections ||
@@ -3332,11 +5827,15 @@ app.get("/api/recent/:type", async (req, res) => {
 
       logDebug(`[${requestId}] Found ${allSections.length} total sections`);
     } catch (sectionsError) {
+      // Connection problems surface here, so report them as a bad gateway
       logError(`[${requestId}] Error fetching sections:`, sectionsError);
-      return res.status(500).json({
+      return res.status(502).json({
         error: "Failed to fetch library sections",
         message: sectionsError.message,
-        details: sectionsError.response?.data,
+        details: {
+          code: sectionsError.code,
+          status: sectionsError.status,
+        },
       });
     }
 
@@ -3363,7 +5862,7 @@ app.get("/api/recent/:type", async (req, res) => {
     // If no matching sections, return empty result
     if (matchingSections.length === 0) {
       return res.json({
-        total: 0,
+        ...getPageResponse(req, res, page, { total: 0, count: 0 }),
         media: [],
         sections: [],
         error: section
@@ -3372,6 +5871,10 @@ app.get("/api/recent/:type", async (req, res) => {
       });
     }
 
+    // Sections Tautulli couldn't read; their items are missing, so the list
+    // can't be called complete
+    const failedSections = [];
+
     // Helper function for sequentially processing sections
     const fetchSectionMediaSequentially = async (sections) => {
       const results = [];
@@ -3379,7 +5882,7 @@ app.get("/api/recent/:type", async (req, res) => {
       for (const section of sections) {
         try {
           // Generate section cache key
-          const sectionCacheKey = `section:${section.section_id}:media`;
+          const sectionCacheKey = `section:${section.section_id}:media:${fetchCount}`;
           let sectionMedia;
 
           // Try to get section media from cache unless forced refresh
@@ -3401,37 +5904,23 @@ app.get("/api/recent/:type", async (req, res) => {
 
           // Add detailed error handling and request headers
           try {
-            const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-              params: {
-                apikey: config.tautulliApiKey,
-                cmd: "get_recently_added",
+            const recentlyAdded = await callTautulli(
+              "get_recently_added",
+              {
                 section_id: section.section_id,
-                count: 50, // Fetch enough items
+                count: fetchCount,
               },
-              headers: {
-                "Cache-Control": "no-cache, no-store",
-                Pragma: "no-cache",
-                "If-Modified-Since": "0",
-                "If-None-Match": "", // Prevent 304 responses
-              },
-              timeout: 10000, // Increase timeout
-            });
-
-            // Check if we have a valid response
-            if (response.data?.response?.result !== "success") {
-              throw new Error(
-                `Tautulli returned error: ${JSON.stringify(response.data)}`
-              );
-            }
+              { timeout: 10000 } // Increase timeout
+            );
 
             // Process and cache the section media data
-            sectionMedia = (
-              response.data?.response?.data?.recently_added || []
-            ).map((item) => ({
-              ...item,
-              section_id: section.section_id,
-              section_name: section.section_name || section.name,
-            }));
+            sectionMedia = (recentlyAdded?.recently_added || []).map(
+              (item) => ({
+                ...item,
+                section_id: section.section_id,
+                section_name: section.section_name || section.name,
+              })
+            );
 
             // Only cache if we have items
             if (sectionMedia.length > 0) {
@@ -3455,14 +5944,11 @@ app.get("/api/recent/:type", async (req, res) => {
               {
                 message: error.message,
                 code: error.code,
-                response: error.response?.data,
-                status: error.response?.status,
-                details: error.toJSON ? error.toJSON() : error,
+                status: error.status,
               }
             );
 
-            // Add empty array for this section
-            results.push([]);
+            failedSections.push(section.section_id);
           }
 
           // Add a short delay between requests to avoid rate limiting
@@ -3472,7 +5958,7 @@ app.get("/api/recent/:type", async (req, res) => {
             `Unexpected error processing section ${section.section_id}:`,
             outerError
           );
-          results.push([]);
+          failedSections.push(section.section_id);
         }
       }
 
@@ -3480,20 +5966,34 @@ app.get("/api/recent/:type", async (req, res) => {
     };
 
     // Use sequential fetching instead of parallel promises
-    let allMedia = await fetchSectionMediaSequentially(matchingSections);
-    allMedia = allMedia.flat();
+    const sectionResults = await fetchSectionMediaSequentially(
+      matchingSections
+    );
+    const allMedia = sectionResults.flat();
+
+    // A section that returned fewer items than asked for has no more
+    const exhausted =
+      failedSections.length === 0 &&
+      sectionResults.every((items) => items.length < fetchCount);
 
     // Handle case where no media was found
     if (allMedia.length === 0) {
       const emptyResponse = {
-        total: 0,
+        ...getPageResponse(
+          req,
+          res,
+          page,
+          exhausted
+            ? { total: 0, count: 0 }
+            : { total: null, count: 0, hasMore: true }
+        ),
         media: [],
+        failedSections,
         sections: matchingSections.map((s) => ({
           id: s.section_id,
           name: s.section_name || s.name,
         })),
         message: "No recently added media found in any section",
-        _timestamp: Date.now(),
       };
 
       // Don't cache empty responses
@@ -3501,15 +6001,7 @@ app.get("/api/recent/:type", async (req, res) => {
         `[${requestId}] No media found, returning empty response without caching`
       );
 
-      return res.json({
-        ...emptyResponse,
-        _cache: {
-          hit: false,
-          fresh: true,
-          empty: true,
-          key: cacheKey,
-        },
-      });
+      return res.json(emptyResponse);
     }
 
     // Sort by added date (newest first)
@@ -3517,17 +6009,23 @@ app.get("/api/recent/:type", async (req, res) => {
       (a, b) => parseInt(b.added_at || 0) - parseInt(a.added_at || 0)
     );
 
-    // Limit results to the requested count
-    const limitedMedia = allMedia.slice(0, requestedCount);
+    // Limit results to the requested page
+    const limitedMedia = paginate(allMedia, page);
+    const pageCounts = {
+      total: exhausted ? allMedia.length : null,
+      count: limitedMedia.length,
+      hasMore:
+        page.offset + limitedMedia.length < allMedia.length || !exhausted,
+    };
 
     // Process media with batched metadata and formatting
     logDebug(`[${requestId}] Processing ${limitedMedia.length} media items`);
     const processedMedia = await processMediaInBatches(
       limitedMedia,
       requestId,
-      config,
       recentlyAddedFormats,
-      type
+      type,
+      output
     );
 
     logDebug(
@@ -3536,8 +6034,9 @@ app.get("/api/recent/:type", async (req, res) => {
 
     // Prepare the full response
     const responseData = {
-      total: processedMedia.length,
+      ...getPageResponse(req, res, page, pageCounts),
       media: processedMedia,
+      failedSections,
       sections: matchingSections.map((s) => ({
         id: s.section_id,
         name: s.section_name || s.name,
@@ -3548,6 +6047,8 @@ app.get("/api/recent/:type", async (req, res) => {
           name: f.name,
           sectionId: f.sectionId,
         })),
+      // Kept so cached pages can rebuild their next link
+      _page: pageCounts,
       _timestamp: Date.now(),
     };
 
@@ -3563,7 +6064,6 @@ app.get("/api/recent/:type", async (req, res) => {
         year: item.year || "",
         type: item.media_type || type,
       }));
-      responseData.total = responseData.media.length;
       logDebug(
         `[${requestId}] Created fallback media array with ${responseData.media.length} items`
       );
@@ -3579,22 +6079,17 @@ app.get("/api/recent/:type", async (req, res) => {
     // Create a deep clone of the response data to prevent reference issues
     const clonedForCache = JSON.parse(JSON.stringify(responseData));
 
-    // Cache the cloned response
-    mediaCache.set(cacheKey, clonedForCache);
-    logDebug(`[${requestId}] Cached response with key ${cacheKey}`);
+    // Cache the cloned response; a partial one is fetched again next time
+    if (failedSections.length === 0) {
+      mediaCache.set(cacheKey, clonedForCache);
+      logDebug(`[${requestId}] Cached response with key ${cacheKey}`);
+    }
 
     // Create a fresh clone for the response
     const responseClone = JSON.parse(JSON.stringify(responseData));
 
     // Send response
-    res.json({
-      ...responseClone,
-      _cache: {
-        hit: false,
-        fresh: true,
-        key: cacheKey,
-      },
-    });
+    res.json(toRecentResponse(responseClone));
   } catch (error) {
     logError("Error processing recently added media:", error);
     res.status(500).json({
@@ -3603,6 +6098,48 @@ app.get("/api/recent/:type", async (req, res) => {
       details: error.response?.data || error.stack,
     });
   }
+};
+
+app.get("/api/recent/:type", async (req, res) => {
+  if (!req.allServers) return handleRecentRequest(req, res);
+
+  const { page, error } = parsePagination(req.query);
+  if (error) return rejectPagination(res, error);
+  const results = await collectFromProfiles(
+    withPagePrefix(req, page),
+    handleRecentRequest
+  );
+
+  respondWithMerged(res, results, (bodies) => {
+    const allMedia = bodies
+      .flatMap(({ server, body }) =>
+        body.media.map((item) => ({ ...item, server }))
+      )
+      // Sort by added date (newest first)
+      .sort(
+        (a, b) =>
+          parseInt(b.raw_data?.added_at || 0) -
+          parseInt(a.raw_data?.added_at || 0)
+      );
+    const media = paginate(allMedia, page);
+    const exhausted = bodies.every(({ body }) => !body.hasMore);
+
+    return {
+      ...getPageResponse(req, res, page, {
+        total: exhausted ? allMedia.length : null,
+        count: media.length,
+        hasMore: page.offset + media.length < allMedia.length || !exhausted,
+      }),
+      media,
+      failedSections: bodies.flatMap(({ server, body }) =>
+        (body.failedSections || []).map((id) => ({ id, server }))
+      ),
+      sections: bodies.flatMap(({ server, body }) =>
+        (body.sections || []).map((section) => ({ ...section, server }))
+      ),
+      appliedFormats: bodies[0].body.appliedFormats || [],
+    };
+  });
 });
 
 // Configuration Management
@@ -3626,77 +6163,126 @@ app.post("/api/config", (req, res) => {
   };
 
   setConfig(updatedConfig);
+  invalidateLiveFeeds();
 
   res.json({
     status: "ok",
-    config: {
-      plexUrl: updatedConfig.plexUrl,
-      tautulliUrl: updatedConfig.tautulliUrl,
-      hasPlexToken: !!updatedConfig.plexToken,
-      hasTautulliKey: !!updatedConfig.tautulliApiKey,
-    },
+    config: getPublicConfig(),
   });
 });
 
+// Secrets are never returned, only whether they are set
 app.get("/api/config", (req, res) => {
-  const config = getConfig();
+  res.json(getPublicConfig());
+});
+
+// Server profiles. The dashboard picks one with the ptd_profile cookie, API
+// clients with ?server=<id> or the X-Server-Profile header.
+app.get("/api/profiles", (req, res) => {
   res.json({
-    plexUrl: config.plexUrl,
-    tautulliUrl: config.tautulliUrl,
-    plexToken: config.plexToken,
-    tautulliApiKey: config.tautulliApiKey,
+    success: true,
+    profiles: listProfiles(),
+    current: req.allServers ? ALL_PROFILES : getCurrentProfileId(),
+  });
+});
+
+app.post("/api/profiles", (req, res) => {
+  const { name, plexUrl, plexToken, tautulliUrl, tautulliApiKey } =
+    req.body || {};
+  if (!name || typeof name !== "string" || !name.trim()) {
+    return res.status(400).json({
+      error: "Invalid profile",
+      message: "A profile name is required",
+    });
+  }
+  if (!plexUrl || !plexToken || !tautulliUrl || !tautulliApiKey) {
+    return res.status(400).json({
+      error: "Invalid profile",
+      message: "Plex and Tautulli URLs and credentials are required",
+    });
+  }
+
+  const profile = createProfile(req.body);
+  res.status(201).json({ success: true, profile });
+});
+
+app.put("/api/profiles/:id", (req, res) => {
+  const profile = updateProfile(req.params.id, req.body || {});
+  if (!profile) {
+    return res.status(404).json({
+      error: "Profile not found",
+      message: `No server profile with id "${req.params.id}"`,
+    });
+  }
+
+  invalidateLiveFeeds();
+  res.json({ success: true, profile });
+});
+
+// Delete a profile's saved sections, watch history, cached images and
+// cached API responses
+const deleteProfileData = (profileId) =>
+  runWithProfile(profileId, () => {
+    fs.rmSync(getSavedSectionsPath(), { force: true });
+    deleteHistory();
+    deletePosterCache();
+    [historyCache, mediaCache, metadataCache, statsCache, geoipCache].forEach(
+      (cache) => cache.deletePrefix("")
+    );
   });
+
+app.delete("/api/profiles/:id", (req, res) => {
+  const { id } = req.params;
+
+  if (!findProfile(id)) {
+    return res.status(404).json({
+      error: "Profile not found",
+      message: `No server profile with id "${id}"`,
+    });
+  }
+  if (!deleteProfile(id)) {
+    return res.status(400).json({
+      error: "Cannot delete profile",
+      message: "At least one server profile is required",
+    });
+  }
+
+  deleteProfileData(id);
+  const disabledRules = disableProfileRules(id);
+  if (disabledRules > 0) {
+    logInfo(`Disabled ${disabledRules} notification rule(s) for profile ${id}`);
+  }
+
+  invalidateLiveFeeds();
+  res.json({ success: true, disabledRules });
 });
 
 app.post("/api/reset-all", (req, res) => {
   try {
-    const configPath = path.join(process.cwd(), "configs", "config.json");
-    const formatsPath = path.join(process.cwd(), "configs", "formats.json");
-    const savedSectionsPath = path.join(
-      process.cwd(),
-      "configs",
-      "sections.json"
-    );
+    const profileIds = listProfiles().map((profile) => profile.id);
 
-    // Reset config.json
-    fs.writeFileSync(
-      configPath,
-      JSON.stringify(
-        {
-          plexUrl: null,
-          plexToken: null,
-          tautulliUrl: null,
-          tautulliApiKey: null,
-        },
-        null,
-        2
-      )
-    );
+    // Every profile's files and cached responses; rules watching the old
+    // servers are switched off
+    profileIds.forEach((profileId) => {
+      deleteProfileData(profileId);
+      disableProfileRules(profileId);
+    });
 
-    // Reset formats.json
-    fs.writeFileSync(
-      formatsPath,
-      JSON.stringify(
-        {
-          downloads: [],
-          recentlyAdded: [],
-          sections: [],
-          users: [],
-        },
-        null,
-        2
-      )
+    // Back to a single empty profile, in memory and in config.json
+    resetConfig();
+
+    // Reset formats.json; the old formats stay in the history
+    saveFormats(
+      {},
+      { author: describeAuth(req.auth), summary: "Reset all configurations" }
     );
 
-    // Reset sections.json to an empty array
-    fs.writeFileSync(savedSectionsPath, JSON.stringify([], null, 2));
+    // Anything still cached from the old servers
+    [historyCache, mediaCache, metadataCache, statsCache].forEach((cache) =>
+      cache.clear()
+    );
 
-    // Log the reset action
-    logInfo("All configurations have been reset:", {
-      configPath,
-      formatsPath,
-      savedSectionsPath,
-    });
+    logInfo("All configurations have been reset:", { profiles: profileIds });
 
     res.json({
       status: "success",
@@ -3712,6 +6298,70 @@ app.post("/api/reset-all", (req, res) => {
   }
 });
 
+// ======================================================================
+// Live Updates (Server-Sent Events)
+// ======================================================================
+
+// Plex sync activities; progress is part of the fingerprint so download
+// progress bars move without polling
+registerLiveFeed("downloads", {
+  enabled: () => {
+    const config = getConfig();
+    return !!(config.plexUrl && config.plexToken);
+  },
+  poll: fetchPlexActivities,
+  fingerprint: (activities) =>
+    activities
+      .map(
+        (activity) => `${activity.uuid}:${activity.type}:${activity.progress}`
+      )
+      .join("|"),
+  build: buildDownloadsResponse,
+});
+
+// Tautulli activity, read once per poll for the users and sessions feeds
+registerLiveSource("activity", () =>
+  callTautulli("get_activity", {}, { timeout: 10000 })
+);
+
+// User state only changes when a session starts, stops or changes item/state
+registerLiveFeed("users", {
+  enabled: isTautulliConfigured,
+  source: "activity",
+  fingerprint: (activity) =>
+    (activity?.sessions || [])
+      .map(
+        (session) =>
+          `${session.session_key}:${session.user_id}:${session.rating_key}:${session.state}`
+      )
+      .sort()
+      .join("|"),
+  build: (activity) =>
+    buildUsersResponse({
+      requestId: "live",
+      activeSessions: activity?.sessions || [],
+    }),
+});
+
+// Playback details change constantly, so bandwidth and progress are part of
+// the fingerprint to keep the streams view current
+registerLiveFeed("sessions", {
+  enabled: isTautulliConfigured,
+  source: "activity",
+  fingerprint: (activity) =>
+    (activity?.sessions || [])
+      .map(
+        (session) =>
+          `${session.session_key}:${session.state}:${session.transcode_decision}:${session.bandwidth}:${session.progress_percent}`
+      )
+      .sort()
+      .join("|"),
+  build: buildSessionsResponse,
+});
+
+// Stream of "downloads", "users" and "sessions" events for the dashboard views
+app.get("/api/events", handleLiveConnection);
+
 // Health & Status APIs
 app.get("/api/health", async (req, res) => {
   try {
@@ -3727,6 +6377,7 @@ app.get("/api/health", async (req, res) => {
         hasPlexToken: !!config.plexToken,
         hasTautulliKey: !!config.tautulliApiKey,
       },
+      live: getLiveStats(),
     };
 
     // Add service checks if requested
@@ -3765,24 +6416,20 @@ app.get("/api/health", async (req, res) => {
       // Check Tautulli if configured
       if (healthData.services.tautulli.configured) {
         try {
-          // Using 'status' instead of 'get_server_info'
-          const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-            params: {
-              apikey: config.tautulliApiKey,
-              cmd: "status",
-            },
-            timeout: 5000,
-          });
+          // Using 'status' instead of 'get_server_info'; no retries so
+          // the health check reports outages promptly
+          const status = await callTautulli(
+            "status",
+            {},
+            { timeout: 5000, retries: 0 }
+          );
 
-          // Check if response indicates success
-          healthData.services.tautulli.online =
-            response.data?.response?.result === "success";
+          healthData.services.tautulli.online = true;
 
           // Add additional information if available
-          if (response.data?.response?.data) {
-            healthData.services.tautulli.version =
-              response.data.response.data.version || null;
-            healthData.services.tautulli.data = response.data.response.data;
+          if (status) {
+            healthData.services.tautulli.version = status.version || null;
+            healthData.services.tautulli.data = status;
           }
         } catch (error) {
           logError("Tautulli health check failed:", error.message);
@@ -3860,29 +6507,27 @@ app.post("/api/health/check-service", async (req, res) => {
 
       try {
         // Using the simplest command to check status
-        const response = await axios.get(`${config.tautulliUrl}/api/v2`, {
-          params: {
-            apikey: config.tautulliApiKey,
-            cmd: "status",
-          },
-          timeout: 8000,
-        });
+        const status = await callTautulli(
+          "status",
+          {},
+          { timeout: 8000, retries: 0 }
+        );
 
-        // Check if response indicates success
-        if (response.data?.response?.result === "success") {
-          return res.json({
-            status: "online",
-            message: "Tautulli is online",
-            version: response.data.response.data?.version || null,
-          });
-        } else {
+        return res.json({
+          status: "online",
+          message: "Tautulli is online",
+          version: status?.version || null,
+        });
+      } catch (error) {
+        // Tautulli answered, but not with a successful result
+        if (error instanceof TautulliError && error.status === 200) {
           return res.json({
             status: "offline",
             message: "Tautulli returned an invalid response",
-            responseData: response.data,
+            error: error.message,
           });
         }
-      } catch (error) {
+
         logError("Tautulli service check failed:", error.message);
         return res.json({
           status: "offline",
@@ -3900,6 +6545,16 @@ app.post("/api/health/check-service", async (req, res) => {
   }
 });
 
+// Tautulli client metrics (per-command calls, retries, latency)
+app.get("/api/health/tautulli", (req, res) => {
+  res.json({ success: true, metrics: getTautulliMetrics() });
+});
+
+app.post("/api/health/tautulli/reset", (req, res) => {
+  resetTautulliMetrics();
+  res.json({ success: true, message: "Tautulli metrics reset" });
+});
+
 // Setup proxies
 app.use("/api/plex", createDynamicProxy("Plex"));
 app.use("/api/tautulli", createDynamicProxy("Tautulli"));
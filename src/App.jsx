@@ -10,17 +10,23 @@ import {
 } from "react-router-dom";
 import { QueryClient, QueryClientProvider, useQueryClient } from "react-query";
 import { Toaster } from "react-hot-toast";
+import { AuthProvider, useAuth } from "./context/AuthContext";
 import { ConfigProvider, useConfig } from "./context/ConfigContext";
 import { ThemeProvider, useTheme } from "./context/ThemeContext.jsx";
 import GlobalPreloader from "./components/common/GlobalPreloader.jsx";
 import MediaContentMonitor from "./components/common/MediaContentMonitor.jsx";
 import SetupWizard from "./components/SetupWizard/SetupWizard";
+import Login from "./components/Auth/Login";
 import ThemedDashboardLayout from "./components/Layout/ThemedDashboardLayout";
 import LoadingScreen from "./components/common/LoadingScreen";
 import PlexActivity from "./components/PlexActivity/PlexActivity";
 import RecentlyAdded from "./components/RecentlyAdded/RecentlyAdded";
 import Libraries from "./components/Libraries/Libraries";
+import LibraryDetail from "./components/Libraries/LibraryDetail";
 import Users from "./components/Users/Users";
+import UserDetail from "./components/Users/UserDetail";
+import Statistics from "./components/Statistics/Statistics";
+import Streams from "./components/Streams/Streams";
 import FormatSettings from "./components/FormatSettings/FormatSettings";
 import ApiEndpoints from "./components/Settings/ApiEndpoints";
 import SettingsPage from "./components/Settings/Settings";
@@ -154,8 +160,23 @@ const ThemeWrapper = ({ children }) => {
 // This component is still useful for routes requiring protection
 // But initial loading is now handled by GlobalPreloader
 const ProtectedRoute = ({ children }) => {
+  const location = useLocation();
+  const { isAuthenticated, setupRequired, isLoading: authLoading } = useAuth();
   const { isConfigured, isLoading } = useConfig();
 
+  if (authLoading) {
+    return <LoadingScreen progress={30} message="Checking session..." />;
+  }
+
+  // No admin account yet - the setup wizard creates one first
+  if (setupRequired) {
+    return <Navigate to="/setup" replace />;
+  }
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+
   if (isLoading) {
     return <LoadingScreen progress={50} message="Checking configuration..." />;
   }
@@ -172,6 +193,7 @@ const AppRoutes = () => {
   return (
     <Routes>
       <Route path="/setup" element={<SetupWizard />} />
+      <Route path="/login" element={<Login />} />
 
       <Route
         path="/"
@@ -185,7 +207,11 @@ const AppRoutes = () => {
         <Route path="activities" element={<PlexActivity />} />
         <Route path="recent" element={<RecentlyAdded />} />
         <Route path="libraries" element={<Libraries />} />
+        <Route path="libraries/:sectionId" element={<LibraryDetail />} />
         <Route path="users" element={<Users />} />
+        <Route path="users/:userId" element={<UserDetail />} />
+        <Route path="streams" element={<Streams />} />
+        <Route path="stats" element={<Statistics />} />
         <Route path="format" element={<FormatSettings />} />
         <Route path="api-endpoints" element={<ApiEndpoints />} />
         {/* Add Settings as a child route inside the layout */}
@@ -280,84 +306,86 @@ const App = () => {
 
   return (
     <QueryClientProvider client={queryClient}>
-      <ConfigProvider>
-        <ThemeProvider>
-          <ThemeWrapper>
-            <GlobalPreloader>
-              <Router>
-                <MediaContentMonitor />
-                <AppRoutes />
-                <Toaster
-                  position="top-right"
-                  gutter={12}
-                  containerStyle={{
-                    top: 60,
-                  }}
-                  toastOptions={{
-                    duration: 5000,
-                    className: "toast-theme",
-                    style: {
-                      background: "rgba(17, 24, 39, 0.85)",
-                      color: "#fff",
-                      maxWidth: "380px",
-                      padding: "10px 16px",
-                      borderRadius: "8px",
-                      fontSize: "14px",
-                      fontWeight: "500",
-                      border: "1px solid rgba(var(--accent-color), 0.3)",
-                      backdropFilter: "blur(8px)",
-                      boxShadow: "0 4px 12px rgba(0, 0, 0, 0.3)",
-                    },
-                    // Default toast styling
-                    success: {
+      <AuthProvider>
+        <ConfigProvider>
+          <ThemeProvider>
+            <ThemeWrapper>
+              <GlobalPreloader>
+                <Router>
+                  <MediaContentMonitor />
+                  <AppRoutes />
+                  <Toaster
+                    position="top-right"
+                    gutter={12}
+                    containerStyle={{
+                      top: 60,
+                    }}
+                    toastOptions={{
                       duration: 5000,
-                      iconTheme: {
-                        primary: "#10B981",
-                        secondary: "#FFFFFF",
-                      },
-                      style: {
-                        background: "rgba(17, 24, 39, 0.9)",
-                        borderLeft: "4px solid #10B981", // Green accent
-                      },
-                    },
-                    error: {
-                      duration: 6000, // Longer duration for errors
-                      iconTheme: {
-                        primary: "#EF4444",
-                        secondary: "#FFFFFF",
-                      },
+                      className: "toast-theme",
                       style: {
-                        background: "rgba(17, 24, 39, 0.9)",
-                        borderLeft: "4px solid #EF4444", // Red accent
+                        background: "rgba(17, 24, 39, 0.85)",
+                        color: "#fff",
+                        maxWidth: "380px",
+                        padding: "10px 16px",
+                        borderRadius: "8px",
+                        fontSize: "14px",
+                        fontWeight: "500",
+                        border: "1px solid rgba(var(--accent-color), 0.3)",
+                        backdropFilter: "blur(8px)",
+                        boxShadow: "0 4px 12px rgba(0, 0, 0, 0.3)",
                       },
-                    },
-                    info: {
-                      iconTheme: {
-                        primary: "rgb(var(--accent-color))",
-                        secondary: "#FFFFFF",
+                      // Default toast styling
+                      success: {
+                        duration: 5000,
+                        iconTheme: {
+                          primary: "#10B981",
+                          secondary: "#FFFFFF",
+                        },
+                        style: {
+                          background: "rgba(17, 24, 39, 0.9)",
+                          borderLeft: "4px solid #10B981", // Green accent
+                        },
                       },
-                      style: {
-                        background: "rgba(17, 24, 39, 0.9)",
-                        borderLeft: "4px solid rgba(var(--accent-color), 1)",
+                      error: {
+                        duration: 6000, // Longer duration for errors
+                        iconTheme: {
+                          primary: "#EF4444",
+                          secondary: "#FFFFFF",
+                        },
+                        style: {
+                          background: "rgba(17, 24, 39, 0.9)",
+                          borderLeft: "4px solid #EF4444", // Red accent
+                        },
                       },
-                    },
-                    loading: {
-                      iconTheme: {
-                        primary: "rgb(var(--accent-color))",
-                        secondary: "#FFFFFF",
+                      info: {
+                        iconTheme: {
+                          primary: "rgb(var(--accent-color))",
+                          secondary: "#FFFFFF",
+                        },
+                        style: {
+                          background: "rgba(17, 24, 39, 0.9)",
+                          borderLeft: "4px solid rgba(var(--accent-color), 1)",
+                        },
                       },
-                      style: {
-                        background: "rgba(17, 24, 39, 0.9)",
-                        borderLeft: "4px solid rgba(var(--accent-color), 1)",
+                      loading: {
+                        iconTheme: {
+                          primary: "rgb(var(--accent-color))",
+                          secondary: "#FFFFFF",
+                        },
+                        style: {
+                          background: "rgba(17, 24, 39, 0.9)",
+                          borderLeft: "4px solid rgba(var(--accent-color), 1)",
+                        },
                       },
-                    },
-                  }}
-                />
-              </Router>
-            </GlobalPreloader>
-          </ThemeWrapper>
-        </ThemeProvider>
-      </ConfigProvider>
+                    }}
+                  />
+                </Router>
+              </GlobalPreloader>
+            </ThemeWrapper>
+          </ThemeProvider>
+        </ConfigProvider>
+      </AuthProvider>
     </QueryClientProvider>
   );
 };
@@ -0,0 +1,161 @@
+import React, { useState } from "react";
+import { Navigate, useNavigate, useLocation } from "react-router-dom";
+import { FaGithub } from "react-icons/fa";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import { useAuth } from "../../context/AuthContext";
+import BackdropSlideshow from "../SetupWizard/BackdropSlideshow";
+import LoadingScreen from "../common/LoadingScreen";
+import ThemedButton from "../common/ThemedButton";
+import ThemeToggle from "../common/ThemeToggle";
+import { logError } from "../../utils/logger";
+
+const Login = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { isAuthenticated, setupRequired, isLoading, login } = useAuth();
+  const [formData, setFormData] = useState({ username: "", password: "" });
+  const [showPassword, setShowPassword] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  if (isLoading) {
+    return <LoadingScreen progress={30} message="Checking session..." />;
+  }
+
+  // First run - the admin account is created in the setup wizard
+  if (setupRequired) {
+    return <Navigate to="/setup" replace />;
+  }
+
+  if (isAuthenticated) {
+    return <Navigate to={location.state?.from || "/"} replace />;
+  }
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      await login(formData.username, formData.password);
+      navigate(location.state?.from || "/", { replace: true });
+    } catch (error) {
+      logError("Login failed", error);
+      toast.error(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <BackdropSlideshow />
+
+      <div className="relative min-h-screen flex flex-col items-center justify-center p-4">
+        {/* Theme toggle in top right */}
+        <div className="absolute top-4 right-4">
+          <ThemeToggle variant="simple" />
+        </div>
+
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="flex items-center justify-center gap-3 mb-3">
+            <Icons.ActivitySquare className="text-accent text-3xl" />
+            <h1 className="text-3xl font-bold bg-gradient-to-r from-white to-gray-400 bg-clip-text text-transparent">
+              Plex & Tautulli Dashboard
+            </h1>
+          </div>
+          <p className="text-theme-muted">Sign in to continue</p>
+        </div>
+
+        <div className="w-full max-w-sm p-6 rounded-xl shadow-xl shadow-black/30 bg-gray-900/90 border border-accent">
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <div className="flex items-center gap-2 pb-2 border-b border-accent">
+              <Icons.Lock size={16} className="text-accent" />
+              <h2 className="text-lg font-medium text-white">Login</h2>
+            </div>
+
+            <div>
+              <label className="block text-theme font-medium mb-1.5">
+                Username
+              </label>
+              <input
+                type="text"
+                name="username"
+                autoComplete="username"
+                value={formData.username}
+                onChange={handleChange}
+                className="w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5
+            text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+            transition-theme"
+                required
+                autoFocus
+                disabled={submitting}
+              />
+            </div>
+
+            <div>
+              <label className="block text-theme font-medium mb-1.5">
+                Password
+              </label>
+              <div className="relative">
+                <input
+                  type={showPassword ? "text" : "password"}
+                  name="password"
+                  autoComplete="current-password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  className="w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5
+            text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+            transition-theme pr-12"
+                  required
+                  disabled={submitting}
+                />
+                <button
+                  type="button"
+                  onClick={() => setShowPassword((prev) => !prev)}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-gray-400
+            hover:text-white transition-theme bg-transparent border-none outline-none focus:outline-none focus:ring-0"
+                >
+                  {showPassword ? (
+                    <Icons.EyeOff size={16} />
+                  ) : (
+                    <Icons.Eye size={16} />
+                  )}
+                </button>
+              </div>
+            </div>
+
+            <ThemedButton
+              type="submit"
+              disabled={submitting}
+              variant="accent"
+              className="w-full"
+              icon={submitting ? Icons.Loader2 : Icons.LogIn}
+            >
+              {submitting ? "Signing in..." : "Sign In"}
+            </ThemedButton>
+          </form>
+        </div>
+
+        {/* Footer */}
+        <div className="mt-6 text-center">
+          <a
+            href="https://github.com/cyb3rgh05t/plex-tautulli-dashboard"
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-flex items-center gap-2 text-theme-muted hover:text-accent transition-theme"
+          >
+            <FaGithub size={16} />
+            <span className="text-sm">View on GitHub</span>
+          </a>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Login;
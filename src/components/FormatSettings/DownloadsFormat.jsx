@@ -5,6 +5,11 @@ import toast from "react-hot-toast";
 import ThemedCard from "../common/ThemedCard";
 import ThemedButton from "../common/ThemedButton";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
+import { renderTemplate } from "../../utils/templateEngine";
+import { validateTemplate } from "../../utils/templateValidator";
+import TemplateIssues from "./TemplateIssues";
+import OutputTypeSelect, { toStoredOutput } from "./OutputTypeSelect";
+import { postFormats, isFormatsConflict } from "./formatsApi";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3006";
@@ -106,35 +111,46 @@ const DownloadsFormat = () => {
   const [isEditing, setIsEditing] = useState(false);
   const [editingFormatName, setEditingFormatName] = useState(null);
   const templateInputRef = useRef(null);
+  // Formats revision the list was loaded from, sent back when saving
+  const formatsRevisionRef = useRef(null);
 
   // Template preview using memoization
   const templatePreview = useMemo(() => {
     if (!newFormat.template) return "";
 
-    let result = newFormat.template;
-    Object.entries(EXAMPLE_DATA).forEach(([key, value]) => {
-      result = result.replace(new RegExp(`{${key}}`, "g"), value);
+    return renderTemplate(newFormat.template, EXAMPLE_DATA, {
+      output: newFormat.output,
     });
+  }, [newFormat.template, newFormat.output]);
 
-    return result;
-  }, [newFormat.template]);
+  // Problems in the template, shown below the input
+  const templateIssues = useMemo(() => {
+    if (!newFormat.template) return null;
+
+    return validateTemplate(newFormat.template, "downloads", {
+      output: newFormat.output,
+    });
+  }, [newFormat.template, newFormat.output]);
+
+  const hasTemplateErrors = templateIssues?.errors.length > 0;
 
   // Load formats
-  useEffect(() => {
-    const fetchFormats = async () => {
-      setIsLoading(true);
-      try {
-        const response = await fetch(`/api/formats`);
-        const data = await response.json();
-        setFormats(data.downloads || []);
-      } catch (error) {
-        logError("Failed to load activity formats:", error);
-        toast.error("Failed to load formats");
-      } finally {
-        setIsLoading(false);
-      }
-    };
+  const fetchFormats = async () => {
+    setIsLoading(true);
+    try {
+      const response = await fetch(`/api/formats`);
+      const data = await response.json();
+      setFormats(data.downloads || []);
+      formatsRevisionRef.current = data.revision;
+    } catch (error) {
+      logError("Failed to load activity formats:", error);
+      toast.error("Failed to load formats");
+    } finally {
+      setIsLoading(false);
+    }
+  };
 
+  useEffect(() => {
     fetchFormats();
   }, []);
 
@@ -161,9 +177,15 @@ const DownloadsFormat = () => {
 
   const handleAddOrUpdateFormat = async () => {
     if (newFormat.name && newFormat.template) {
+      if (hasTemplateErrors) {
+        toast.error(templateIssues.errors[0].message);
+        return;
+      }
+
       const formatItem = {
         name: newFormat.name,
         template: newFormat.template,
+        output: toStoredOutput(newFormat.output),
       };
 
       try {
@@ -196,20 +218,12 @@ const DownloadsFormat = () => {
         }
 
         // Save the updated formats
-        const saveResponse = await fetch(`/api/formats`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            type: "downloads",
-            formats: updatedFormats,
-          }),
-        });
-
-        if (!saveResponse.ok) {
-          throw new Error("Failed to save format");
-        }
+        const result = await postFormats(
+          "downloads",
+          updatedFormats,
+          formatsRevisionRef.current
+        );
+        formatsRevisionRef.current = result.revision;
 
         // Update local state
         setFormats(updatedFormats);
@@ -224,6 +238,11 @@ const DownloadsFormat = () => {
         setEditingFormatName(null);
       } catch (error) {
         logError("Failed to save format:", error);
+        if (isFormatsConflict(error)) {
+          toast.error(error.message);
+          fetchFormats();
+          return;
+        }
         toast.error(
           isEditing ? "Failed to update format" : "Failed to create format"
         );
@@ -235,6 +254,7 @@ const DownloadsFormat = () => {
     setNewFormat({
       name: format.name,
       template: format.template,
+      output: format.output,
     });
     setIsEditing(true);
     setEditingFormatName(format.name);
@@ -266,20 +286,12 @@ const DownloadsFormat = () => {
     );
 
     try {
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "downloads",
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error("Failed to save formats");
-      }
+      const result = await postFormats(
+        "downloads",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       setFormats(updatedFormats);
       toast.success(`Format "${formatName}" deleted successfully`);
@@ -290,6 +302,11 @@ const DownloadsFormat = () => {
       }
     } catch (error) {
       logError("Failed to delete format:", error);
+      if (isFormatsConflict(error)) {
+        toast.error(error.message);
+        fetchFormats();
+        return;
+      }
       toast.error("Failed to delete format");
     }
   };
@@ -373,13 +390,23 @@ const DownloadsFormat = () => {
               onChange={(e) =>
                 setNewFormat({ ...newFormat, template: e.target.value })
               }
-              className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
-                focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
-                transition-all duration-200 font-mono"
+              className={`w-full bg-gray-900/50 text-white border rounded-lg px-4 py-3
+                focus:outline-none focus:ring-1 transition-all duration-200 font-mono ${
+                  hasTemplateErrors
+                    ? "border-red-500 focus:border-red-500 focus:ring-red-500"
+                    : "border-accent focus:border-accent focus:ring-accent"
+                }`}
               placeholder="e.g., {title} - {progress}%"
             />
           </div>
 
+          <OutputTypeSelect
+            value={newFormat.output}
+            onChange={(output) => setNewFormat({ ...newFormat, output })}
+          />
+
+          <TemplateIssues issues={templateIssues} />
+
           {/* Live Preview */}
           {newFormat.template && (
             <div className="bg-gray-900/50 rounded-lg p-4 border  border-accent">
@@ -395,7 +422,9 @@ const DownloadsFormat = () => {
           <div className="flex gap-3">
             <ThemedButton
               onClick={handleAddOrUpdateFormat}
-              disabled={!newFormat.name || !newFormat.template}
+              disabled={
+                !newFormat.name || !newFormat.template || hasTemplateErrors
+              }
               variant="accent"
               icon={isEditing ? Save : Plus}
             >
@@ -427,13 +456,11 @@ const DownloadsFormat = () => {
           </div>
           <div className="grid grid-cols-1 gap-4">
             {formats.map((format, index) => {
-              const previewValue = (() => {
-                let result = format.template;
-                Object.entries(EXAMPLE_DATA).forEach(([key, value]) => {
-                  result = result.replace(new RegExp(`{${key}}`, "g"), value);
-                });
-                return result;
-              })();
+              const previewValue = renderTemplate(
+                format.template,
+                EXAMPLE_DATA,
+                { output: format.output }
+              );
               return (
                 <FormatCard
                   key={index}
@@ -0,0 +1,258 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import ThemedButton from "../common/ThemedButton";
+import { logError } from "../../utils/logger";
+
+// Same names as the format tabs
+const TYPE_LABELS = {
+  downloads: "Sync",
+  recentlyAdded: "Recently Added",
+  users: "Users",
+  sessions: "Streams",
+  libraries: "Libraries",
+  sections: "Media Metadata",
+};
+
+const CHANGE_STYLES = {
+  added: "bg-green-500/10 text-green-400",
+  removed: "bg-red-500/10 text-red-400",
+  changed: "bg-yellow-500/10 text-yellow-400",
+};
+
+const formatTimestamp = (value) =>
+  new Date(value).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+// Where a format applies, shown next to its name
+const describeTarget = (format) =>
+  [
+    format.type || format.mediaType,
+    format.sectionId && `section ${format.sectionId}`,
+  ]
+    .filter((part) => part && part !== "section all")
+    .join(", ");
+
+const ChangeRow = ({ change }) => {
+  const format = change.after || change.before;
+  const target = describeTarget(format);
+
+  return (
+    <div className="bg-gray-800/50 border border-gray-700/50 rounded-lg p-3 space-y-2">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span
+          className={`text-xs px-2 py-0.5 rounded-full capitalize ${
+            CHANGE_STYLES[change.change]
+          }`}
+        >
+          {change.change}
+        </span>
+        <span className="text-xs text-theme-muted">
+          {TYPE_LABELS[change.type] || change.type}
+        </span>
+        <span className="text-white font-medium">{change.name}</span>
+        {target && <span className="text-xs text-theme-muted">({target})</span>}
+      </div>
+      {change.before && change.change !== "added" && (
+        <code
+          className={`block font-mono text-sm break-all ${
+            change.change === "removed"
+              ? "text-red-400"
+              : "text-red-400/80 line-through"
+          }`}
+        >
+          {change.before.template}
+        </code>
+      )}
+      {change.after && change.change !== "removed" && (
+        <code className="block font-mono text-sm break-all text-green-400">
+          {change.after.template}
+        </code>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Revision history of all format templates with a diff between revisions
+ * and rollback to an earlier one.
+ */
+const FormatHistory = () => {
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [compareTo, setCompareTo] = useState("");
+  const [diff, setDiff] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRollingBack, setIsRollingBack] = useState(false);
+
+  const fetchHistory = async () => {
+    try {
+      const response = await axios.get("/api/formats/history");
+      setRevisions(response.data.revisions || []);
+      setCurrentRevision(response.data.revision);
+      setSelected((previous) => previous ?? response.data.revision);
+    } catch (error) {
+      logError("Failed to load format history:", error);
+      toast.error("Failed to load format history");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  // Load the changes of the selected revision
+  useEffect(() => {
+    if (!selected) return;
+
+    const fetchDiff = async () => {
+      try {
+        const response = await axios.get(`/api/formats/history/${selected}`, {
+          params: compareTo ? { compare: compareTo } : {},
+        });
+        setDiff(response.data);
+      } catch (error) {
+        logError("Failed to load format revision:", error);
+        toast.error("Failed to load revision");
+        setDiff(null);
+      }
+    };
+
+    fetchDiff();
+  }, [selected, compareTo]);
+
+  const handleRollback = async (revision) => {
+    if (
+      !window.confirm(
+        `Restore the formats of revision ${revision}? The current formats stay in the history.`
+      )
+    ) {
+      return;
+    }
+
+    setIsRollingBack(true);
+    try {
+      const response = await axios.post(
+        `/api/formats/history/${revision}/rollback`,
+        { revision: currentRevision }
+      );
+      toast.success(`Restored revision ${revision}`);
+      setSelected(response.data.revision);
+      setCompareTo("");
+    } catch (error) {
+      logError("Failed to roll back formats:", error);
+      toast.error(error.response?.data?.message || "Failed to roll back");
+    } finally {
+      setIsRollingBack(false);
+      fetchHistory();
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Icons.Loader2 className="h-8 w-8 text-accent-base animate-spin mr-2" />
+        <span className="text-theme">Loading History...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Revision list */}
+      <div className="space-y-2">
+        {revisions.map((entry) => (
+          <button
+            key={entry.revision}
+            onClick={() => {
+              setSelected(entry.revision);
+              setCompareTo("");
+            }}
+            className={`w-full text-left rounded-lg px-4 py-3 border transition-theme ${
+              entry.revision === selected
+                ? "bg-accent-lighter border-accent"
+                : "bg-gray-800/50 border-gray-700/50 hover:bg-gray-800"
+            }`}
+          >
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-white font-medium">
+                Revision {entry.revision}
+              </span>
+              {entry.revision === currentRevision && (
+                <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/10 text-green-400">
+                  Current
+                </span>
+              )}
+            </div>
+            <p className="text-sm text-theme-muted truncate">
+              {entry.summary || "Saved formats"}
+            </p>
+            <p className="text-xs text-theme-muted">
+              {formatTimestamp(entry.savedAt)} · {entry.author}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {/* Changes of the selected revision */}
+      <div className="lg:col-span-2 space-y-4">
+        {diff && (
+          <>
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div className="flex items-center gap-2 text-sm text-theme-muted">
+                <span>Compared with</span>
+                <select
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(e.target.value)}
+                  className="bg-gray-900/80 border border-accent rounded-lg px-3 py-1.5 text-white focus:outline-none"
+                >
+                  <option value="">previous revision</option>
+                  {revisions
+                    .filter((entry) => entry.revision !== selected)
+                    .map((entry) => (
+                      <option key={entry.revision} value={entry.revision}>
+                        revision {entry.revision}
+                      </option>
+                    ))}
+                </select>
+              </div>
+              {selected !== currentRevision && (
+                <ThemedButton
+                  variant="accent"
+                  size="sm"
+                  icon={isRollingBack ? Icons.Loader2 : Icons.RotateCcw}
+                  onClick={() => handleRollback(selected)}
+                  disabled={isRollingBack}
+                >
+                  Restore Revision {selected}
+                </ThemedButton>
+              )}
+            </div>
+
+            {diff.changes.length === 0 ? (
+              <p className="text-theme-muted">
+                {diff.compare
+                  ? `No differences to revision ${diff.compare}.`
+                  : "No changes."}
+              </p>
+            ) : (
+              <div className="space-y-2">
+                {diff.changes.map((change, index) => (
+                  <ChangeRow key={index} change={change} />
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FormatHistory;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useRef } from "react";
+import axios from "axios";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import ThemedButton from "../common/ThemedButton";
+import { parseFormatPack } from "../../utils/formatPacks";
+import { logError } from "../../utils/logger";
+
+const CONFLICT_OPTIONS = [
+  { value: "skip", label: "Skip", description: "keep the existing formats" },
+  {
+    value: "replace",
+    label: "Replace",
+    description: "overwrite them with the imported ones",
+  },
+  {
+    value: "rename",
+    label: "Keep Both",
+    description: 'import them as "name (2)"',
+  },
+];
+
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = reject;
+    reader.readAsText(file);
+  });
+
+const describeImport = (result) =>
+  [
+    result.added && `${result.added} added`,
+    result.replaced && `${result.replaced} replaced`,
+    result.renamed && `${result.renamed} renamed`,
+    result.skipped && `${result.skipped} skipped`,
+  ]
+    .filter(Boolean)
+    .join(", ") || "nothing to import";
+
+/**
+ * Import, export and built-in presets for the formats of one type.
+ * onImported is called after formats were added so the editor can reload.
+ */
+const FormatPacks = ({ type, onImported }) => {
+  const [presets, setPresets] = useState([]);
+  const [showPresets, setShowPresets] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setShowPresets(false);
+    setPendingImport(null);
+
+    const fetchPresets = async () => {
+      try {
+        const response = await axios.get("/api/formats/presets", {
+          params: { type },
+        });
+        setPresets(response.data.presets || []);
+      } catch (error) {
+        logError("Failed to load format presets:", error);
+        setPresets([]);
+      }
+    };
+
+    fetchPresets();
+  }, [type]);
+
+  const importPack = async (pack, conflict) => {
+    setIsBusy(true);
+    try {
+      const response = await axios.post("/api/formats/import", {
+        pack,
+        conflict,
+      });
+      setPendingImport(null);
+      toast.success(
+        `Imported "${pack.name}": ${describeImport(response.data)}`
+      );
+      onImported?.();
+    } catch (error) {
+      // Names already taken; ask what to do with them
+      if (error.response?.status === 409 && error.response.data?.conflicts) {
+        setPendingImport({ pack, conflicts: error.response.data.conflicts });
+      } else {
+        logError("Failed to import format pack:", error);
+        toast.error(
+          error.response?.data?.message || "Failed to import format pack"
+        );
+      }
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    try {
+      const { pack, error } = parseFormatPack(await readFile(file));
+      if (error) {
+        toast.error(error);
+        return;
+      }
+      if (pack.type !== type) {
+        toast.error(
+          `This pack contains ${pack.type} formats; open that tab to import it`
+        );
+        return;
+      }
+      await importPack(pack);
+    } catch (error) {
+      logError("Failed to read format pack:", error);
+      toast.error("Failed to read file");
+    } finally {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  const handleExport = async () => {
+    setIsBusy(true);
+    try {
+      const response = await axios.get(`/api/formats/export/${type}`);
+
+      const blob = new Blob([JSON.stringify(response.data, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `formats-${type}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      logError("Failed to export formats:", error);
+      toast.error("Failed to export formats");
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4 mb-6">
+      <div className="flex flex-wrap gap-2">
+        <ThemedButton
+          variant="secondary"
+          size="sm"
+          icon={Icons.Upload}
+          onClick={() => fileInputRef.current.click()}
+          disabled={isBusy}
+        >
+          Import
+        </ThemedButton>
+        <ThemedButton
+          variant="secondary"
+          size="sm"
+          icon={Icons.Download}
+          onClick={handleExport}
+          disabled={isBusy}
+        >
+          Export
+        </ThemedButton>
+        {presets.length > 0 && (
+          <ThemedButton
+            variant={showPresets ? "accent" : "secondary"}
+            size="sm"
+            icon={Icons.Library}
+            onClick={() => setShowPresets(!showPresets)}
+          >
+            Presets
+          </ThemedButton>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json"
+          onChange={(e) => handleFile(e.target.files[0])}
+          className="hidden"
+        />
+      </div>
+
+      {/* Imported names that already exist */}
+      {pendingImport && (
+        <div className="bg-yellow-900/20 border border-yellow-500/50 rounded-lg p-4 space-y-3">
+          <div className="flex items-start gap-2 text-yellow-400">
+            <Icons.AlertTriangle size={16} className="shrink-0 mt-0.5" />
+            <p className="text-sm">
+              "{pendingImport.pack.name}" contains formats named{" "}
+              {[...new Set(pendingImport.conflicts)].join(", ")}, which already
+              exist. What should happen with them?
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {CONFLICT_OPTIONS.map((option) => (
+              <ThemedButton
+                key={option.value}
+                variant="accent"
+                size="sm"
+                title={option.description}
+                onClick={() => importPack(pendingImport.pack, option.value)}
+                disabled={isBusy}
+              >
+                {option.label}
+              </ThemedButton>
+            ))}
+            <ThemedButton
+              variant="secondary"
+              size="sm"
+              onClick={() => setPendingImport(null)}
+              disabled={isBusy}
+            >
+              Cancel
+            </ThemedButton>
+          </div>
+        </div>
+      )}
+
+      {showPresets && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {presets.map((preset) => (
+            <div
+              key={preset.id}
+              className="bg-gray-800/50 border border-gray-700/50 rounded-lg p-4 space-y-2"
+            >
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <h4 className="text-white font-medium">{preset.name}</h4>
+                  <p className="text-sm text-theme-muted">
+                    {preset.description}
+                  </p>
+                </div>
+                <ThemedButton
+                  variant="accent"
+                  size="sm"
+                  icon={Icons.Plus}
+                  onClick={() => importPack(preset)}
+                  disabled={isBusy}
+                >
+                  Add
+                </ThemedButton>
+              </div>
+              {preset.formats.map((format, index) => (
+                <code
+                  key={index}
+                  className="block font-mono text-xs text-accent-base break-all"
+                >
+                  {format.name}: {format.template}
+                </code>
+              ))}
+              <p className="text-xs text-theme-muted">
+                Uses {preset.requiredVariables.join(", ")}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FormatPacks;
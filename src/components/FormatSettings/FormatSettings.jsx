@@ -2,8 +2,11 @@ import React, { useState } from "react";
 import DownloadsFormat from "./DownloadsFormat";
 import RecentlyAddedFormat from "./RecentlyAddedFormat";
 import UsersFormat from "./UsersFormat";
+import StreamsFormat from "./StreamsFormat";
 import SectionsFormat from "./SectionsFormat";
 import LibrariesFormat from "./LibrariesFormat";
+import FormatHistory from "./FormatHistory";
+import FormatPacks from "./FormatPacks";
 import ThemedCard from "../common/ThemedCard";
 import * as Icons from "lucide-react";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
@@ -23,6 +26,8 @@ const SubTabButton = ({ active, onClick, children }) => (
 
 const FormatSettings = () => {
   const [activeSubTab, setActiveSubTab] = useState("downloads");
+  // Bumped after an import so the editor reloads its formats
+  const [reloadKey, setReloadKey] = useState(0);
 
   // Map tab IDs to their corresponding icon and title for the card header
   const tabInfo = {
@@ -38,6 +43,10 @@ const FormatSettings = () => {
       icon: Icons.Users,
       title: "Users Format Settings",
     },
+    sessions: {
+      icon: Icons.MonitorPlay,
+      title: "Streams Format Settings",
+    },
     libraries: {
       icon: Icons.Database,
       title: "Libraries Format Settings",
@@ -46,6 +55,10 @@ const FormatSettings = () => {
       icon: Icons.Layers,
       title: "Metadata Format Settings",
     },
+    history: {
+      icon: Icons.History,
+      title: "Format History",
+    },
   };
 
   // Get current tab's icon and title
@@ -73,6 +86,12 @@ const FormatSettings = () => {
         >
           Users
         </SubTabButton>
+        <SubTabButton
+          active={activeSubTab === "sessions"}
+          onClick={() => setActiveSubTab("sessions")}
+        >
+          Streams
+        </SubTabButton>
         <SubTabButton
           active={activeSubTab === "libraries"}
           onClick={() => setActiveSubTab("libraries")}
@@ -85,6 +104,12 @@ const FormatSettings = () => {
         >
           Media Metadata
         </SubTabButton>
+        <SubTabButton
+          active={activeSubTab === "history"}
+          onClick={() => setActiveSubTab("history")}
+        >
+          History
+        </SubTabButton>
       </div>
 
       {/* Tab content wrapper */}
@@ -93,11 +118,21 @@ const FormatSettings = () => {
         icon={currentTab.icon}
         className="p-6"
       >
-        {activeSubTab === "downloads" && <DownloadsFormat />}
-        {activeSubTab === "recentlyAdded" && <RecentlyAddedFormat />}
-        {activeSubTab === "users" && <UsersFormat />}
-        {activeSubTab === "libraries" && <LibrariesFormat />}
-        {activeSubTab === "sections" && <SectionsFormat />}
+        {activeSubTab !== "history" && (
+          <FormatPacks
+            type={activeSubTab}
+            onImported={() => setReloadKey((key) => key + 1)}
+          />
+        )}
+        {activeSubTab === "downloads" && <DownloadsFormat key={reloadKey} />}
+        {activeSubTab === "recentlyAdded" && (
+          <RecentlyAddedFormat key={reloadKey} />
+        )}
+        {activeSubTab === "users" && <UsersFormat key={reloadKey} />}
+        {activeSubTab === "sessions" && <StreamsFormat key={reloadKey} />}
+        {activeSubTab === "libraries" && <LibrariesFormat key={reloadKey} />}
+        {activeSubTab === "sections" && <SectionsFormat key={reloadKey} />}
+        {activeSubTab === "history" && <FormatHistory />}
       </ThemedCard>
     </div>
   );
@@ -6,6 +6,11 @@ import axios from "axios";
 import toast from "react-hot-toast";
 import ThemedButton from "../common/ThemedButton";
 import ThemedCard from "../common/ThemedCard";
+import { renderTemplate } from "../../utils/templateEngine";
+import { validateTemplate } from "../../utils/templateValidator";
+import TemplateIssues from "./TemplateIssues";
+import OutputTypeSelect, { toStoredOutput } from "./OutputTypeSelect";
+import { postFormats, isFormatsConflict } from "./formatsApi";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3006";
@@ -100,121 +105,6 @@ const FormatCard = ({ format, onDelete, onEdit, previewValue }) => (
   </ThemedCard>
 );
 
-// Date Formatting Utility
-const formatDate = (timestamp, format = "default") => {
-  if (!timestamp) return "Never";
-
-  // Convert timestamp to milliseconds if needed
-  const timestampMs =
-    String(timestamp).length === 10 ? timestamp * 1000 : timestamp;
-  const date = new Date(timestampMs);
-  const now = new Date();
-
-  // Ensure we have a valid date
-  if (isNaN(date.getTime())) {
-    return "Invalid Date";
-  }
-
-  const diffMs = now - date;
-  const diffSeconds = Math.floor(diffMs / 1000);
-  const diffMinutes = Math.floor(diffSeconds / 60);
-  const diffHours = Math.floor(diffMinutes / 60);
-  const diffDays = Math.floor(diffHours / 24);
-  const diffMonths = Math.floor(diffDays / 30);
-  const diffYears = Math.floor(diffDays / 365);
-
-  switch (format) {
-    case "short":
-      return date.toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-
-    case "relative":
-      if (diffSeconds < 0) return date.toLocaleDateString();
-
-      if (diffYears > 0) {
-        return diffYears === 1 ? "1 year ago" : `${diffYears} years ago`;
-      }
-
-      if (diffMonths > 0) {
-        return diffMonths === 1 ? "1 month ago" : `${diffMonths} months ago`;
-      }
-
-      if (diffDays > 0) {
-        return diffDays === 1 ? "1 day ago" : `${diffDays} days ago`;
-      }
-
-      if (diffHours > 0) {
-        return diffHours === 1 ? "1 hour ago" : `${diffHours} hours ago`;
-      }
-
-      if (diffMinutes > 0) {
-        return diffMinutes === 1
-          ? "1 minute ago"
-          : `${diffMinutes} minutes ago`;
-      }
-
-      return diffSeconds === 1 ? "1 second ago" : `${diffSeconds} seconds ago`;
-
-    case "full":
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-
-    case "time":
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-
-    default:
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-  }
-};
-
-// Template processing helper
-const processTemplate = (template, data) => {
-  if (!template || !data) return "";
-
-  let result = template;
-  const variables = template.match(/\{([^}]+)\}/g) || [];
-
-  variables.forEach((variable) => {
-    const match = variable.slice(1, -1).split(":");
-    const key = match[0];
-    const format = match[1] || "default";
-
-    let value;
-    if (
-      [
-        "added_at",
-        "updated_at",
-        "last_viewed_at",
-        "originally_available_at",
-      ].includes(key)
-    ) {
-      value = formatDate(data[key], format);
-    } else if (key === "duration") {
-      value = data[key];
-    } else if (key === "count" || key === "total_plays") {
-      value = (data[key] || 0).toLocaleString();
-    } else {
-      value = data[key] || "";
-    }
-
-    result = result.replace(variable, value);
-  });
-
-  return result;
-};
-
 // Example data for previewing formats
 const EXAMPLE_DATA = {
   movies: {
@@ -304,6 +194,8 @@ const LibrariesFormat = () => {
   const [previewData, setPreviewData] = useState(EXAMPLE_DATA);
   const [error, setError] = useState(null);
   const templateInputRef = useRef(null);
+  // Formats revision the list was loaded from, sent back when saving
+  const formatsRevisionRef = useRef(null);
   const [isEditing, setIsEditing] = useState(false);
   const [editingFormat, setEditingFormat] = useState(null);
   const scrollPositionRef = useRef(0);
@@ -363,6 +255,7 @@ const LibrariesFormat = () => {
     try {
       const response = await fetch(`/api/formats`);
       const data = await response.json();
+      formatsRevisionRef.current = data.revision;
       // Change to use libraries array instead of sections
       setFormats(data.libraries || []);
     } catch (err) {
@@ -417,10 +310,25 @@ const LibrariesFormat = () => {
     }));
   }, [activeMediaType]);
 
+  // Problems in the template, shown below the input
+  const templateIssues = useMemo(() => {
+    if (!newFormat.template) return null;
+
+    return validateTemplate(newFormat.template, "libraries", {
+      output: newFormat.output,
+    });
+  }, [newFormat.template, newFormat.output]);
+
+  const hasTemplateErrors = templateIssues?.errors.length > 0;
+
   // Handle form submission for new format or update existing format
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!newFormat.name || !newFormat.template) return;
+    if (hasTemplateErrors) {
+      toast.error(templateIssues.errors[0].message);
+      return;
+    }
 
     // Save current scroll position
     saveScrollPosition();
@@ -447,6 +355,7 @@ const LibrariesFormat = () => {
               ...format,
               name: newFormat.name,
               template: newFormat.template,
+              output: toStoredOutput(newFormat.output),
               sectionId: newFormat.sectionId,
               mediaType: newFormat.mediaType, // Preserve media type
             };
@@ -471,26 +380,19 @@ const LibrariesFormat = () => {
         }
 
         // Add new format and save
-        updatedFormats = [...currentFormats, newFormat];
+        updatedFormats = [
+          ...currentFormats,
+          { ...newFormat, output: toStoredOutput(newFormat.output) },
+        ];
         successMessage = "Format created successfully";
       }
 
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "libraries", // Change to libraries
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error(
-          isEditing ? "Failed to update format" : "Failed to save format"
-        );
-      }
+      const result = await postFormats(
+        "libraries",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Update local state
       setFormats(updatedFormats);
@@ -516,6 +418,11 @@ const LibrariesFormat = () => {
           : "Failed to save library format",
         err
       );
+      if (isFormatsConflict(err)) {
+        toast.error(err.message);
+        fetchFormats();
+        return;
+      }
       toast.error(
         isEditing ? "Failed to update format" : "Failed to save format"
       );
@@ -528,6 +435,7 @@ const LibrariesFormat = () => {
     setNewFormat({
       name: format.name,
       template: format.template,
+      output: format.output,
       sectionId: format.sectionId || "all",
       mediaType: format.mediaType || activeMediaType, // Use format's media type or current active type
     });
@@ -600,20 +508,12 @@ const LibrariesFormat = () => {
       );
 
       // Save updated formats
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "libraries", // Change to libraries
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error("Failed to delete format");
-      }
+      const result = await postFormats(
+        "libraries",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Update local state directly
       setFormats(updatedFormats);
@@ -635,6 +535,11 @@ const LibrariesFormat = () => {
       restoreScrollPosition();
     } catch (err) {
       logError("Failed to delete library format", err);
+      if (isFormatsConflict(err)) {
+        toast.error(err.message);
+        fetchFormats();
+        return;
+      }
       toast.error("Failed to delete format");
     }
   };
@@ -813,9 +718,12 @@ const LibrariesFormat = () => {
               onChange={(e) =>
                 setNewFormat({ ...newFormat, template: e.target.value })
               }
-              className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
-                focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
-                transition-all duration-200 font-mono"
+              className={`w-full bg-gray-900/50 text-white border rounded-lg px-4 py-3
+                focus:outline-none focus:ring-1 transition-all duration-200 font-mono ${
+                  hasTemplateErrors
+                    ? "border-red-500 focus:border-red-500 focus:ring-red-500"
+                    : "border-accent focus:border-accent focus:ring-accent"
+                }`}
               placeholder="e.g., {section_name} ({count} items) - Last updated {last_accessed:relative}"
             />
             <p className="text-theme-muted text-xs mt-2">
@@ -824,6 +732,13 @@ const LibrariesFormat = () => {
             </p>
           </div>
 
+          <OutputTypeSelect
+            value={newFormat.output}
+            onChange={(output) => setNewFormat({ ...newFormat, output })}
+          />
+
+          <TemplateIssues issues={templateIssues} />
+
           {/* Live Preview */}
           {newFormat.template && (
             <div className="bg-gray-900/50 rounded-lg p-4 border  border-accent">
@@ -831,7 +746,9 @@ const LibrariesFormat = () => {
                 Preview
               </label>
               <code className="text-accent-base font-mono block">
-                {processTemplate(newFormat.template, previewData)}
+                {renderTemplate(newFormat.template, previewData, {
+                  output: newFormat.output,
+                })}
               </code>
             </div>
           )}
@@ -852,7 +769,9 @@ const LibrariesFormat = () => {
             <ThemedButton
               type="submit"
               variant="accent"
-              disabled={!newFormat.name || !newFormat.template}
+              disabled={
+                !newFormat.name || !newFormat.template || hasTemplateErrors
+              }
               icon={isEditing ? Icons.Save : Icons.Plus}
             >
               {isEditing ? "Update Format" : "Add Format"}
@@ -896,7 +815,7 @@ const LibrariesFormat = () => {
                 format={format}
                 onDelete={handleDelete}
                 onEdit={handleEdit}
-                previewValue={processTemplate(
+                previewValue={renderTemplate(
                   format.template,
                   format.sectionId === "all"
                     ? previewData
@@ -911,7 +830,8 @@ const LibrariesFormat = () => {
                           sections.find(
                             (s) => s.section_id?.toString() === format.sectionId
                           )?.type || "unknown",
-                      }
+                      },
+                  { output: format.output }
                 )}
               />
             ))}
@@ -0,0 +1,42 @@
+import React from "react";
+
+const OUTPUT_OPTIONS = [
+  { value: "plain", label: "Plain Text" },
+  { value: "html", label: "HTML (values escaped)" },
+  { value: "markdown", label: "Markdown (values escaped)" },
+  { value: "json", label: "JSON" },
+];
+
+/**
+ * Output type of a format. Decides how the API escapes variable values;
+ * clients can still override it per request with ?output=.
+ */
+const OutputTypeSelect = ({ value, onChange }) => (
+  <div>
+    <label className="block text-theme font-medium mb-2">
+      Output
+      <span className="text-theme-muted text-sm ml-2">
+        (JSON templates must produce valid JSON, e.g. {'{"title": "{title}"}'})
+      </span>
+    </label>
+    <select
+      value={value || "plain"}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
+        focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+        transition-all duration-200"
+    >
+      {OUTPUT_OPTIONS.map((option) => (
+        <option key={option.value} value={option.value}>
+          {option.label}
+        </option>
+      ))}
+    </select>
+  </div>
+);
+
+// Plain is the default and is not stored with the format
+export const toStoredOutput = (output) =>
+  output && output !== "plain" ? output : undefined;
+
+export default OutputTypeSelect;
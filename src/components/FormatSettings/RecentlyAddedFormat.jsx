@@ -14,7 +14,12 @@ import {
   Save,
   X,
 } from "lucide-react";
-import { formatDuration } from "./duration-formatter";
+import { renderTemplate } from "../../utils/templateEngine";
+import { validateTemplate } from "../../utils/templateValidator";
+import { getMusicFields } from "../../utils/musicFields";
+import TemplateIssues from "./TemplateIssues";
+import OutputTypeSelect, { toStoredOutput } from "./OutputTypeSelect";
+import { postFormats, isFormatsConflict } from "./formatsApi";
 import ThemedButton from "../common/ThemedButton";
 import ThemedCard from "../common/ThemedCard";
 import * as Icons from "lucide-react";
@@ -59,6 +64,11 @@ const EXAMPLE_DATA = {
     title: "Bohemian Rhapsody",
     grandparent_title: "Queen",
     parent_title: "A Night at the Opera",
+    artist: "Queen",
+    album: "A Night at the Opera",
+    track: "Bohemian Rhapsody",
+    track_number: "11",
+    disc_number: "1",
     year: "1975",
     mediaType: "music",
     addedAt: Math.floor(Date.now() / 1000) - 60 * 60 * 24 * 3, // 3 days ago in seconds (Unix timestamp)
@@ -107,9 +117,12 @@ const AVAILABLE_VARIABLES = {
   ],
   music: [
     { name: "rating_key", description: "Unique identifier for the media" },
-    { name: "title", description: "Album title" },
-    //{ name: "grandparent_title", description: "Artist name" },
-    { name: "parent_title", description: "Artist name" },
+    { name: "artist", description: "Artist name" },
+    { name: "album", description: "Album title" },
+    { name: "track", description: "Track title (empty for albums)" },
+    { name: "track_number", description: "Track number on the album" },
+    { name: "disc_number", description: "Disc number of the track" },
+    { name: "title", description: "Album or track title as in Plex" },
     { name: "year", description: "Year of release" },
     { name: "mediaType", description: "Type of media" },
     {
@@ -118,7 +131,7 @@ const AVAILABLE_VARIABLES = {
         "Timestamp when media was added (formats: default, short, relative, full, time)",
     },
     { name: "summary", description: "Additional information" },
-    //{ name: "duration", description: "Track duration" },
+    { name: "duration", description: "Track duration" },
   ],
 };
 
@@ -224,199 +237,6 @@ const FormatCard = ({ format, onDelete, onEdit, previewValue, sections }) => {
   );
 };
 
-// Updated helper function for date formatting
-const formatDate = (timestamp, format = "default") => {
-  // Return early if no timestamp
-  if (!timestamp) return "Never";
-
-  let date;
-
-  try {
-    // Handle different timestamp formats
-
-    // Case 1: If timestamp is a number but looks like seconds (10-digit number), convert to milliseconds
-    if (typeof timestamp === "number" || !isNaN(Number(timestamp))) {
-      const ts = Number(timestamp);
-      // Unix timestamp in seconds (e.g., 1612345678) vs milliseconds (e.g., 1612345678000)
-      // If the number is less than year 2100 in seconds, assume it's in seconds
-      date = ts < 4294967296 ? new Date(ts * 1000) : new Date(ts);
-    }
-    // Case 2: ISO string (e.g., "2021-02-03T12:34:56Z")
-    else if (typeof timestamp === "string" && timestamp.includes("-")) {
-      date = new Date(timestamp);
-    }
-    // Case 3: Already a Date object
-    else if (timestamp instanceof Date) {
-      date = timestamp;
-    }
-    // Case 4: Fallback - try direct conversion
-    else {
-      date = new Date(timestamp);
-    }
-  } catch (e) {
-    logError(`Error parsing date from timestamp: ${timestamp}`, e);
-    return "Invalid Date";
-  }
-
-  // Ensure we have a valid date
-  if (isNaN(date.getTime())) {
-    console.warn(`Failed to parse timestamp: ${timestamp}`);
-    return "Invalid Date";
-  }
-
-  const now = new Date();
-  const diffMs = now - date;
-  const diffSeconds = Math.floor(diffMs / 1000);
-  const diffMinutes = Math.floor(diffSeconds / 60);
-  const diffHours = Math.floor(diffMinutes / 60);
-  const diffDays = Math.floor(diffHours / 24);
-  const diffMonths = Math.floor(diffDays / 30);
-  const diffYears = Math.floor(diffDays / 365);
-
-  switch (format) {
-    case "short":
-      return date.toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-
-    case "relative":
-      if (diffSeconds < 0) {
-        return "Future date";
-      }
-
-      if (diffYears > 0) {
-        return diffYears === 1 ? "1 year ago" : `${diffYears} years ago`;
-      }
-
-      if (diffMonths > 0) {
-        return diffMonths === 1 ? "1 month ago" : `${diffMonths} months ago`;
-      }
-
-      if (diffDays > 0) {
-        return diffDays === 1 ? "1 day ago" : `${diffDays} days ago`;
-      }
-
-      if (diffHours > 0) {
-        return diffHours === 1 ? "1 hour ago" : `${diffHours} hours ago`;
-      }
-
-      if (diffMinutes > 0) {
-        return diffMinutes === 1
-          ? "1 minute ago"
-          : `${diffMinutes} minutes ago`;
-      }
-
-      return diffSeconds === 1 ? "1 second ago" : `${diffSeconds} seconds ago`;
-
-    case "full":
-      return date.toLocaleDateString("en-US", {
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-
-    case "time":
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-
-    default:
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-  }
-};
-
-// Helper function for processing templates
-const processTemplate = (template, data) => {
-  if (!template) return "";
-
-  let result = template;
-  const variables = template.match(/\{([^}]+)\}/g) || [];
-
-  // Create normalized data object with both camelCase and snake_case versions
-  const normalizedData = { ...data };
-
-  // Add camelCase versions of snake_case keys
-  Object.keys(data).forEach((key) => {
-    if (key.includes("_")) {
-      const camelKey = key.replace(/_([a-z])/g, (_, letter) =>
-        letter.toUpperCase()
-      );
-      if (!normalizedData[camelKey]) {
-        normalizedData[camelKey] = data[key];
-      }
-    }
-  });
-
-  // Add snake_case versions of camelCase keys
-  Object.keys(data).forEach((key) => {
-    if (/[A-Z]/.test(key)) {
-      const snakeKey = key.replace(/([A-Z])/g, "_$1").toLowerCase();
-      if (!normalizedData[snakeKey]) {
-        normalizedData[snakeKey] = data[key];
-      }
-    }
-  });
-
-  variables.forEach((variable) => {
-    const match = variable.slice(1, -1).split(":");
-    const key = match[0];
-    const format = match[1] || "default";
-
-    let value;
-
-    // Special handling for timestamp - using key aliases for flexibility
-    if (key === "addedAt" || key === "added_at") {
-      // Get timestamp from either key
-      const timestamp = normalizedData.addedAt || normalizedData.added_at;
-      value = formatDate(timestamp, format);
-    }
-    // Special handling for duration
-    else if (key === "duration") {
-      // Prioritize formatted_duration if available
-      value =
-        normalizedData.formatted_duration ||
-        formatDuration(Number(normalizedData[key]) || 0);
-    }
-    // Special handling for season and episode numbers - always show as 2 digits
-    else if (key === "parent_media_index" || key === "media_index") {
-      // Ensure all season and episode numbers are padded to 2 digits
-      const rawValue = normalizedData[key] || "0";
-      const numberValue =
-        typeof rawValue === "number" ? rawValue : parseInt(rawValue, 10);
-      value = String(numberValue).padStart(2, "0");
-
-      // Add S or E prefix for show episode context
-      if (
-        normalizedData.mediaType === "show" ||
-        normalizedData.media_type === "show"
-      ) {
-        if (key === "parent_media_index") {
-          value = `S${value}`;
-        } else if (key === "media_index") {
-          value = `E${value}`;
-        }
-      }
-    }
-    // Handle all other variables
-    else {
-      value = normalizedData[key];
-    }
-
-    if (value !== undefined) {
-      result = result.replace(variable, value);
-    }
-  });
-
-  return result;
-};
-
 const RecentlyAddedFormat = () => {
   const { config } = useConfig();
   const [activeMediaType, setActiveMediaType] = useState("movies");
@@ -434,6 +254,8 @@ const RecentlyAddedFormat = () => {
   const [error, setError] = useState(null);
   const [validationErrors, setValidationErrors] = useState(null);
   const templateInputRef = useRef(null);
+  // Formats revision the list was loaded from, sent back when saving
+  const formatsRevisionRef = useRef(null);
   const formRef = useRef(null);
   const scrollPositionRef = useRef(0);
 
@@ -488,9 +310,6 @@ const RecentlyAddedFormat = () => {
   const fetchRecentMedia = async (sections) => {
     setIsLoading(true);
     try {
-      const configResponse = await fetch(`/api/config`);
-      const config = await configResponse.json();
-
       const typeMap = {
         movies: "movie",
         shows: "show",
@@ -523,7 +342,6 @@ const RecentlyAddedFormat = () => {
         try {
           const response = await axios.get(`/api/tautulli/api/v2`, {
             params: {
-              apikey: config.tautulliApiKey,
               cmd: "get_recently_added",
               section_id: section.section_id,
               count: 10,
@@ -570,19 +388,13 @@ const RecentlyAddedFormat = () => {
 
       const metadataPromises = media.map(async (item) => {
         try {
-          const response = await axios.get(`/api/tautulli/api/v2`, {
-            params: {
-              apikey: config.tautulliApiKey,
-              cmd: "get_metadata",
-              rating_key: item.rating_key,
-            },
-          });
+          const response = await axios.get(`/api/metadata/${item.rating_key}`);
 
           return {
             rating_key: item.rating_key,
             video_full_resolution:
-              response.data?.response?.data?.media_info?.[0]
-                ?.video_full_resolution || "Unknown",
+              response.data?.metadata?.media_info?.[0]?.video_full_resolution ||
+              "Unknown",
           };
         } catch (error) {
           logError(`Failed to fetch metadata for ${item.rating_key}:`, error);
@@ -638,6 +450,11 @@ const RecentlyAddedFormat = () => {
             mediaItem.media_index || previewData.media_index;
         }
 
+        // Albums and tracks name their artist differently
+        if (activeMediaType === "music") {
+          Object.assign(previewData, getMusicFields(mediaItem));
+        }
+
         // Ensure both timestamp formats are available
         previewData.addedAt =
           mediaItem.added_at || mediaItem.addedAt || previewData.addedAt;
@@ -679,18 +496,34 @@ const RecentlyAddedFormat = () => {
   // Template preview using memoization
   const templatePreview = useMemo(() => {
     const previewData = getPreviewData(newFormat.sectionId);
-    return processTemplate(newFormat.template || "", {
-      ...previewData,
-      mediaType: activeMediaType,
-    });
+    return renderTemplate(
+      newFormat.template || "",
+      {
+        ...previewData,
+        mediaType: activeMediaType,
+      },
+      { output: newFormat.output }
+    );
   }, [
     newFormat.template,
+    newFormat.output,
     newFormat.sectionId,
     recentMedia,
     mediaMetadata,
     activeMediaType,
   ]);
 
+  // Problems in the template, shown below the input
+  const templateIssues = useMemo(() => {
+    if (!newFormat.template) return null;
+
+    return validateTemplate(newFormat.template, "recentlyAdded", {
+      output: newFormat.output,
+    });
+  }, [newFormat.template, newFormat.output]);
+
+  const hasTemplateErrors = templateIssues?.errors.length > 0;
+
   // Insert variable into template
   const insertVariable = (variableName) => {
     if (templateInputRef.current) {
@@ -731,6 +564,7 @@ const RecentlyAddedFormat = () => {
     const normalizedFormat = {
       name: format.name,
       template: format.template,
+      output: format.output,
       sectionId: format.sectionId ? String(format.sectionId) : "all",
       type: format.type,
     };
@@ -870,12 +704,18 @@ const RecentlyAddedFormat = () => {
 
   const handleAddOrUpdateFormat = async () => {
     if (newFormat.name && newFormat.template && newFormat.type) {
+      if (hasTemplateErrors) {
+        toast.error(templateIssues.errors[0].message);
+        return;
+      }
+
       // Save current scroll position
       saveScrollPosition();
 
       const formatItem = {
         name: newFormat.name,
         template: newFormat.template,
+        output: toStoredOutput(newFormat.output),
         type: activeMediaType,
         sectionId: newFormat.sectionId || "all",
       };
@@ -919,20 +759,12 @@ const RecentlyAddedFormat = () => {
         }
 
         // Save formats
-        const saveResponse = await fetch(`/api/formats`, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            type: "recentlyAdded",
-            formats: updatedFormats,
-          }),
-        });
-
-        if (!saveResponse.ok) {
-          throw new Error("Failed to save format");
-        }
+        const result = await postFormats(
+          "recentlyAdded",
+          updatedFormats,
+          formatsRevisionRef.current
+        );
+        formatsRevisionRef.current = result.revision;
 
         // Clear media cache so that new formats are immediately applied
         try {
@@ -965,6 +797,11 @@ const RecentlyAddedFormat = () => {
         restoreScrollPosition();
       } catch (error) {
         logError("Failed to save format:", error);
+        if (isFormatsConflict(error)) {
+          toast.error(error.message);
+          fetchFormats();
+          return;
+        }
         toast.error("Failed to save format");
       }
     }
@@ -991,20 +828,12 @@ const RecentlyAddedFormat = () => {
       );
 
       // Save updated formats
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "recentlyAdded",
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error("Failed to save formats");
-      }
+      const result = await postFormats(
+        "recentlyAdded",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Clear media cache so that format changes are immediately applied
       try {
@@ -1037,29 +866,35 @@ const RecentlyAddedFormat = () => {
       restoreScrollPosition();
     } catch (error) {
       logError("Failed to delete format:", error);
+      if (isFormatsConflict(error)) {
+        toast.error(error.message);
+        fetchFormats();
+        return;
+      }
       toast.error("Failed to delete format");
     }
   };
 
-  // Update the effect that loads formats
-  useEffect(() => {
-    const fetchFormats = async () => {
-      try {
-        const response = await fetch(`/api/formats`);
-        const data = await response.json();
+  // Load the formats of the current media type
+  const fetchFormats = async () => {
+    try {
+      const response = await fetch(`/api/formats`);
+      const data = await response.json();
+      formatsRevisionRef.current = data.revision;
 
-        // Filter formats to only show current media type
-        const formatsForCurrentType = (data.recentlyAdded || []).filter(
-          (format) => format.type === activeMediaType
-        );
+      // Filter formats to only show current media type
+      const formatsForCurrentType = (data.recentlyAdded || []).filter(
+        (format) => format.type === activeMediaType
+      );
 
-        setFormats(formatsForCurrentType);
-      } catch (error) {
-        logError("Failed to load formats:", error);
-        toast.error("Failed to load formats");
-      }
-    };
+      setFormats(formatsForCurrentType);
+    } catch (error) {
+      logError("Failed to load formats:", error);
+      toast.error("Failed to load formats");
+    }
+  };
 
+  useEffect(() => {
     fetchFormats();
   }, [activeMediaType]);
 
@@ -1263,9 +1098,12 @@ const RecentlyAddedFormat = () => {
               onChange={(e) =>
                 setNewFormat({ ...newFormat, template: e.target.value })
               }
-              className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
-                focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
-                transition-all duration-200 font-mono"
+              className={`w-full bg-gray-900/50 text-white border rounded-lg px-4 py-3
+                focus:outline-none focus:ring-1 transition-all duration-200 font-mono ${
+                  hasTemplateErrors
+                    ? "border-red-500 focus:border-red-500 focus:ring-red-500"
+                    : "border-accent focus:border-accent focus:ring-accent"
+                }`}
               placeholder={
                 activeMediaType === "shows"
                   ? "e.g., {grandparent_title} S{parent_media_index}E{media_index} - {title}"
@@ -1280,6 +1118,13 @@ const RecentlyAddedFormat = () => {
             </p>
           </div>
 
+          <OutputTypeSelect
+            value={newFormat.output}
+            onChange={(output) => setNewFormat({ ...newFormat, output })}
+          />
+
+          <TemplateIssues issues={templateIssues} />
+
           {/* Validation Error */}
           {validationErrors && (
             <div className="bg-red-900/20 border border-red-500/50 rounded-lg p-3">
@@ -1318,7 +1163,9 @@ const RecentlyAddedFormat = () => {
             <ThemedButton
               type="submit"
               variant="accent"
-              disabled={!newFormat.name || !newFormat.template}
+              disabled={
+                !newFormat.name || !newFormat.template || hasTemplateErrors
+              }
               icon={isEditing ? Save : Plus}
             >
               {isEditing ? "Save Changes" : "Add Format"}
@@ -1358,10 +1205,14 @@ const RecentlyAddedFormat = () => {
           <div className="grid grid-cols-1 gap-4">
             {formats.map((format, index) => {
               const previewData = getPreviewData(format.sectionId || "all");
-              const previewValue = processTemplate(format.template, {
-                ...previewData,
-                mediaType: activeMediaType,
-              });
+              const previewValue = renderTemplate(
+                format.template,
+                {
+                  ...previewData,
+                  mediaType: activeMediaType,
+                },
+                { output: format.output }
+              );
 
               return (
                 <FormatCard
@@ -1,226 +1,18 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import toast from "react-hot-toast";
 import ThemedButton from "../common/ThemedButton";
 import ThemedCard from "../common/ThemedCard";
 import * as Icons from "lucide-react";
+import { renderTemplate } from "../../utils/templateEngine";
+import { validateTemplate } from "../../utils/templateValidator";
+import TemplateIssues from "./TemplateIssues";
+import OutputTypeSelect, { toStoredOutput } from "./OutputTypeSelect";
+import { postFormats, isFormatsConflict } from "./formatsApi";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3006";
 
-// Helper functions
-const formatDate = (timestamp, format = "default") => {
-  // Return early if no timestamp
-  if (!timestamp) return "Never";
-
-  let date;
-
-  try {
-    // Handle ISO date strings (YYYY-MM-DD)
-    if (typeof timestamp === "string" && timestamp.includes("-")) {
-      date = new Date(timestamp);
-    }
-    // Handle numeric timestamps
-    else if (typeof timestamp === "number" || !isNaN(Number(timestamp))) {
-      const ts = typeof timestamp === "number" ? timestamp : Number(timestamp);
-      // If timestamp is smaller than year 2100 in seconds (4,294,967,296), assume it's in seconds
-      date = ts < 4294967296 ? new Date(ts * 1000) : new Date(ts);
-    }
-    // Fallback
-    else {
-      date = new Date(timestamp);
-    }
-  } catch (e) {
-    logError(`Error parsing date: ${timestamp}`, e);
-    return "Invalid Date";
-  }
-
-  // Ensure we have a valid date
-  if (isNaN(date.getTime())) {
-    console.warn(`Invalid date from timestamp: ${timestamp}`);
-    return "Invalid Date";
-  }
-
-  const now = new Date();
-  const diffMs = now - date;
-  const diffSeconds = Math.floor(diffMs / 1000);
-  const diffMinutes = Math.floor(diffSeconds / 60);
-  const diffHours = Math.floor(diffMinutes / 60);
-  const diffDays = Math.floor(diffHours / 24);
-  const diffMonths = Math.floor(diffDays / 30);
-  const diffYears = Math.floor(diffDays / 365);
-
-  switch (format) {
-    case "short":
-      return date.toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-
-    case "relative":
-      if (diffSeconds < 0) return date.toLocaleDateString();
-
-      if (diffYears > 0) {
-        return diffYears === 1 ? "1 year ago" : `${diffYears} years ago`;
-      }
-
-      if (diffMonths > 0) {
-        return diffMonths === 1 ? "1 month ago" : `${diffMonths} months ago`;
-      }
-
-      if (diffDays > 0) {
-        return diffDays === 1 ? "1 day ago" : `${diffDays} days ago`;
-      }
-
-      if (diffHours > 0) {
-        return diffHours === 1 ? "1 hour ago" : `${diffHours} hours ago`;
-      }
-
-      if (diffMinutes > 0) {
-        return diffMinutes === 1
-          ? "1 minute ago"
-          : `${diffMinutes} minutes ago`;
-      }
-
-      return diffSeconds === 1 ? "1 second ago" : `${diffSeconds} seconds ago`;
-
-    case "full":
-      return date.toLocaleDateString("en-US", {
-        weekday: "long",
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-
-    case "time":
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-
-    default:
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-  }
-};
-
-// Enhanced formatDuration function for more robust duration handling
-const formatDuration = (durationMs) => {
-  // Ensure we have a valid input
-  if (!durationMs) return "0m";
-
-  let duration;
-
-  // Handle string inputs that might already be formatted (e.g., "45m")
-  if (typeof durationMs === "string") {
-    // If it's already in the format we want (e.g., "45m" or "1h 30m"), return it
-    if (/^\d+h( \d+m)?$|^\d+m$/.test(durationMs.trim())) {
-      return durationMs.trim();
-    }
-
-    // If it's a number in string format, parse it
-    duration = Number(durationMs);
-  } else {
-    duration = Number(durationMs);
-  }
-
-  // If duration is invalid or 0, return "0m"
-  if (isNaN(duration) || duration <= 0) return "0m";
-
-  // If duration is in seconds (common for Plex/Tautulli), convert to milliseconds
-  // Heuristic: if duration is less than 10000 and greater than 0, it's likely in seconds
-  if (duration > 0 && duration < 10000) {
-    duration *= 1000;
-  }
-
-  // Convert milliseconds to minutes
-  const totalMinutes = Math.floor(duration / 60000);
-
-  // Calculate hours and remaining minutes
-  const hours = Math.floor(totalMinutes / 60);
-  const minutes = totalMinutes % 60;
-
-  // Format the output
-  if (hours > 0 && minutes > 0) {
-    return `${hours}h ${minutes}m`;
-  } else if (hours > 0) {
-    return `${hours}h`;
-  } else {
-    return `${minutes}m`;
-  }
-};
-
-const formatArray = (arr) => {
-  if (!arr || !Array.isArray(arr)) return "";
-  return arr.join(", ");
-};
-
-// Template processing helper
-const processTemplate = (template, data) => {
-  if (!template || !data) return "";
-
-  let result = template;
-  const variables = template.match(/\{([^}]+)\}/g) || [];
-
-  variables.forEach((variable) => {
-    const match = variable.slice(1, -1).split(":");
-    const key = match[0];
-    const format = match[1] || "default";
-
-    let value;
-
-    try {
-      // Special handling for timestamp fields
-      if (
-        [
-          "added_at",
-          "updated_at",
-          "last_viewed_at",
-          "originally_available_at",
-        ].includes(key)
-      ) {
-        value = formatDate(data[key], format);
-      }
-      // Special handling for duration
-      else if (key === "duration") {
-        value = formatDuration(data[key]);
-      }
-      // Special handling for arrays
-      else if (
-        [
-          "directors",
-          "writers",
-          "actors",
-          "genres",
-          "labels",
-          "collections",
-        ].includes(key)
-      ) {
-        value = formatArray(data[key]);
-      }
-      // Special handling for counts
-      else if (["count", "parent_count", "child_count"].includes(key)) {
-        value = (data[key] || 0).toLocaleString();
-      }
-      // Default handling for all other fields
-      else {
-        value = data[key] !== undefined ? data[key] : "";
-      }
-    } catch (error) {
-      logError(`Error processing template variable ${key}:`, error);
-      value = "";
-    }
-
-    // Replace the variable with the formatted value
-    result = result.replace(variable, value);
-  });
-
-  return result;
-};
-
 // Available variables for sections
 const SECTION_VARIABLES = [
   // Basic Information
@@ -447,6 +239,8 @@ const SectionsFormat = () => {
   });
   const [error, setError] = useState(null);
   const templateInputRef = useRef(null);
+  // Formats revision the list was loaded from, sent back when saving
+  const formatsRevisionRef = useRef(null);
   const formRef = useRef(null);
   const [isEditing, setIsEditing] = useState(false);
   const [editingFormat, setEditingFormat] = useState(null);
@@ -507,6 +301,7 @@ const SectionsFormat = () => {
     try {
       const response = await fetch(`/api/formats`);
       const data = await response.json();
+      formatsRevisionRef.current = data.revision;
       setFormats(data.sections || []);
     } catch (err) {
       logError("Failed to fetch section formats", err);
@@ -564,6 +359,7 @@ const SectionsFormat = () => {
     setNewFormat({
       name: format.name,
       template: format.template,
+      output: format.output,
       sectionId: format.sectionId || "all",
     });
     setIsEditing(true);
@@ -596,10 +392,25 @@ const SectionsFormat = () => {
     restoreScrollPosition();
   };
 
+  // Problems in the template, shown below the input
+  const templateIssues = useMemo(() => {
+    if (!newFormat.template) return null;
+
+    return validateTemplate(newFormat.template, "sections", {
+      output: newFormat.output,
+    });
+  }, [newFormat.template, newFormat.output]);
+
+  const hasTemplateErrors = templateIssues?.errors.length > 0;
+
   // Handle form submission for new format or update existing format
   const handleSubmit = async (e) => {
     e.preventDefault();
     if (!newFormat.name || !newFormat.template) return;
+    if (hasTemplateErrors) {
+      toast.error(templateIssues.errors[0].message);
+      return;
+    }
 
     // Save current scroll position
     saveScrollPosition();
@@ -620,7 +431,7 @@ const SectionsFormat = () => {
             format.name === editingFormat.name &&
             format.sectionId === editingFormat.sectionId
           ) {
-            return newFormat;
+            return { ...newFormat, output: toStoredOutput(newFormat.output) };
           }
           return format;
         });
@@ -640,26 +451,19 @@ const SectionsFormat = () => {
         }
 
         // Add new format and save
-        updatedFormats = [...currentFormats, newFormat];
+        updatedFormats = [
+          ...currentFormats,
+          { ...newFormat, output: toStoredOutput(newFormat.output) },
+        ];
         successMessage = "Format created successfully";
       }
 
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "sections",
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error(
-          isEditing ? "Failed to update format" : "Failed to save format"
-        );
-      }
+      const result = await postFormats(
+        "sections",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Update local state
       setFormats(updatedFormats);
@@ -680,6 +484,11 @@ const SectionsFormat = () => {
           : "Failed to save section format",
         err
       );
+      if (isFormatsConflict(err)) {
+        toast.error(err.message);
+        fetchFormats();
+        return;
+      }
       toast.error(
         isEditing ? "Failed to update format" : "Failed to save format"
       );
@@ -702,20 +511,12 @@ const SectionsFormat = () => {
       );
 
       // Save updated formats
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "sections",
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error("Failed to delete format");
-      }
+      const result = await postFormats(
+        "sections",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Update local state
       setFormats(updatedFormats);
@@ -738,6 +539,11 @@ const SectionsFormat = () => {
       restoreScrollPosition();
     } catch (err) {
       logError("Failed to delete section format", err);
+      if (isFormatsConflict(err)) {
+        toast.error(err.message);
+        fetchFormats();
+        return;
+      }
       toast.error("Failed to delete format");
     }
   };
@@ -884,9 +690,12 @@ const SectionsFormat = () => {
               onChange={(e) =>
                 setNewFormat({ ...newFormat, template: e.target.value })
               }
-              className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
-                focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
-                transition-all duration-200 font-mono"
+              className={`w-full bg-gray-900/50 text-white border rounded-lg px-4 py-3
+                focus:outline-none focus:ring-1 transition-all duration-200 font-mono ${
+                  hasTemplateErrors
+                    ? "border-red-500 focus:border-red-500 focus:ring-red-500"
+                    : "border-accent focus:border-accent focus:ring-accent"
+                }`}
               placeholder="e.g., {title} ({year}) - Added {added_at:relative}"
             />
             <p className="text-theme-muted text-xs mt-2">
@@ -895,6 +704,13 @@ const SectionsFormat = () => {
             </p>
           </div>
 
+          <OutputTypeSelect
+            value={newFormat.output}
+            onChange={(output) => setNewFormat({ ...newFormat, output })}
+          />
+
+          <TemplateIssues issues={templateIssues} />
+
           {/* Live Preview */}
           {newFormat.template && (
             <div className="bg-gray-900/50 rounded-lg p-4 border  border-accent">
@@ -902,7 +718,9 @@ const SectionsFormat = () => {
                 Preview
               </label>
               <code className="text-accent-base font-mono block">
-                {processTemplate(newFormat.template, previewData)}
+                {renderTemplate(newFormat.template, previewData, {
+                  output: newFormat.output,
+                })}
               </code>
             </div>
           )}
@@ -926,7 +744,9 @@ const SectionsFormat = () => {
             <ThemedButton
               type="submit"
               variant="accent"
-              disabled={!newFormat.name || !newFormat.template}
+              disabled={
+                !newFormat.name || !newFormat.template || hasTemplateErrors
+              }
               icon={isEditing ? Icons.Save : Icons.Plus}
             >
               {isEditing ? "Update Format" : "Add Format"}
@@ -969,7 +789,7 @@ const SectionsFormat = () => {
                   onDelete={handleDelete}
                   onEdit={handleEdit}
                   sections={sections}
-                  previewValue={processTemplate(
+                  previewValue={renderTemplate(
                     format.template,
                     format.sectionId === "all"
                       ? previewData
@@ -986,7 +806,8 @@ const SectionsFormat = () => {
                               (s) =>
                                 s.section_id?.toString() === format.sectionId
                             )?.type || "unknown",
-                        }
+                        },
+                    { output: format.output }
                   )}
                 />
               ))}
@@ -0,0 +1,41 @@
+import React from "react";
+import * as Icons from "lucide-react";
+
+/**
+ * Errors and warnings for the template being edited, as returned by
+ * validateTemplate. Errors block saving the format.
+ */
+const TemplateIssues = ({ issues }) => {
+  if (!issues || (!issues.errors.length && !issues.warnings.length)) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-2">
+      {issues.errors.map((issue, index) => (
+        <div
+          key={`error-${index}`}
+          className="bg-red-900/20 border border-red-500/50 rounded-lg p-3"
+        >
+          <div className="flex items-center gap-2 text-red-400">
+            <Icons.AlertCircle size={16} className="shrink-0" />
+            <p className="text-sm">{issue.message}</p>
+          </div>
+        </div>
+      ))}
+      {issues.warnings.map((issue, index) => (
+        <div
+          key={`warning-${index}`}
+          className="bg-yellow-900/20 border border-yellow-500/50 rounded-lg p-3"
+        >
+          <div className="flex items-center gap-2 text-yellow-400">
+            <Icons.AlertTriangle size={16} className="shrink-0" />
+            <p className="text-sm">{issue.message}</p>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TemplateIssues;
@@ -1,9 +1,13 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import { useConfig } from "../../context/ConfigContext";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import * as Icons from "lucide-react";
 import toast from "react-hot-toast";
-import { formatDuration } from "./duration-formatter";
+import { renderTemplate } from "../../utils/templateEngine";
+import { validateTemplate } from "../../utils/templateValidator";
+import TemplateIssues from "./TemplateIssues";
+import OutputTypeSelect, { toStoredOutput } from "./OutputTypeSelect";
+import { postFormats, isFormatsConflict } from "./formatsApi";
 import ThemedCard from "../common/ThemedCard";
 import ThemedButton from "../common/ThemedButton";
 
@@ -41,7 +45,7 @@ const BASE_VARIABLES = [
     name: "is_watching",
     description: "Watching status ('Watching'/'Watched')",
   },
-  { name: "media_type", description: "Type of media (Movie/Episode)" },
+  { name: "media_type", description: "Type of media (Movie/Episode/Track)" },
   {
     name: "progress_percent",
     description: "Current viewing progress percentage",
@@ -74,6 +78,42 @@ const SHOW_VARIABLES = [
   { name: "parent_media_index", description: "Season number" },
 ];
 
+const MUSIC_VARIABLES = [
+  { name: "artist", description: "Artist name" },
+  { name: "album", description: "Album title" },
+  { name: "track", description: "Track title" },
+  { name: "track_number", description: "Track number on the album" },
+  { name: "disc_number", description: "Disc number of the track" },
+  { name: "full_title", description: "Complete track title" },
+  { name: "year", description: "Release year" },
+];
+
+// Format tabs and the media type their formats apply to
+const MEDIA_TYPE_TABS = {
+  movies: {
+    mediaType: "movie",
+    label: "Movies",
+    singular: "Movie",
+    variables: MOVIE_VARIABLES,
+    placeholder: "e.g., {friendly_name} is {state} {title} ({year})",
+  },
+  shows: {
+    mediaType: "episode",
+    label: "TV Shows",
+    singular: "TV Show",
+    variables: SHOW_VARIABLES,
+    placeholder:
+      "e.g., {friendly_name} is {state} {grandparent_title} S{parent_media_index}E{media_index}",
+  },
+  music: {
+    mediaType: "track",
+    label: "Music",
+    singular: "Music",
+    variables: MUSIC_VARIABLES,
+    placeholder: "e.g., {friendly_name} is {state} {artist} - {track}",
+  },
+};
+
 // Helper Components
 const VariableButton = ({ variable, onClick }) => (
   <button
@@ -159,176 +199,6 @@ const MediaTypeTab = ({ active, onClick, children }) => (
   </button>
 );
 
-// Helper function for date formatting
-const formatDate = (timestamp, format = "default") => {
-  // Return early if no timestamp
-  if (!timestamp) return "Never";
-
-  // Convert timestamp to milliseconds if needed
-  const timestampMs =
-    String(timestamp).length === 10 ? timestamp * 1000 : timestamp;
-  const date = new Date(timestampMs);
-  const now = new Date();
-
-  // Ensure we have a valid date
-  if (isNaN(date.getTime())) {
-    return "Invalid Date";
-  }
-
-  const diffMs = now - date;
-  const diffSeconds = Math.floor(diffMs / 1000);
-  const diffMinutes = Math.floor(diffSeconds / 60);
-  const diffHours = Math.floor(diffMinutes / 60);
-  const diffDays = Math.floor(diffHours / 24);
-
-  switch (format) {
-    case "short":
-      return date.toLocaleDateString("en-US", {
-        month: "short",
-        day: "numeric",
-      });
-
-    case "relative":
-      if (diffSeconds < 0)
-        return date.toLocaleDateString("en-GB", {
-          day: "2-digit",
-          month: "2-digit",
-          year: "numeric",
-        });
-
-      if (diffSeconds < 60) {
-        return diffSeconds === 1
-          ? "1 second ago"
-          : `${diffSeconds} seconds ago`;
-      }
-
-      if (diffMinutes < 60) {
-        return diffMinutes === 1
-          ? "1 minute ago"
-          : `${diffMinutes} minutes ago`;
-      }
-
-      if (diffHours < 24) {
-        return diffHours === 1 ? "1 hour ago" : `${diffHours} hours ago`;
-      }
-
-      if (diffDays < 30) {
-        return diffDays === 1 ? "1 day ago" : `${diffDays} days ago`;
-      }
-
-      return date.toLocaleDateString("en-GB", {
-        day: "2-digit",
-        month: "2-digit",
-        year: "numeric",
-      });
-
-    case "full":
-      return date.toLocaleDateString("en-US", {
-        year: "numeric",
-        month: "long",
-        day: "numeric",
-      });
-
-    case "time":
-      return date.toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-      });
-
-    default:
-      return date.toLocaleDateString("en-GB", {
-        day: "2-digit",
-        month: "2-digit",
-        year: "numeric",
-      });
-  }
-};
-
-// Format state helper
-const formatState = (state) => {
-  if (state === "playing") return "watching";
-  if (!state) return "watched";
-  return state;
-};
-
-// Template processing function for user format variables
-const processTemplate = (template, data) => {
-  if (!template || !data) return "";
-
-  // Create a combined data object that includes both raw_data and top-level properties
-  const combinedData = {
-    ...(data.raw_data || {}), // Include raw_data properties if they exist
-    ...data, // Include top-level properties (will override any duplicate keys)
-  };
-
-  let result = template;
-  const variables = template.match(/\{([^}]+)\}/g) || [];
-
-  variables.forEach((variable) => {
-    const match = variable.slice(1, -1).split(":");
-    const key = match[0];
-    const format = match[1] || "default";
-
-    let value;
-    try {
-      switch (key) {
-        case "duration":
-          // Prefer formatted_duration if available, otherwise format it
-          value =
-            combinedData.formatted_duration ||
-            (combinedData.duration
-              ? formatDuration(Number(combinedData.duration))
-              : "0m");
-          break;
-
-        case "last_seen":
-          // Use formatting if requested, otherwise use pre-formatted value
-          if (format && format !== "default") {
-            value = combinedData.last_seen
-              ? formatDate(combinedData.last_seen, format)
-              : "Never";
-          } else {
-            value =
-              combinedData.last_seen_formatted ||
-              (combinedData.last_seen
-                ? formatDate(combinedData.last_seen, "relative")
-                : "Never");
-          }
-          break;
-
-        case "is_active":
-          value = combinedData[key] ? "Active" : "Inactive";
-          break;
-
-        case "state":
-          value = formatState(combinedData[key] || "watched");
-          break;
-
-        case "media_index":
-        case "parent_media_index":
-          // Format as 2-digit number if present
-          value = combinedData[key]
-            ? String(combinedData[key]).padStart(2, "0")
-            : "";
-          break;
-
-        default:
-          // Use the value from combined data if available
-          value = combinedData[key] !== undefined ? combinedData[key] : "";
-      }
-    } catch (error) {
-      logError(`Error processing variable ${key}:`, error);
-      value = "";
-    }
-
-    if (value !== undefined) {
-      result = result.replace(variable, value);
-    }
-  });
-
-  return result;
-};
-
 const UsersFormat = () => {
   const { config } = useConfig();
   const [formats, setFormats] = useState([]);
@@ -340,6 +210,8 @@ const UsersFormat = () => {
   const [editMode, setEditMode] = useState(false);
   const [editFormatId, setEditFormatId] = useState(null);
   const templateInputRef = useRef(null);
+  // Formats revision the list was loaded from, sent back when saving
+  const formatsRevisionRef = useRef(null);
   // Reference to store the current scroll position
   const scrollPositionRef = useRef(0);
   // Reference for the form element
@@ -347,13 +219,7 @@ const UsersFormat = () => {
 
   // Get current variables based on media type
   const getCurrentVariables = () => {
-    const variables = [...BASE_VARIABLES];
-    if (activeMediaType === "movies") {
-      variables.push(...MOVIE_VARIABLES);
-    } else {
-      variables.push(...SHOW_VARIABLES);
-    }
-    return variables;
+    return [...BASE_VARIABLES, ...MEDIA_TYPE_TABS[activeMediaType].variables];
   };
 
   // Helper to save scroll position
@@ -377,14 +243,12 @@ const UsersFormat = () => {
     try {
       const response = await fetch(`/api/formats`);
       const data = await response.json();
+      formatsRevisionRef.current = data.revision;
 
       // Filter formats by specific media type
-      const mediaTypeMap = {
-        shows: "episode",
-        movies: "movie",
-      };
       const filteredFormats = (data.users || []).filter(
-        (format) => format.mediaType === mediaTypeMap[activeMediaType]
+        (format) =>
+          format.mediaType === MEDIA_TYPE_TABS[activeMediaType].mediaType
       );
       setFormats(filteredFormats);
     } catch (err) {
@@ -409,8 +273,7 @@ const UsersFormat = () => {
 
       if (data.users && data.users.length > 0) {
         // Convert media type to match the expected format
-        const targetMediaType =
-          activeMediaType === "shows" ? "episode" : "movie";
+        const targetMediaType = MEDIA_TYPE_TABS[activeMediaType].mediaType;
 
         // Find a user with the right media type (case insensitive)
         const matchingTypeUser = data.users.find((u) => {
@@ -505,6 +368,7 @@ const UsersFormat = () => {
     setNewFormat({
       name: format.name,
       template: format.template,
+      output: format.output,
     });
     setEditMode(true);
     setEditFormatId(format.name);
@@ -533,12 +397,27 @@ const UsersFormat = () => {
     restoreScrollPosition();
   };
 
+  // Problems in the template, shown below the input
+  const templateIssues = useMemo(() => {
+    if (!newFormat.template) return null;
+
+    return validateTemplate(newFormat.template, "users", {
+      output: newFormat.output,
+    });
+  }, [newFormat.template, newFormat.output]);
+
+  const hasTemplateErrors = templateIssues?.errors.length > 0;
+
   // Handle form submission for new or edited format
   const handleSubmit = async (e) => {
     e.preventDefault();
     saveScrollPosition();
 
     if (!newFormat.name || !newFormat.template) return;
+    if (hasTemplateErrors) {
+      toast.error(templateIssues.errors[0].message);
+      return;
+    }
 
     try {
       // Get current formats
@@ -547,11 +426,7 @@ const UsersFormat = () => {
       const currentFormats = data.users || [];
 
       // Convert media type for backend
-      const mediaTypeMap = {
-        shows: "episode",
-        movies: "movie",
-      };
-      const currentMediaType = mediaTypeMap[activeMediaType];
+      const currentMediaType = MEDIA_TYPE_TABS[activeMediaType].mediaType;
 
       let updatedFormats;
 
@@ -563,6 +438,7 @@ const UsersFormat = () => {
               ...f,
               name: newFormat.name,
               template: newFormat.template,
+              output: toStoredOutput(newFormat.output),
             };
           }
           return f;
@@ -584,28 +460,19 @@ const UsersFormat = () => {
         const newFormatWithType = {
           name: newFormat.name,
           template: newFormat.template,
+          output: toStoredOutput(newFormat.output),
           mediaType: currentMediaType,
         };
         updatedFormats = [...currentFormats, newFormatWithType];
       }
 
       // Save formats
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "users",
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error(
-          editMode ? "Failed to update format" : "Failed to save format"
-        );
-      }
+      const result = await postFormats(
+        "users",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Update local formats state without refetching
       // Filter formats by specific media type
@@ -632,6 +499,11 @@ const UsersFormat = () => {
           : "Failed to save user format",
         err
       );
+      if (isFormatsConflict(err)) {
+        toast.error(err.message);
+        fetchFormats();
+        return;
+      }
       toast.error(
         editMode ? "Failed to update format" : "Failed to save format"
       );
@@ -648,11 +520,7 @@ const UsersFormat = () => {
       const data = await response.json();
       const currentFormats = data.users || [];
 
-      const mediaTypeMap = {
-        shows: "episode",
-        movies: "movie",
-      };
-      const currentMediaType = mediaTypeMap[activeMediaType];
+      const currentMediaType = MEDIA_TYPE_TABS[activeMediaType].mediaType;
 
       // Create unique identifier for the format we're deleting
       const formatToDelete = {
@@ -670,20 +538,12 @@ const UsersFormat = () => {
       );
 
       // Save updated formats
-      const saveResponse = await fetch(`/api/formats`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          type: "users",
-          formats: updatedFormats,
-        }),
-      });
-
-      if (!saveResponse.ok) {
-        throw new Error("Failed to delete format");
-      }
+      const result = await postFormats(
+        "users",
+        updatedFormats,
+        formatsRevisionRef.current
+      );
+      formatsRevisionRef.current = result.revision;
 
       // Update local state without refetching
       setFormats(
@@ -709,6 +569,11 @@ const UsersFormat = () => {
       restoreScrollPosition();
     } catch (err) {
       logError("Failed to delete user format", err);
+      if (isFormatsConflict(err)) {
+        toast.error(err.message);
+        fetchFormats();
+        return;
+      }
       toast.error("Failed to delete format");
     }
   };
@@ -737,25 +602,20 @@ const UsersFormat = () => {
 
       {/* Media Type Tabs */}
       <div className="flex gap-2 mb-4">
-        <MediaTypeTab
-          active={activeMediaType === "movies"}
-          onClick={() => setActiveMediaType("movies")}
-        >
-          Movies
-        </MediaTypeTab>
-        <MediaTypeTab
-          active={activeMediaType === "shows"}
-          onClick={() => setActiveMediaType("shows")}
-        >
-          TV Shows
-        </MediaTypeTab>
+        {Object.entries(MEDIA_TYPE_TABS).map(([type, tab]) => (
+          <MediaTypeTab
+            key={type}
+            active={activeMediaType === type}
+            onClick={() => setActiveMediaType(type)}
+          >
+            {tab.label}
+          </MediaTypeTab>
+        ))}
       </div>
 
       {/* Available Variables Section */}
       <ThemedCard
-        title={`Available Variables for ${
-          activeMediaType === "shows" ? "TV Shows" : "Movies"
-        }`}
+        title={`Available Variables for ${MEDIA_TYPE_TABS[activeMediaType].label}`}
         icon={Icons.Variable}
         useAccentBorder
       >
@@ -802,14 +662,12 @@ const UsersFormat = () => {
               className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
                 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
                 transition-all duration-200"
-              placeholder={`e.g., ${
-                activeMediaType === "shows" ? "Show" : "Movie"
-              } Format`}
+              placeholder={`e.g., ${MEDIA_TYPE_TABS[activeMediaType].singular} Format`}
             />
             {!editMode && (
               <p className="text-green-400 text-xs mt-2">
                 For best results, you should name the Custom Format fields the
-                same in both categories
+                same in every category
               </p>
             )}
           </div>
@@ -827,14 +685,13 @@ const UsersFormat = () => {
               onChange={(e) =>
                 setNewFormat({ ...newFormat, template: e.target.value })
               }
-              className="w-full bg-gray-900/50 text-white border  border-accent rounded-lg px-4 py-3
-                focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
-                transition-all duration-200 font-mono"
-              placeholder={
-                activeMediaType === "shows"
-                  ? "e.g., {friendly_name} is {state} {grandparent_title} S{parent_media_index}E{media_index}"
-                  : "e.g., {friendly_name} is {state} {title} ({year})"
-              }
+              className={`w-full bg-gray-900/50 text-white border rounded-lg px-4 py-3
+                focus:outline-none focus:ring-1 transition-all duration-200 font-mono ${
+                  hasTemplateErrors
+                    ? "border-red-500 focus:border-red-500 focus:ring-red-500"
+                    : "border-accent focus:border-accent focus:ring-accent"
+                }`}
+              placeholder={MEDIA_TYPE_TABS[activeMediaType].placeholder}
             />
             <p className="text-theme-muted text-xs mt-2">
               Tip: For last_seen, you can use formats: default, short, relative,
@@ -842,6 +699,13 @@ const UsersFormat = () => {
             </p>
           </div>
 
+          <OutputTypeSelect
+            value={newFormat.output}
+            onChange={(output) => setNewFormat({ ...newFormat, output })}
+          />
+
+          <TemplateIssues issues={templateIssues} />
+
           {/* Live Preview */}
           {newFormat.template && previewData && (
             <div className="bg-gray-900/50 rounded-lg p-4 border  border-accent">
@@ -849,7 +713,9 @@ const UsersFormat = () => {
                 Preview
               </label>
               <code className="text-accent-base font-mono block">
-                {processTemplate(newFormat.template, previewData)}
+                {renderTemplate(newFormat.template, previewData, {
+                  output: newFormat.output,
+                })}
               </code>
             </div>
           )}
@@ -858,7 +724,9 @@ const UsersFormat = () => {
             <ThemedButton
               type="submit"
               variant="accent"
-              disabled={!newFormat.name || !newFormat.template}
+              disabled={
+                !newFormat.name || !newFormat.template || hasTemplateErrors
+              }
               icon={editMode ? Icons.Save : Icons.Plus}
             >
               {editMode ? "Update Format" : "Add Format"}
@@ -883,8 +751,7 @@ const UsersFormat = () => {
         <div className="space-y-4">
           <div className="flex items-center justify-between">
             <h3 className="text-lg font-semibold text-white">
-              Existing {activeMediaType === "shows" ? "TV Show" : "Movie"}{" "}
-              Formats
+              Existing {MEDIA_TYPE_TABS[activeMediaType].singular} Formats
             </h3>
             <div className="px-3 py-1.5 bg-gray-900/50 rounded-lg border  border-accent">
               <span className="text-sm font-medium text-theme-muted">
@@ -902,7 +769,9 @@ const UsersFormat = () => {
                 onEdit={handleEdit}
                 previewValue={
                   previewData
-                    ? processTemplate(format.template, previewData)
+                    ? renderTemplate(format.template, previewData, {
+                        output: format.output,
+                      })
                     : ""
                 }
               />
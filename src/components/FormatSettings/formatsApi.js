@@ -0,0 +1,28 @@
+// Saving formats from the format editors
+// src/components/FormatSettings/formatsApi.js
+
+// Save all formats of one type. The revision the editor loaded is sent
+// along, so the server refuses (409) a save based on formats that someone
+// else has changed since, instead of overwriting their work.
+export const postFormats = async (type, formats, revision) => {
+  const response = await fetch(`/api/formats`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ type, formats, revision }),
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(result.message || "Failed to save formats");
+    error.status = response.status;
+    throw error;
+  }
+
+  return result;
+};
+
+// True when a save failed because the formats changed elsewhere
+export const isFormatsConflict = (error) => error?.status === 409;
@@ -0,0 +1,268 @@
+import React, { useState, useRef, useEffect } from "react";
+import { useQuery } from "react-query";
+import { useNavigate } from "react-router-dom";
+import axios from "axios";
+import * as Icons from "lucide-react";
+import MediaModal from "../RecentlyAdded/MediaModal";
+import { withPosterSize } from "../../services/posterCacheService";
+
+const SEARCH_DELAY = 250;
+const MIN_SEARCH_LENGTH = 2;
+const RESULT_LIMIT = 12;
+
+const TYPE_ICONS = {
+  movie: Icons.Film,
+  show: Icons.Tv2,
+  episode: Icons.Tv,
+  artist: Icons.Mic2,
+  user: Icons.User,
+};
+
+// Shape the media modal expects, from a search result
+const toModalMedia = (result) => ({
+  rating_key: result.rating_key,
+  media_type: result.type,
+  title: result.title,
+  year: result.year,
+  grandparent_title: result.show,
+  parent_media_index: result.season,
+  media_index: result.episode,
+  thumb: result.thumb,
+});
+
+const ResultImage = ({ result }) => {
+  const [failed, setFailed] = useState(false);
+  const Icon = TYPE_ICONS[result.type] || Icons.Search;
+  const src =
+    result.type === "user"
+      ? result.thumb
+      : withPosterSize(result.poster, "thumb");
+
+  if (!src || failed) {
+    return (
+      <div className="flex h-12 w-8 shrink-0 items-center justify-center rounded bg-gray-800/50">
+        <Icon size={14} className="text-theme-muted" />
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={src}
+      alt=""
+      loading="lazy"
+      onError={() => setFailed(true)}
+      className={`shrink-0 object-cover bg-gray-800/50 ${
+        result.type === "user" || result.type === "artist"
+          ? "h-8 w-8 rounded-full"
+          : "h-12 w-8 rounded"
+      }`}
+    />
+  );
+};
+
+/**
+ * Search box for the navbar. Searches movies, shows, episodes, artists and
+ * users through /api/search; press "/" anywhere to focus it.
+ */
+const SearchBox = () => {
+  const navigate = useNavigate();
+  const [text, setText] = useState("");
+  const [search, setSearch] = useState("");
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [selectedMedia, setSelectedMedia] = useState(null);
+  const containerRef = useRef(null);
+  const inputRef = useRef(null);
+
+  // Wait until typing pauses before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setSearch(text.trim()), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [text]);
+
+  const { data, isFetching, isError } = useQuery(
+    ["search", search],
+    async () => {
+      const response = await axios.get("/api/search", {
+        params: { q: search, limit: RESULT_LIMIT },
+      });
+      return response.data;
+    },
+    {
+      enabled: search.length >= MIN_SEARCH_LENGTH,
+      keepPreviousData: true,
+      staleTime: 60 * 1000,
+      retry: false,
+    }
+  );
+  const results = search.length >= MIN_SEARCH_LENGTH ? data?.results || [] : [];
+
+  useEffect(() => setActiveIndex(0), [search]);
+
+  // Focus with "/" unless another field is being typed in
+  useEffect(() => {
+    const handleShortcut = (event) => {
+      const tag = document.activeElement?.tagName;
+      if (
+        event.key !== "/" ||
+        ["INPUT", "TEXTAREA", "SELECT"].includes(tag) ||
+        document.activeElement?.isContentEditable
+      ) {
+        return;
+      }
+      event.preventDefault();
+      inputRef.current?.focus();
+    };
+
+    document.addEventListener("keydown", handleShortcut);
+    return () => document.removeEventListener("keydown", handleShortcut);
+  }, []);
+
+  // Close the results when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (
+        containerRef.current &&
+        !containerRef.current.contains(event.target)
+      ) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  const openResult = (result) => {
+    setIsOpen(false);
+    inputRef.current?.blur();
+
+    if (result.type === "user") {
+      navigate(
+        result.server
+          ? `/users/${result.user_id}?server=${encodeURIComponent(
+              result.server.id
+            )}`
+          : `/users/${result.user_id}`
+      );
+    } else {
+      setSelectedMedia(toModalMedia(result));
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === "Escape") {
+      setIsOpen(false);
+      inputRef.current?.blur();
+      return;
+    }
+    if (!results.length) return;
+
+    if (event.key === "ArrowDown") {
+      event.preventDefault();
+      setActiveIndex((index) => (index + 1) % results.length);
+    } else if (event.key === "ArrowUp") {
+      event.preventDefault();
+      setActiveIndex((index) => (index - 1 + results.length) % results.length);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      openResult(results[activeIndex] || results[0]);
+    }
+  };
+
+  const showResults = isOpen && search.length >= MIN_SEARCH_LENGTH;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <div className="flex items-center gap-2 h-9 w-48 lg:w-64 px-3 rounded-lg bg-gray-800/50 border border-accent focus-within:border-accent-hover transition-theme">
+        {isFetching ? (
+          <Icons.Loader2
+            size={16}
+            className="shrink-0 animate-spin text-accent-base"
+          />
+        ) : (
+          <Icons.Search size={16} className="shrink-0 text-accent-base" />
+        )}
+        <input
+          ref={inputRef}
+          type="search"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search"
+          aria-label="Search libraries and users"
+          className="w-full bg-transparent text-sm text-white placeholder-gray-500 focus:outline-none"
+        />
+        {!text && (
+          <kbd className="hidden lg:inline text-xs text-theme-muted border border-gray-700 rounded px-1.5">
+            /
+          </kbd>
+        )}
+      </div>
+
+      {showResults && (
+        <div className="absolute right-0 mt-2 w-80 max-h-[70vh] overflow-y-auto rounded-lg bg-gray-900 border border-accent shadow-lg py-1 z-50">
+          {isError ? (
+            <p className="px-3 py-4 text-sm text-red-400">Search failed</p>
+          ) : results.length === 0 ? (
+            <p className="px-3 py-4 text-sm text-theme-muted">
+              {isFetching ? "Searching..." : `No results for "${search}"`}
+            </p>
+          ) : (
+            results.map((result, index) => {
+              const Icon = TYPE_ICONS[result.type] || Icons.Search;
+              return (
+                <button
+                  key={`${result.server?.id || ""}:${result.type}:${
+                    result.rating_key ?? result.user_id
+                  }`}
+                  onClick={() => openResult(result)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={`w-full flex items-center gap-3 px-3 py-2 text-left transition-theme ${
+                    index === activeIndex
+                      ? "bg-accent-light/20"
+                      : "hover:bg-gray-800"
+                  }`}
+                >
+                  <ResultImage result={result} />
+                  <div className="min-w-0 flex-1">
+                    <p className="truncate text-sm text-white">
+                      {result.title}
+                    </p>
+                    <p className="truncate text-xs text-theme-muted">
+                      {[result.subtitle, result.server?.name]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </p>
+                  </div>
+                  <Icon size={14} className="shrink-0 text-accent-base" />
+                </button>
+              );
+            })
+          )}
+          {data?.source === "index" && results.length > 0 && (
+            <p className="px-3 pt-2 pb-1 text-xs text-theme-muted border-t border-gray-800">
+              Plex search is unavailable; showing cached library data
+            </p>
+          )}
+        </div>
+      )}
+
+      {selectedMedia && (
+        <MediaModal
+          media={selectedMedia}
+          onClose={() => setSelectedMedia(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
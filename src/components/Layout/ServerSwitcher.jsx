@@ -0,0 +1,105 @@
+import React, { useState, useRef, useEffect } from "react";
+import axios from "axios";
+import * as Icons from "lucide-react";
+import { logError } from "../../utils/logger";
+
+// The server reads the selected profile from this cookie on every request
+const PROFILE_COOKIE = "ptd_profile";
+const ALL_SERVERS = "all";
+
+const selectProfile = (profileId) => {
+  document.cookie = `${PROFILE_COOKIE}=${encodeURIComponent(
+    profileId
+  )}; path=/; max-age=31536000; SameSite=Lax`;
+
+  // Every view caches data for the old server, so start over
+  window.location.reload();
+};
+
+/**
+ * Dropdown for switching between server profiles. Hidden while only one
+ * profile exists.
+ */
+const ServerSwitcher = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  useEffect(() => {
+    const fetchProfiles = async () => {
+      try {
+        const response = await axios.get("/api/profiles");
+        setProfiles(response.data.profiles || []);
+        setCurrent(response.data.current);
+      } catch (error) {
+        logError("Failed to load server profiles:", error);
+      }
+    };
+
+    fetchProfiles();
+  }, []);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  if (profiles.length < 2) return null;
+
+  const options = [
+    ...profiles.map((profile) => ({ id: profile.id, name: profile.name })),
+    { id: ALL_SERVERS, name: "All servers" },
+  ];
+  const selected = options.find((option) => option.id === current);
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-2 h-9 px-3 rounded-lg bg-gray-800/50 border border-accent text-sm text-white hover:bg-gray-800 transition-theme"
+      >
+        <Icons.Server size={16} className="text-accent-base" />
+        <span className="hidden md:inline max-w-[10rem] truncate">
+          {selected?.name || "Select server"}
+        </span>
+        <Icons.ChevronDown size={14} className="text-theme-muted" />
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-56 rounded-lg bg-gray-900 border border-accent shadow-lg py-1 z-50">
+          {options.map((option) => (
+            <button
+              key={option.id}
+              onClick={() => {
+                setIsOpen(false);
+                if (option.id !== current) selectProfile(option.id);
+              }}
+              className={`flex w-full items-center justify-between gap-2 px-3 py-2 text-sm text-left hover:bg-accent-lighter transition-theme ${
+                option.id === ALL_SERVERS
+                  ? "border-t border-gray-800/50 text-theme-muted"
+                  : "text-white"
+              }`}
+            >
+              <span className="truncate">{option.name}</span>
+              {option.id === current && (
+                <Icons.Check size={14} className="text-accent-base" />
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServerSwitcher;
@@ -12,7 +12,7 @@ import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 /**
  * A badge component that displays the connection status of a service
  */
-const ServiceStatusBadge = ({ type, url, apiKey, token }) => {
+const ServiceStatusBadge = ({ type, url, hasCredentials }) => {
   const [status, setStatus] = useState("unknown"); // 'online', 'offline', 'unconfigured', 'unknown'
   const [isChecking, setIsChecking] = useState(false);
   const [errorMessage, setErrorMessage] = useState("");
@@ -36,9 +36,7 @@ const ServiceStatusBadge = ({ type, url, apiKey, token }) => {
 
   // Check if the service is properly configured
   const isConfigured = () => {
-    return (
-      url && ((type === "plex" && token) || (type === "tautulli" && apiKey))
-    );
+    return !!(url && hasCredentials);
   };
 
   // Check the connection status
@@ -86,7 +84,7 @@ const ServiceStatusBadge = ({ type, url, apiKey, token }) => {
     } else {
       setStatus("unconfigured");
     }
-  }, [url, apiKey, token]);
+  }, [url, hasCredentials]);
 
   return (
     <div
@@ -86,7 +86,7 @@ const ThemedDashboardLayout = () => {
     try {
       // Check configuration
       if (service === "plex") {
-        if (!config.plexUrl || !config.plexToken) return "unconfigured";
+        if (!config.plexUrl || !config.hasPlexToken) return "unconfigured";
 
         // Check Plex connection
         const response = await axios.post(
@@ -99,7 +99,7 @@ const ThemedDashboardLayout = () => {
 
         return response.data?.status || "unknown";
       } else if (service === "tautulli") {
-        if (!config.tautulliUrl || !config.tautulliApiKey)
+        if (!config.tautulliUrl || !config.hasTautulliKey)
           return "unconfigured";
 
         // Check Tautulli connection
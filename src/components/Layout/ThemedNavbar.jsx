@@ -2,9 +2,12 @@ import React from "react";
 import { useNavigate } from "react-router-dom";
 import { useTheme } from "../../context/ThemeContext";
 import { useConfig } from "../../context/ConfigContext";
+import { useAuth } from "../../context/AuthContext";
 import ThemeToggle from "../common/ThemeToggle";
 import ThemeSelector from "../common/ThemeSelector";
 import ServiceStatusBadge from "./ServiceStatusBadge";
+import ServerSwitcher from "./ServerSwitcher";
+import SearchBox from "./SearchBox";
 import Logo from "../common/Logo"; // Import the Logo component
 import * as Icons from "lucide-react";
 import { appVersion } from "../../../scripts/release.js";
@@ -21,6 +24,7 @@ const ThemedNavbar = () => {
   const navigate = useNavigate();
   const { accentColor, accentRgb, themeName } = useTheme();
   const { config } = useConfig();
+  const { username, logout } = useAuth();
 
   return (
     <header
@@ -61,18 +65,26 @@ const ThemedNavbar = () => {
 
         {/* Action Buttons */}
         <div className="flex items-center gap-2">
+          {/* Search across libraries and users */}
+          <div className="hidden md:block">
+            <SearchBox />
+          </div>
+
+          {/* Server Profile Switcher */}
+          <ServerSwitcher />
+
           {/* Plex Status Badge */}
           <ServiceStatusBadge
             type="plex"
             url={config?.plexUrl}
-            token={config?.plexToken}
+            hasCredentials={config?.hasPlexToken}
           />
 
           {/* Tautulli Status Badge */}
           <ServiceStatusBadge
             type="tautulli"
             url={config?.tautulliUrl}
-            apiKey={config?.tautulliApiKey}
+            hasCredentials={config?.hasTautulliKey}
           />
 
           {/* Theme Selector - New! */}
@@ -80,6 +92,15 @@ const ThemedNavbar = () => {
 
           {/* Accent Color Picker */}
           <ThemeToggle variant="full" showAccent={true} />
+
+          {/* Log Out */}
+          <button
+            onClick={logout}
+            title={username ? `Log out ${username}` : "Log out"}
+            className="flex h-9 w-9 items-center justify-center rounded-lg text-gray-400 hover:text-white hover:bg-gray-800/50 transition-theme"
+          >
+            <Icons.LogOut size={18} />
+          </button>
         </div>
       </div>
     </header>
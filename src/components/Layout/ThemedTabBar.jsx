@@ -13,6 +13,8 @@ const ThemedTabBar = () => {
     { to: "/recent", icon: Icons.Clock, label: "Recently Added" },
     { to: "/libraries", icon: Icons.Database, label: "Libraries" },
     { to: "/users", icon: Icons.Users, label: "Users Activities" },
+    { to: "/streams", icon: Icons.MonitorPlay, label: "Streams" },
+    { to: "/stats", icon: Icons.BarChart3, label: "Statistics" },
   ];
 
   const settingsTabs = [
@@ -23,7 +25,10 @@ const ThemedTabBar = () => {
 
   // Render tab with enhanced styling
   const renderTab = (tab) => {
-    const isActive = location.pathname === tab.to;
+    // Nested pages such as /libraries/1 keep their tab active
+    const isActive =
+      location.pathname === tab.to ||
+      location.pathname.startsWith(`${tab.to}/`);
     const Icon = tab.icon;
 
     // Active styling with transparent background and accent borders
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from "react";
 import { useQuery, useQueryClient } from "react-query";
+import { Link } from "react-router-dom";
 import { useConfig } from "../../context/ConfigContext";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import * as Icons from "lucide-react";
@@ -67,22 +68,34 @@ const LibraryCard = ({ library, isSelected, onToggleSelect }) => {
               <LibraryTypeIcon type={libraryType} />
             </div>
             <div>
-              <h3 className="text-white font-medium">
+              <Link
+                to={`/libraries/${sectionId}`}
+                className="text-white font-medium hover:text-accent-hover transition-theme"
+              >
                 {rawData.section_name || rawData.name}
-              </h3>
+              </Link>
               <p className="text-theme-muted text-sm">
                 Type: {capitalizeFirstLetter(libraryType)}
               </p>
             </div>
           </div>
-          <div className="text-right">
-            <div className="bg-gray-800/50 px-3 py-1 rounded-lg border border-accent">
-              <span className="text-theme-muted text-sm">Items: </span>
-              <span className="text-accent font-medium">
-                {itemCount.toLocaleString()}
-              </span>
+          <div className="flex items-center gap-2">
+            <div className="text-right">
+              <div className="bg-gray-800/50 px-3 py-1 rounded-lg border border-accent">
+                <span className="text-theme-muted text-sm">Items: </span>
+                <span className="text-accent font-medium">
+                  {itemCount.toLocaleString()}
+                </span>
+              </div>
+              <p className="text-theme-muted text-xs mt-1">ID: {sectionId}</p>
             </div>
-            <p className="text-theme-muted text-xs mt-1">ID: {sectionId}</p>
+            <Link
+              to={`/libraries/${sectionId}`}
+              title="Library details"
+              className="p-2 rounded-lg text-theme-muted hover:text-white hover:bg-gray-800/50 transition-theme"
+            >
+              <Icons.ChevronRight size={18} />
+            </Link>
           </div>
         </div>
       </div>
@@ -180,7 +193,7 @@ const Libraries = () => {
     error,
     refetch,
   } = useQuery(["libraries"], fetchLibraries, {
-    enabled: !!config.tautulliApiKey,
+    enabled: !!config.hasTautulliKey,
     refetchOnWindowFocus: true, // Enable refetch on window focus for page reloads
     refetchOnMount: true, // Always refetch when component mounts
     refetchOnReconnect: true, // Refetch on network reconnection
@@ -270,7 +283,7 @@ const Libraries = () => {
   // Initial fetch when component mounts - with page reload detection
   useEffect(() => {
     // Always fetch on first visit to ensure data loads
-    if (config.tautulliApiKey) {
+    if (config.hasTautulliKey) {
       // This is more reliable for detecting when we need to load data
       const shouldFetch =
         !initialFetchDone.current || // Not fetched yet
@@ -291,7 +304,7 @@ const Libraries = () => {
     return () => {
       initialFetchDone.current = false;
     };
-  }, [config.tautulliApiKey]);
+  }, [config.hasTautulliKey]);
 
   // Additional useEffect specifically for page reloads
   useEffect(() => {
@@ -324,7 +337,7 @@ const Libraries = () => {
 
   // Setup auto-refresh interval
   useEffect(() => {
-    if (config.tautulliApiKey) {
+    if (config.hasTautulliKey) {
       // Setup interval for auto-refresh
       refreshInterval.current = setInterval(() => {
         handleRefresh();
@@ -337,7 +350,7 @@ const Libraries = () => {
         }
       };
     }
-  }, [config.tautulliApiKey]);
+  }, [config.hasTautulliKey]);
 
   // Calculate time until next refresh
   const timeUntilNextRefresh = Math.max(
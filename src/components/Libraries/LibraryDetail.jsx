@@ -0,0 +1,632 @@
+import React, { useState, useEffect } from "react";
+import { useQuery, useInfiniteQuery, useQueryClient } from "react-query";
+import { Link, useParams } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import * as Icons from "lucide-react";
+import { useConfig } from "../../context/ConfigContext";
+import useInfiniteScroll from "../../hooks/useInfiniteScroll";
+import { logError } from "../../utils/logger";
+import ThemedCard from "../common/ThemedCard";
+import ThemedButton from "../common/ThemedButton";
+import MediaModal from "../RecentlyAdded/MediaModal";
+import { withPosterSize } from "../../services/posterCacheService";
+
+const ITEMS_PAGE_SIZE = 50;
+const FILTER_DELAY = 300;
+
+const SORT_OPTIONS = [
+  { value: "added", label: "Added" },
+  { value: "title", label: "Title" },
+  { value: "year", label: "Year" },
+  { value: "resolution", label: "Resolution" },
+  { value: "plays", label: "Plays" },
+];
+
+const RESOLUTION_OPTIONS = [
+  { value: "", label: "Any resolution" },
+  { value: "4k", label: "4K" },
+  { value: "1080", label: "1080p" },
+  { value: "720", label: "720p" },
+  { value: "sd", label: "SD" },
+];
+
+const BREAKDOWN_OPTIONS = [
+  { value: "resolution", label: "Resolution" },
+  { value: "videoCodec", label: "Video" },
+  { value: "audioCodec", label: "Audio" },
+  { value: "container", label: "Container" },
+  { value: "dynamicRange", label: "HDR" },
+];
+
+const TYPE_ICONS = {
+  movie: Icons.Film,
+  show: Icons.Tv,
+  artist: Icons.Music,
+};
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return "0 B";
+  const sizes = ["B", "KB", "MB", "GB", "TB", "PB"];
+  const i = Math.min(
+    sizes.length - 1,
+    Math.floor(Math.log(bytes) / Math.log(1024))
+  );
+  return `${(bytes / Math.pow(1024, i)).toFixed(i > 2 ? 2 : 0)} ${sizes[i]}`;
+};
+
+// Library durations come in milliseconds, watch time in seconds
+const formatHours = (seconds) => {
+  const hours = Math.round(seconds / 3600);
+  return hours >= 48
+    ? `${formatNumber(Math.round(hours / 24))} days`
+    : `${formatNumber(hours)} hours`;
+};
+
+const formatResolution = (value) => {
+  if (value === "4k") return "4K";
+  if (value === "sd") return "SD";
+  return /^\d+$/.test(value) ? `${value}p` : value;
+};
+
+const formatBreakdownValue = (breakdown, value) => {
+  if (value === "unknown") return "Unknown";
+  return breakdown === "resolution"
+    ? formatResolution(value)
+    : String(value).toUpperCase();
+};
+
+const formatWatchTimeLabel = (days) => {
+  if (!days) return "All time";
+  if (days === 1) return "Last 24 hours";
+  return `Last ${days} days`;
+};
+
+const formatDate = (timestamp) =>
+  timestamp
+    ? new Date(timestamp * 1000).toLocaleDateString(undefined, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "";
+
+const SummaryTile = ({ icon: Icon, label, value, detail }) => (
+  <ThemedCard>
+    <div className="flex items-center gap-4">
+      <div className="p-3 rounded-lg bg-accent-lighter">
+        <Icon size={20} className="text-accent-base" />
+      </div>
+      <div className="min-w-0">
+        <p className="text-xs text-theme-muted uppercase tracking-wide">
+          {label}
+        </p>
+        <p className="text-xl font-semibold text-white truncate">{value}</p>
+        {detail && (
+          <p className="text-xs text-theme-muted truncate">{detail}</p>
+        )}
+      </div>
+    </div>
+  </ThemedCard>
+);
+
+// Segmented control, as on the statistics page
+const OptionToggle = ({ options, value, onChange }) => (
+  <div className="flex flex-wrap items-center gap-1 p-1 bg-gray-800/50 rounded-lg border border-accent">
+    {options.map((option) => (
+      <button
+        key={option.value}
+        onClick={() => onChange(option.value)}
+        className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+          value === option.value
+            ? "bg-accent-light text-white"
+            : "text-theme-muted hover:text-white"
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+// Share of the library per resolution, codec, container or dynamic range
+const BreakdownList = ({ groups, breakdown, total }) => {
+  if (!groups?.length) {
+    return (
+      <p className="text-sm text-theme-muted">
+        {breakdown === "dynamicRange"
+          ? "Dynamic range is only known for movie libraries."
+          : "Nothing to show."}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {groups.map((group) => (
+        <div key={group.value}>
+          <div className="flex justify-between gap-4 text-sm mb-1">
+            <span className="text-white truncate">
+              {formatBreakdownValue(breakdown, group.value)}
+            </span>
+            <span className="text-theme-muted shrink-0">
+              {formatNumber(group.count)} items
+              {group.size > 0 && ` · ${formatFileSize(group.size)}`}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-800/50 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-accent-light to-accent-hover rounded-full"
+              style={{ width: `${(group.count / Math.max(1, total)) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Poster = ({ item, className }) => {
+  const [failed, setFailed] = useState(false);
+
+  if (failed) {
+    return (
+      <div
+        className={`flex items-center justify-center bg-gray-800/50 ${className}`}
+      >
+        <Icons.Image size={14} className="text-theme-muted" />
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={withPosterSize(item.poster, "thumb")}
+      alt=""
+      loading="lazy"
+      onError={() => setFailed(true)}
+      className={`object-cover bg-gray-800/50 ${className}`}
+    />
+  );
+};
+
+const LibrarySkeleton = () => (
+  <div className="space-y-6 animate-pulse">
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      {[...Array(4)].map((_, i) => (
+        <div key={i} className="h-20 bg-gray-800/50 rounded-xl" />
+      ))}
+    </div>
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="h-56 bg-gray-800/50 rounded-xl" />
+      <div className="h-56 bg-gray-800/50 rounded-xl" />
+    </div>
+    <div className="h-72 bg-gray-800/50 rounded-xl" />
+  </div>
+);
+
+const LibraryDetail = () => {
+  const { sectionId } = useParams();
+  const { config } = useConfig();
+  const queryClient = useQueryClient();
+  const [breakdown, setBreakdown] = useState("resolution");
+  const [selectedMedia, setSelectedMedia] = useState(null);
+
+  // Item filters; text fields are applied once typing pauses
+  const [sort, setSort] = useState("added");
+  const [order, setOrder] = useState("desc");
+  const [resolution, setResolution] = useState("");
+  const [inputs, setInputs] = useState({ title: "", year: "", plays: "" });
+  const [filters, setFilters] = useState(inputs);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setFilters(inputs), FILTER_DELAY);
+    return () => clearTimeout(timer);
+  }, [inputs]);
+
+  const fetchDetails = async (refresh = false) => {
+    const response = await axios.get(`/api/libraries/${sectionId}`, {
+      params: refresh ? { refresh: true } : {},
+    });
+    return response.data;
+  };
+
+  const {
+    data: details,
+    isLoading,
+    isError,
+    error,
+  } = useQuery(["library", sectionId], () => fetchDetails(), {
+    enabled: !!config.hasTautulliKey,
+    staleTime: 5 * 60 * 1000,
+    onError: (err) => logError("Failed to load library details:", err),
+  });
+
+  const itemParams = {
+    sort,
+    order,
+    ...(resolution && { resolution }),
+    ...Object.fromEntries(
+      Object.entries(filters)
+        .map(([key, value]) => [key, value.trim()])
+        .filter(([, value]) => value)
+    ),
+  };
+
+  const {
+    data: itemPages,
+    isLoading: isLoadingItems,
+    isError: isItemsError,
+    error: itemsError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
+    ["libraryItems", sectionId, itemParams],
+    async ({ pageParam }) => {
+      const response = await axios.get(`/api/libraries/${sectionId}/items`, {
+        params: {
+          ...itemParams,
+          limit: ITEMS_PAGE_SIZE,
+          ...(pageParam && { cursor: pageParam }),
+        },
+      });
+      return response.data;
+    },
+    {
+      enabled: !!config.hasTautulliKey,
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+      keepPreviousData: true,
+      retry: false,
+      staleTime: 5 * 60 * 1000,
+    }
+  );
+
+  const items = itemPages?.pages.flatMap((page) => page.items) || [];
+  const totalItems = itemPages?.pages[0]?.total ?? 0;
+
+  const sentinelRef = useInfiniteScroll(
+    fetchNextPage,
+    !!hasNextPage && !isFetchingNextPage
+  );
+
+  // Bypass the server-side cache
+  const handleRefresh = async () => {
+    try {
+      queryClient.setQueryData(
+        ["library", sectionId],
+        await fetchDetails(true)
+      );
+      queryClient.invalidateQueries(["libraryItems", sectionId]);
+    } catch (err) {
+      logError("Failed to refresh library details:", err);
+      toast.error("Failed to refresh library");
+    }
+  };
+
+  const library = details?.library;
+  const totals = details?.totals;
+  const sampled = details?.sampled;
+  const TypeIcon = TYPE_ICONS[library?.section_type] || Icons.Book;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="space-y-1">
+          <Link
+            to="/libraries"
+            className="inline-flex items-center gap-1 text-xs text-theme-muted hover:text-white transition-theme"
+          >
+            <Icons.ArrowLeft size={12} />
+            Libraries
+          </Link>
+          <h2 className="flex items-center gap-2 text-2xl font-semibold bg-gradient-to-r from-white to-gray-400 bg-clip-text text-transparent">
+            <TypeIcon size={22} className="text-accent" />
+            {library?.section_name || `Library ${sectionId}`}
+          </h2>
+        </div>
+        <ThemedButton
+          onClick={handleRefresh}
+          variant="accent"
+          icon={Icons.RefreshCw}
+        >
+          Refresh
+        </ThemedButton>
+      </div>
+
+      {isLoading ? (
+        <LibrarySkeleton />
+      ) : isError ? (
+        <ThemedCard className="text-center bg-red-500/10 border-red-500/20">
+          <p className="text-red-400">
+            {error.response?.status === 404
+              ? `There is no library with section id ${sectionId}`
+              : `Error loading library: ${
+                  error.response?.data?.message || error.message
+                }`}
+          </p>
+        </ThemedCard>
+      ) : (
+        details && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+              <SummaryTile
+                icon={Icons.Library}
+                label="Items"
+                value={formatNumber(totals.items)}
+                detail={
+                  library.child_count
+                    ? `${formatNumber(library.child_count)} episodes or tracks`
+                    : null
+                }
+              />
+              <SummaryTile
+                icon={Icons.HardDrive}
+                label="Total size"
+                value={formatFileSize(totals.size)}
+              />
+              <SummaryTile
+                icon={Icons.PlayCircle}
+                label="Plays"
+                value={formatNumber(totals.plays)}
+                detail={
+                  library.last_played ? `Last: ${library.last_played}` : null
+                }
+              />
+              <SummaryTile
+                icon={Icons.Clock}
+                label="Duration"
+                value={
+                  totals.duration === null
+                    ? "Unknown"
+                    : formatHours(totals.duration / 1000)
+                }
+                detail={
+                  totals.duration !== null && sampled.items < sampled.total
+                    ? `Newest ${formatNumber(sampled.items)} of ${formatNumber(
+                        sampled.total
+                      )} items`
+                    : null
+                }
+              />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <ThemedCard
+                title="Breakdown"
+                icon={Icons.PieChart}
+                action={
+                  <OptionToggle
+                    options={BREAKDOWN_OPTIONS}
+                    value={breakdown}
+                    onChange={setBreakdown}
+                  />
+                }
+              >
+                <BreakdownList
+                  groups={details.breakdown[breakdown]}
+                  breakdown={breakdown}
+                  total={
+                    breakdown === "dynamicRange" ? sampled.items : totals.items
+                  }
+                />
+              </ThemedCard>
+
+              <div className="space-y-6">
+                <ThemedCard title="Watch Time" icon={Icons.Timer}>
+                  {details.watchTime.length === 0 ? (
+                    <p className="text-sm text-theme-muted">
+                      No watch time recorded.
+                    </p>
+                  ) : (
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                      {details.watchTime.map((entry) => (
+                        <div
+                          key={entry.days}
+                          className="p-3 rounded-lg bg-gray-800/50"
+                        >
+                          <p className="text-xs text-theme-muted">
+                            {formatWatchTimeLabel(entry.days)}
+                          </p>
+                          <p className="text-white font-medium">
+                            {formatHours(entry.time)}
+                          </p>
+                          <p className="text-xs text-theme-muted">
+                            {formatNumber(entry.plays)} plays
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </ThemedCard>
+
+                <ThemedCard title="Most Watched" icon={Icons.Trophy}>
+                  {details.mostWatched.length === 0 ? (
+                    <p className="text-sm text-theme-muted">
+                      Nothing has been played yet.
+                    </p>
+                  ) : (
+                    <div className="space-y-2">
+                      {details.mostWatched.map((item, index) => (
+                        <button
+                          key={item.rating_key}
+                          onClick={() => setSelectedMedia(item)}
+                          className="w-full flex items-center gap-3 p-1 rounded-lg text-left hover:bg-gray-800/50 transition-theme"
+                        >
+                          <span className="w-5 text-right text-sm text-theme-muted">
+                            {index + 1}
+                          </span>
+                          <Poster item={item} className="h-12 w-8 rounded" />
+                          <div className="min-w-0 flex-1">
+                            <p className="truncate text-sm text-white">
+                              {item.title}
+                            </p>
+                            <p className="text-xs text-theme-muted">
+                              {item.year || ""}
+                            </p>
+                          </div>
+                          <span className="shrink-0 text-sm text-theme-muted">
+                            {formatNumber(item.play_count)} plays
+                          </span>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </ThemedCard>
+              </div>
+            </div>
+          </>
+        )
+      )}
+
+      <ThemedCard
+        title={`Items${itemPages ? ` (${formatNumber(totalItems)})` : ""}`}
+        icon={Icons.List}
+      >
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <input
+            type="search"
+            value={inputs.title}
+            onChange={(e) => setInputs({ ...inputs, title: e.target.value })}
+            placeholder="Title"
+            className="w-48 px-3 py-1.5 rounded-lg bg-gray-800/50 border border-accent text-sm text-white placeholder-gray-500 focus:outline-none"
+          />
+          <input
+            type="text"
+            value={inputs.year}
+            onChange={(e) => setInputs({ ...inputs, year: e.target.value })}
+            placeholder="Year, e.g. 2010-2019"
+            className="w-44 px-3 py-1.5 rounded-lg bg-gray-800/50 border border-accent text-sm text-white placeholder-gray-500 focus:outline-none"
+          />
+          <input
+            type="text"
+            value={inputs.plays}
+            onChange={(e) => setInputs({ ...inputs, plays: e.target.value })}
+            placeholder="Plays, e.g. 0 or 1-"
+            className="w-40 px-3 py-1.5 rounded-lg bg-gray-800/50 border border-accent text-sm text-white placeholder-gray-500 focus:outline-none"
+          />
+          <select
+            value={resolution}
+            onChange={(e) => setResolution(e.target.value)}
+            className="px-3 py-1.5 rounded-lg bg-gray-800/50 border border-accent text-sm text-white focus:outline-none"
+          >
+            {RESOLUTION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <div className="flex items-center gap-2 ml-auto">
+            <OptionToggle
+              options={SORT_OPTIONS}
+              value={sort}
+              onChange={(value) => {
+                setSort(value);
+                setOrder(value === "title" ? "asc" : "desc");
+              }}
+            />
+            <button
+              onClick={() => setOrder(order === "asc" ? "desc" : "asc")}
+              title={order === "asc" ? "Ascending" : "Descending"}
+              className="p-2 rounded-lg bg-gray-800/50 border border-accent text-theme-muted hover:text-white transition-theme"
+            >
+              {order === "asc" ? (
+                <Icons.ArrowUpNarrowWide size={16} />
+              ) : (
+                <Icons.ArrowDownWideNarrow size={16} />
+              )}
+            </button>
+          </div>
+        </div>
+
+        {isItemsError ? (
+          <p className="text-sm text-red-400">
+            {itemsError.response?.data?.message || itemsError.message}
+          </p>
+        ) : isLoadingItems ? (
+          <div className="space-y-2 animate-pulse">
+            {[...Array(5)].map((_, i) => (
+              <div key={i} className="h-14 bg-gray-800/50 rounded-lg" />
+            ))}
+          </div>
+        ) : items.length === 0 ? (
+          <p className="text-sm text-theme-muted">No items match.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-theme-muted uppercase tracking-wide">
+                  <th className="py-2 pr-3 font-medium">Title</th>
+                  <th className="py-2 px-3 font-medium">Year</th>
+                  <th className="py-2 px-3 font-medium">Resolution</th>
+                  <th className="py-2 px-3 font-medium">Added</th>
+                  <th className="py-2 px-3 font-medium text-right">Size</th>
+                  <th className="py-2 pl-3 font-medium text-right">Plays</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item) => (
+                  <tr
+                    key={item.rating_key}
+                    onClick={() => setSelectedMedia(item)}
+                    className="border-t border-gray-800 cursor-pointer hover:bg-gray-800/50 transition-theme"
+                  >
+                    <td className="py-2 pr-3">
+                      <div className="flex items-center gap-3 min-w-0">
+                        <Poster
+                          item={item}
+                          className="h-10 w-7 shrink-0 rounded"
+                        />
+                        <span className="truncate text-white">
+                          {item.title}
+                        </span>
+                      </div>
+                    </td>
+                    <td className="py-2 px-3 text-theme-muted">
+                      {item.year || ""}
+                    </td>
+                    <td className="py-2 px-3 text-theme-muted">
+                      {item.video_resolution
+                        ? formatResolution(item.video_resolution)
+                        : ""}
+                    </td>
+                    <td className="py-2 px-3 text-theme-muted whitespace-nowrap">
+                      {formatDate(item.added_at)}
+                    </td>
+                    <td className="py-2 px-3 text-theme-muted text-right whitespace-nowrap">
+                      {item.file_size ? formatFileSize(item.file_size) : ""}
+                    </td>
+                    <td className="py-2 pl-3 text-theme-muted text-right">
+                      {formatNumber(item.play_count)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {hasNextPage && (
+          <div
+            ref={sentinelRef}
+            className="flex justify-center items-center gap-2 py-4 text-sm text-theme-muted"
+          >
+            <Icons.Loader2 size={16} className="animate-spin text-accent" />
+            Loading more items...
+          </div>
+        )}
+      </ThemedCard>
+
+      {selectedMedia && (
+        <MediaModal
+          media={selectedMedia}
+          onClose={() => setSelectedMedia(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LibraryDetail;
@@ -1,8 +1,9 @@
 // with theme styling applied
 
 import React, { useState, useEffect, useRef } from "react";
-import { useQuery } from "react-query";
+import { useQuery, useQueryClient } from "react-query";
 import { useConfig } from "../../context/ConfigContext";
+import useLiveUpdates from "../../hooks/useLiveUpdates";
 import { useTheme } from "../../context/ThemeContext.jsx";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import * as Icons from "lucide-react";
@@ -163,9 +164,26 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
   );
 };
 
+// Normalise the /api/downloads payload (also pushed by live updates)
+const processActivities = (data) =>
+  (data.activities || []).map((item) => {
+    // Extract raw_data if available in the new format
+    const rawData = item.raw_data || item;
+
+    return {
+      uuid: rawData.uuid || `id-${Math.random().toString(36).substr(2, 9)}`,
+      title: rawData.title || "Unknown",
+      subtitle: rawData.subtitle || "Unknown",
+      progress: typeof rawData.progress === "number" ? rawData.progress : 0,
+      type: rawData.type || "download",
+      ...item, // Include any custom formats from the top level
+    };
+  });
+
 const PlexActivity = () => {
   const { config } = useConfig();
   const { theme } = useTheme();
+  const queryClient = useQueryClient();
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [lastRefreshTime, setLastRefreshTime] = useState(0);
   const refreshInterval = useRef(null);
@@ -183,21 +201,7 @@ const PlexActivity = () => {
       if (data.error) throw new Error(data.message || data.error);
 
       // Ensure activities is an array and process each item to include all required properties
-      const processedActivities = (data.activities || []).map((item) => {
-        // Extract raw_data if available in the new format
-        const rawData = item.raw_data || item;
-
-        return {
-          uuid: rawData.uuid || `id-${Math.random().toString(36).substr(2, 9)}`,
-          title: rawData.title || "Unknown",
-          subtitle: rawData.subtitle || "Unknown",
-          progress: typeof rawData.progress === "number" ? rawData.progress : 0,
-          type: rawData.type || "download",
-          ...item, // Include any custom formats from the top level
-        };
-      });
-
-      return processedActivities;
+      return processActivities(data);
     } catch (error) {
       logError("Error fetching Plex activities:", error);
       throw error;
@@ -209,13 +213,26 @@ const PlexActivity = () => {
     isLoading,
     error,
     refetch,
-  } = useQuery(["plexActivities", config.plexToken], fetchActivities, {
-    enabled: !!config.plexToken,
+  } = useQuery(["plexActivities", config.hasPlexToken], fetchActivities, {
+    enabled: !!config.hasPlexToken,
     refetchInterval: false, // We'll handle manual refresh
     refetchOnWindowFocus: false,
     staleTime: 10000, // 10 seconds
   });
 
+  // Server pushes changed activities, so polling is only a fallback
+  const { isLive } = useLiveUpdates(
+    "downloads",
+    (data) => {
+      queryClient.setQueryData(
+        ["plexActivities", config.hasPlexToken],
+        processActivities(data)
+      );
+      setLastRefreshTime(Date.now());
+    },
+    !!config.hasPlexToken
+  );
+
   const handleRefresh = async () => {
     // Prevent multiple refreshes happening at once
     if (isRefreshing) return;
@@ -234,8 +251,10 @@ const PlexActivity = () => {
     document.body.style.display = "";
   }, [theme]);
 
-  // Setup auto-refresh interval on component mount
+  // Poll only while the live connection is down
   useEffect(() => {
+    if (isLive) return;
+
     // Set initial refresh time
     setLastRefreshTime(Date.now());
 
@@ -250,7 +269,7 @@ const PlexActivity = () => {
         clearInterval(refreshInterval.current);
       }
     };
-  }, []);
+  }, [isLive]);
 
   // Calculate time until next refresh
   const timeUntilNextRefresh = Math.max(
@@ -300,6 +319,11 @@ const PlexActivity = () => {
             </div>
             {isRefreshing ? (
               <span className="text-xs text-theme-muted">Refreshing...</span>
+            ) : isLive ? (
+              <span className="flex items-center gap-1.5 text-xs text-green-400">
+                <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse"></span>
+                Live
+              </span>
             ) : (
               <span className="text-xs text-theme-muted">
                 Auto-refresh in {secondsUntilRefresh}s
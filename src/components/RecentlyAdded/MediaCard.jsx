@@ -5,6 +5,7 @@ import MediaModal from "./MediaModal";
 import axios from "axios";
 import { useQueryClient } from "react-query";
 import * as posterCacheService from "../../services/posterCacheService";
+import { getMusicFields, isMusicItem } from "../../utils/musicFields";
 import toast from "react-hot-toast";
 
 // Global cache for in-memory poster URLs to prevent flickering on tab changes
@@ -61,7 +62,8 @@ const MediaCard = memo(
 
       // Use the cached poster URL from our service
       const posterPath = posterCacheService.getCachedPosterUrl(
-        media.rating_key
+        media.rating_key,
+        "card"
       );
 
       if (posterPath) {
@@ -73,27 +75,23 @@ const MediaCard = memo(
         // If no cached poster, try to get thumb path and cache it
         const thumbPath = posterCacheService.getAppropriateThumbPath(media);
 
-        if (thumbPath && media.apiKey) {
-          // Set temporary URL to Tautulli proxy while we cache it
-          const tempUrl = `/api/tautulli/pms_image_proxy?img=${encodeURIComponent(
+        if (thumbPath) {
+          // Set temporary URL to the image proxy while we cache it
+          const tempUrl = `/api/image-proxy?img=${encodeURIComponent(
             thumbPath
-          )}&apikey=${media.apiKey}&_t=${imageCacheKey}`;
+          )}&_t=${imageCacheKey}`;
 
           setPosterUrl(tempUrl);
 
           // Also request server to cache this poster for next time
           posterCacheService
-            .cachePoster(
-              media.rating_key,
-              thumbPath,
-              media.apiKey,
-              getMediaType()
-            )
+            .cachePoster(media.rating_key, thumbPath, getMediaType())
             .then((success) => {
               if (success && isMounted.current) {
                 // Update with the cached URL
                 const cachedUrl = posterCacheService.getCachedPosterUrl(
-                  media.rating_key
+                  media.rating_key,
+                  "card"
                 );
                 setPosterUrl(cachedUrl);
                 posterUrlCache.set(cacheKey, cachedUrl);
@@ -115,7 +113,7 @@ const MediaCard = memo(
       return () => {
         isMounted.current = false;
       };
-    }, [media.rating_key, media.apiKey, cacheKey, imageCacheKey, getMediaType]);
+    }, [media.rating_key, cacheKey, imageCacheKey, getMediaType]);
 
     // Function to create minimal metadata for caching
     const createMinimalMetadata = (metadata) => {
@@ -171,22 +169,23 @@ const MediaCard = memo(
         let thumbPath = null;
 
         try {
-          const response = await axios.get(`/api/tautulli/api/v2`, {
-            params: {
-              apikey: media.apiKey,
-              cmd: "get_metadata",
-              rating_key: media.rating_key,
-              _t: newCacheKey, // Add cache-busting parameter
-            },
-            headers: {
-              "Cache-Control": "no-cache, no-store, must-revalidate",
-              Pragma: "no-cache",
-              Expires: "0",
-            },
-          });
+          const response = await axios.get(
+            `/api/metadata/${media.rating_key}`,
+            {
+              params: {
+                refresh: true,
+                _t: newCacheKey, // Add cache-busting parameter
+              },
+              headers: {
+                "Cache-Control": "no-cache, no-store, must-revalidate",
+                Pragma: "no-cache",
+                Expires: "0",
+              },
+            }
+          );
 
-          if (response.data?.response?.result === "success") {
-            const metadata = response.data.response.data;
+          if (response.data?.success) {
+            const metadata = response.data.metadata;
 
             // Update the query cache with fresh metadata
             queryClient.setQueryData(
@@ -226,6 +225,13 @@ const MediaCard = memo(
               thumbPath =
                 media.grandparent_thumb || media.parent_thumb || media.thumb;
               break;
+            case "album":
+              thumbPath = media.thumb || media.parent_thumb;
+              break;
+            case "track":
+              // Album art before the artist photo
+              thumbPath = media.parent_thumb || media.grandparent_thumb;
+              break;
             default:
               thumbPath =
                 media.thumb || media.parent_thumb || media.grandparent_thumb;
@@ -235,20 +241,20 @@ const MediaCard = memo(
         }
 
         // Step 3: Generate a direct URL to the Tautulli image
-        if (thumbPath && media.apiKey) {
+        if (thumbPath) {
           // First try to request the server to cache the new poster
           try {
             // This will download the poster to the server cache
             await posterCacheService.cachePoster(
               media.rating_key,
               thumbPath,
-              media.apiKey,
               getMediaType()
             );
 
             // Get the URL to the newly cached poster
             const cachedPosterUrl = posterCacheService.refreshCachedPosterUrl(
-              media.rating_key
+              media.rating_key,
+              "card"
             );
 
             if (cachedPosterUrl) {
@@ -276,9 +282,9 @@ const MediaCard = memo(
           }
 
           // If server caching failed, use direct proxy to Tautulli
-          const directProxyUrl = `/api/tautulli/pms_image_proxy?img=${encodeURIComponent(
+          const directProxyUrl = `/api/image-proxy?img=${encodeURIComponent(
             thumbPath
-          )}&apikey=${media.apiKey}&_t=${newCacheKey}`;
+          )}&_t=${newCacheKey}`;
 
           setPosterUrl(directProxyUrl);
           posterUrlCache.set(cacheKey, directProxyUrl);
@@ -315,7 +321,7 @@ const MediaCard = memo(
 
     // Check resolution from metadata if not already loaded - optimized to minimize API calls
     useEffect(() => {
-      if (resolution || !media || !media.rating_key || !media.apiKey) return;
+      if (resolution || !media || !media.rating_key) return;
 
       if (media.video_full_resolution) {
         setResolution(media.video_full_resolution);
@@ -335,7 +341,6 @@ const MediaCard = memo(
       // This improves performance by reducing unnecessary API calls
     }, [
       media?.rating_key,
-      media?.apiKey,
       resolution,
       queryClient,
       media?.video_full_resolution,
@@ -398,16 +403,26 @@ const MediaCard = memo(
         case "artist":
           return "Artist"; // Simple label for artist
         case "album":
-          // For albums, show artist name
-          return media.parent_title || "Unknown Artist";
         case "track":
-          // For tracks, show artist name
-          return media.grandparent_title || "Unknown Artist";
+          // For albums and tracks, show artist name
+          return getMusicFields(media).artist || "Unknown Artist";
         default:
           return "";
       }
     }
 
+    // Minutes for movies and episodes, m:ss for tracks
+    function getDisplayDuration(duration) {
+      if (getMediaType() !== "track") {
+        return `${Math.round((duration || 0) / 60000)}m`;
+      }
+      const seconds = Math.round((duration || 0) / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+        2,
+        "0"
+      )}`;
+    }
+
     // Date formatting helper for relative added time
     function getRelativeAddedTime(timestamp) {
       if (!timestamp) return "Recently";
@@ -439,9 +454,7 @@ const MediaCard = memo(
         >
           <div
             className={`relative ${
-              getMediaType() === "artist" ||
-              getMediaType() === "album" ||
-              getMediaType() === "track"
+              isMusicItem(media)
                 ? "aspect-[2/2]" // Square aspect ratio for music items
                 : "aspect-[2/3]" // Original aspect ratio for other media types
             } rounded-xl overflow-hidden 
@@ -525,7 +538,11 @@ const MediaCard = memo(
               </>
             ) : (
               <div className="absolute inset-0 flex flex-col items-center justify-center bg-gray-800/50">
-                <Icons.Film size={32} className="text-gray-500 mb-2" />
+                {isMusicItem(media) ? (
+                  <Icons.Disc3 size={32} className="text-gray-500 mb-2" />
+                ) : (
+                  <Icons.Film size={32} className="text-gray-500 mb-2" />
+                )}
                 <span className="text-theme-muted text-sm mb-3">
                   No Preview
                 </span>
@@ -584,7 +601,7 @@ const MediaCard = memo(
               {media.duration && (
                 <div className="flex items-center gap-1 text-gray-400">
                   <Icons.Clock3 size={14} />
-                  <span>{Math.round((media.duration || 0) / 60000)}m</span>
+                  <span>{getDisplayDuration(media.duration)}</span>
                 </div>
               )}
             </div>
@@ -593,11 +610,7 @@ const MediaCard = memo(
 
         {/* Modal is rendered through a portal - only when shown */}
         {showModal && (
-          <MediaModal
-            media={media}
-            onClose={() => setShowModal(false)}
-            apiKey={media.apiKey}
-          />
+          <MediaModal media={media} onClose={() => setShowModal(false)} />
         )}
       </>
     );
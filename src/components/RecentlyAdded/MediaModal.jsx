@@ -6,11 +6,12 @@ import { useTheme } from "../../context/ThemeContext.jsx";
 import axios from "axios";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import * as posterCacheService from "../../services/posterCacheService";
+import { getMusicFields, isMusicItem } from "../../utils/musicFields";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3006";
 
-const MediaModal = ({ media, onClose, apiKey }) => {
+const MediaModal = ({ media, onClose }) => {
   const { accentColor, accentRgb } = useTheme();
   const [isExpanded, setIsExpanded] = useState(false);
   const [showCast, setShowCast] = useState(false);
@@ -29,28 +30,24 @@ const MediaModal = ({ media, onClose, apiKey }) => {
 
       try {
         setIsLoading(true);
-        const response = await axios.get(`/api/tautulli/api/v2`, {
-          params: {
-            apikey: apiKey,
-            cmd: "get_metadata",
-            rating_key: media.rating_key,
-            include_children: true,
-          },
+        const response = await axios.get(`/api/metadata/${media.rating_key}`, {
+          params: { children: true },
         });
 
-        if (response.data?.response?.result === "success") {
+        if (response.data?.success) {
           // Merge metadata with existing media props
           const enhancedMedia = {
             ...media,
-            ...response.data.response.data,
+            ...response.data.metadata,
             // Extract media info details if available
-            ...(response.data.response.data?.media_info?.[0] || {}),
+            ...(response.data.metadata?.media_info?.[0] || {}),
           };
           setMediaDetails(enhancedMedia);
 
           // Get poster URL from cache
           const cachedPosterUrl = posterCacheService.getCachedPosterUrl(
-            media.rating_key
+            media.rating_key,
+            "modal"
           );
           if (cachedPosterUrl) {
             setPosterUrl(cachedPosterUrl);
@@ -63,23 +60,28 @@ const MediaModal = ({ media, onClose, apiKey }) => {
               await posterCacheService.cachePoster(
                 media.rating_key,
                 thumbPath,
-                apiKey,
                 enhancedMedia.media_type
               );
 
               // Now get the cached URL
               setPosterUrl(
-                posterCacheService.getCachedPosterUrl(media.rating_key)
+                posterCacheService.getCachedPosterUrl(media.rating_key, "modal")
               );
             }
           }
 
-          // For art/backdrop, we'll use Tautulli directly since these are less frequently used
-          if (enhancedMedia.art) {
+          // Art is cached by the server like posters
+          if (
+            enhancedMedia.art ||
+            enhancedMedia.parent_art ||
+            enhancedMedia.grandparent_art
+          ) {
             setBackdropUrl(
-              `/api/tautulli/pms_image_proxy?img=${encodeURIComponent(
-                enhancedMedia.art
-              )}&apikey=${apiKey}`
+              posterCacheService.getImageUrl(
+                media.rating_key,
+                "art",
+                "backdrop"
+              )
             );
           }
         } else {
@@ -94,7 +96,7 @@ const MediaModal = ({ media, onClose, apiKey }) => {
     };
 
     fetchMediaDetails();
-  }, [media, apiKey]);
+  }, [media]);
 
   // Create modal root if it doesn't exist
   useEffect(() => {
@@ -141,9 +143,19 @@ const MediaModal = ({ media, onClose, apiKey }) => {
 
   // Use mediaDetails if available, otherwise fall back to the original media object
   const displayData = mediaDetails || media;
+  const isMusic = isMusicItem(displayData);
+  const music = getMusicFields(displayData);
 
   const formatDuration = (ms) => {
     if (!ms) return "";
+    // Tracks are short enough to show seconds
+    if (displayData.media_type?.toLowerCase() === "track") {
+      const seconds = Math.round(ms / 1000);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(
+        2,
+        "0"
+      )}`;
+    }
     const minutes = Math.floor(ms / (1000 * 60));
     const hours = Math.floor(minutes / 60);
     const remainingMinutes = minutes % 60;
@@ -339,10 +351,10 @@ const MediaModal = ({ media, onClose, apiKey }) => {
                 <p className="text-theme">{displayData.studio}</p>
               </div>
             )}
-            {displayData.parent_title && (
+            {music.artist && (
               <div className="space-y-1.5">
                 <h3 className="text-theme-muted text-sm">Artist</h3>
-                <p className="text-theme">{displayData.parent_title}</p>
+                <p className="text-theme">{music.artist}</p>
               </div>
             )}
             {displayData.genres && displayData.genres.length > 0 && (
@@ -365,16 +377,34 @@ const MediaModal = ({ media, onClose, apiKey }) => {
       case "track":
         return (
           <>
-            {displayData.parent_title && (
+            {music.track_number && (
+              <div className="space-y-1.5">
+                <h3 className="text-theme-muted text-sm">Track</h3>
+                <p className="text-theme">
+                  {music.disc_number && `Disc ${music.disc_number} · `}
+                  {music.track_number}
+                </p>
+              </div>
+            )}
+            {music.album && (
               <div className="space-y-1.5">
                 <h3 className="text-theme-muted text-sm">Album</h3>
-                <p className="text-theme">{displayData.parent_title}</p>
+                <p className="text-theme">{music.album}</p>
               </div>
             )}
-            {displayData.grandparent_title && (
+            {music.artist && (
               <div className="space-y-1.5">
                 <h3 className="text-theme-muted text-sm">Artist</h3>
-                <p className="text-theme">{displayData.grandparent_title}</p>
+                <p className="text-theme">{music.artist}</p>
+              </div>
+            )}
+            {displayData.audio_codec && (
+              <div className="space-y-1.5">
+                <h3 className="text-theme-muted text-sm">Audio</h3>
+                <p className="text-theme">
+                  {displayData.audio_codec.toUpperCase()}
+                  {displayData.bitrate && ` · ${displayData.bitrate} kbps`}
+                </p>
               </div>
             )}
             {displayData.studio && (
@@ -521,10 +551,31 @@ const MediaModal = ({ media, onClose, apiKey }) => {
                 </div>
               </div>
 
-              {/* Title */}
-              <h2 className="text-4xl font-bold text-white mb-4 drop-shadow-sm">
-                {displayData.title}
-              </h2>
+              {/* Title, next to the album art for music */}
+              <div className="flex items-end gap-4 mb-4">
+                {isMusic && posterUrl && (
+                  <img
+                    src={posterUrl}
+                    alt={displayData.title || "Album art"}
+                    className="w-28 h-28 rounded-lg object-cover border border-accent/20 shadow-lg"
+                  />
+                )}
+                <div className="min-w-0">
+                  <h2 className="text-4xl font-bold text-white drop-shadow-sm">
+                    {displayData.title}
+                  </h2>
+                  {isMusic &&
+                    music.artist &&
+                    music.artist !== displayData.title && (
+                      <p className="text-lg text-theme mt-1 truncate">
+                        {music.artist}
+                        {music.album &&
+                          music.album !== displayData.title &&
+                          ` · ${music.album}`}
+                      </p>
+                    )}
+                </div>
+              </div>
 
               {/* Metadata */}
               <div className="flex flex-wrap items-center gap-3 text-sm">
@@ -13,9 +13,15 @@ import MediaCard from "./MediaCard";
 import ThemedButton from "../common/ThemedButton";
 import ThemedCard from "../common/ThemedCard";
 import ThemedTabButton from "../common/ThemedTabButton";
-import { useQuery, useQueryClient, useQueries } from "react-query";
+import {
+  useInfiniteQuery,
+  useQuery,
+  useQueryClient,
+  useQueries,
+} from "react-query";
 import toast from "react-hot-toast";
 import * as posterCacheService from "../../services/posterCacheService";
+import useInfiniteScroll from "../../hooks/useInfiniteScroll";
 import axios from "axios";
 
 // Store active tab filter in session storage to preserve between tab switches
@@ -194,6 +200,93 @@ const mapSectionType = (section) => {
   return typeStr;
 };
 
+// Older items are loaded from /api/recent in pages of this size
+const RECENT_PAGE_SIZE = 12;
+
+const RECENT_API_TYPES = {
+  movie: "movies",
+  show: "shows",
+  artist: "music",
+};
+
+// A section's recently added items as a row that loads older items when it
+// is scrolled to the end. The first items come from the section query.
+const SectionMediaRow = ({ section, media }) => {
+  const rowRef = useRef(null);
+  const [loadMore, setLoadMore] = useState(false);
+  const apiType = RECENT_API_TYPES[mapSectionType(section)];
+
+  const { data, fetchNextPage, hasNextPage, isFetching } = useInfiniteQuery(
+    // Nested under the section key so refreshing the section resets it
+    [`section:${section.section_id}`, "more"],
+    async ({ pageParam }) => {
+      const response = await axios.get(`/api/recent/${apiType}`, {
+        params: {
+          section: section.section_id,
+          limit: RECENT_PAGE_SIZE,
+          ...(pageParam ? { cursor: pageParam } : { offset: media.length }),
+        },
+      });
+      return response.data;
+    },
+    {
+      enabled: loadMore && !!apiType,
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+      staleTime: 5 * 60 * 1000,
+      refetchOnWindowFocus: false,
+      onError: (err) =>
+        logError(
+          `Error loading more items for section ${section.section_id}:`,
+          err
+        ),
+    }
+  );
+
+  // New items shift the pages, so anything already shown is skipped
+  const items = useMemo(() => {
+    const seen = new Set();
+    const olderItems = (data?.pages || []).flatMap((page) =>
+      (page.media || []).map((item) => ({
+        ...(item.raw_data || item),
+        section_type: section.type,
+      }))
+    );
+
+    return [...media, ...olderItems].filter((item) => {
+      if (!item.rating_key) return true;
+      if (seen.has(item.rating_key)) return false;
+      seen.add(item.rating_key);
+      return true;
+    });
+  }, [media, data, section.type]);
+
+  const canLoadMore = !!apiType && (data ? !!hasNextPage : true);
+
+  const sentinelRef = useInfiniteScroll(
+    () => (loadMore ? fetchNextPage() : setLoadMore(true)),
+    canLoadMore && !isFetching,
+    { rootRef: rowRef, rootMargin: "0px 400px 0px 0px" }
+  );
+
+  return (
+    <div ref={rowRef} className="flex gap-6 overflow-x-auto pb-4 snap-x">
+      {items.map((item, index) => (
+        <div
+          key={item.rating_key || `unknown-${index}`}
+          className="w-36 sm:w-40 lg:w-44 flex-shrink-0 snap-start"
+        >
+          <MediaCard media={item} />
+        </div>
+      ))}
+      {canLoadMore && (
+        <div ref={sentinelRef} className="w-36 sm:w-40 lg:w-44 flex-shrink-0">
+          <LoadingCard />
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Enhanced RecentlyAdded component with optimized loading
 const RecentlyAdded = () => {
   const { config } = useConfig();
@@ -292,13 +385,13 @@ const RecentlyAdded = () => {
   }, [processedSections]);
 
   // Preload posters for visible media in the background
-  const preloadVisiblePosters = useCallback((mediaItems, apiKey) => {
-    if (postersPreloaded.current || !mediaItems?.length || !apiKey) return;
+  const preloadVisiblePosters = useCallback((mediaItems) => {
+    if (postersPreloaded.current || !mediaItems?.length) return;
 
     // Delay the preloading to prioritize UI rendering
     setTimeout(() => {
       // Only preload posters for the first 12 items per section
-      posterCacheService.preloadPosters(mediaItems.slice(0, 12), apiKey);
+      posterCacheService.preloadPosters(mediaItems.slice(0, 12));
       postersPreloaded.current = true;
     }, 500);
   }, []);
@@ -309,7 +402,7 @@ const RecentlyAdded = () => {
       queryKey: [`section:${sectionId}`],
       queryFn: async () => {
         // Skip if no config available yet
-        if (!config?.tautulliApiKey) return { media: [], section: null };
+        if (!config?.hasTautulliKey) return { media: [], section: null };
 
         try {
           // Check if we have data in cache already from preloading
@@ -327,10 +420,9 @@ const RecentlyAdded = () => {
           // Direct API call to get recently added for this specific section
           const response = await axios.get(`/api/tautulli/api/v2`, {
             params: {
-              apikey: config.tautulliApiKey,
               cmd: "get_recently_added",
               section_id: sectionId,
-              count: 12, // Request enough items to show
+              count: RECENT_PAGE_SIZE, // First page; the row loads the rest
             },
           });
 
@@ -347,14 +439,13 @@ const RecentlyAdded = () => {
           const mediaItems =
             response.data?.response?.data?.recently_added.map((item) => ({
               ...item,
-              apiKey: config.tautulliApiKey,
               section_id: sectionId,
               section_type: section?.type || "unknown",
             })) || [];
 
           // Trigger background poster preloading for this section
           if (mediaItems.length > 0) {
-            preloadVisiblePosters(mediaItems, config.tautulliApiKey);
+            preloadVisiblePosters(mediaItems);
           }
 
           return {
@@ -369,7 +460,7 @@ const RecentlyAdded = () => {
       staleTime: 5 * 60 * 1000, // 5 minute stale time
       cacheTime: 15 * 60 * 1000, // 15 minute cache time
       enabled:
-        !!config?.tautulliApiKey &&
+        !!config?.hasTautulliKey &&
         !isSectionsLoading &&
         !!allSectionIds.length &&
         isVisible, // Only run queries when component is visible
@@ -823,9 +914,8 @@ const RecentlyAdded = () => {
                               await axios.get("/api/clear-image-cache");
 
                               // 2. If section has media items, try to refresh their posters individually
-                              const refreshPromises = sortedMedia
-                                .slice(0, 6)
-                                .map(async (mediaItem) => {
+                              const refreshPromises = sortedMedia.map(
+                                async (mediaItem) => {
                                   try {
                                     if (mediaItem.rating_key) {
                                       // Clear the cache for this specific poster
@@ -838,11 +928,10 @@ const RecentlyAdded = () => {
                                         posterCacheService.getAppropriateThumbPath(
                                           mediaItem
                                         );
-                                      if (thumbPath && mediaItem.apiKey) {
+                                      if (thumbPath) {
                                         return posterCacheService.cachePoster(
                                           mediaItem.rating_key,
                                           thumbPath,
-                                          mediaItem.apiKey,
                                           mediaItem.media_type
                                         );
                                       }
@@ -855,7 +944,8 @@ const RecentlyAdded = () => {
                                     );
                                     return Promise.resolve();
                                   }
-                                });
+                                }
+                              );
 
                               // Wait for all the individual refresh operations to complete
                               await Promise.allSettled(refreshPromises);
@@ -910,14 +1000,10 @@ const RecentlyAdded = () => {
                   {sortedMedia.length === 0 ? (
                     <EmptySection type={sectionType} />
                   ) : (
-                    <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 xl:grid-cols-6 gap-6">
-                      {sortedMedia.slice(0, 6).map((media, mediaIndex) => (
-                        <MediaCard
-                          key={`${media.rating_key || `unknown-${mediaIndex}`}`}
-                          media={media}
-                        />
-                      ))}
-                    </div>
+                    <SectionMediaRow
+                      section={sectionData.section}
+                      media={sortedMedia}
+                    />
                   )}
                 </div>
               );
@@ -4,11 +4,59 @@ import toast from "react-hot-toast";
 import axios from "axios";
 import ThemedCard from "../common/ThemedCard";
 import ThemedButton from "../common/ThemedButton";
+import ApiTokenManager, { ScopeBadge } from "./ApiTokenManager";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:3006";
 
+// Shown in request examples until a token is entered
+const API_KEY_PLACEHOLDER = "YOUR_API_KEY";
+
+// Rewrite a request example so every call sends the X-API-Key header
+const withApiKeyHeader = (example, apiKey) => {
+  const key = apiKey || API_KEY_PLACEHOLDER;
+
+  return {
+    ...example,
+    curlCommand: example.curlCommand
+      // Existing curl commands get an extra -H line
+      .replace(
+        /^(\s*)curl (.+) \\$/gm,
+        `$1curl $2 \\\n$1     -H "X-API-Key: ${key}" \\`
+      )
+      // Bare URLs become curl commands
+      .replace(
+        /^(\s*)([^#\s]\S*\/api\/\S*)$/gm,
+        `$1curl -H "X-API-Key: ${key}" "$2"`
+      ),
+    pythonRequest: example.pythonRequest
+      .replace(
+        /requests\.get\(('[^']*')\)/g,
+        `requests.get($1, headers={'X-API-Key': '${key}'})`
+      )
+      .replace(/headers=\{([^}]*)\}/g, (match, headers) =>
+        headers.includes("X-API-Key")
+          ? match
+          : `headers={${headers}, 'X-API-Key': '${key}'}`
+      ),
+    javascriptFetch: example.javascriptFetch
+      .replace(
+        /fetch\(('[^']*')\)/g,
+        `fetch($1, { headers: { 'X-API-Key': '${key}' } })`
+      )
+      .replace(
+        /headers: \{\n(\s*)/g,
+        `headers: {\n$1'X-API-Key': '${key}',\n$1`
+      ),
+  };
+};
+
+// Find the API key scope that unlocks an endpoint
+const getEndpointScope = (scopes, method, endpoint) =>
+  scopes.find((scope) => scope.routes.includes(`${method} ${endpoint}`))?.id ||
+  "admin:config";
+
 // Reusable Sub-Tab Button Component
 const SubTabButton = ({ active, onClick, children }) => (
   <button
@@ -24,7 +72,7 @@ const SubTabButton = ({ active, onClick, children }) => (
 );
 
 // Request Example Display Component
-const RequestExampleDisplay = ({ examples }) => {
+const RequestExampleDisplay = ({ examples, apiKey }) => {
   const [activeLanguage, setActiveLanguage] = useState("url");
 
   return (
@@ -35,7 +83,7 @@ const RequestExampleDisplay = ({ examples }) => {
           active={activeLanguage === "url"}
           onClick={() => setActiveLanguage("url")}
         >
-          URL
+          cURL
         </SubTabButton>
         <SubTabButton
           active={activeLanguage === "python"}
@@ -52,18 +100,20 @@ const RequestExampleDisplay = ({ examples }) => {
       </div>
 
       {/* Example Code Display */}
-      {examples.map((example, index) => (
-        <div key={index} className="space-y-2">
-          <p className="text-theme-muted text-sm">{example.description}</p>
-          <pre className="bg-gray-900/50 p-4 rounded-lg border border-accent overflow-x-auto">
-            <code className="text-sm text-theme font-mono">
-              {activeLanguage === "url" && example.curlCommand}
-              {activeLanguage === "python" && example.pythonRequest}
-              {activeLanguage === "javascript" && example.javascriptFetch}
-            </code>
-          </pre>
-        </div>
-      ))}
+      {examples
+        .map((example) => withApiKeyHeader(example, apiKey))
+        .map((example, index) => (
+          <div key={index} className="space-y-2">
+            <p className="text-theme-muted text-sm">{example.description}</p>
+            <pre className="bg-gray-900/50 p-4 rounded-lg border border-accent overflow-x-auto">
+              <code className="text-sm text-theme font-mono">
+                {activeLanguage === "url" && example.curlCommand}
+                {activeLanguage === "python" && example.pythonRequest}
+                {activeLanguage === "javascript" && example.javascriptFetch}
+              </code>
+            </pre>
+          </div>
+        ))}
     </div>
   );
 };
@@ -77,6 +127,8 @@ const EndpointCard = ({
   payload,
   requestExamples,
   responseTypes,
+  apiKey,
+  scope,
 }) => {
   const [testResponse, setTestResponse] = useState(null);
   const [testError, setTestError] = useState(null);
@@ -138,10 +190,23 @@ const EndpointCard = ({
     try {
       let response;
       // Use the modified endpoint with replaced parameter values
+      // Test with the entered API token so its scopes are exercised,
+      // otherwise send the session cookie along (the base URL may be another origin)
+      const requestConfig = apiKey
+        ? { headers: { "X-API-Key": apiKey }, withCredentials: false }
+        : { withCredentials: true };
+
       if (method === "GET") {
-        response = await axios.get(`${baseUrl}${modifiedEndpoint}`);
+        response = await axios.get(
+          `${baseUrl}${modifiedEndpoint}`,
+          requestConfig
+        );
       } else if (method === "POST") {
-        response = await axios.post(`${baseUrl}${modifiedEndpoint}`, payload);
+        response = await axios.post(
+          `${baseUrl}${modifiedEndpoint}`,
+          payload,
+          requestConfig
+        );
       }
 
       setTestResponse(response.data);
@@ -236,6 +301,7 @@ const EndpointCard = ({
           <code className="text-white font-mono bg-gray-900/50 px-4 py-2 rounded-lg border border-accent">
             {modifiedEndpoint}
           </code>
+          {scope && <ScopeBadge scope={scope} />}
         </div>
         <div className="flex gap-2">
           <ThemedButton
@@ -291,7 +357,7 @@ const EndpointCard = ({
       {requestExamples && (
         <div className="space-y-4 mb-4">
           <h4 className="text-white font-medium">Request Examples</h4>
-          <RequestExampleDisplay examples={requestExamples} />
+          <RequestExampleDisplay examples={requestExamples} apiKey={apiKey} />
         </div>
       )}
 
@@ -342,13 +408,25 @@ const ApiEndpoints = () => {
   const [baseUrl, setBaseUrl] = useState(API_BASE_URL);
   const [activeTab, setActiveTab] = useState("get");
   const [serverStatus, setServerStatus] = useState("active");
+  const [apiKey, setApiKey] = useState(
+    () => sessionStorage.getItem("apiExampleKey") || ""
+  );
+  const [scopes, setScopes] = useState([]);
+
+  // Load the scope catalogue once
+  useEffect(() => {
+    axios
+      .get("/api/auth/scopes")
+      .then((response) => setScopes(response.data.scopes || []))
+      .catch((error) => logError("Failed to load API scopes:", error));
+  }, []);
 
   useEffect(() => {
     const saved = localStorage.getItem("apiBaseUrl");
     if (saved) setBaseUrl(saved);
 
     // Check server status
-    fetch(`${baseUrl}/api/health`)
+    fetch(`${baseUrl}/api/health`, { credentials: "include" })
       .then((response) => {
         if (response.ok) {
           setServerStatus("active");
@@ -364,6 +442,16 @@ const ApiEndpoints = () => {
     localStorage.setItem("apiBaseUrl", newUrl);
   };
 
+  // Tokens are secrets, so only keep them for this browser session
+  const handleApiKeyChange = (newKey) => {
+    setApiKey(newKey);
+    if (newKey) {
+      sessionStorage.setItem("apiExampleKey", newKey);
+    } else {
+      sessionStorage.removeItem("apiExampleKey");
+    }
+  };
+
   // Constants for endpoint definitions
   const GET_ENDPOINTS = [
     {
@@ -393,6 +481,65 @@ const ApiEndpoints = () => {
         tautulliUrl: "http://localhost:8181",
         hasPlexToken: true,
         hasTautulliKey: true,
+        isDefault: true,
+        profileId: "default",
+        profileName: "Default",
+      },
+    },
+    {
+      endpoint: "/api/profiles",
+      description:
+        "List server profiles. Add ?server=<id> (or all) to any endpoint to pick one.",
+      requestExamples: [
+        {
+          description: "List server profiles",
+          curlCommand: `${baseUrl}/api/profiles`,
+          pythonRequest: `
+  import requests
+  
+  # List server profiles
+  response = requests.get('${baseUrl}/api/profiles')
+  profiles = response.json()['profiles']
+          `.trim(),
+          javascriptFetch: `
+  // List server profiles
+  fetch('${baseUrl}/api/profiles')
+    .then(response => response.json())
+    .then(data => logDebug(data.profiles));
+          `.trim(),
+        },
+        {
+          description: "Recently added movies from every server",
+          curlCommand: `${baseUrl}/api/recent/movies?server=all`,
+          pythonRequest: `
+  import requests
+  
+  # Merge recently added movies of all servers
+  response = requests.get('${baseUrl}/api/recent/movies', params={'server': 'all'})
+  media = response.json()['media']
+          `.trim(),
+          javascriptFetch: `
+  // Merge recently added movies of all servers
+  fetch('${baseUrl}/api/recent/movies?server=all')
+    .then(response => response.json())
+    .then(data => logDebug(data.media));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        profiles: [
+          {
+            id: "default",
+            name: "Default",
+            plexUrl: "http://localhost:32400",
+            tautulliUrl: "http://localhost:8181",
+            hasPlexToken: true,
+            hasTautulliKey: true,
+            isDefault: true,
+          },
+        ],
+        current: "default",
       },
     },
     {
@@ -428,6 +575,48 @@ const ApiEndpoints = () => {
         },
       },
     },
+    {
+      endpoint: "/api/health/tautulli",
+      description:
+        "Per-command metrics for the server's Tautulli API client (calls, retries, coalesced requests, latency).",
+      requestExamples: [
+        {
+          description: "Get Tautulli client metrics",
+          curlCommand: `${baseUrl}/api/health/tautulli`,
+          pythonRequest: `
+  import requests
+
+  response = requests.get('${baseUrl}/api/health/tautulli')
+  metrics = response.json()['metrics']
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/health/tautulli')
+    .then(response => response.json())
+    .then(data => logDebug(data.metrics));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        metrics: {
+          since: "2024-02-23T12:00:00.000Z",
+          inFlight: 0,
+          settings: { timeout: 15000, retries: 2, retryDelay: 500 },
+          commands: {
+            get_activity: {
+              calls: 42,
+              successes: 41,
+              failures: 1,
+              retries: 2,
+              coalesced: 5,
+              avgDurationMs: 118,
+              maxDurationMs: 904,
+              lastError: "Tautulli request timed out",
+            },
+          },
+        },
+      },
+    },
     {
       endpoint: "/api/formats",
       description: "Get all configured format templates.",
@@ -461,6 +650,85 @@ const ApiEndpoints = () => {
             template: "{title} ({year})",
           },
         ],
+        revision: 12,
+      },
+    },
+    {
+      endpoint: "/api/formats/history",
+      description:
+        "List saved revisions of the format templates. GET /api/formats/history/:revision returns one revision and its changes.",
+      requestExamples: [
+        {
+          description: "List format revisions",
+          curlCommand: `${baseUrl}/api/formats/history`,
+          pythonRequest: `
+  import requests
+  
+  response = requests.get('${baseUrl}/api/formats/history')
+  revisions = response.json()['revisions']
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/formats/history')
+    .then(response => response.json())
+    .then(data => logDebug(data.revisions));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        revision: 12,
+        revisions: [
+          {
+            revision: 12,
+            savedAt: "2024-02-23T12:00:00.000Z",
+            author: "admin",
+            summary: "Updated recentlyAdded formats",
+            counts: {
+              downloads: 1,
+              recentlyAdded: 3,
+              users: 2,
+              sections: 0,
+              libraries: 1,
+              sessions: 1,
+            },
+          },
+        ],
+      },
+    },
+    {
+      endpoint: "/api/formats/export/:type",
+      description:
+        "Download the formats of one type as a format pack. POST a pack to /api/formats/import to add it to another dashboard.",
+      requestExamples: [
+        {
+          description: "Export stream formats",
+          curlCommand: `${baseUrl}/api/formats/export/sessions`,
+          pythonRequest: `
+  import requests
+  
+  response = requests.get('${baseUrl}/api/formats/export/sessions')
+  pack = response.json()
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/formats/export/sessions')
+    .then(response => response.json())
+    .then(pack => logDebug(pack.formats));
+          `.trim(),
+        },
+      ],
+      example: {
+        format: "plex-tautulli-dashboard/format-pack",
+        version: 1,
+        name: "sessions formats",
+        description: "",
+        type: "sessions",
+        requiredVariables: ["friendly_name", "progress_percent", "title"],
+        formats: [
+          {
+            name: "status",
+            template: "{friendly_name}: {title} ({progress_percent}%)",
+          },
+        ],
       },
     },
     {
@@ -499,7 +767,8 @@ const ApiEndpoints = () => {
     },
     {
       endpoint: "/api/libraries",
-      description: "Get all Plex media libraries.",
+      description:
+        "Get all Plex media libraries. Pass limit with offset or cursor to page through them; without a limit up to 500 are returned.",
       requestExamples: [
         {
           description: "Retrieve all libraries",
@@ -519,24 +788,150 @@ const ApiEndpoints = () => {
           `.trim(),
         },
       ],
-      example: [
+      example: {
+        total: 2,
+        offset: 0,
+        limit: 500,
+        hasMore: false,
+        nextCursor: null,
+        next: null,
+        libraries: [
+          {
+            raw_data: {
+              section_id: 1,
+              section_type: "movie",
+              section_name: "Movies",
+              count: 500,
+              media_type: "movies",
+            },
+          },
+          {
+            raw_data: {
+              section_id: 2,
+              section_type: "show",
+              section_name: "TV Shows",
+              count: 250,
+              media_type: "shows",
+            },
+          },
+        ],
+      },
+    },
+    {
+      endpoint: "/api/libraries/:sectionId",
+      description:
+        "Get one library's totals (items, size, plays, duration), its breakdown by resolution, video and audio codec, container and dynamic range, Tautulli's watch time stats and the 10 most watched items. Duration and dynamic range come from the newest LIBRARY_METADATA_SAMPLE movies (see sampled). Cached for 5 minutes; pass refresh=true to bypass the cache.",
+      requestExamples: [
         {
+          description: "Get the details of library 1",
+          curlCommand: `${baseUrl}/api/libraries/1`,
+          pythonRequest: `
+  import requests
+  
+  details = requests.get('${baseUrl}/api/libraries/1').json()
+  print(details['totals']['size'], details['breakdown']['resolution'])
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/libraries/1')
+    .then(response => response.json())
+    .then(details => logDebug(details.totals, details.mostWatched));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        library: {
           section_id: 1,
-          section_type: "movie",
           section_name: "Movies",
+          section_type: "movie",
           count: 500,
         },
+        totals: {
+          items: 500,
+          size: 2199023255552,
+          plays: 1250,
+          duration: 3600000000,
+        },
+        breakdown: {
+          resolution: [
+            { value: "1080", count: 320, size: 1099511627776 },
+            { value: "4k", count: 120, size: 879609302220 },
+          ],
+          videoCodec: [{ value: "h264", count: 380, size: 1319413953331 }],
+          dynamicRange: [{ value: "SDR", count: 80, size: 219902325555 }],
+        },
+        mostWatched: [
+          {
+            rating_key: "12345",
+            title: "Inception",
+            year: 2010,
+            play_count: 14,
+            poster: "/api/posters/12345",
+          },
+        ],
+        watchTime: [
+          { days: 1, plays: 3, time: 18000 },
+          { days: 7, plays: 21, time: 126000 },
+          { days: 30, plays: 80, time: 480000 },
+          { days: 0, plays: 1250, time: 7500000 },
+        ],
+        sampled: { items: 100, total: 500 },
+      },
+    },
+    {
+      endpoint: "/api/libraries/:sectionId/items",
+      description:
+        "Get the items of one library, 50 at a time, with the filters and sorting of /api/media/:type: title, year, plays, genre, resolution, rating, contentRating, addedAfter/addedBefore and sort of added, title, year, rating, plays or resolution.",
+      requestExamples: [
         {
-          section_id: 2,
-          section_type: "show",
-          section_name: "TV Shows",
-          count: 250,
+          description: "Unwatched 4K movies, A to Z",
+          curlCommand: `${baseUrl}/api/libraries/1/items?resolution=4k&plays=0&sort=title`,
+          pythonRequest: `
+  import requests
+  
+  response = requests.get(
+      '${baseUrl}/api/libraries/1/items',
+      params={'resolution': '4k', 'plays': '0', 'sort': 'title'},
+  )
+  unwatched = response.json()['items']
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/libraries/1/items?resolution=4k&plays=0&sort=title')
+    .then(response => response.json())
+    .then(page => logDebug(page.items, page.hasMore));
+          `.trim(),
         },
       ],
+      example: {
+        total: 42,
+        offset: 0,
+        limit: 50,
+        hasMore: false,
+        nextCursor: null,
+        next: null,
+        truncated: false,
+        library: {
+          section_id: 1,
+          section_name: "Movies",
+          section_type: "movie",
+        },
+        items: [
+          {
+            rating_key: "12345",
+            title: "Arrival",
+            year: 2016,
+            video_resolution: "4k",
+            play_count: 0,
+            file_size: 61203283968,
+            added_at: "1700000000",
+            poster: "/api/posters/12345",
+          },
+        ],
+      },
     },
     {
       endpoint: "/api/sections",
-      description: "Get all saved library sections.",
+      description: "Get all saved library sections. Pages like /api/libraries.",
       requestExamples: [
         {
           description: "Retrieve saved sections",
@@ -556,6 +951,11 @@ const ApiEndpoints = () => {
       ],
       example: {
         total: 2,
+        offset: 0,
+        limit: 500,
+        hasMore: false,
+        nextCursor: null,
+        next: null,
         sections: [
           {
             section_id: 1,
@@ -570,26 +970,53 @@ const ApiEndpoints = () => {
     },
     {
       endpoint: "/api/users",
-      description: "Get users with activity and custom formatting.",
+      description:
+        "Get users with activity and custom formatting, watching users first, then by last seen. Returns 50 users per page; pass limit (max 500) and the nextCursor of the previous page (or offset) to get the next.",
       requestExamples: [
         {
-          description: "Retrieve all users",
-          curlCommand: `${baseUrl}/api/users`,
+          description: "Page through all users",
+          curlCommand: `
+  # First 25 users
+  ${baseUrl}/api/users?limit=25
+  
+  # Next page, using nextCursor from the previous response
+  ${baseUrl}/api/users?limit=25&cursor=b2Zmc2V0OjI1
+          `.trim(),
           pythonRequest: `
   import requests
   
-  response = requests.get('${baseUrl}/api/users')
-  users = response.json()
+  users = []
+  params = {'limit': 100}
+  while True:
+      page = requests.get('${baseUrl}/api/users', params=params).json()
+      users.extend(page['users'])
+      if not page['hasMore']:
+          break
+      params['cursor'] = page['nextCursor']
           `.trim(),
           javascriptFetch: `
-  fetch('${baseUrl}/api/users')
-    .then(response => response.json())
-    .then(users => logDebug(users));
+  // Follow the next links until every user is loaded
+  const loadAllUsers = async () => {
+    const users = [];
+    let url = '${baseUrl}/api/users?limit=100';
+    while (url) {
+      const page = await fetch(url).then(response => response.json());
+      users.push(...page.users);
+      url = page.next ? '${baseUrl}' + page.next : null;
+    }
+    return users;
+  };
+  loadAllUsers().then(users => logDebug(users));
           `.trim(),
         },
       ],
       example: {
-        total: 5,
+        total: 120,
+        offset: 0,
+        limit: 50,
+        hasMore: true,
+        nextCursor: "b2Zmc2V0OjUw",
+        next: "/api/users?cursor=b2Zmc2V0OjUw",
         users: [
           {
             user_id: 1,
@@ -604,30 +1031,272 @@ const ApiEndpoints = () => {
         ],
       },
     },
+    {
+      endpoint: "/api/users/:userId",
+      description:
+        "Get one user's profile, watch time stats, players, most watched shows, artists and movies, favourite genres, IP addresses and current sessions. Most watched, genres and IP addresses come from the newest USER_HISTORY_SAMPLE plays (see totals.sampled). Cached for 5 minutes apart from the sessions; pass refresh=true to bypass the cache.",
+      requestExamples: [
+        {
+          description: "Get the details of user 12345",
+          curlCommand: `${baseUrl}/api/users/12345`,
+          pythonRequest: `
+  import requests
+  
+  user = requests.get('${baseUrl}/api/users/12345').json()
+  print(user['mostWatched'][0]['title'], user['genres'])
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/users/12345')
+    .then(response => response.json())
+    .then(user => logDebug(user.players, user.sessions));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        user: {
+          user_id: 12345,
+          username: "johndoe",
+          friendly_name: "John Doe",
+          is_active: true,
+          is_admin: false,
+        },
+        totals: { plays: 1520, sampled: 1000 },
+        watchTime: [
+          { days: 1, plays: 2, time: 5400 },
+          { days: 7, plays: 12, time: 32400 },
+          { days: 30, plays: 48, time: 129600 },
+          { days: 0, plays: 1520, time: 4104000 },
+        ],
+        players: [
+          { player: "Living Room", platform: "Roku", plays: 980, time: 0 },
+        ],
+        mostWatched: [
+          {
+            rating_key: "2001",
+            title: "Show Name",
+            media_type: "show",
+            plays: 62,
+            duration: 160000,
+            last_played: 1706123456,
+            poster: "/api/posters/2001",
+          },
+        ],
+        genres: [{ genre: "Drama", plays: 410, titles: 9 }],
+        ipAddresses: [
+          {
+            ip_address: "203.0.113.10",
+            plays: 870,
+            last_seen: 1706123456,
+            platforms: ["Roku"],
+          },
+        ],
+        sessions: [],
+      },
+    },
+    {
+      endpoint: "/api/users/:userId/history",
+      description:
+        "Get one user's plays from Tautulli, newest first, 25 at a time (limit up to 200, with offset or cursor).",
+      requestExamples: [
+        {
+          description: "Latest plays of user 12345",
+          curlCommand: `${baseUrl}/api/users/12345/history?limit=10`,
+          pythonRequest: `
+  import requests
+  
+  plays = requests.get('${baseUrl}/api/users/12345/history', params={'limit': 10}).json()['history']
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/users/12345/history?limit=10')
+    .then(response => response.json())
+    .then(page => logDebug(page.history, page.hasMore));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        total: 1520,
+        offset: 0,
+        limit: 10,
+        hasMore: true,
+        nextCursor: "b2Zmc2V0OjEw",
+        next: "/api/users/12345/history?limit=10&cursor=b2Zmc2V0OjEw",
+        history: [
+          {
+            id: 48213,
+            date: 1706123456,
+            duration: 2580,
+            media_type: "episode",
+            rating_key: "2005",
+            title: "Episode Title",
+            grandparent_title: "Show Name",
+            parent_media_index: "1",
+            media_index: "5",
+            player: "Living Room",
+            platform: "Roku",
+            ip_address: "203.0.113.10",
+            percent_complete: 98,
+            watched: true,
+            poster: "/api/posters/2001",
+          },
+        ],
+      },
+    },
+    {
+      endpoint: "/api/history",
+      description:
+        "Query the watch history stored by the dashboard. Filter by user, library section, media type and date range; results are paginated, newest first, with page and pageSize or with limit and offset/cursor like the other list endpoints.",
+      requestExamples: [
+        {
+          description: "Episodes watched by a user in January",
+          curlCommand: `${baseUrl}/api/history?user=12345&mediaType=episode&from=2024-01-01&to=2024-01-31&page=1&pageSize=25`,
+          pythonRequest: `
+  import requests
+
+  params = {
+      'user': 12345,
+      'section': 2,
+      'mediaType': 'episode',
+      'from': '2024-01-01',
+      'to': '2024-01-31',
+      'page': 1,
+      'pageSize': 25,
+  }
+  response = requests.get('${baseUrl}/api/history', params=params)
+  history = response.json()['history']
+          `.trim(),
+          javascriptFetch: `
+  const params = new URLSearchParams({
+    user: '12345',
+    mediaType: 'movie',
+    from: '2024-01-01',
+    page: '1',
+  });
+  fetch(\`${baseUrl}/api/history?\${params}\`)
+    .then(response => response.json())
+    .then(data => logDebug(data.history));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        total: 132,
+        page: 1,
+        pageSize: 25,
+        totalPages: 6,
+        offset: 0,
+        limit: 25,
+        hasMore: true,
+        nextCursor: "b2Zmc2V0OjI1",
+        next: "/api/history?user=12345&pageSize=25&cursor=b2Zmc2V0OjI1",
+        lastSync: "2024-02-23T12:30:00.000Z",
+        history: [
+          {
+            id: 48213,
+            date: 1706123456,
+            user_id: "12345",
+            friendly_name: "John Doe",
+            media_type: "episode",
+            full_title: "Show Name - Episode Title",
+            section_id: "2",
+            section_name: "TV Shows",
+            play_duration: 2580,
+            percent_complete: 98,
+            watched_status: 1,
+          },
+        ],
+      },
+    },
+    {
+      endpoint: "/api/sessions",
+      description:
+        "Get the current playback sessions with player, location, transcode decisions, resolutions, bitrates and total LAN/WAN bandwidth. Custom stream formats are applied to every session.",
+      requestExamples: [
+        {
+          description: "Get active streams",
+          curlCommand: `${baseUrl}/api/sessions`,
+          pythonRequest: `
+  import requests
+
+  response = requests.get('${baseUrl}/api/sessions')
+  data = response.json()
+  for session in data['sessions']:
+      stream = session['raw_data']
+      print(stream['friendly_name'], stream['transcode_decision'], stream['formatted_bandwidth'])
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/sessions')
+    .then(response => response.json())
+    .then(data => logDebug(data.bandwidth, data.sessions));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        total: 1,
+        streamCounts: { directPlay: 0, directStream: 0, transcode: 1 },
+        bandwidth: { total: 10500, lan: 0, wan: 10500 },
+        sessions: [
+          {
+            "Stream Summary": "John Doe - Transcode (1080p → 720p)",
+            raw_data: {
+              session_key: "42",
+              friendly_name: "John Doe",
+              full_title: "Show Name - Episode Title",
+              state: "playing",
+              player: "Living Room TV",
+              platform: "Roku",
+              product: "Plex for Roku",
+              ip_address: "203.0.113.10",
+              location: "wan",
+              city: "Berlin",
+              country: "Germany",
+              transcode_decision: "transcode",
+              video_decision: "transcode",
+              audio_decision: "direct stream",
+              video_resolution: "1080p",
+              stream_video_resolution: "720p",
+              bitrate: 12000,
+              stream_bitrate: 4000,
+              bandwidth: 10500,
+              formatted_bandwidth: "10.5 Mbps",
+              progress_percent: 37,
+            },
+          },
+        ],
+      },
+    },
     {
       endpoint: "/api/media/:type",
       description:
-        "Get detailed media information with optional filtering and advanced options.",
+        "Get movies, shows or music artists from your libraries, filtered, sorted and paged. Filters combine; genre, rating and contentRating look up each item's metadata, so only the newest items (MEDIA_FILTER_SCAN_LIMIT, default 500) are checked for them; truncated is true when older items were skipped.",
       requestExamples: [
         {
-          description: "Get all movies",
+          description: "Get movies",
           curlCommand: `
-    # Get all movies
+    # Get the 10 newest movies
     ${baseUrl}/api/media/movies
     
     # Get movies from a specific section
     ${baseUrl}/api/media/movies?section=1
     
-    # Limit number of results
-    ${baseUrl}/api/media/movies?count=10
+    # Get the next page of 25
+    ${baseUrl}/api/media/movies?limit=25&offset=25
+    
+    # 4K movies from the 2010s, A to Z
+    ${baseUrl}/api/media/movies?year=2010-2019&resolution=4K&sort=title
+    
+    # Movies added since the start of the year
+    ${baseUrl}/api/media/movies?addedAfter=2024-01-01
     
-    # Advanced filtering
-    ${baseUrl}/api/media/movies?year=2010&resolution=4K
+    # Artists of the music libraries, A to Z
+    ${baseUrl}/api/media/music?sort=title
           `.trim(),
           pythonRequest: `
     import requests
     
-    # Get all movies
+    # Get the 10 newest movies
     response = requests.get('${baseUrl}/api/media/movies')
     movies = response.json()
     
@@ -635,16 +1304,26 @@ const ApiEndpoints = () => {
     response = requests.get('${baseUrl}/api/media/movies?section=1')
     section_movies = response.json()
     
-    # Limit number of results
-    response = requests.get('${baseUrl}/api/media/movies?count=10')
-    limited_movies = response.json()
+    # Walk through all movies, 50 at a time
+    offset = 0
+    while True:
+        page = requests.get(
+            '${baseUrl}/api/media/movies',
+            params={'limit': 50, 'offset': offset},
+        ).json()
+        offset += len(page['media'])
+        if not page['hasMore']:
+            break
     
-    # Advanced filtering
-    response = requests.get('${baseUrl}/api/media/movies?year=2010&resolution=4K')
+    # 4K movies from the 2010s, A to Z
+    response = requests.get(
+        '${baseUrl}/api/media/movies',
+        params={'year': '2010-2019', 'resolution': '4K', 'sort': 'title'},
+    )
     filtered_movies = response.json()
           `.trim(),
           javascriptFetch: `
-    // Get all movies
+    // Get the 10 newest movies
     fetch('${baseUrl}/api/media/movies')
       .then(response => response.json())
       .then(movies => logDebug(movies));
@@ -654,20 +1333,20 @@ const ApiEndpoints = () => {
       .then(response => response.json())
       .then(sectionMovies => logDebug(sectionMovies));
     
-    // Limit number of results
-    fetch('${baseUrl}/api/media/movies?count=10')
+    // Get the next page of 25
+    fetch('${baseUrl}/api/media/movies?limit=25&offset=25')
       .then(response => response.json())
-      .then(limitedMovies => logDebug(limitedMovies));
+      .then(page => logDebug(page.media, page.hasMore));
     
-    // Advanced filtering
-    fetch('${baseUrl}/api/media/movies?year=2010&resolution=4K')
+    // 4K movies from the 2010s, A to Z
+    fetch('${baseUrl}/api/media/movies?year=2010-2019&resolution=4K&sort=title')
       .then(response => response.json())
       .then(filteredMovies => logDebug(filteredMovies));
           `.trim(),
         },
         {
           description: "Get TV shows with advanced filtering",
-          curlCommand: `${baseUrl}/api/media/shows?genre=Drama&rating=8`,
+          curlCommand: `${baseUrl}/api/media/shows?genre=Drama&rating=8&sort=rating`,
           pythonRequest: `
     import requests
     
@@ -675,12 +1354,12 @@ const ApiEndpoints = () => {
     response = requests.get('${baseUrl}/api/media/shows?genre=Drama')
     drama_shows = response.json()
     
-    # Get shows with high rating
-    response = requests.get('${baseUrl}/api/media/shows?rating=8')
+    # Get shows rated 8 or higher, best first
+    response = requests.get('${baseUrl}/api/media/shows?rating=8&sort=rating')
     highly_rated_shows = response.json()
     
     # Combine filters
-    response = requests.get('${baseUrl}/api/media/shows?genre=Drama&rating=8&year=2020')
+    response = requests.get('${baseUrl}/api/media/shows?genre=Drama,Crime&rating=8&year=2020-')
     specific_shows = response.json()
           `.trim(),
           javascriptFetch: `
@@ -689,64 +1368,48 @@ const ApiEndpoints = () => {
       .then(response => response.json())
       .then(dramaShows => logDebug(dramaShows));
     
-    // Get shows with high rating
-    fetch('${baseUrl}/api/media/shows?rating=8')
+    // Get shows rated 8 or higher, best first
+    fetch('${baseUrl}/api/media/shows?rating=8&sort=rating')
       .then(response => response.json())
       .then(highlyRatedShows => logDebug(highlyRatedShows));
     
     // Combine filters
-    fetch('${baseUrl}/api/media/shows?genre=Drama&rating=8&year=2020')
+    fetch('${baseUrl}/api/media/shows?genre=Drama,Crime&rating=8&year=2020-')
       .then(response => response.json())
       .then(specificShows => logDebug(specificShows));
           `.trim(),
         },
       ],
       example: {
-        movies: {
-          total: 50,
-          sections: [
-            { id: 1, name: "Main Movies" },
-            { id: 2, name: "4K Movies" },
-          ],
-          media: [
-            {
+        total: 42,
+        offset: 0,
+        limit: 10,
+        hasMore: true,
+        nextCursor: "b2Zmc2V0OjEw",
+        next: "/api/media/movies?cursor=b2Zmc2V0OjEw",
+        truncated: false,
+        sections: [
+          { id: 1, name: "Main Movies" },
+          { id: 2, name: "4K Movies" },
+        ],
+        media: [
+          {
+            "Custom Movie Format": "Inception (4K) - Christopher Nolan",
+            media: {
+              rating_key: "12345",
               title: "Inception",
               year: 2010,
               rating: "8.8",
+              content_rating: "PG-13",
               duration: 148,
               directors: ["Christopher Nolan"],
               genres: ["Sci-Fi", "Action"],
-              video_full_resolution: "4K",
+              video_full_resolution: "4k",
+              added_at: "1625097600",
               section_id: 2,
-              formatted: {
-                "Custom Movie Format": "Inception (4K) - Christopher Nolan",
-              },
-            },
-          ],
-        },
-        shows: {
-          total: 75,
-          sections: [
-            { id: 3, name: "TV Shows" },
-            { id: 4, name: "Completed Series" },
-          ],
-          media: [
-            {
-              title: "Live Free or Die",
-              grandparent_title: "Breaking Bad",
-              year: 2012,
-              parent_media_index: 5,
-              media_index: 1,
-              directors: ["Vince Gilligan"],
-              genres: ["Crime", "Drama"],
-              video_full_resolution: "1080p",
-              section_id: 3,
-              formatted: {
-                "Custom Show Format": "Breaking Bad - S05E01",
-              },
             },
-          ],
-        },
+          },
+        ],
       },
       queryParameters: [
         {
@@ -755,46 +1418,86 @@ const ApiEndpoints = () => {
           description: "Filter media by specific library section ID",
         },
         {
-          name: "count",
+          name: "limit",
           type: "number",
-          description: "Limit the number of results returned (default: 50)",
+          description:
+            "Number of results per page (default: 10, max: 200; count is accepted as an alias)",
         },
         {
-          name: "year",
+          name: "offset",
           type: "number",
-          description: "Filter media by release year",
+          description: "Number of results to skip, for paging",
+        },
+        {
+          name: "cursor",
+          type: "string",
+          description:
+            "nextCursor of the previous page; used instead of offset",
+        },
+        {
+          name: "year",
+          type: "string",
+          description:
+            "Filter by release year or range (e.g., '2010', '2010-2019', '2015-')",
         },
         {
           name: "genre",
           type: "string",
-          description: "Filter media by genre",
+          description:
+            "Filter by genre; separate several with commas to match any of them",
         },
         {
           name: "rating",
           type: "number",
           description: "Filter media by minimum rating",
         },
+        {
+          name: "contentRating",
+          type: "string",
+          description:
+            "Filter by content rating, comma separated (e.g., 'PG-13,R')",
+        },
         {
           name: "resolution",
           type: "string",
-          description: "Filter media by video resolution (e.g., '4K', '1080p')",
+          description:
+            "Filter by video resolution, comma separated (e.g., '4K', '1080p', 'sd')",
+        },
+        {
+          name: "addedAfter",
+          type: "string",
+          description:
+            "Only media added after this date or Unix timestamp (e.g., '2024-01-01')",
+        },
+        {
+          name: "addedBefore",
+          type: "string",
+          description: "Only media added before this date or Unix timestamp",
         },
         {
           name: "sort",
           type: "string",
-          description: "Sort results (options: 'year', 'rating', 'added_date')",
+          description:
+            "Sort results (options: 'added' (default), 'title', 'year', 'rating', 'plays')",
         },
         {
           name: "order",
           type: "string",
-          description: "Sort order for sorted results (asc/desc)",
+          description:
+            "Sort order (asc/desc; default: asc for title, desc otherwise)",
+        },
+        {
+          name: "output",
+          type: "string",
+          description:
+            "Render all formats with one output type (plain, html, markdown, json)",
         },
       ],
     },
     {
       endpoint: "/api/recent/:type",
       description:
-        "Get recently added media for a specific type (movies, shows, music).",
+        "Get recently added media for a specific type (movies, shows, music), newest first. Returns 50 items per page; pass limit and the nextCursor of the previous page (or offset) for older items. Tautulli can't count recently added items, so total is null until the last page is reached. Add output=plain|html|markdown|json to render all formats with one output type.",
       requestExamples: [
         {
           description: "Get recent movies",
@@ -804,6 +1507,12 @@ const ApiEndpoints = () => {
   
   # Get recent movies from a specific section
   ${baseUrl}/api/recent/movies?section=1
+  
+  # Get recent movies with HTML-escaped formats
+  ${baseUrl}/api/recent/movies?output=html
+  
+  # Get the next 20 older movies
+  ${baseUrl}/api/recent/movies?limit=20&offset=20
           `.trim(),
           pythonRequest: `
   import requests
@@ -830,7 +1539,12 @@ const ApiEndpoints = () => {
         },
       ],
       example: {
-        total: 10,
+        total: null,
+        offset: 0,
+        limit: 50,
+        hasMore: true,
+        nextCursor: "b2Zmc2V0OjUw",
+        next: "/api/recent/movies?cursor=b2Zmc2V0OjUw",
         media: [
           {
             "Movie Title": "Inception (2010)",
@@ -849,6 +1563,64 @@ const ApiEndpoints = () => {
         ],
       },
     },
+    {
+      endpoint: "/api/search",
+      description:
+        "Search movies, shows, episodes, artists and users. Media comes from Plex hub search, or from the library items and metadata the dashboard has cached when Plex is unavailable (source tells which). Filter with type=movie,show,episode,artist,user; limit defaults to 20, up to 100. Posters are served from /api/posters. API keys only find users with the read:activity scope.",
+      requestExamples: [
+        {
+          description: "Search libraries and users",
+          curlCommand: `
+  # Search everything
+  ${baseUrl}/api/search?q=breaking
+  
+  # Only movies and shows, at most 5
+  ${baseUrl}/api/search?q=breaking&type=movie,show&limit=5
+          `.trim(),
+          pythonRequest: `
+  import requests
+  
+  response = requests.get('${baseUrl}/api/search', params={'q': 'breaking'})
+  for result in response.json()['results']:
+      print(result['type'], result['title'], result['subtitle'])
+          `.trim(),
+          javascriptFetch: `
+  fetch('${baseUrl}/api/search?q=breaking')
+    .then(response => response.json())
+    .then(({ results }) => logDebug(results));
+          `.trim(),
+        },
+      ],
+      example: {
+        success: true,
+        query: "breaking",
+        source: "plex",
+        total: 2,
+        counts: { show: 1, episode: 1 },
+        results: [
+          {
+            type: "show",
+            rating_key: "1234",
+            title: "Breaking Bad",
+            year: 2008,
+            section_id: "2",
+            library_name: "TV Shows",
+            poster: "/api/posters/1234",
+            subtitle: "2008",
+          },
+          {
+            type: "episode",
+            rating_key: "5678",
+            title: "Pilot",
+            show: "Breaking Bad",
+            season: 1,
+            episode: 1,
+            poster: "/api/posters/5678",
+            subtitle: "Breaking Bad · S01E01",
+          },
+        ],
+      },
+    },
   ];
 
   // POST endpoints definition (abbreviated to save space)
@@ -867,7 +1639,8 @@ curl -X POST ${baseUrl}/api/formats \\
   "formats": [
     {
       "name": "Custom Download Format",
-      "template": "{title} - {progress}%"
+      "template": "{title} - {progress}%",
+      "output": "plain"
     }
   ]
 }'
@@ -935,6 +1708,68 @@ fetch('${baseUrl}/api/formats', {
             },
           ],
         },
+        revision: 13,
+        warnings: [],
+      },
+    },
+    {
+      endpoint: "/api/formats/validate",
+      description:
+        "Check format templates without saving them. Errors block a save, warnings do not.",
+      requestExamples: [
+        {
+          description: "Validate a single template",
+          curlCommand: `
+curl -X POST ${baseUrl}/api/formats/validate \\
+     -H "Content-Type: application/json" \\
+     -d '{
+  "type": "recentlyAdded",
+  "template": "{grandparent_titel} - {title}"
+}'
+        `.trim(),
+          pythonRequest: `
+import requests
+
+payload = {
+    "type": "recentlyAdded",
+    "template": "{grandparent_titel} - {title}"
+}
+
+response = requests.post('${baseUrl}/api/formats/validate', json=payload)
+result = response.json()
+        `.trim(),
+          javascriptFetch: `
+fetch('${baseUrl}/api/formats/validate', {
+  method: 'POST',
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  body: JSON.stringify({
+    type: "recentlyAdded",
+    template: "{grandparent_titel} - {title}"
+  })
+})
+.then(response => response.json())
+.then(result => logDebug(result.errors, result.warnings));
+        `.trim(),
+        },
+      ],
+      payload: {
+        type: "recentlyAdded",
+        template: "{grandparent_titel} - {title}",
+      },
+      example: {
+        success: true,
+        valid: false,
+        errors: [
+          {
+            index: 0,
+            variable: "grandparent_titel",
+            message:
+              "Unknown variable {grandparent_titel}, did you mean {grandparent_title}?",
+          },
+        ],
+        warnings: [],
       },
     },
     {
@@ -1177,8 +2012,32 @@ fetch('${baseUrl}/api/formats', {
             />
           </div>
         </div>
+        <div className="space-y-2 mt-4">
+          <label className="block text-theme font-medium">API Token</label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FaKey className="text-theme-muted" />
+            </div>
+            <input
+              type="password"
+              value={apiKey}
+              onChange={(e) => handleApiKeyChange(e.target.value.trim())}
+              className="w-full bg-gray-900/50 text-white border border-accent rounded-lg pl-10 pr-4 py-3
+                focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+                transition-all duration-200 font-mono"
+              placeholder="ptd_... (used in request examples and tests)"
+              autoComplete="off"
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            Leave empty to test with your login session. Examples show{" "}
+            <code>{API_KEY_PLACEHOLDER}</code> until a token is entered.
+          </p>
+        </div>
       </ThemedCard>
 
+      <ApiTokenManager scopes={scopes} onTokenCreated={handleApiKeyChange} />
+
       {/* Tabs for GET and POST Endpoints */}
       <div className="flex gap-2 mb-4">
         <SubTabButton
@@ -1217,6 +2076,12 @@ fetch('${baseUrl}/api/formats', {
                   {...endpoint}
                   baseUrl={baseUrl}
                   method="GET"
+                  apiKey={apiKey}
+                  scope={
+                    scopes.length > 0
+                      ? getEndpointScope(scopes, "GET", endpoint.endpoint)
+                      : null
+                  }
                 />
               ))
             : POST_ENDPOINTS.map((endpoint, index) => (
@@ -1225,6 +2090,12 @@ fetch('${baseUrl}/api/formats', {
                   {...endpoint}
                   baseUrl={baseUrl}
                   method="POST"
+                  apiKey={apiKey}
+                  scope={
+                    scopes.length > 0
+                      ? getEndpointScope(scopes, "POST", endpoint.endpoint)
+                      : null
+                  }
                 />
               ))}
         </div>
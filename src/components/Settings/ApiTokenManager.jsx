@@ -0,0 +1,338 @@
+import React, { useState, useEffect } from "react";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import axios from "axios";
+import ThemedButton from "../common/ThemedButton";
+import ThemedCard from "../common/ThemedCard";
+import { logError } from "../../utils/logger";
+
+const inputClasses =
+  "w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent transition-theme";
+
+const DEFAULT_SCOPES = ["read:activity", "read:media"];
+
+const formatDate = (isoString) =>
+  isoString ? new Date(isoString).toLocaleString() : "Never";
+
+// Small pill showing a scope name
+export const ScopeBadge = ({ scope }) => (
+  <span
+    className={`px-2 py-0.5 rounded-md text-xs font-mono border ${
+      scope === "admin:config"
+        ? "bg-red-500/10 text-red-400 border-red-500/20"
+        : "bg-accent-lighter text-accent-base border-accent/30"
+    }`}
+  >
+    {scope}
+  </span>
+);
+
+// Checkbox list for picking scopes
+const ScopePicker = ({ scopes, selected, onChange, disabled }) => {
+  const toggleScope = (scopeId) => {
+    onChange(
+      selected.includes(scopeId)
+        ? selected.filter((id) => id !== scopeId)
+        : [...selected, scopeId]
+    );
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+      {scopes.map((scope) => (
+        <label
+          key={scope.id}
+          className="flex items-start gap-3 p-3 rounded-lg bg-gray-900/40 border border-gray-700/50 cursor-pointer hover:border-accent transition-theme"
+        >
+          <input
+            type="checkbox"
+            className="mt-1 accent-current"
+            checked={selected.includes(scope.id)}
+            onChange={() => toggleScope(scope.id)}
+            disabled={disabled}
+          />
+          <div>
+            <ScopeBadge scope={scope.id} />
+            <p className="text-xs text-theme-muted mt-1">{scope.description}</p>
+          </div>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const ApiTokenManager = ({ scopes, onTokenCreated }) => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loadingKeys, setLoadingKeys] = useState(true);
+  const [newKeyName, setNewKeyName] = useState("");
+  const [newKeyScopes, setNewKeyScopes] = useState(DEFAULT_SCOPES);
+  const [creatingKey, setCreatingKey] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [editingKey, setEditingKey] = useState(null);
+
+  // Load API keys on mount
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const fetchApiKeys = async () => {
+    setLoadingKeys(true);
+    try {
+      const response = await axios.get("/api/auth/api-keys");
+      setApiKeys(response.data.apiKeys || []);
+    } catch (error) {
+      logError("Failed to load API keys:", error);
+      toast.error("Failed to load API keys");
+    } finally {
+      setLoadingKeys(false);
+    }
+  };
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+
+    if (newKeyScopes.length === 0) {
+      toast.error("Select at least one scope");
+      return;
+    }
+
+    setCreatingKey(true);
+    try {
+      const response = await axios.post("/api/auth/api-keys", {
+        name: newKeyName,
+        scopes: newKeyScopes,
+      });
+      setCreatedKey(response.data.key);
+      setNewKeyName("");
+      setNewKeyScopes(DEFAULT_SCOPES);
+      onTokenCreated?.(response.data.key);
+      await fetchApiKeys();
+      toast.success("API key created");
+    } catch (error) {
+      logError("Failed to create API key:", error);
+      toast.error(error.response?.data?.error || "Failed to create API key");
+    } finally {
+      setCreatingKey(false);
+    }
+  };
+
+  const handleSaveScopes = async () => {
+    if (editingKey.scopes.length === 0) {
+      toast.error("Select at least one scope");
+      return;
+    }
+
+    try {
+      const response = await axios.put(`/api/auth/api-keys/${editingKey.id}`, {
+        scopes: editingKey.scopes,
+      });
+      setApiKeys((prev) =>
+        prev.map((key) =>
+          key.id === editingKey.id ? response.data.apiKey : key
+        )
+      );
+      setEditingKey(null);
+      toast.success("API key updated");
+    } catch (error) {
+      logError("Failed to update API key:", error);
+      toast.error(error.response?.data?.error || "Failed to update API key");
+    }
+  };
+
+  const handleRevokeKey = async (apiKey) => {
+    if (
+      !window.confirm(
+        `Revoke "${apiKey.name}"? Scripts using this key will stop working.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/auth/api-keys/${apiKey.id}`);
+      setApiKeys((prev) => prev.filter((key) => key.id !== apiKey.id));
+      toast.success("API key revoked");
+    } catch (error) {
+      logError("Failed to revoke API key:", error);
+      toast.error("Failed to revoke API key");
+    }
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      toast.success("API key copied to clipboard");
+    } catch (error) {
+      toast.error("Unable to copy API key");
+    }
+  };
+
+  return (
+    <ThemedCard
+      title="API Tokens"
+      icon={Icons.Key}
+      useAccentBorder={true}
+      className="p-6"
+      action={
+        <ThemedButton
+          variant="ghost"
+          size="sm"
+          icon={loadingKeys ? Icons.Loader2 : Icons.RefreshCw}
+          onClick={fetchApiKeys}
+          disabled={loadingKeys}
+        >
+          Refresh
+        </ThemedButton>
+      }
+    >
+      <p className="text-theme-muted text-sm mb-4">
+        Tokens let scripts and widgets call the API without logging in. Send the
+        token in the <code className="text-accent-base">X-API-Key</code> header.
+        Each token only reaches the endpoints covered by its scopes.
+      </p>
+
+      <form onSubmit={handleCreateKey} className="space-y-3 mb-4">
+        <input
+          type="text"
+          value={newKeyName}
+          onChange={(e) => setNewKeyName(e.target.value)}
+          className={`${inputClasses} max-w-lg`}
+          placeholder="Token label (e.g. Homepage widget)"
+          disabled={creatingKey}
+        />
+        <ScopePicker
+          scopes={scopes}
+          selected={newKeyScopes}
+          onChange={setNewKeyScopes}
+          disabled={creatingKey}
+        />
+        <ThemedButton
+          type="submit"
+          variant="accent"
+          icon={creatingKey ? Icons.Loader2 : Icons.Plus}
+          disabled={creatingKey}
+        >
+          Create Token
+        </ThemedButton>
+      </form>
+
+      {createdKey && (
+        <div className="bg-accent-lighter border border-accent/30 rounded-lg p-4 mb-4">
+          <div className="flex items-start gap-2 mb-2">
+            <Icons.AlertTriangle size={16} className="text-yellow-400" />
+            <p className="text-sm text-theme-muted">
+              Copy this token now. It will not be shown again. The request
+              examples below already include it.
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 bg-gray-900/80 rounded-md px-3 py-2 text-sm text-white font-mono break-all">
+              {createdKey}
+            </code>
+            <ThemedButton
+              variant="ghost"
+              size="sm"
+              icon={Icons.Copy}
+              onClick={handleCopyKey}
+            >
+              Copy
+            </ThemedButton>
+            <ThemedButton
+              variant="ghost"
+              size="sm"
+              icon={Icons.X}
+              onClick={() => setCreatedKey(null)}
+            >
+              Dismiss
+            </ThemedButton>
+          </div>
+        </div>
+      )}
+
+      {apiKeys.length === 0 ? (
+        <p className="text-sm text-theme-muted">
+          {loadingKeys ? "Loading API tokens..." : "No API tokens created yet."}
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {apiKeys.map((apiKey) => (
+            <div
+              key={apiKey.id}
+              className="bg-gray-800/50 border border-gray-700/50 rounded-lg px-4 py-3"
+            >
+              <div className="flex items-center justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-white font-medium">{apiKey.name}</p>
+                  <p className="text-xs text-theme-muted font-mono">
+                    {apiKey.prefix}… · created {formatDate(apiKey.createdAt)} ·
+                    last used {formatDate(apiKey.lastUsedAt)}
+                  </p>
+                  <div className="flex flex-wrap gap-1.5 mt-2">
+                    {apiKey.scopes.map((scope) => (
+                      <ScopeBadge key={scope} scope={scope} />
+                    ))}
+                  </div>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <ThemedButton
+                    variant="ghost"
+                    size="sm"
+                    icon={Icons.Pencil}
+                    onClick={() =>
+                      setEditingKey(
+                        editingKey?.id === apiKey.id
+                          ? null
+                          : { id: apiKey.id, scopes: apiKey.scopes }
+                      )
+                    }
+                  >
+                    Scopes
+                  </ThemedButton>
+                  <ThemedButton
+                    variant="danger"
+                    size="sm"
+                    icon={Icons.Trash2}
+                    onClick={() => handleRevokeKey(apiKey)}
+                  >
+                    Revoke
+                  </ThemedButton>
+                </div>
+              </div>
+
+              {editingKey?.id === apiKey.id && (
+                <div className="mt-3 space-y-3">
+                  <ScopePicker
+                    scopes={scopes}
+                    selected={editingKey.scopes}
+                    onChange={(selected) =>
+                      setEditingKey((prev) => ({ ...prev, scopes: selected }))
+                    }
+                  />
+                  <div className="flex gap-2">
+                    <ThemedButton
+                      variant="accent"
+                      size="sm"
+                      icon={Icons.Save}
+                      onClick={handleSaveScopes}
+                    >
+                      Save Scopes
+                    </ThemedButton>
+                    <ThemedButton
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => setEditingKey(null)}
+                    >
+                      Cancel
+                    </ThemedButton>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </ThemedCard>
+  );
+};
+
+export default ApiTokenManager;
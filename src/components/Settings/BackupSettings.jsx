@@ -459,7 +459,8 @@ const BackupSettings = () => {
 
           <div className="ml-2 mt-4">
             <TimelineItem icon={Icons.Server} title="Server Connections">
-              Plex and Tautulli server URLs and authentication tokens
+              Plex and Tautulli server URLs (tokens and API keys stay on the
+              server and must be re-entered on a new install)
             </TimelineItem>
 
             <TimelineItem icon={Icons.TextQuote} title="Format Templates">
@@ -484,8 +485,8 @@ const BackupSettings = () => {
               Security Notice
             </p>
             <p className="text-sm text-theme-muted mt-1">
-              Backup files contain sensitive information including your Plex
-              token and Tautulli API key. Store these files securely and only
+              Backups no longer include your Plex token or Tautulli API key, but
+              older backup files may. Store these files securely and only
               restore backups from trusted sources.
             </p>
           </div>
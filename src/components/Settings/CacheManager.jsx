@@ -50,6 +50,42 @@ const CacheStatCard = ({
   );
 };
 
+// Usage of one poster cache quota; without a quota only the usage is shown
+const QuotaBar = ({ label, used, max, format = (value) => value }) => {
+  const percent = max ? Math.min(100, (used / max) * 100) : null;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between text-sm mb-1">
+        <span className="text-theme-muted">{label}</span>
+        <span className="text-white">
+          {format(used)}
+          {max ? ` of ${format(max)}` : " (no limit)"}
+        </span>
+      </div>
+      {percent !== null && (
+        <div className="h-2 rounded-full bg-gray-700/50 overflow-hidden">
+          <div
+            className={`h-full rounded-full transition-all duration-200 ${
+              percent >= 90 ? "bg-yellow-500" : "bg-accent-base"
+            }`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Labels of the image kinds kept in the poster cache
+const IMAGE_KIND_LABELS = {
+  poster: "Posters",
+  art: "Art",
+  season: "Season posters",
+  still: "Episode stills",
+  avatar: "User avatars",
+};
+
 const CacheManager = () => {
   const { accentColor, accentRgb } = useTheme();
   const [activeTab, setActiveTab] = useState("all");
@@ -59,7 +95,7 @@ const CacheManager = () => {
     history: { size: 0, label: "User History", ttl: "10 minutes" },
     media: { size: 0, label: "Recently Added", ttl: "5 minutes" },
     metadata: { size: 0, label: "Metadata", ttl: "30 minutes" },
-    posters: { size: 0, label: "Media Posters", ttl: "Indefinite" },
+    posters: { size: 0, label: "Media Posters", ttl: "Until evicted" },
     totalSize: 0,
     lastRefreshed: null,
     lastCleared: null,
@@ -80,6 +116,7 @@ const CacheManager = () => {
       let metadataCacheSize = 0;
       let posterCacheSize = 0;
       let posterCacheSizeBytes = 0;
+      let posterQuota = {};
 
       // 1. Get user history cache stats from the users endpoint
       try {
@@ -89,70 +126,17 @@ const CacheManager = () => {
         logError("Failed to fetch user history cache stats:", error);
       }
 
-      // 2. For media cache, try different media types
-      try {
-        // Try to get information about the media cache from multiple endpoints
-        const mediaTypes = ["movies", "shows", "music"];
-        let hasMediaCache = false;
-
-        for (const type of mediaTypes) {
-          try {
-            // Add a cache-busting parameter to ensure we don't get a cached response
-            const recentResponse = await axios.get(
-              `/api/recent/${type}?count=1&_=${Date.now()}`
-            );
-
-            // Look for cache info markers in the response
-            if (recentResponse.data?._cache?.hit) {
-              hasMediaCache = true;
-              // If we find evidence of a cached response, assume at least one entry
-              mediaCacheSize += 1;
-            }
-
-            // Check for specific cache info in headers or response
-            const cacheInfo =
-              recentResponse.headers?.["x-cache-info"] ||
-              recentResponse.data?._cache;
-
-            if (cacheInfo) {
-              logInfo(`Cache info for ${type}:`, cacheInfo);
-            }
-          } catch (err) {
-            // Ignore errors on individual media type fetches
-          }
-        }
-
-        // If we don't have definitive media cache info but know there's some caching
-        // estimate based on movie types (conservative estimate)
-        if (mediaCacheSize === 0) {
-          // Estimate based on media types (likely to have at least 3 media types cached)
-          mediaCacheSize = 3;
-        }
-      } catch (error) {
-        logError("Failed to fetch media cache stats:", error);
-      }
-
-      // 3. For metadata cache, we can estimate based on typical usage patterns
+      // 2. Media and metadata cache sizes from the cache inspector
       try {
-        // Try to get an indirect indicator of metadata cache size from health endpoint
-        const healthResponse = await axios.get(`/api/health?check=true`);
-
-        // If there's explicit cache info, use it
-        if (healthResponse.data?.cache?.metadata?.size) {
-          metadataCacheSize = healthResponse.data.cache.metadata.size;
-        } else {
-          // Estimate based on typical usage:
-          // Users who viewed content likely have metadata cached
-          // Use a conservative estimate - there's typically more metadata cache than history
-          metadataCacheSize = Math.max(5, historyCacheSize * 2);
-        }
+        const entriesResponse = await axios.get(`/api/cache/entries?limit=1`);
+        const caches = entriesResponse.data?.caches || {};
+        mediaCacheSize = caches.media?.size || 0;
+        metadataCacheSize = caches.metadata?.size || 0;
       } catch (error) {
-        logError("Failed to fetch metadata cache stats:", error);
-        // Fallback to a reasonable estimate
-        metadataCacheSize = 10;
+        logError("Failed to fetch media and metadata cache stats:", error);
       }
 
-      // 4. Get poster cache stats from the API
+      // 3. Get poster cache stats from the API
       try {
         const posterStatsResponse = await axios.get("/api/posters/cache/stats");
         // Check that the response has the required fields
@@ -162,6 +146,13 @@ const CacheManager = () => {
         ) {
           posterCacheSize = posterStatsResponse.data.count || 0;
           posterCacheSizeBytes = posterStatsResponse.data.size || 0;
+          posterQuota = {
+            maxSize: posterStatsResponse.data.maxSize || null,
+            maxFiles: posterStatsResponse.data.maxFiles || null,
+            evictions: posterStatsResponse.data.evictions || 0,
+            lastEviction: posterStatsResponse.data.lastEviction || null,
+            kinds: posterStatsResponse.data.kinds || {},
+          };
           logInfo(
             `Retrieved poster cache stats: ${posterCacheSize} posters (${
               posterStatsResponse.data.sizeFormatted || "0 Bytes"
@@ -221,9 +212,10 @@ const CacheManager = () => {
         posters: {
           size: posterCacheSize,
           label: "Media Posters",
-          ttl: "Indefinite",
+          ttl: "Until evicted",
           sizeBytes: posterCacheSizeBytes,
           sizeFormatted: formatFileSize(posterCacheSizeBytes),
+          ...posterQuota,
         },
         totalSize,
         lastRefreshed: new Date().toISOString(),
@@ -438,7 +430,7 @@ const CacheManager = () => {
       case "metadata":
         return "Stores media metadata like resolution, quality, and other attributes";
       case "posters":
-        return "Stores media posters locally for faster loading and reduced server load";
+        return "Stores media posters, art, episode stills and user avatars locally for faster loading and reduced server load";
       default:
         return "Combined caching system for all data types";
     }
@@ -565,6 +557,53 @@ const CacheManager = () => {
           </div>
         </div>
 
+        {/* Poster cache quotas - least recently served posters are evicted */}
+        {activeTab === "posters" && (
+          <div className="bg-gray-800/50 rounded-lg border border-gray-700/50 p-4 space-y-4">
+            <div className="flex items-center gap-2">
+              <div className="p-2 rounded-full bg-gray-700/50">
+                <Icons.HardDrive size={16} className="text-gray-300" />
+              </div>
+              <h4 className="text-white font-medium">Disk Quota</h4>
+            </div>
+            <QuotaBar
+              label="Disk space"
+              used={cacheStats.posters.sizeBytes || 0}
+              max={cacheStats.posters.maxSize}
+              format={formatFileSize}
+            />
+            <QuotaBar
+              label="Images"
+              used={cacheStats.posters.size}
+              max={cacheStats.posters.maxFiles}
+            />
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+              {Object.entries(IMAGE_KIND_LABELS).map(([kind, label]) => (
+                <div key={kind} className="rounded-lg bg-gray-700/30 p-2">
+                  <p className="text-xs text-theme-muted">{label}</p>
+                  <p className="text-sm text-white">
+                    {cacheStats.posters.kinds?.[kind]?.count || 0}
+                    <span className="ml-1 text-xs text-theme-muted">
+                      {formatFileSize(cacheStats.posters.kinds?.[kind]?.size)}
+                    </span>
+                  </p>
+                </div>
+              ))}
+            </div>
+            <p className="text-xs text-theme-muted">
+              When a quota is reached the least recently shown images are
+              removed.{" "}
+              {cacheStats.posters.evictions > 0
+                ? `${
+                    cacheStats.posters.evictions
+                  } evicted since the server started, last ${formatDate(
+                    cacheStats.posters.lastEviction
+                  )}.`
+                : "None evicted since the server started."}
+            </p>
+          </div>
+        )}
+
         {/* Cache Statistics - Enhanced with CacheStatCard component */}
         <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
           <CacheStatCard
@@ -693,11 +732,11 @@ const CacheManager = () => {
                   <span className="text-white font-medium">Poster Cache</span>
                 </div>
                 <p className="text-xs text-theme-muted">
-                  Stores media posters locally for faster loading and better
-                  performance
+                  Stores posters, art, episode stills and user avatars locally
+                  for faster loading and better performance
                 </p>
                 <div className="mt-2 text-xs text-accent-base">
-                  TTL: Indefinite
+                  TTL: Until evicted
                 </div>
               </div>
             </div>
@@ -705,8 +744,8 @@ const CacheManager = () => {
             <p className="mt-3">
               Caches automatically expire after their TTL (Time To Live), but
               you can manually clear them to ensure the freshest data. Poster
-              cache is stored permanently but unused posters are cleaned up
-              automatically.
+              cache is stored on disk up to its quota, after which the least
+              recently shown posters are removed.
             </p>
           </div>
         </div>
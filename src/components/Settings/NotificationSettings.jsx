@@ -0,0 +1,903 @@
+import React, { useState, useEffect } from "react";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import axios from "axios";
+import ThemedButton from "../common/ThemedButton";
+import ThemedCard from "../common/ThemedCard";
+import { logError } from "../../utils/logger";
+
+const inputClasses =
+  "w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent transition-theme";
+
+const TARGET_LABELS = {
+  webhook: "Webhook",
+  discord: "Discord",
+  slack: "Slack",
+  ntfy: "ntfy",
+  gotify: "Gotify",
+};
+
+const URL_PLACEHOLDERS = {
+  webhook: "https://example.com/hooks/plex",
+  discord: "https://discord.com/api/webhooks/…",
+  slack: "https://hooks.slack.com/services/…",
+  ntfy: "https://ntfy.sh",
+  gotify: "https://gotify.example.com",
+};
+
+const EMPTY_TARGET = {
+  name: "",
+  type: "discord",
+  url: "",
+  token: "",
+  topic: "",
+  priority: "",
+};
+
+const EMPTY_RULE = {
+  name: "",
+  type: "recently_added",
+  profileId: "",
+  targetIds: [],
+  title: "",
+  template: "",
+  conditions: {},
+};
+
+const formatDate = (isoString) =>
+  isoString ? new Date(isoString).toLocaleString() : "Never";
+
+const Field = ({ label, hint, children }) => (
+  <div>
+    <label className="block text-theme font-medium mb-1.5">
+      {label}
+      {hint && <span className="text-theme-muted text-sm ml-2">{hint}</span>}
+    </label>
+    {children}
+  </div>
+);
+
+const StatusBadge = ({ status }) => (
+  <span
+    className={`px-2 py-0.5 rounded-md text-xs border ${
+      status === "delivered"
+        ? "bg-green-500/10 text-green-400 border-green-500/20"
+        : "bg-red-500/10 text-red-400 border-red-500/20"
+    }`}
+  >
+    {status}
+  </span>
+);
+
+// Extra inputs for the conditions each rule type understands
+const RuleConditions = ({ type, conditions, onChange }) => {
+  const setCondition = (key, value) =>
+    onChange({ ...conditions, [key]: value });
+
+  switch (type) {
+    case "recently_added":
+      return (
+        <Field label="Library Section ID" hint="(blank for all libraries)">
+          <input
+            type="text"
+            value={conditions.sectionId || ""}
+            onChange={(e) => setCondition("sectionId", e.target.value)}
+            className={inputClasses}
+            placeholder="e.g. 1"
+          />
+        </Field>
+      );
+    case "stream_started":
+    case "transcode":
+      return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {type === "transcode" && (
+            <Field label="Source Resolution">
+              <select
+                value={conditions.resolution || "any"}
+                onChange={(e) => setCondition("resolution", e.target.value)}
+                className={inputClasses}
+              >
+                <option value="any">Any resolution</option>
+                <option value="4k">4K</option>
+                <option value="1080p">1080p</option>
+                <option value="720p">720p</option>
+              </select>
+            </Field>
+          )}
+          <Field label="User ID" hint="(blank for everyone)">
+            <input
+              type="text"
+              value={conditions.userId || ""}
+              onChange={(e) => setCondition("userId", e.target.value)}
+              className={inputClasses}
+              placeholder="e.g. 12345"
+            />
+          </Field>
+        </div>
+      );
+    case "server_offline":
+      return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Field label="Service">
+            <select
+              value={conditions.service || "plex"}
+              onChange={(e) => setCondition("service", e.target.value)}
+              className={inputClasses}
+            >
+              <option value="plex">Plex</option>
+              <option value="tautulli">Tautulli</option>
+            </select>
+          </Field>
+          <label className="flex items-center gap-2 text-sm text-theme mt-8">
+            <input
+              type="checkbox"
+              checked={!!conditions.notifyRecovery}
+              onChange={(e) => setCondition("notifyRecovery", e.target.checked)}
+            />
+            Also notify when it is back online
+          </label>
+        </div>
+      );
+    default:
+      return null;
+  }
+};
+
+const NotificationSettings = () => {
+  const [targets, setTargets] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [ruleTypes, setRuleTypes] = useState([]);
+  const [profiles, setProfiles] = useState([]);
+  const [deliveryLog, setDeliveryLog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [targetForm, setTargetForm] = useState(EMPTY_TARGET);
+  const [editingTargetId, setEditingTargetId] = useState(null);
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [editingRuleId, setEditingRuleId] = useState(null);
+  const [testingTargetId, setTestingTargetId] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, []);
+
+  const fetchNotifications = async () => {
+    setLoading(true);
+    try {
+      const [settings, log, serverProfiles] = await Promise.all([
+        axios.get("/api/notifications"),
+        axios.get("/api/notifications/log"),
+        axios.get("/api/profiles"),
+      ]);
+      setTargets(settings.data.targets || []);
+      setRules(settings.data.rules || []);
+      setRuleTypes(settings.data.ruleTypes || []);
+      setDeliveryLog(log.data.log || []);
+      setProfiles(serverProfiles.data.profiles || []);
+    } catch (error) {
+      logError("Failed to load notifications:", error);
+      toast.error("Failed to load notification settings");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const ruleTypeInfo = (type) =>
+    ruleTypes.find((ruleType) => ruleType.type === type) || {};
+
+  const resetTargetForm = () => {
+    setTargetForm(EMPTY_TARGET);
+    setEditingTargetId(null);
+  };
+
+  const handleSaveTarget = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      ...targetForm,
+      priority: targetForm.priority ? Number(targetForm.priority) : null,
+    };
+
+    try {
+      if (editingTargetId) {
+        const response = await axios.put(
+          `/api/notifications/targets/${editingTargetId}`,
+          payload
+        );
+        setTargets((prev) =>
+          prev.map((target) =>
+            target.id === editingTargetId ? response.data.target : target
+          )
+        );
+        toast.success("Target updated");
+      } else {
+        const response = await axios.post(
+          "/api/notifications/targets",
+          payload
+        );
+        setTargets((prev) => [...prev, response.data.target]);
+        toast.success("Target added");
+      }
+      resetTargetForm();
+    } catch (error) {
+      logError("Failed to save notification target:", error);
+      toast.error(error.response?.data?.error || "Failed to save target");
+    }
+  };
+
+  const handleEditTarget = (target) => {
+    // URLs and tokens are never sent back; leaving them blank keeps them
+    setTargetForm({
+      ...EMPTY_TARGET,
+      name: target.name,
+      type: target.type,
+      topic: target.topic || "",
+      priority: target.priority ?? "",
+    });
+    setEditingTargetId(target.id);
+  };
+
+  const handleToggleTarget = async (target) => {
+    try {
+      const response = await axios.put(
+        `/api/notifications/targets/${target.id}`,
+        { enabled: !target.enabled }
+      );
+      setTargets((prev) =>
+        prev.map((item) =>
+          item.id === target.id ? response.data.target : item
+        )
+      );
+    } catch (error) {
+      logError("Failed to update notification target:", error);
+      toast.error("Failed to update target");
+    }
+  };
+
+  const handleDeleteTarget = async (target) => {
+    if (!window.confirm(`Delete "${target.name}"?`)) return;
+
+    try {
+      await axios.delete(`/api/notifications/targets/${target.id}`);
+      setTargets((prev) => prev.filter((item) => item.id !== target.id));
+      setRules((prev) =>
+        prev.map((rule) => ({
+          ...rule,
+          targetIds: rule.targetIds.filter((id) => id !== target.id),
+        }))
+      );
+      toast.success("Target deleted");
+    } catch (error) {
+      logError("Failed to delete notification target:", error);
+      toast.error("Failed to delete target");
+    }
+  };
+
+  const handleTestTarget = async (target) => {
+    setTestingTargetId(target.id);
+    try {
+      const response = await axios.post(
+        `/api/notifications/targets/${target.id}/test`
+      );
+      if (response.data.success) {
+        toast.success(`Test notification sent to ${target.name}`);
+      } else {
+        toast.error(`Test failed: ${response.data.error}`);
+      }
+      const log = await axios.get("/api/notifications/log");
+      setDeliveryLog(log.data.log || []);
+    } catch (error) {
+      logError("Failed to send test notification:", error);
+      toast.error("Failed to send test notification");
+    } finally {
+      setTestingTargetId(null);
+    }
+  };
+
+  const resetRuleForm = () => {
+    setRuleForm(EMPTY_RULE);
+    setEditingRuleId(null);
+  };
+
+  const handleSaveRule = async (e) => {
+    e.preventDefault();
+
+    if (ruleForm.targetIds.length === 0) {
+      toast.error("Select at least one target");
+      return;
+    }
+
+    try {
+      if (editingRuleId) {
+        const response = await axios.put(
+          `/api/notifications/rules/${editingRuleId}`,
+          ruleForm
+        );
+        setRules((prev) =>
+          prev.map((rule) =>
+            rule.id === editingRuleId ? response.data.rule : rule
+          )
+        );
+        toast.success("Rule updated");
+      } else {
+        const response = await axios.post("/api/notifications/rules", ruleForm);
+        setRules((prev) => [...prev, response.data.rule]);
+        toast.success("Rule added");
+      }
+      resetRuleForm();
+    } catch (error) {
+      logError("Failed to save notification rule:", error);
+      toast.error(error.response?.data?.error || "Failed to save rule");
+    }
+  };
+
+  const handleEditRule = (rule) => {
+    setRuleForm({
+      name: rule.name,
+      type: rule.type,
+      profileId: rule.profileId || "",
+      targetIds: rule.targetIds,
+      title: rule.title,
+      template: rule.template,
+      conditions: rule.conditions || {},
+    });
+    setEditingRuleId(rule.id);
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      const response = await axios.put(`/api/notifications/rules/${rule.id}`, {
+        enabled: !rule.enabled,
+      });
+      setRules((prev) =>
+        prev.map((item) => (item.id === rule.id ? response.data.rule : item))
+      );
+    } catch (error) {
+      logError("Failed to update notification rule:", error);
+      toast.error("Failed to update rule");
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete rule "${rule.name}"?`)) return;
+
+    try {
+      await axios.delete(`/api/notifications/rules/${rule.id}`);
+      setRules((prev) => prev.filter((item) => item.id !== rule.id));
+      toast.success("Rule deleted");
+    } catch (error) {
+      logError("Failed to delete notification rule:", error);
+      toast.error("Failed to delete rule");
+    }
+  };
+
+  const handleCheckNow = async () => {
+    setChecking(true);
+    try {
+      const response = await axios.post("/api/notifications/check");
+      toast.success(
+        `Checked ${response.data.rules || 0} rules, ${
+          response.data.fired || 0
+        } fired`
+      );
+      await fetchNotifications();
+    } catch (error) {
+      logError("Failed to run notification checks:", error);
+      toast.error("Failed to run notification checks");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleClearLog = async () => {
+    try {
+      await axios.delete("/api/notifications/log");
+      setDeliveryLog([]);
+      toast.success("Delivery log cleared");
+    } catch (error) {
+      logError("Failed to clear delivery log:", error);
+      toast.error("Failed to clear delivery log");
+    }
+  };
+
+  const toggleRuleTarget = (targetId) => {
+    setRuleForm((prev) => ({
+      ...prev,
+      targetIds: prev.targetIds.includes(targetId)
+        ? prev.targetIds.filter((id) => id !== targetId)
+        : [...prev.targetIds, targetId],
+    }));
+  };
+
+  const currentRuleType = ruleTypeInfo(ruleForm.type);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <Icons.Loader2 className="h-8 w-8 text-accent-base animate-spin mr-2" />
+        <span className="text-theme">Loading notifications...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Targets */}
+      <ThemedCard
+        title="Notification Targets"
+        icon={Icons.Send}
+        useAccentBorder={true}
+        className="p-6"
+      >
+        <p className="text-theme-muted text-sm mb-4">
+          Where notifications are delivered. Failed deliveries are retried
+          before they are recorded as failed in the delivery log.
+        </p>
+
+        <form onSubmit={handleSaveTarget} className="space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Name">
+              <input
+                type="text"
+                value={targetForm.name}
+                onChange={(e) =>
+                  setTargetForm({ ...targetForm, name: e.target.value })
+                }
+                className={inputClasses}
+                placeholder="e.g. Discord #plex"
+              />
+            </Field>
+            <Field label="Type">
+              <select
+                value={targetForm.type}
+                onChange={(e) =>
+                  setTargetForm({ ...targetForm, type: e.target.value })
+                }
+                className={inputClasses}
+              >
+                {Object.entries(TARGET_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+          </div>
+          <Field
+            label={
+              ["ntfy", "gotify"].includes(targetForm.type)
+                ? "Server URL"
+                : "Webhook URL"
+            }
+            hint={
+              editingTargetId ? "(leave blank to keep the current URL)" : ""
+            }
+          >
+            <input
+              type="url"
+              value={targetForm.url}
+              onChange={(e) =>
+                setTargetForm({ ...targetForm, url: e.target.value })
+              }
+              className={inputClasses}
+              placeholder={URL_PLACEHOLDERS[targetForm.type]}
+              required={!editingTargetId}
+            />
+          </Field>
+          {targetForm.type === "ntfy" && (
+            <Field label="Topic">
+              <input
+                type="text"
+                value={targetForm.topic}
+                onChange={(e) =>
+                  setTargetForm({ ...targetForm, topic: e.target.value })
+                }
+                className={inputClasses}
+                placeholder="plex-dashboard"
+                required
+              />
+            </Field>
+          )}
+          {["webhook", "ntfy", "gotify"].includes(targetForm.type) && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <Field
+                label={
+                  targetForm.type === "gotify" ? "App Token" : "Bearer Token"
+                }
+                hint={
+                  editingTargetId
+                    ? "(leave blank to keep)"
+                    : targetForm.type === "gotify"
+                    ? ""
+                    : "(optional)"
+                }
+              >
+                <input
+                  type="password"
+                  value={targetForm.token}
+                  onChange={(e) =>
+                    setTargetForm({ ...targetForm, token: e.target.value })
+                  }
+                  className={inputClasses}
+                  autoComplete="off"
+                />
+              </Field>
+              {targetForm.type !== "webhook" && (
+                <Field label="Priority" hint="(optional)">
+                  <input
+                    type="number"
+                    min="1"
+                    max="10"
+                    value={targetForm.priority}
+                    onChange={(e) =>
+                      setTargetForm({
+                        ...targetForm,
+                        priority: e.target.value,
+                      })
+                    }
+                    className={inputClasses}
+                  />
+                </Field>
+              )}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <ThemedButton
+              type="submit"
+              variant="accent"
+              icon={editingTargetId ? Icons.Save : Icons.Plus}
+            >
+              {editingTargetId ? "Save Target" : "Add Target"}
+            </ThemedButton>
+            {editingTargetId && (
+              <ThemedButton variant="ghost" onClick={resetTargetForm}>
+                Cancel
+              </ThemedButton>
+            )}
+          </div>
+        </form>
+
+        {targets.length === 0 ? (
+          <p className="text-sm text-theme-muted">No targets added yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {targets.map((target) => (
+              <div
+                key={target.id}
+                className="bg-gray-800/50 border border-gray-700/50 rounded-lg px-4 py-3 flex items-center justify-between gap-4"
+              >
+                <div className="min-w-0">
+                  <p
+                    className={`font-medium ${
+                      target.enabled ? "text-white" : "text-theme-muted"
+                    }`}
+                  >
+                    {target.name}
+                  </p>
+                  <p className="text-xs text-theme-muted font-mono truncate">
+                    {TARGET_LABELS[target.type]} · {target.url}
+                    {target.topic && ` · ${target.topic}`}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <ThemedButton
+                    variant="ghost"
+                    size="sm"
+                    icon={
+                      testingTargetId === target.id
+                        ? Icons.Loader2
+                        : Icons.SendHorizontal
+                    }
+                    onClick={() => handleTestTarget(target)}
+                    disabled={testingTargetId === target.id}
+                  >
+                    Test
+                  </ThemedButton>
+                  <ThemedButton
+                    variant="ghost"
+                    size="sm"
+                    icon={target.enabled ? Icons.BellOff : Icons.Bell}
+                    onClick={() => handleToggleTarget(target)}
+                  >
+                    {target.enabled ? "Disable" : "Enable"}
+                  </ThemedButton>
+                  <ThemedButton
+                    variant="ghost"
+                    size="sm"
+                    icon={Icons.Pencil}
+                    onClick={() => handleEditTarget(target)}
+                  />
+                  <ThemedButton
+                    variant="danger"
+                    size="sm"
+                    icon={Icons.Trash2}
+                    onClick={() => handleDeleteTarget(target)}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </ThemedCard>
+
+      {/* Rules */}
+      <ThemedCard
+        title="Notification Rules"
+        icon={Icons.BellRing}
+        useAccentBorder={true}
+        className="p-6"
+        action={
+          <ThemedButton
+            variant="ghost"
+            size="sm"
+            icon={checking ? Icons.Loader2 : Icons.Play}
+            onClick={handleCheckNow}
+            disabled={checking}
+          >
+            Check Now
+          </ThemedButton>
+        }
+      >
+        <p className="text-theme-muted text-sm mb-4">
+          Rules are checked on the server, so they keep working when the
+          dashboard is closed. Titles and messages use the same{" "}
+          <code className="text-accent-base">{"{variable}"}</code> templates as
+          the format settings.
+        </p>
+
+        <form onSubmit={handleSaveRule} className="space-y-4 mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Field label="Name">
+              <input
+                type="text"
+                value={ruleForm.name}
+                onChange={(e) =>
+                  setRuleForm({ ...ruleForm, name: e.target.value })
+                }
+                className={inputClasses}
+                placeholder="e.g. New movies"
+              />
+            </Field>
+            <Field label="When">
+              <select
+                value={ruleForm.type}
+                onChange={(e) =>
+                  setRuleForm({
+                    ...ruleForm,
+                    type: e.target.value,
+                    conditions: {},
+                  })
+                }
+                className={inputClasses}
+              >
+                {ruleTypes.map((ruleType) => (
+                  <option key={ruleType.type} value={ruleType.type}>
+                    {ruleType.label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+          </div>
+          {currentRuleType.description && (
+            <p className="text-xs text-theme-muted -mt-2">
+              {currentRuleType.description}
+            </p>
+          )}
+
+          {profiles.length > 1 && (
+            <Field label="Server">
+              <select
+                value={ruleForm.profileId}
+                onChange={(e) =>
+                  setRuleForm({ ...ruleForm, profileId: e.target.value })
+                }
+                className={inputClasses}
+              >
+                <option value="">Default server</option>
+                {profiles.map((profile) => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name}
+                  </option>
+                ))}
+              </select>
+            </Field>
+          )}
+
+          <RuleConditions
+            type={ruleForm.type}
+            conditions={ruleForm.conditions}
+            onChange={(conditions) => setRuleForm({ ...ruleForm, conditions })}
+          />
+
+          <Field label="Title" hint="(blank for the default)">
+            <input
+              type="text"
+              value={ruleForm.title}
+              onChange={(e) =>
+                setRuleForm({ ...ruleForm, title: e.target.value })
+              }
+              className={`${inputClasses} font-mono`}
+              placeholder={currentRuleType.defaultTitle}
+            />
+          </Field>
+          <Field label="Message" hint="(blank for the default)">
+            <input
+              type="text"
+              value={ruleForm.template}
+              onChange={(e) =>
+                setRuleForm({ ...ruleForm, template: e.target.value })
+              }
+              className={`${inputClasses} font-mono`}
+              placeholder={currentRuleType.defaultTemplate}
+            />
+          </Field>
+          {currentRuleType.variables?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5">
+              {currentRuleType.variables.map((variable) => (
+                <code
+                  key={variable}
+                  className="px-2 py-0.5 rounded-md text-xs bg-accent-lighter text-accent-base border border-accent/30"
+                >
+                  {`{${variable}}`}
+                </code>
+              ))}
+            </div>
+          )}
+
+          <Field label="Send To">
+            {targets.length === 0 ? (
+              <p className="text-sm text-theme-muted">
+                Add a target above first.
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {targets.map((target) => (
+                  <label
+                    key={target.id}
+                    className="flex items-center gap-2 px-3 py-2 rounded-lg bg-gray-900/40 border border-gray-700/50 cursor-pointer hover:border-accent transition-theme text-sm text-theme"
+                  >
+                    <input
+                      type="checkbox"
+                      checked={ruleForm.targetIds.includes(target.id)}
+                      onChange={() => toggleRuleTarget(target.id)}
+                    />
+                    {target.name}
+                  </label>
+                ))}
+              </div>
+            )}
+          </Field>
+
+          <div className="flex gap-2">
+            <ThemedButton
+              type="submit"
+              variant="accent"
+              icon={editingRuleId ? Icons.Save : Icons.Plus}
+            >
+              {editingRuleId ? "Save Rule" : "Add Rule"}
+            </ThemedButton>
+            {editingRuleId && (
+              <ThemedButton variant="ghost" onClick={resetRuleForm}>
+                Cancel
+              </ThemedButton>
+            )}
+          </div>
+        </form>
+
+        {rules.length === 0 ? (
+          <p className="text-sm text-theme-muted">No rules added yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {rules.map((rule) => (
+              <div
+                key={rule.id}
+                className="bg-gray-800/50 border border-gray-700/50 rounded-lg px-4 py-3 flex items-center justify-between gap-4"
+              >
+                <div className="min-w-0">
+                  <p
+                    className={`font-medium ${
+                      rule.enabled ? "text-white" : "text-theme-muted"
+                    }`}
+                  >
+                    {rule.name}
+                  </p>
+                  <p className="text-xs text-theme-muted">
+                    {ruleTypeInfo(rule.type).label || rule.type}
+                    {profiles.length > 1 &&
+                      ` on ${
+                        profiles.find(
+                          (profile) => profile.id === rule.profileId
+                        )?.name || "default server"
+                      }`}{" "}
+                    →{" "}
+                    {rule.targetIds
+                      .map(
+                        (id) => targets.find((target) => target.id === id)?.name
+                      )
+                      .filter(Boolean)
+                      .join(", ") || "no targets"}{" "}
+                    · last fired {formatDate(rule.lastTriggered)}
+                  </p>
+                </div>
+                <div className="flex gap-2 shrink-0">
+                  <ThemedButton
+                    variant="ghost"
+                    size="sm"
+                    icon={rule.enabled ? Icons.BellOff : Icons.Bell}
+                    onClick={() => handleToggleRule(rule)}
+                  >
+                    {rule.enabled ? "Disable" : "Enable"}
+                  </ThemedButton>
+                  <ThemedButton
+                    variant="ghost"
+                    size="sm"
+                    icon={Icons.Pencil}
+                    onClick={() => handleEditRule(rule)}
+                  />
+                  <ThemedButton
+                    variant="danger"
+                    size="sm"
+                    icon={Icons.Trash2}
+                    onClick={() => handleDeleteRule(rule)}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </ThemedCard>
+
+      {/* Delivery log */}
+      <ThemedCard
+        title="Delivery Log"
+        icon={Icons.ScrollText}
+        useAccentBorder={true}
+        className="p-6"
+        action={
+          deliveryLog.length > 0 && (
+            <ThemedButton
+              variant="ghost"
+              size="sm"
+              icon={Icons.Trash2}
+              onClick={handleClearLog}
+            >
+              Clear
+            </ThemedButton>
+          )
+        }
+      >
+        {deliveryLog.length === 0 ? (
+          <p className="text-sm text-theme-muted">Nothing has been sent yet.</p>
+        ) : (
+          <div className="space-y-2">
+            {deliveryLog.map((entry) => (
+              <div
+                key={entry.id}
+                className="bg-gray-800/50 border border-gray-700/50 rounded-lg px-4 py-2"
+              >
+                <div className="flex items-center justify-between gap-4">
+                  <p className="text-sm text-white truncate">
+                    {entry.title}
+                    <span className="text-theme-muted">
+                      {" "}
+                      · {entry.ruleName} → {entry.targetName}
+                    </span>
+                  </p>
+                  <StatusBadge status={entry.status} />
+                </div>
+                <p className="text-xs text-theme-muted">
+                  {formatDate(entry.time)} · {entry.attempts} attempt
+                  {entry.attempts !== 1 ? "s" : ""}
+                  {entry.error && ` · ${entry.error}`}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+      </ThemedCard>
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,163 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import axios from "axios";
+import ThemedButton from "../common/ThemedButton";
+import ThemedCard from "../common/ThemedCard";
+import { useAuth } from "../../context/AuthContext";
+import { logError } from "../../utils/logger";
+
+const inputClasses =
+  "w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent transition-theme";
+
+const SecuritySettings = () => {
+  const navigate = useNavigate();
+  const { username, logout } = useAuth();
+  const [passwordForm, setPasswordForm] = useState({
+    currentPassword: "",
+    newPassword: "",
+    confirmPassword: "",
+  });
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target;
+    setPasswordForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      toast.error("New passwords do not match");
+      return;
+    }
+
+    setSavingPassword(true);
+    try {
+      await axios.post("/api/auth/password", {
+        currentPassword: passwordForm.currentPassword,
+        newPassword: passwordForm.newPassword,
+      });
+      setPasswordForm({
+        currentPassword: "",
+        newPassword: "",
+        confirmPassword: "",
+      });
+      toast.success("Password changed. Other sessions have been signed out.");
+    } catch (error) {
+      logError("Failed to change password:", error);
+      toast.error(error.response?.data?.error || "Failed to change password");
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Account */}
+      <ThemedCard
+        title="Account"
+        icon={Icons.UserCog}
+        useAccentBorder={true}
+        className="p-6"
+        action={
+          <ThemedButton
+            variant="ghost"
+            size="sm"
+            icon={Icons.LogOut}
+            onClick={logout}
+          >
+            Log Out
+          </ThemedButton>
+        }
+      >
+        <p className="text-theme-muted text-sm mb-4">
+          Signed in as{" "}
+          <span className="text-accent-base font-medium">{username}</span>
+        </p>
+
+        <form onSubmit={handleChangePassword} className="space-y-4 max-w-md">
+          <div>
+            <label className="block text-theme font-medium mb-1.5">
+              Current Password
+            </label>
+            <input
+              type="password"
+              name="currentPassword"
+              autoComplete="current-password"
+              value={passwordForm.currentPassword}
+              onChange={handlePasswordChange}
+              className={inputClasses}
+              required
+              disabled={savingPassword}
+            />
+          </div>
+          <div>
+            <label className="block text-theme font-medium mb-1.5">
+              New Password
+            </label>
+            <input
+              type="password"
+              name="newPassword"
+              autoComplete="new-password"
+              value={passwordForm.newPassword}
+              onChange={handlePasswordChange}
+              className={inputClasses}
+              minLength={8}
+              required
+              disabled={savingPassword}
+            />
+          </div>
+          <div>
+            <label className="block text-theme font-medium mb-1.5">
+              Confirm New Password
+            </label>
+            <input
+              type="password"
+              name="confirmPassword"
+              autoComplete="new-password"
+              value={passwordForm.confirmPassword}
+              onChange={handlePasswordChange}
+              className={inputClasses}
+              minLength={8}
+              required
+              disabled={savingPassword}
+            />
+          </div>
+          <ThemedButton
+            type="submit"
+            variant="accent"
+            icon={savingPassword ? Icons.Loader2 : Icons.KeyRound}
+            disabled={savingPassword}
+          >
+            {savingPassword ? "Saving..." : "Change Password"}
+          </ThemedButton>
+        </form>
+      </ThemedCard>
+
+      {/* API Tokens */}
+      <ThemedCard
+        title="API Tokens"
+        icon={Icons.Key}
+        useAccentBorder={true}
+        className="p-6"
+      >
+        <p className="text-theme-muted text-sm mb-4">
+          Scoped API tokens for scripts and widgets are managed on the API
+          Endpoints page, next to request examples that already include them.
+        </p>
+        <ThemedButton
+          variant="accent"
+          icon={Icons.Code}
+          onClick={() => navigate("/api-endpoints")}
+        >
+          Manage API Tokens
+        </ThemedButton>
+      </ThemedCard>
+    </div>
+  );
+};
+
+export default SecuritySettings;
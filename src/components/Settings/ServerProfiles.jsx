@@ -0,0 +1,283 @@
+import React, { useState, useEffect } from "react";
+import * as Icons from "lucide-react";
+import toast from "react-hot-toast";
+import axios from "axios";
+import ThemedButton from "../common/ThemedButton";
+import ThemedCard from "../common/ThemedCard";
+import { logError } from "../../utils/logger";
+
+const inputClasses =
+  "w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent transition-theme";
+
+const EMPTY_PROFILE = {
+  name: "",
+  plexUrl: "",
+  plexToken: "",
+  tautulliUrl: "",
+  tautulliApiKey: "",
+};
+
+const Field = ({ label, hint, children }) => (
+  <div>
+    <label className="block text-theme font-medium mb-1.5">
+      {label}
+      {hint && <span className="text-theme-muted text-sm ml-2">{hint}</span>}
+    </label>
+    {children}
+  </div>
+);
+
+const ServerProfiles = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [profileForm, setProfileForm] = useState(EMPTY_PROFILE);
+  const [editingProfileId, setEditingProfileId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchProfiles();
+  }, []);
+
+  const fetchProfiles = async () => {
+    try {
+      const response = await axios.get("/api/profiles");
+      setProfiles(response.data.profiles || []);
+      setCurrent(response.data.current);
+    } catch (error) {
+      logError("Failed to load server profiles:", error);
+      toast.error("Failed to load server profiles");
+    }
+  };
+
+  const resetProfileForm = () => {
+    setProfileForm(EMPTY_PROFILE);
+    setEditingProfileId(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setProfileForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveProfile = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (editingProfileId) {
+        await axios.put(`/api/profiles/${editingProfileId}`, profileForm);
+        toast.success("Server updated");
+      } else {
+        await axios.post("/api/profiles", profileForm);
+        toast.success("Server added");
+      }
+      resetProfileForm();
+      fetchProfiles();
+    } catch (error) {
+      logError("Failed to save server profile:", error);
+      toast.error(error.response?.data?.message || "Failed to save server");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEditProfile = (profile) => {
+    // Tokens are never sent back; leaving them blank keeps them
+    setProfileForm({
+      ...EMPTY_PROFILE,
+      name: profile.name,
+      plexUrl: profile.plexUrl || "",
+      tautulliUrl: profile.tautulliUrl || "",
+    });
+    setEditingProfileId(profile.id);
+  };
+
+  const handleMakeDefault = async (profile) => {
+    try {
+      await axios.put(`/api/profiles/${profile.id}`, { isDefault: true });
+      fetchProfiles();
+    } catch (error) {
+      logError("Failed to update server profile:", error);
+      toast.error("Failed to update server");
+    }
+  };
+
+  const handleDeleteProfile = async (profile) => {
+    if (!window.confirm(`Delete server "${profile.name}"?`)) return;
+
+    try {
+      const response = await axios.delete(`/api/profiles/${profile.id}`);
+      const { disabledRules } = response.data;
+      toast.success(
+        disabledRules > 0
+          ? `Server deleted; ${disabledRules} notification rule(s) for it were disabled`
+          : "Server deleted"
+      );
+      if (editingProfileId === profile.id) resetProfileForm();
+      fetchProfiles();
+    } catch (error) {
+      logError("Failed to delete server profile:", error);
+      toast.error(error.response?.data?.message || "Failed to delete server");
+    }
+  };
+
+  return (
+    <ThemedCard
+      title="Servers"
+      icon={Icons.ServerCog}
+      useAccentBorder={true}
+      className="p-6"
+    >
+      <p className="text-theme-muted text-sm mb-4">
+        Add more Plex/Tautulli servers and switch between them from the
+        navigation bar. Each server keeps its own caches, saved sections and
+        watch history. The settings above belong to the server that is currently
+        selected.
+      </p>
+
+      <div className="space-y-2 mb-6">
+        {profiles.map((profile) => (
+          <div
+            key={profile.id}
+            className="bg-gray-800/50 border border-gray-700/50 rounded-lg px-4 py-3 flex items-center justify-between gap-4"
+          >
+            <div className="min-w-0">
+              <p className="font-medium text-white flex items-center gap-2">
+                {profile.name}
+                {profile.isDefault && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-accent-lighter text-accent-base">
+                    Default
+                  </span>
+                )}
+                {profile.id === current && (
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/10 text-green-400">
+                    Selected
+                  </span>
+                )}
+              </p>
+              <p className="text-xs text-theme-muted font-mono truncate">
+                {profile.plexUrl || "Plex not set"} ·{" "}
+                {profile.tautulliUrl || "Tautulli not set"}
+              </p>
+            </div>
+            <div className="flex gap-2 shrink-0">
+              {!profile.isDefault && (
+                <ThemedButton
+                  variant="ghost"
+                  size="sm"
+                  icon={Icons.Star}
+                  onClick={() => handleMakeDefault(profile)}
+                >
+                  Make Default
+                </ThemedButton>
+              )}
+              <ThemedButton
+                variant="ghost"
+                size="sm"
+                icon={Icons.Pencil}
+                onClick={() => handleEditProfile(profile)}
+              />
+              {profiles.length > 1 && (
+                <ThemedButton
+                  variant="danger"
+                  size="sm"
+                  icon={Icons.Trash2}
+                  onClick={() => handleDeleteProfile(profile)}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={handleSaveProfile} className="space-y-4">
+        <Field label="Name">
+          <input
+            type="text"
+            name="name"
+            value={profileForm.name}
+            onChange={handleChange}
+            className={inputClasses}
+            placeholder="e.g. Living Room"
+            required
+          />
+        </Field>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Field label="Plex URL">
+            <input
+              type="text"
+              name="plexUrl"
+              value={profileForm.plexUrl}
+              onChange={handleChange}
+              className={inputClasses}
+              placeholder="http://your-plex-server:32400"
+              required
+            />
+          </Field>
+          <Field
+            label="Plex Token"
+            hint={editingProfileId ? "(leave blank to keep)" : ""}
+          >
+            <input
+              type="password"
+              name="plexToken"
+              value={profileForm.plexToken}
+              onChange={handleChange}
+              className={inputClasses}
+              autoComplete="off"
+              required={!editingProfileId}
+            />
+          </Field>
+          <Field label="Tautulli URL">
+            <input
+              type="text"
+              name="tautulliUrl"
+              value={profileForm.tautulliUrl}
+              onChange={handleChange}
+              className={inputClasses}
+              placeholder="http://your-tautulli-server:8181"
+              required
+            />
+          </Field>
+          <Field
+            label="Tautulli API Key"
+            hint={editingProfileId ? "(leave blank to keep)" : ""}
+          >
+            <input
+              type="password"
+              name="tautulliApiKey"
+              value={profileForm.tautulliApiKey}
+              onChange={handleChange}
+              className={inputClasses}
+              autoComplete="off"
+              required={!editingProfileId}
+            />
+          </Field>
+        </div>
+        <div className="flex gap-2">
+          <ThemedButton
+            type="submit"
+            variant="accent"
+            icon={
+              saving
+                ? Icons.Loader2
+                : editingProfileId
+                ? Icons.Save
+                : Icons.Plus
+            }
+            disabled={saving}
+          >
+            {editingProfileId ? "Save Server" : "Add Server"}
+          </ThemedButton>
+          {editingProfileId && (
+            <ThemedButton variant="ghost" onClick={resetProfileForm}>
+              Cancel
+            </ThemedButton>
+          )}
+        </div>
+      </form>
+    </ThemedCard>
+  );
+};
+
+export default ServerProfiles;
@@ -12,6 +12,9 @@ import ThemedCard from "../common/ThemedCard";
 import BackupSettings from "./BackupSettings";
 import CacheManager from "./CacheManager";
 import LoggingSettings from "./LoggingSettings";
+import SecuritySettings from "./SecuritySettings";
+import NotificationSettings from "./NotificationSettings";
+import ServerProfiles from "./ServerProfiles";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import { appVersion } from "../../../scripts/release.js";
 import Logo from "../common/Logo"; // Import the Logo component
@@ -188,11 +191,12 @@ const SettingsPage = () => {
     allThemes,
     allAccents,
   } = useTheme();
+  // Saved secrets are never sent back; leaving these blank keeps them
   const [formData, setFormData] = useState({
     plexUrl: config?.plexUrl || "",
-    plexToken: config?.plexToken || "",
+    plexToken: "",
     tautulliUrl: config?.tautulliUrl || "",
-    tautulliApiKey: config?.tautulliApiKey || "",
+    tautulliApiKey: "",
   });
   const [testing, setTesting] = useState(false);
   const [testResults, setTestResults] = useState({
@@ -397,6 +401,8 @@ const SettingsPage = () => {
   const tabs = [
     { id: "servers", label: "Server Configuration", icon: Icons.Server },
     { id: "api", label: "API Documentation", icon: Icons.FileCode },
+    { id: "security", label: "Security", icon: Icons.Shield },
+    { id: "notifications", label: "Notifications", icon: Icons.Bell },
     { id: "theme", label: "Theme Settings", icon: Icons.Palette },
     { id: "logging", label: "Debug Logging", icon: Icons.FileText },
     { id: "cache", label: "Cache Management", icon: Icons.Database },
@@ -412,182 +418,200 @@ const SettingsPage = () => {
     switch (activeTab) {
       case "servers":
         return (
-          <ThemedCard
-            title="Server Configuration"
-            icon={Icons.Server}
-            useAccentBorder={true}
-            className="p-6"
-          >
-            <form onSubmit={handleSubmit} className="space-y-6">
-              <div className="grid grid-cols-1 gap-4">
-                {/* Plex URL */}
-                <div>
-                  <label className="block text-theme font-medium mb-2">
-                    Plex URL
-                  </label>
-                  <div className="relative">
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <Icons.Link className="text-accent-base opacity-70" />
-                    </div>
-                    <input
-                      type="text"
-                      name="plexUrl"
-                      value={formData.plexUrl}
-                      onChange={handleChange}
-                      className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
+          <div className="space-y-6">
+            <ThemedCard
+              title="Server Configuration"
+              icon={Icons.Server}
+              useAccentBorder={true}
+              className="p-6"
+            >
+              <form onSubmit={handleSubmit} className="space-y-6">
+                <div className="grid grid-cols-1 gap-4">
+                  {/* Plex URL */}
+                  <div>
+                    <label className="block text-theme font-medium mb-2">
+                      Plex URL
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Icons.Link className="text-accent-base opacity-70" />
+                      </div>
+                      <input
+                        type="text"
+                        name="plexUrl"
+                        value={formData.plexUrl}
+                        onChange={handleChange}
+                        className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
                         text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
                         transition-all duration-200"
-                      placeholder="http://your-plex-server:32400"
-                    />
+                        placeholder="http://your-plex-server:32400"
+                      />
+                    </div>
                   </div>
-                </div>
 
-                {/* Plex Token */}
-                <div>
-                  <label className="block text-theme font-medium mb-2">
-                    Plex Token
-                  </label>
-                  <div className="relative">
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <Icons.Key className="text-accent-base opacity-70" />
-                    </div>
-                    <input
-                      type={showPasswords.plexToken ? "text" : "password"}
-                      name="plexToken"
-                      value={formData.plexToken}
-                      onChange={handleChange}
-                      className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
+                  {/* Plex Token */}
+                  <div>
+                    <label className="block text-theme font-medium mb-2">
+                      Plex Token
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Icons.Key className="text-accent-base opacity-70" />
+                      </div>
+                      <input
+                        type={showPasswords.plexToken ? "text" : "password"}
+                        name="plexToken"
+                        value={formData.plexToken}
+                        onChange={handleChange}
+                        className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
                         text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
                         transition-all duration-200 font-mono"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => togglePasswordVisibility("plexToken")}
-                      className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-accent-base opacity-70
+                        placeholder={
+                          config?.hasPlexToken
+                            ? "Saved - leave blank to keep the current token"
+                            : ""
+                        }
+                      />
+                      <button
+                        type="button"
+                        onClick={() => togglePasswordVisibility("plexToken")}
+                        className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-accent-base opacity-70
                         hover:opacity-100 transition-opacity bg-transparent border-none outline-none focus:outline-none focus:ring-0"
-                    >
-                      {showPasswords.plexToken ? (
-                        <Icons.EyeOff size={18} />
-                      ) : (
-                        <Icons.Eye size={18} />
-                      )}
-                    </button>
+                      >
+                        {showPasswords.plexToken ? (
+                          <Icons.EyeOff size={18} />
+                        ) : (
+                          <Icons.Eye size={18} />
+                        )}
+                      </button>
+                    </div>
                   </div>
-                </div>
 
-                {/* Tautulli URL */}
-                <div>
-                  <label className="block text-theme font-medium mb-2">
-                    Tautulli URL
-                  </label>
-                  <div className="relative">
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <Icons.Link className="text-accent-base opacity-70" />
-                    </div>
-                    <input
-                      type="text"
-                      name="tautulliUrl"
-                      value={formData.tautulliUrl}
-                      onChange={handleChange}
-                      className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
+                  {/* Tautulli URL */}
+                  <div>
+                    <label className="block text-theme font-medium mb-2">
+                      Tautulli URL
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Icons.Link className="text-accent-base opacity-70" />
+                      </div>
+                      <input
+                        type="text"
+                        name="tautulliUrl"
+                        value={formData.tautulliUrl}
+                        onChange={handleChange}
+                        className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
                         text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
                         transition-all duration-200"
-                      placeholder="http://your-tautulli-server:8181"
-                    />
+                        placeholder="http://your-tautulli-server:8181"
+                      />
+                    </div>
                   </div>
-                </div>
 
-                {/* Tautulli API Key */}
-                <div>
-                  <label className="block text-theme font-medium mb-2">
-                    Tautulli API Key
-                  </label>
-                  <div className="relative">
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                      <Icons.Key className="text-accent-base opacity-70" />
-                    </div>
-                    <input
-                      type={showPasswords.tautulliApiKey ? "text" : "password"}
-                      name="tautulliApiKey"
-                      value={formData.tautulliApiKey}
-                      onChange={handleChange}
-                      className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
+                  {/* Tautulli API Key */}
+                  <div>
+                    <label className="block text-theme font-medium mb-2">
+                      Tautulli API Key
+                    </label>
+                    <div className="relative">
+                      <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                        <Icons.Key className="text-accent-base opacity-70" />
+                      </div>
+                      <input
+                        type={
+                          showPasswords.tautulliApiKey ? "text" : "password"
+                        }
+                        name="tautulliApiKey"
+                        value={formData.tautulliApiKey}
+                        onChange={handleChange}
+                        className="w-full bg-gray-900/50 border border-accent rounded-lg pl-10 px-4 py-3 
                         text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
                         transition-all duration-200 font-mono"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => togglePasswordVisibility("tautulliApiKey")}
-                      className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-accent-base opacity-70
+                        placeholder={
+                          config?.hasTautulliKey
+                            ? "Saved - leave blank to keep the current API key"
+                            : ""
+                        }
+                      />
+                      <button
+                        type="button"
+                        onClick={() =>
+                          togglePasswordVisibility("tautulliApiKey")
+                        }
+                        className="absolute right-3 top-1/2 -translate-y-1/2 p-1 text-accent-base opacity-70
                         hover:opacity-100 transition-opacity bg-transparent border-none outline-none focus:outline-none focus:ring-0"
-                    >
-                      {showPasswords.tautulliApiKey ? (
-                        <Icons.EyeOff size={18} />
-                      ) : (
-                        <Icons.Eye size={18} />
-                      )}
-                    </button>
+                      >
+                        {showPasswords.tautulliApiKey ? (
+                          <Icons.EyeOff size={18} />
+                        ) : (
+                          <Icons.Eye size={18} />
+                        )}
+                      </button>
+                    </div>
                   </div>
                 </div>
-              </div>
 
-              <div>
-                <ThemedButton
-                  type="submit"
-                  variant="accent"
-                  icon={testing ? Icons.Loader2 : Icons.Save}
-                  disabled={testing}
-                >
-                  {testing ? "Testing Connection..." : "Save Settings"}
-                </ThemedButton>
-              </div>
-
-              {/* Connection Status */}
-              {testResults.plex !== null && (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
-                  <div
-                    className={`p-4 rounded-lg border ${
-                      testResults.plex
-                        ? "bg-green-900/20 border-green-500/30 text-green-400"
-                        : "bg-red-900/20 border-red-500/30 text-red-400"
-                    }`}
+                <div>
+                  <ThemedButton
+                    type="submit"
+                    variant="accent"
+                    icon={testing ? Icons.Loader2 : Icons.Save}
+                    disabled={testing}
                   >
-                    <div className="flex items-center gap-2">
-                      {testResults.plex ? (
-                        <Icons.CheckCircle size={16} />
-                      ) : (
-                        <Icons.XCircle size={16} />
-                      )}
-                      <span>
-                        Plex Connection:{" "}
-                        {testResults.plex ? "Success" : "Failed"}
-                      </span>
+                    {testing ? "Testing Connection..." : "Save Settings"}
+                  </ThemedButton>
+                </div>
+
+                {/* Connection Status */}
+                {testResults.plex !== null && (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+                    <div
+                      className={`p-4 rounded-lg border ${
+                        testResults.plex
+                          ? "bg-green-900/20 border-green-500/30 text-green-400"
+                          : "bg-red-900/20 border-red-500/30 text-red-400"
+                      }`}
+                    >
+                      <div className="flex items-center gap-2">
+                        {testResults.plex ? (
+                          <Icons.CheckCircle size={16} />
+                        ) : (
+                          <Icons.XCircle size={16} />
+                        )}
+                        <span>
+                          Plex Connection:{" "}
+                          {testResults.plex ? "Success" : "Failed"}
+                        </span>
+                      </div>
                     </div>
-                  </div>
 
-                  <div
-                    className={`p-4 rounded-lg border ${
-                      testResults.tautulli
-                        ? "bg-green-900/20 border-green-500/30 text-green-400"
-                        : "bg-red-900/20 border-red-500/30 text-red-400"
-                    }`}
-                  >
-                    <div className="flex items-center gap-2">
-                      {testResults.tautulli ? (
-                        <Icons.CheckCircle size={16} />
-                      ) : (
-                        <Icons.XCircle size={16} />
-                      )}
-                      <span>
-                        Tautulli Connection:{" "}
-                        {testResults.tautulli ? "Success" : "Failed"}
-                      </span>
+                    <div
+                      className={`p-4 rounded-lg border ${
+                        testResults.tautulli
+                          ? "bg-green-900/20 border-green-500/30 text-green-400"
+                          : "bg-red-900/20 border-red-500/30 text-red-400"
+                      }`}
+                    >
+                      <div className="flex items-center gap-2">
+                        {testResults.tautulli ? (
+                          <Icons.CheckCircle size={16} />
+                        ) : (
+                          <Icons.XCircle size={16} />
+                        )}
+                        <span>
+                          Tautulli Connection:{" "}
+                          {testResults.tautulli ? "Success" : "Failed"}
+                        </span>
+                      </div>
                     </div>
                   </div>
-                </div>
-              )}
-            </form>
-          </ThemedCard>
+                )}
+              </form>
+            </ThemedCard>
+
+            <ServerProfiles />
+          </div>
         );
 
       case "theme":
@@ -803,6 +827,12 @@ const SettingsPage = () => {
       case "cache":
         return <CacheManager />;
 
+      case "security":
+        return <SecuritySettings />;
+
+      case "notifications":
+        return <NotificationSettings />;
+
       case "backup":
         return <BackupSettings />;
 
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useRef } from "react";
-import { useNavigate } from "react-router-dom";
+import { Navigate, useNavigate } from "react-router-dom";
 import { useQueryClient } from "react-query";
+import { useAuth } from "../../context/AuthContext";
 import { useConfig } from "../../context/ConfigContext";
 import { useTheme } from "../../context/ThemeContext.jsx";
 import { testPlexConnection } from "../../services/plexService";
@@ -33,7 +34,19 @@ const SetupWizard = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
   const { updateConfig } = useConfig();
+  const {
+    isAuthenticated,
+    setupRequired,
+    isLoading: authLoading,
+    createAdminAccount,
+  } = useAuth();
   const { theme } = useTheme();
+  const [adminForm, setAdminForm] = useState({
+    username: "",
+    password: "",
+    confirmPassword: "",
+  });
+  const [creatingAdmin, setCreatingAdmin] = useState(false);
   const [formData, setFormData] = useState({
     plexUrl: "",
     plexToken: "",
@@ -56,8 +69,10 @@ const SetupWizard = () => {
   const [isRestoreLoading, setIsRestoreLoading] = useState(false);
   const fileInputRef = useRef(null);
 
-  // Check for existing sections on mount
+  // Check for existing sections once logged in
   useEffect(() => {
+    if (!isAuthenticated) return;
+
     const checkExistingSections = async () => {
       try {
         // Check if sections already exist - if they do, we can skip setup
@@ -89,7 +104,38 @@ const SetupWizard = () => {
     };
 
     checkExistingSections();
-  }, []);
+  }, [isAuthenticated]);
+
+  // Create the admin account before any server configuration happens
+  const handleCreateAdmin = async (e) => {
+    e.preventDefault();
+
+    if (adminForm.password !== adminForm.confirmPassword) {
+      toast.error("Passwords do not match");
+      return;
+    }
+
+    if (adminForm.password.length < 8) {
+      toast.error("Password must be at least 8 characters");
+      return;
+    }
+
+    setCreatingAdmin(true);
+    try {
+      await createAdminAccount(adminForm.username, adminForm.password);
+      toast.success("Admin account created");
+    } catch (error) {
+      logError("Admin account creation failed", error);
+      toast.error(error.message);
+    } finally {
+      setCreatingAdmin(false);
+    }
+  };
+
+  const handleAdminChange = (e) => {
+    const { name, value } = e.target;
+    setAdminForm((prev) => ({ ...prev, [name]: value }));
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -424,6 +470,15 @@ const SetupWizard = () => {
     return <LoadingScreen message="Initializing Dashboard..." />;
   }
 
+  if (authLoading) {
+    return <LoadingScreen progress={30} message="Checking session..." />;
+  }
+
+  // An admin account exists, so only a logged in user may change the setup
+  if (!setupRequired && !isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
   return (
     <>
       <BackdropSlideshow />
@@ -443,13 +498,101 @@ const SetupWizard = () => {
             </h1>
           </div>
           <p className="text-theme-muted">
-            Configure your Plex and Tautulli connections
+            {setupRequired
+              ? "Create your admin account"
+              : "Configure your Plex and Tautulli connections"}
           </p>
         </div>
 
         {/* Setup Form or Restore UI */}
         <div className="w-full max-w-lg p-6 rounded-xl shadow-xl shadow-black/30 bg-gray-900/90 border border-accent">
-          {isRestoreMode ? (
+          {setupRequired ? (
+            <form onSubmit={handleCreateAdmin} className="space-y-6">
+              <div className="space-y-4">
+                <div className="flex items-center gap-2 pb-2 border-b border-accent">
+                  <Icons.UserCog size={16} className="text-accent" />
+                  <h2 className="text-lg font-medium text-white">
+                    Admin Account
+                  </h2>
+                </div>
+
+                <p className="text-sm text-theme-muted">
+                  This account protects the dashboard and its API. You will use
+                  it to log in from now on.
+                </p>
+
+                <div>
+                  <label className="block text-theme font-medium mb-1.5">
+                    Username
+                  </label>
+                  <input
+                    type="text"
+                    name="username"
+                    autoComplete="username"
+                    value={adminForm.username}
+                    onChange={handleAdminChange}
+                    className="w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 
+            text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+            transition-theme"
+                    placeholder="admin"
+                    required
+                    disabled={creatingAdmin}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-theme font-medium mb-1.5">
+                    Password
+                  </label>
+                  <input
+                    type="password"
+                    name="password"
+                    autoComplete="new-password"
+                    value={adminForm.password}
+                    onChange={handleAdminChange}
+                    className="w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 
+            text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+            transition-theme"
+                    minLength={8}
+                    required
+                    disabled={creatingAdmin}
+                  />
+                  <p className="mt-1.5 text-xs text-theme-muted">
+                    At least 8 characters
+                  </p>
+                </div>
+
+                <div>
+                  <label className="block text-theme font-medium mb-1.5">
+                    Confirm Password
+                  </label>
+                  <input
+                    type="password"
+                    name="confirmPassword"
+                    autoComplete="new-password"
+                    value={adminForm.confirmPassword}
+                    onChange={handleAdminChange}
+                    className="w-full bg-gray-900/80 border border-accent rounded-lg px-4 py-2.5 
+            text-white placeholder-gray-500 focus:outline-none focus:border-accent focus:ring-1 focus:ring-accent
+            transition-theme"
+                    minLength={8}
+                    required
+                    disabled={creatingAdmin}
+                  />
+                </div>
+              </div>
+
+              <ThemedButton
+                type="submit"
+                disabled={creatingAdmin}
+                variant="accent"
+                className="w-full"
+                icon={creatingAdmin ? Icons.Loader2 : Icons.UserPlus}
+              >
+                {creatingAdmin ? "Creating Account..." : "Create Admin Account"}
+              </ThemedButton>
+            </form>
+          ) : isRestoreMode ? (
             <div className="space-y-6">
               <div className="flex items-center gap-2 pb-2 border-b border-accent">
                 <Icons.Save size={16} className="text-accent" />
@@ -0,0 +1,473 @@
+import React, { useState } from "react";
+import { useQuery, useQueryClient } from "react-query";
+import axios from "axios";
+import toast from "react-hot-toast";
+import * as Icons from "lucide-react";
+import { useConfig } from "../../context/ConfigContext";
+import { logError } from "../../utils/logger";
+import ThemedCard from "../common/ThemedCard";
+import ThemedButton from "../common/ThemedButton";
+
+const RANGE_OPTIONS = [
+  { value: 7, label: "7 days" },
+  { value: 30, label: "30 days" },
+  { value: 90, label: "90 days" },
+  { value: 365, label: "1 year" },
+];
+
+const GROUP_OPTIONS = [
+  { value: "day", label: "Day" },
+  { value: "week", label: "Week" },
+  { value: "month", label: "Month" },
+];
+
+const METRIC_OPTIONS = [
+  { value: "plays", label: "Plays" },
+  { value: "hours", label: "Hours" },
+];
+
+// Colours for the per-library-type series in the timeline
+const SERIES_COLORS = [
+  "bg-accent-base",
+  "bg-blue-500/80",
+  "bg-green-500/80",
+  "bg-yellow-500/80",
+  "bg-purple-500/80",
+];
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+// Short label for a timeline period ("2024-01-15" or "2024-01")
+const formatPeriod = (period, groupBy) => {
+  const date = new Date(
+    groupBy === "month" ? `${period}-01T00:00:00` : `${period}T00:00:00`
+  );
+  return groupBy === "month"
+    ? date.toLocaleDateString(undefined, { month: "short", year: "2-digit" })
+    : date.toLocaleDateString(undefined, { month: "short", day: "numeric" });
+};
+
+// Segmented control used for the range, grouping and metric pickers
+const OptionToggle = ({ options, value, onChange }) => (
+  <div className="flex items-center gap-1 p-1 bg-gray-800/50 rounded-lg border border-accent">
+    {options.map((option) => (
+      <button
+        key={option.value}
+        onClick={() => onChange(option.value)}
+        className={`px-3 py-1 rounded-md text-sm font-medium transition-colors ${
+          value === option.value
+            ? "bg-accent-light text-white"
+            : "text-theme-muted hover:text-white"
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+const SummaryTile = ({ icon: Icon, label, value, detail }) => (
+  <ThemedCard>
+    <div className="flex items-center gap-4">
+      <div className="p-3 rounded-lg bg-accent-lighter">
+        <Icon size={20} className="text-accent-base" />
+      </div>
+      <div className="min-w-0">
+        <p className="text-xs text-theme-muted uppercase tracking-wide">
+          {label}
+        </p>
+        <p className="text-xl font-semibold text-white truncate">{value}</p>
+        {detail && (
+          <p className="text-xs text-theme-muted truncate">{detail}</p>
+        )}
+      </div>
+    </div>
+  </ThemedCard>
+);
+
+// Stacked vertical bars, one per period
+const TimelineChart = ({ timeline, metric, groupBy }) => {
+  const seriesNames = [
+    ...new Set(
+      timeline.flatMap((entry) =>
+        Object.keys(entry[metric]).filter((name) => name !== "total")
+      )
+    ),
+  ];
+  const maxValue = Math.max(
+    1,
+    ...timeline.map((entry) => entry[metric].total || 0)
+  );
+  const labelEvery = Math.ceil(timeline.length / 12);
+
+  if (timeline.length === 0) {
+    return <p className="text-sm text-theme-muted">No plays in this range.</p>;
+  }
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-56">
+        {timeline.map((entry) => (
+          <div
+            key={entry.period}
+            className="flex-1 h-full flex flex-col justify-end group relative"
+          >
+            <div
+              className="flex flex-col-reverse rounded-t overflow-hidden"
+              style={{
+                height: `${((entry[metric].total || 0) / maxValue) * 100}%`,
+              }}
+            >
+              {seriesNames.map((name, index) => (
+                <div
+                  key={name}
+                  className={SERIES_COLORS[index % SERIES_COLORS.length]}
+                  style={{
+                    height: `${
+                      entry[metric].total
+                        ? ((entry[metric][name] || 0) / entry[metric].total) *
+                          100
+                        : 0
+                    }%`,
+                  }}
+                />
+              ))}
+            </div>
+            <div className="absolute bottom-full mb-2 left-1/2 -translate-x-1/2 hidden group-hover:block z-10 whitespace-nowrap bg-gray-900 border border-accent rounded-md px-2 py-1 text-xs text-white">
+              <p className="font-medium">
+                {formatPeriod(entry.period, groupBy)}
+              </p>
+              {seriesNames.map((name) => (
+                <p key={name} className="text-theme-muted">
+                  {name}: {formatNumber(entry[metric][name])}
+                </p>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-2">
+        {timeline.map((entry, index) => (
+          <div
+            key={entry.period}
+            className="flex-1 text-center text-[10px] text-theme-muted truncate"
+          >
+            {index % labelEvery === 0
+              ? formatPeriod(entry.period, groupBy)
+              : ""}
+          </div>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-4 mt-4">
+        {seriesNames.map((name, index) => (
+          <div key={name} className="flex items-center gap-2 text-xs">
+            <span
+              className={`w-3 h-3 rounded-sm ${
+                SERIES_COLORS[index % SERIES_COLORS.length]
+              }`}
+            />
+            <span className="text-theme-muted">{name}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// 24 bars for the busiest hours of the day
+const HourOfDayChart = ({ hours, metric }) => {
+  const maxValue = Math.max(1, ...hours.map((entry) => entry[metric] || 0));
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40">
+        {hours.map((entry) => (
+          <div
+            key={entry.hour}
+            className="flex-1 h-full flex flex-col justify-end"
+            title={`${formatHour(entry.hour)} - ${formatNumber(
+              entry[metric]
+            )} ${metric}`}
+          >
+            <div
+              className="bg-accent-base rounded-t opacity-80 hover:opacity-100 transition-opacity"
+              style={{ height: `${((entry[metric] || 0) / maxValue) * 100}%` }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-2">
+        {hours.map((entry) => (
+          <div
+            key={entry.hour}
+            className="flex-1 text-center text-[10px] text-theme-muted"
+          >
+            {entry.hour % 3 === 0 ? String(entry.hour).padStart(2, "0") : ""}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Ranked list with inline bars (top users, titles, platforms, ...)
+const RankedList = ({ items, metric, emptyMessage, renderLabel }) => {
+  const maxValue = Math.max(1, ...items.map((item) => item[metric] || 0));
+
+  if (items.length === 0) {
+    return <p className="text-sm text-theme-muted">{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {items.map((item, index) => (
+        <div key={`${item.name || item.title}-${index}`}>
+          <div className="flex justify-between gap-4 text-sm mb-1">
+            <span className="text-white truncate">
+              {renderLabel ? renderLabel(item) : item.name}
+            </span>
+            <span className="text-theme-muted shrink-0">
+              {formatNumber(item[metric])} {metric}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-800/50 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-accent-light to-accent-hover rounded-full"
+              style={{ width: `${((item[metric] || 0) / maxValue) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const StatsSkeleton = () => (
+  <div className="space-y-6 animate-pulse">
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      {[...Array(4)].map((_, i) => (
+        <div key={i} className="h-20 bg-gray-800/50 rounded-xl" />
+      ))}
+    </div>
+    <div className="h-72 bg-gray-800/50 rounded-xl" />
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="h-56 bg-gray-800/50 rounded-xl" />
+      <div className="h-56 bg-gray-800/50 rounded-xl" />
+    </div>
+  </div>
+);
+
+const Statistics = () => {
+  const { config } = useConfig();
+  const queryClient = useQueryClient();
+  const [days, setDays] = useState(30);
+  const [groupBy, setGroupBy] = useState("day");
+  const [metric, setMetric] = useState("plays");
+
+  const fetchStats = async (refresh = false) => {
+    const response = await axios.get("/api/stats", {
+      params: { days, groupBy, ...(refresh && { refresh: true }) },
+    });
+    return response.data;
+  };
+
+  const { data, isLoading, isError, error, isFetching } = useQuery(
+    ["stats", days, groupBy],
+    () => fetchStats(),
+    {
+      enabled: !!config.hasTautulliKey,
+      keepPreviousData: true,
+      staleTime: 5 * 60 * 1000,
+      onError: (err) => logError("Failed to load statistics:", err),
+    }
+  );
+
+  // Bypass the server-side stats cache
+  const handleRefresh = async () => {
+    try {
+      const freshStats = await fetchStats(true);
+      queryClient.setQueryData(["stats", days, groupBy], freshStats);
+    } catch (err) {
+      logError("Failed to refresh statistics:", err);
+      toast.error("Failed to refresh statistics");
+    }
+  };
+
+  const busiestHour = data?.hourOfDay?.reduce(
+    (busiest, entry) =>
+      !busiest || entry.plays > busiest.plays ? entry : busiest,
+    null
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="space-y-1">
+          <h2 className="text-2xl font-semibold bg-gradient-to-r from-white to-gray-400 bg-clip-text text-transparent">
+            Statistics
+          </h2>
+          <p className="text-xs text-theme-muted">
+            Watch time and play counts from Tautulli
+          </p>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          <OptionToggle
+            options={RANGE_OPTIONS}
+            value={days}
+            onChange={setDays}
+          />
+          <OptionToggle
+            options={GROUP_OPTIONS}
+            value={groupBy}
+            onChange={setGroupBy}
+          />
+          <OptionToggle
+            options={METRIC_OPTIONS}
+            value={metric}
+            onChange={setMetric}
+          />
+          <ThemedButton
+            onClick={handleRefresh}
+            disabled={isFetching}
+            variant="accent"
+            icon={
+              isFetching
+                ? () => <Icons.RefreshCw className="text-accent animate-spin" />
+                : Icons.RefreshCw
+            }
+          >
+            Refresh
+          </ThemedButton>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <StatsSkeleton />
+      ) : isError ? (
+        <div className="bg-red-500/10 border border-red-500/20 rounded-xl p-6 text-center">
+          <p className="text-red-400">
+            {error?.response?.data?.message ||
+              error?.message ||
+              "Failed to load statistics"}
+          </p>
+        </div>
+      ) : (
+        data && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+              <SummaryTile
+                icon={Icons.PlayCircle}
+                label="Total Plays"
+                value={formatNumber(data.summary.plays)}
+                detail={`Last ${days} days`}
+              />
+              <SummaryTile
+                icon={Icons.Clock}
+                label="Hours Watched"
+                value={formatNumber(data.summary.hours)}
+                detail={`Last ${days} days`}
+              />
+              <SummaryTile
+                icon={Icons.Crown}
+                label="Top User"
+                value={data.topUsers[0]?.name || "-"}
+                detail={
+                  data.topUsers[0] &&
+                  `${formatNumber(data.topUsers[0].plays)} plays`
+                }
+              />
+              <SummaryTile
+                icon={Icons.Sunrise}
+                label="Busiest Hour"
+                value={busiestHour ? formatHour(busiestHour.hour) : "-"}
+                detail={
+                  busiestHour && `${formatNumber(busiestHour.plays)} plays`
+                }
+              />
+            </div>
+
+            <ThemedCard
+              title={`${metric === "plays" ? "Plays" : "Hours Watched"} by ${
+                groupBy === "day"
+                  ? "Day"
+                  : groupBy === "week"
+                  ? "Week"
+                  : "Month"
+              }`}
+              icon={Icons.BarChart3}
+            >
+              <TimelineChart
+                timeline={data.timeline}
+                metric={metric}
+                groupBy={groupBy}
+              />
+            </ThemedCard>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <ThemedCard title="Busiest Hours" icon={Icons.Clock3}>
+                <HourOfDayChart hours={data.hourOfDay} metric={metric} />
+              </ThemedCard>
+
+              <ThemedCard title="Top Users" icon={Icons.Users}>
+                <RankedList
+                  items={data.topUsers}
+                  metric={metric}
+                  emptyMessage="No user activity in this range."
+                />
+              </ThemedCard>
+
+              <ThemedCard title="Top Titles" icon={Icons.Film}>
+                <RankedList
+                  items={data.topTitles}
+                  metric={metric}
+                  emptyMessage="Nothing watched in this range."
+                  renderLabel={(item) => (
+                    <span className="flex items-center gap-2">
+                      {item.mediaType === "movie" ? (
+                        <Icons.Film size={14} className="text-accent-base" />
+                      ) : item.mediaType === "show" ? (
+                        <Icons.Tv size={14} className="text-accent-base" />
+                      ) : (
+                        <Icons.Music size={14} className="text-accent-base" />
+                      )}
+                      {item.title}
+                    </span>
+                  )}
+                />
+              </ThemedCard>
+
+              <ThemedCard title="Libraries" icon={Icons.Database}>
+                <RankedList
+                  items={data.topLibraries}
+                  metric={metric}
+                  emptyMessage="No library activity in this range."
+                />
+              </ThemedCard>
+
+              <ThemedCard title="Platforms" icon={Icons.MonitorSmartphone}>
+                <RankedList
+                  items={data.platforms}
+                  metric={metric}
+                  emptyMessage="No platform data in this range."
+                />
+              </ThemedCard>
+
+              <ThemedCard title="Players" icon={Icons.Tv2}>
+                <RankedList
+                  items={data.players}
+                  metric={metric}
+                  emptyMessage="No player data yet - it fills in as watch history is synced."
+                />
+              </ThemedCard>
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default Statistics;
@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useRef } from "react";
+import { useQuery, useQueryClient } from "react-query";
+import axios from "axios";
+import * as Icons from "lucide-react";
+import { useConfig } from "../../context/ConfigContext";
+import useLiveUpdates from "../../hooks/useLiveUpdates";
+import { logError } from "../../utils/logger";
+import ThemedCard from "../common/ThemedCard";
+import ThemedButton from "../common/ThemedButton";
+
+const REFRESH_INTERVAL = 15000; // Fallback polling while live updates are down
+
+const DECISION_STYLES = {
+  "direct play": {
+    label: "Direct Play",
+    className: "bg-green-500/10 text-green-400 border-green-500/30",
+  },
+  "direct stream": {
+    label: "Direct Stream",
+    className: "bg-blue-500/10 text-blue-400 border-blue-500/30",
+  },
+  transcode: {
+    label: "Transcode",
+    className: "bg-yellow-500/10 text-yellow-400 border-yellow-500/30",
+  },
+};
+
+const STATE_ICONS = {
+  playing: Icons.Play,
+  paused: Icons.Pause,
+  buffering: Icons.Loader2,
+};
+
+// Bandwidth from Tautulli is reported in kbps
+const formatBandwidth = (kbps) => {
+  const value = Number(kbps) || 0;
+  if (value < 1000) return `${value} kbps`;
+  return `${(value / 1000).toFixed(1)} Mbps`;
+};
+
+const DecisionBadge = ({ decision }) => {
+  const style = DECISION_STYLES[decision];
+  if (!style) return null;
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-0.5 rounded-full border text-xs font-medium ${style.className}`}
+    >
+      {style.label}
+    </span>
+  );
+};
+
+// "source → stream" when the stream differs from the source
+const describeStream = (source, stream) =>
+  source === stream || !stream ? source || "Unknown" : `${source} → ${stream}`;
+
+const DetailRow = ({ icon: Icon, label, children }) => (
+  <div className="flex items-start gap-3 min-w-0">
+    <Icon size={16} className="text-accent-base mt-0.5 shrink-0" />
+    <div className="min-w-0">
+      <p className="text-xs text-theme-muted uppercase tracking-wide">
+        {label}
+      </p>
+      <div className="text-sm text-white truncate">{children}</div>
+    </div>
+  </div>
+);
+
+const SummaryTile = ({ icon: Icon, label, value, detail }) => (
+  <ThemedCard>
+    <div className="flex items-center gap-4">
+      <div className="p-3 rounded-lg bg-accent-lighter">
+        <Icon size={20} className="text-accent-base" />
+      </div>
+      <div className="min-w-0">
+        <p className="text-xs text-theme-muted uppercase tracking-wide">
+          {label}
+        </p>
+        <p className="text-xl font-semibold text-white truncate">{value}</p>
+        {detail && (
+          <p className="text-xs text-theme-muted truncate">{detail}</p>
+        )}
+      </div>
+    </div>
+  </ThemedCard>
+);
+
+const StreamCard = ({ session }) => {
+  const stream = session.raw_data || {};
+  const StateIcon = STATE_ICONS[stream.state] || Icons.Play;
+
+  // Custom formats sit next to raw_data at the top level
+  const customFormats = Object.entries(session).filter(
+    ([key]) => key !== "raw_data"
+  );
+
+  const place = [stream.city, stream.country].filter(Boolean).join(", ");
+
+  return (
+    <ThemedCard className="border border-accent" isInteractive>
+      <div className="space-y-4">
+        <div className="flex items-start justify-between gap-4">
+          <div className="space-y-1 flex-1 min-w-0">
+            <h3 className="text-white font-medium truncate">
+              {stream.full_title || stream.title || "Unknown"}
+            </h3>
+            <p className="text-theme-muted text-sm truncate">
+              {stream.friendly_name || "Unknown user"}
+            </p>
+          </div>
+          <div className="flex items-center gap-2 shrink-0">
+            <DecisionBadge decision={stream.transcode_decision} />
+            <span className="inline-flex items-center gap-1.5 px-2.5 py-1 rounded-full bg-accent-lighter text-accent border border-accent/30">
+              <StateIcon
+                size={14}
+                className={stream.state === "buffering" ? "animate-spin" : ""}
+              />
+              <span className="text-xs font-medium capitalize">
+                {stream.state || "playing"}
+              </span>
+            </span>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          <DetailRow icon={Icons.MonitorPlay} label="Player">
+            {stream.player || "Unknown"}
+            {(stream.product || stream.platform) && (
+              <span className="text-theme-muted">
+                {" "}
+                · {stream.product || stream.platform}
+              </span>
+            )}
+          </DetailRow>
+          <DetailRow icon={Icons.MapPin} label="Location">
+            <span className="uppercase text-xs font-medium text-accent-base mr-2">
+              {stream.location}
+            </span>
+            {stream.ip_address || "Unknown"}
+            {place && <span className="text-theme-muted"> · {place}</span>}
+            {stream.relayed && (
+              <span className="text-yellow-400"> · Relayed</span>
+            )}
+          </DetailRow>
+          <DetailRow icon={Icons.Gauge} label="Bandwidth">
+            {stream.formatted_bandwidth}
+            {stream.quality_profile && (
+              <span className="text-theme-muted">
+                {" "}
+                · {stream.quality_profile}
+              </span>
+            )}
+          </DetailRow>
+          <DetailRow icon={Icons.Film} label="Video">
+            {describeStream(
+              stream.video_resolution,
+              stream.stream_video_resolution
+            )}
+            <span className="text-theme-muted">
+              {" "}
+              · {describeStream(stream.video_codec, stream.stream_video_codec)}
+            </span>{" "}
+            <DecisionBadge decision={stream.video_decision} />
+          </DetailRow>
+          <DetailRow icon={Icons.Volume2} label="Audio">
+            {describeStream(stream.audio_codec, stream.stream_audio_codec)}
+            <span className="text-theme-muted">
+              {" "}
+              ·{" "}
+              {describeStream(
+                stream.audio_channels,
+                stream.stream_audio_channels
+              )}
+            </span>{" "}
+            <DecisionBadge decision={stream.audio_decision} />
+          </DetailRow>
+          <DetailRow icon={Icons.Activity} label="Bitrate">
+            {describeStream(
+              stream.formatted_bitrate,
+              stream.formatted_stream_bitrate
+            )}
+            {stream.transcode_decision === "transcode" &&
+              stream.transcode_speed && (
+                <span className="text-theme-muted">
+                  {" "}
+                  · {stream.transcode_speed}x
+                  {stream.transcode_hw ? " (HW)" : ""}
+                </span>
+              )}
+          </DetailRow>
+        </div>
+
+        {customFormats.length > 0 && (
+          <div className="space-y-1 bg-gray-900/50 rounded-lg p-3 border border-accent">
+            {customFormats.map(([name, value]) => (
+              <p key={name} className="text-sm truncate">
+                <span className="text-theme-muted">{name}: </span>
+                <span className="text-accent-base">{value}</span>
+              </p>
+            ))}
+          </div>
+        )}
+
+        <div className="h-2 bg-gray-800/50 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-gradient-to-r from-accent-light to-accent-hover rounded-full transition-all duration-300 ease-out"
+            style={{ width: `${Math.min(stream.progress_percent || 0, 100)}%` }}
+          />
+        </div>
+      </div>
+    </ThemedCard>
+  );
+};
+
+const LoadingItem = () => (
+  <ThemedCard>
+    <div className="space-y-4 animate-pulse">
+      <div className="flex items-start justify-between">
+        <div className="space-y-2 flex-1">
+          <div className="h-5 bg-gray-700/50 rounded w-2/3" />
+          <div className="h-4 bg-gray-700/50 rounded w-1/3" />
+        </div>
+        <div className="h-6 w-24 bg-gray-700/50 rounded-full" />
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {[...Array(6)].map((_, i) => (
+          <div key={i} className="h-8 bg-gray-700/50 rounded" />
+        ))}
+      </div>
+    </div>
+  </ThemedCard>
+);
+
+const Streams = () => {
+  const { config } = useConfig();
+  const queryClient = useQueryClient();
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const refreshInterval = useRef(null);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get("/api/sessions");
+      return response.data;
+    } catch (error) {
+      logError("Error fetching sessions:", error);
+      throw error;
+    }
+  };
+
+  const { data, isLoading, error, refetch } = useQuery(
+    ["sessions", config.hasTautulliKey],
+    fetchSessions,
+    {
+      enabled: !!config.hasTautulliKey,
+      refetchOnWindowFocus: false,
+      staleTime: 5000,
+    }
+  );
+
+  // Server pushes changed sessions, so polling is only a fallback
+  const { isLive } = useLiveUpdates(
+    "sessions",
+    (payload) =>
+      queryClient.setQueryData(["sessions", config.hasTautulliKey], payload),
+    !!config.hasTautulliKey
+  );
+
+  const handleRefresh = async () => {
+    if (isRefreshing) return;
+
+    setIsRefreshing(true);
+    await refetch();
+    setIsRefreshing(false);
+  };
+
+  // Poll only while the live connection is down
+  useEffect(() => {
+    if (isLive) return;
+
+    refreshInterval.current = setInterval(handleRefresh, REFRESH_INTERVAL);
+    return () => clearInterval(refreshInterval.current);
+  }, [isLive]);
+
+  const sessions = data?.sessions || [];
+  const counts = data?.streamCounts || {};
+  const bandwidth = data?.bandwidth || {};
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div className="space-y-1">
+          <h2 className="text-2xl font-semibold bg-gradient-to-r from-white to-gray-400 bg-clip-text text-transparent">
+            Streams
+          </h2>
+          <div className="flex items-center gap-2">
+            <div className="flex items-center gap-1.5 px-3 py-1 bg-gray-800/50 rounded-lg border border-accent">
+              <Icons.MonitorPlay size={14} className="text-accent-base" />
+              <span className="text-theme-muted text-sm">
+                {sessions.length} Active
+              </span>
+            </div>
+            {isRefreshing ? (
+              <span className="text-xs text-theme-muted">Refreshing...</span>
+            ) : isLive ? (
+              <span className="flex items-center gap-1.5 text-xs text-green-400">
+                <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse"></span>
+                Live
+              </span>
+            ) : null}
+          </div>
+        </div>
+
+        <ThemedButton
+          onClick={handleRefresh}
+          disabled={isRefreshing}
+          variant="accent"
+          icon={
+            isRefreshing
+              ? () => <Icons.RefreshCw className="text-accent animate-spin" />
+              : Icons.RefreshCw
+          }
+        >
+          {isRefreshing ? "Refreshing..." : "Refresh"}
+        </ThemedButton>
+      </div>
+
+      {data && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <SummaryTile
+            icon={Icons.Play}
+            label="Streams"
+            value={sessions.length}
+            detail={`${counts.directPlay || 0} direct play · ${
+              counts.directStream || 0
+            } direct stream · ${counts.transcode || 0} transcode`}
+          />
+          <SummaryTile
+            icon={Icons.Gauge}
+            label="Total Bandwidth"
+            value={formatBandwidth(bandwidth.total)}
+          />
+          <SummaryTile
+            icon={Icons.Globe}
+            label="WAN / LAN"
+            value={formatBandwidth(bandwidth.wan)}
+            detail={`LAN ${formatBandwidth(bandwidth.lan)}`}
+          />
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {isLoading ? (
+          <>
+            <LoadingItem />
+            <LoadingItem />
+          </>
+        ) : error ? (
+          <ThemedCard className="bg-red-500/10 border-red-500/20 text-center">
+            <p className="text-red-400">
+              {error.response?.data?.message || "Failed to load streams"}
+            </p>
+          </ThemedCard>
+        ) : !sessions.length ? (
+          <ThemedCard className="text-center py-8">
+            <Icons.MonitorPlay
+              size={24}
+              className="text-theme-muted mx-auto mb-3"
+            />
+            <p className="text-theme-muted">Nothing is playing right now</p>
+          </ThemedCard>
+        ) : (
+          sessions.map((session) => (
+            <StreamCard key={session.raw_data?.session_key} session={session} />
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Streams;
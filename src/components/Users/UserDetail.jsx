@@ -0,0 +1,636 @@
+import React, { useState } from "react";
+import { useQuery, useInfiniteQuery, useQueryClient } from "react-query";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import axios from "axios";
+import toast from "react-hot-toast";
+import * as Icons from "lucide-react";
+import { useConfig } from "../../context/ConfigContext";
+import useInfiniteScroll from "../../hooks/useInfiniteScroll";
+import { logError } from "../../utils/logger";
+import ThemedCard from "../common/ThemedCard";
+import ThemedButton from "../common/ThemedButton";
+import MediaModal from "../RecentlyAdded/MediaModal";
+import { getImageUrl, withPosterSize } from "../../services/posterCacheService";
+
+const HISTORY_PAGE_SIZE = 25;
+
+const MEDIA_ICONS = {
+  movie: Icons.Film,
+  show: Icons.Tv,
+  episode: Icons.Tv,
+  artist: Icons.Music,
+  track: Icons.Music,
+};
+
+const formatNumber = (value) => (value || 0).toLocaleString();
+
+// Watch time comes in seconds
+const formatWatchTime = (seconds) => {
+  const minutes = Math.round((seconds || 0) / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 48) return `${formatNumber(Math.round(hours / 24))} days`;
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+const formatWatchTimeLabel = (days) => {
+  if (!days) return "All time";
+  if (days === 1) return "Last 24 hours";
+  return `Last ${days} days`;
+};
+
+const formatDay = (timestamp) =>
+  new Date(timestamp * 1000).toLocaleDateString(undefined, {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+
+const formatTime = (timestamp) =>
+  new Date(timestamp * 1000).toLocaleTimeString(undefined, {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatDate = (timestamp) =>
+  timestamp
+    ? new Date(timestamp * 1000).toLocaleDateString(undefined, {
+        year: "numeric",
+        month: "short",
+        day: "numeric",
+      })
+    : "Never";
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// "Show - S01E02 - Title" for episodes, "Artist - Track" for tracks
+const formatPlayTitle = (play) => {
+  if (play.media_type === "episode") {
+    const episode =
+      play.parent_media_index && play.media_index
+        ? ` - S${pad(play.parent_media_index)}E${pad(play.media_index)}`
+        : "";
+    return `${play.grandparent_title}${episode} - ${play.title}`;
+  }
+  if (play.media_type === "track" && play.grandparent_title) {
+    return `${play.grandparent_title} - ${play.title}`;
+  }
+  return play.full_title || play.title;
+};
+
+const SummaryTile = ({ icon: Icon, label, value, detail }) => (
+  <ThemedCard>
+    <div className="flex items-center gap-4">
+      <div className="p-3 rounded-lg bg-accent-lighter">
+        <Icon size={20} className="text-accent-base" />
+      </div>
+      <div className="min-w-0">
+        <p className="text-xs text-theme-muted uppercase tracking-wide">
+          {label}
+        </p>
+        <p className="text-xl font-semibold text-white truncate">{value}</p>
+        {detail && (
+          <p className="text-xs text-theme-muted truncate">{detail}</p>
+        )}
+      </div>
+    </div>
+  </ThemedCard>
+);
+
+// Ranked list with inline bars, as on the statistics page
+const RankedList = ({ items, emptyMessage, renderLabel }) => {
+  const maxValue = Math.max(1, ...items.map((item) => item.plays || 0));
+
+  if (items.length === 0) {
+    return <p className="text-sm text-theme-muted">{emptyMessage}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {items.map((item, index) => (
+        <div key={index}>
+          <div className="flex justify-between gap-4 text-sm mb-1">
+            <span className="text-white truncate">{renderLabel(item)}</span>
+            <span className="text-theme-muted shrink-0">
+              {formatNumber(item.plays)} plays
+            </span>
+          </div>
+          <div className="h-2 bg-gray-800/50 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-gradient-to-r from-accent-light to-accent-hover rounded-full"
+              style={{ width: `${((item.plays || 0) / maxValue) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const Poster = ({ src, mediaType, className }) => {
+  const [failed, setFailed] = useState(false);
+  const Icon = MEDIA_ICONS[mediaType] || Icons.Image;
+
+  if (!src || failed) {
+    return (
+      <div
+        className={`flex items-center justify-center bg-gray-800/50 ${className}`}
+      >
+        <Icon size={14} className="text-theme-muted" />
+      </div>
+    );
+  }
+
+  return (
+    <img
+      src={withPosterSize(src, "thumb")}
+      alt=""
+      loading="lazy"
+      onError={() => setFailed(true)}
+      className={`object-cover bg-gray-800/50 ${className}`}
+    />
+  );
+};
+
+// What the user is playing right now
+const NowPlaying = ({ session }) => (
+  <div className="flex items-center gap-4">
+    <Poster
+      src={
+        session.rating_key ? `/api/posters/${session.rating_key}` : undefined
+      }
+      mediaType={session.media_type}
+      className="h-20 w-14 shrink-0 rounded"
+    />
+    <div className="min-w-0 flex-1 space-y-1">
+      <p className="text-white font-medium truncate">{session.full_title}</p>
+      <p className="text-xs text-theme-muted truncate">
+        {[
+          session.player,
+          session.platform,
+          session.transcode_decision,
+          session.location === "wan"
+            ? [session.city, session.country].filter(Boolean).join(", ") ||
+              session.ip_address
+            : "Local network",
+        ]
+          .filter(Boolean)
+          .join(" · ")}
+      </p>
+      <div className="h-1.5 bg-gray-800/50 rounded-full overflow-hidden">
+        <div
+          className="h-full bg-accent-base rounded-full"
+          style={{ width: `${session.progress_percent}%` }}
+        />
+      </div>
+    </div>
+    <span
+      className={`shrink-0 text-xs font-medium ${
+        session.state === "playing" ? "text-green-400" : "text-theme-muted"
+      }`}
+    >
+      {session.state === "paused" ? "Paused" : "Playing"}
+    </span>
+  </div>
+);
+
+// Plays grouped by the day they started
+const HistoryTimeline = ({ plays, onSelect }) => {
+  const days = [];
+  plays.forEach((play) => {
+    const day = formatDay(play.date);
+    if (days[days.length - 1]?.day !== day) days.push({ day, plays: [] });
+    days[days.length - 1].plays.push(play);
+  });
+
+  return (
+    <div className="space-y-6">
+      {days.map(({ day, plays: dayPlays }) => (
+        <div key={day}>
+          <p className="text-xs text-theme-muted uppercase tracking-wide mb-2">
+            {day}
+          </p>
+          <div className="border-l border-accent ml-2 space-y-1">
+            {dayPlays.map((play) => (
+              <button
+                key={play.id ?? `${play.date}-${play.rating_key}`}
+                onClick={() => onSelect(play)}
+                className="w-full flex items-center gap-3 pl-4 pr-2 py-2 rounded-r-lg text-left hover:bg-gray-800/50 transition-theme"
+              >
+                <span className="w-12 shrink-0 text-xs text-theme-muted">
+                  {formatTime(play.date)}
+                </span>
+                <Poster
+                  src={play.poster}
+                  mediaType={play.media_type}
+                  className="h-12 w-8 shrink-0 rounded"
+                />
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm text-white truncate">
+                    {formatPlayTitle(play)}
+                  </p>
+                  <p className="text-xs text-theme-muted truncate">
+                    {[
+                      formatWatchTime(play.duration),
+                      play.player || play.platform,
+                      play.ip_address,
+                    ]
+                      .filter(Boolean)
+                      .join(" · ")}
+                  </p>
+                </div>
+                {play.watched ? (
+                  <Icons.CheckCircle2
+                    size={16}
+                    className="shrink-0 text-green-400"
+                  />
+                ) : (
+                  <span className="shrink-0 text-xs text-theme-muted">
+                    {Math.round(play.percent_complete)}%
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const UserSkeleton = () => (
+  <div className="space-y-6 animate-pulse">
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      {[...Array(4)].map((_, i) => (
+        <div key={i} className="h-20 bg-gray-800/50 rounded-xl" />
+      ))}
+    </div>
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="h-56 bg-gray-800/50 rounded-xl" />
+      <div className="h-56 bg-gray-800/50 rounded-xl" />
+    </div>
+  </div>
+);
+
+const UserDetail = () => {
+  const { userId } = useParams();
+  const [searchParams] = useSearchParams();
+  const { config } = useConfig();
+  const queryClient = useQueryClient();
+  const [selectedMedia, setSelectedMedia] = useState(null);
+
+  // Users of the "all servers" view link here with their server
+  const server = searchParams.get("server");
+  const serverParams = server ? { server } : {};
+
+  const fetchDetails = async (refresh = false) => {
+    const response = await axios.get(`/api/users/${userId}`, {
+      params: { ...serverParams, ...(refresh && { refresh: true }) },
+    });
+    return response.data;
+  };
+
+  const {
+    data: details,
+    isLoading,
+    isError,
+    error,
+  } = useQuery(["user", userId, server], () => fetchDetails(), {
+    enabled: !!config.hasTautulliKey,
+    staleTime: 60 * 1000,
+    retry: false,
+    onError: (err) => logError("Failed to load user details:", err),
+  });
+
+  const {
+    data: historyPages,
+    isLoading: isLoadingHistory,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
+    ["userHistory", userId, server],
+    async ({ pageParam }) => {
+      const response = await axios.get(`/api/users/${userId}/history`, {
+        params: {
+          ...serverParams,
+          limit: HISTORY_PAGE_SIZE,
+          ...(pageParam && { cursor: pageParam }),
+        },
+      });
+      return response.data;
+    },
+    {
+      enabled: !!config.hasTautulliKey && !isError,
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
+      staleTime: 60 * 1000,
+    }
+  );
+
+  const plays = historyPages?.pages.flatMap((page) => page.history) || [];
+
+  const sentinelRef = useInfiniteScroll(
+    fetchNextPage,
+    !!hasNextPage && !isFetchingNextPage
+  );
+
+  // Bypass the server-side cache
+  const handleRefresh = async () => {
+    try {
+      queryClient.setQueryData(
+        ["user", userId, server],
+        await fetchDetails(true)
+      );
+      queryClient.invalidateQueries(["userHistory", userId, server]);
+    } catch (err) {
+      logError("Failed to refresh user details:", err);
+      toast.error("Failed to refresh user");
+    }
+  };
+
+  const user = details?.user;
+  const allTime = details?.watchTime.find((entry) => entry.days === 0);
+  const lastWeek = details?.watchTime.find((entry) => entry.days === 7);
+  const lastPlay = plays[0];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-4">
+        <div className="space-y-1">
+          <Link
+            to="/users"
+            className="inline-flex items-center gap-1 text-xs text-theme-muted hover:text-white transition-theme"
+          >
+            <Icons.ArrowLeft size={12} />
+            Users
+          </Link>
+          <div className="flex items-center gap-3">
+            {user?.user_thumb ? (
+              <img
+                src={`${getImageUrl(userId, "avatar", "thumb")}${
+                  server ? `&server=${server}` : ""
+                }`}
+                alt=""
+                className="h-10 w-10 rounded-full object-cover bg-gray-800/50"
+              />
+            ) : (
+              <div className="flex h-10 w-10 items-center justify-center rounded-full bg-gray-800/50">
+                <Icons.User size={20} className="text-accent" />
+              </div>
+            )}
+            <div>
+              <h2 className="text-2xl font-semibold bg-gradient-to-r from-white to-gray-400 bg-clip-text text-transparent">
+                {user?.friendly_name || `User ${userId}`}
+              </h2>
+              {user && (
+                <p className="text-xs text-theme-muted">
+                  {[
+                    user.username !== user.friendly_name && user.username,
+                    user.email,
+                    user.is_admin && "Admin",
+                    user.is_home_user && "Plex Home",
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+        <ThemedButton
+          onClick={handleRefresh}
+          variant="accent"
+          icon={Icons.RefreshCw}
+        >
+          Refresh
+        </ThemedButton>
+      </div>
+
+      {isLoading ? (
+        <UserSkeleton />
+      ) : isError ? (
+        <ThemedCard className="text-center bg-red-500/10 border-red-500/20">
+          <p className="text-red-400">
+            {error.response?.status === 404
+              ? `There is no user with id ${userId}`
+              : `Error loading user: ${
+                  error.response?.data?.message || error.message
+                }`}
+          </p>
+        </ThemedCard>
+      ) : (
+        details && (
+          <>
+            {details.sessions.length > 0 && (
+              <ThemedCard title="Now Playing" icon={Icons.PlayCircle}>
+                <div className="space-y-4">
+                  {details.sessions.map((session) => (
+                    <NowPlaying key={session.session_key} session={session} />
+                  ))}
+                </div>
+              </ThemedCard>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+              <SummaryTile
+                icon={Icons.Play}
+                label="Total plays"
+                value={formatNumber(details.totals.plays)}
+                detail={lastPlay ? `Last: ${formatDate(lastPlay.date)}` : null}
+              />
+              <SummaryTile
+                icon={Icons.Clock}
+                label="Watch time"
+                value={formatWatchTime(allTime?.time)}
+              />
+              <SummaryTile
+                icon={Icons.CalendarDays}
+                label="Last 7 days"
+                value={formatWatchTime(lastWeek?.time)}
+                detail={
+                  lastWeek ? `${formatNumber(lastWeek.plays)} plays` : null
+                }
+              />
+              <SummaryTile
+                icon={Icons.MonitorSmartphone}
+                label="Devices"
+                value={formatNumber(details.players.length)}
+                detail={
+                  details.players[0]
+                    ? `Mostly ${details.players[0].player}`
+                    : null
+                }
+              />
+            </div>
+
+            <ThemedCard title="Watch Time" icon={Icons.Timer}>
+              {details.watchTime.length === 0 ? (
+                <p className="text-sm text-theme-muted">
+                  No watch time recorded.
+                </p>
+              ) : (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                  {details.watchTime.map((entry) => (
+                    <div
+                      key={entry.days}
+                      className="p-3 rounded-lg bg-gray-800/50"
+                    >
+                      <p className="text-xs text-theme-muted">
+                        {formatWatchTimeLabel(entry.days)}
+                      </p>
+                      <p className="text-white font-medium">
+                        {formatWatchTime(entry.time)}
+                      </p>
+                      <p className="text-xs text-theme-muted">
+                        {formatNumber(entry.plays)} plays
+                      </p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </ThemedCard>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <ThemedCard title="Most Watched" icon={Icons.Trophy}>
+                {details.mostWatched.length === 0 ? (
+                  <p className="text-sm text-theme-muted">
+                    Nothing has been played yet.
+                  </p>
+                ) : (
+                  <div className="space-y-2">
+                    {details.mostWatched.map((title, index) => (
+                      <button
+                        key={title.rating_key || title.title}
+                        onClick={() =>
+                          title.rating_key && setSelectedMedia(title)
+                        }
+                        className="w-full flex items-center gap-3 p-1 rounded-lg text-left hover:bg-gray-800/50 transition-theme"
+                      >
+                        <span className="w-5 text-right text-sm text-theme-muted">
+                          {index + 1}
+                        </span>
+                        <Poster
+                          src={title.poster}
+                          mediaType={title.media_type}
+                          className="h-12 w-8 shrink-0 rounded"
+                        />
+                        <div className="min-w-0 flex-1">
+                          <p className="truncate text-sm text-white">
+                            {title.title}
+                          </p>
+                          <p className="text-xs text-theme-muted">
+                            {formatWatchTime(title.duration)}
+                          </p>
+                        </div>
+                        <span className="shrink-0 text-sm text-theme-muted">
+                          {formatNumber(title.plays)} plays
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </ThemedCard>
+
+              <ThemedCard title="Favourite Genres" icon={Icons.Tags}>
+                <RankedList
+                  items={details.genres}
+                  emptyMessage="No genres found for the titles played."
+                  renderLabel={(genre) => genre.genre}
+                />
+              </ThemedCard>
+
+              <ThemedCard title="Devices" icon={Icons.MonitorSmartphone}>
+                <RankedList
+                  items={details.players}
+                  emptyMessage="No players recorded."
+                  renderLabel={(player) =>
+                    player.platform && player.platform !== player.player
+                      ? `${player.player} (${player.platform})`
+                      : player.player
+                  }
+                />
+              </ThemedCard>
+
+              <ThemedCard title="IP Addresses" icon={Icons.Globe}>
+                {details.ipAddresses.length === 0 ? (
+                  <p className="text-sm text-theme-muted">
+                    No IP addresses recorded.
+                  </p>
+                ) : (
+                  <div className="divide-y divide-gray-700/50">
+                    {details.ipAddresses.map((address) => (
+                      <div
+                        key={address.ip_address}
+                        className="flex justify-between gap-4 py-2 text-sm"
+                      >
+                        <div className="min-w-0">
+                          <p className="text-white font-mono">
+                            {address.ip_address}
+                          </p>
+                          <p className="text-xs text-theme-muted truncate">
+                            {address.platforms.join(", ")}
+                          </p>
+                        </div>
+                        <div className="text-right shrink-0">
+                          <p className="text-theme-muted">
+                            {formatNumber(address.plays)} plays
+                          </p>
+                          <p className="text-xs text-theme-muted">
+                            {formatDate(address.last_seen)}
+                          </p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </ThemedCard>
+            </div>
+
+            {details.totals.sampled < details.totals.plays && (
+              <p className="text-xs text-theme-muted">
+                Most watched, genres and IP addresses cover the newest{" "}
+                {formatNumber(details.totals.sampled)} of{" "}
+                {formatNumber(details.totals.plays)} plays.
+              </p>
+            )}
+          </>
+        )
+      )}
+
+      {!isError && (
+        <ThemedCard title="History" icon={Icons.History}>
+          {isLoadingHistory ? (
+            <div className="space-y-2 animate-pulse">
+              {[...Array(5)].map((_, i) => (
+                <div key={i} className="h-14 bg-gray-800/50 rounded-lg" />
+              ))}
+            </div>
+          ) : plays.length === 0 ? (
+            <p className="text-sm text-theme-muted">No plays yet.</p>
+          ) : (
+            <HistoryTimeline plays={plays} onSelect={setSelectedMedia} />
+          )}
+
+          {hasNextPage && (
+            <div
+              ref={sentinelRef}
+              className="flex justify-center items-center gap-2 py-4 text-sm text-theme-muted"
+            >
+              <Icons.Loader2 size={16} className="animate-spin text-accent" />
+              Loading more plays...
+            </div>
+          )}
+        </ThemedCard>
+      )}
+
+      {selectedMedia && (
+        <MediaModal
+          media={selectedMedia}
+          onClose={() => setSelectedMedia(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default UserDetail;
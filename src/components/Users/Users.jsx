@@ -1,8 +1,10 @@
-import React, { useState, useEffect, useRef } from "react";
-import { useQuery } from "react-query";
+import React, { useState, useEffect, useRef, useMemo } from "react";
+import { useInfiniteQuery, useQueryClient } from "react-query";
 import { useConfig } from "../../context/ConfigContext";
+import useLiveUpdates from "../../hooks/useLiveUpdates";
+import useInfiniteScroll from "../../hooks/useInfiniteScroll";
 import { useTheme } from "../../context/ThemeContext.jsx";
-import { useLocation } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import { logError, logInfo, logDebug, logWarn } from "../../utils/logger";
 import * as Icons from "lucide-react";
 import ThemedCard from "../common/ThemedCard";
@@ -34,6 +36,11 @@ const ActivityBadge = ({ type }) => {
       className: "bg-accent-lighter text-accent border-accent/30",
       label: "TV Show",
     },
+    track: {
+      icon: Icons.Music,
+      className: "bg-accent-lighter text-accent border-accent/30",
+      label: "Music",
+    },
   };
 
   // Safety check for undefined type
@@ -53,7 +60,15 @@ const ActivityBadge = ({ type }) => {
   );
 };
 
-const UsersTable = ({ users }) => (
+// Link to a user's page, on their own server in the "all servers" view
+const getUserPath = (user) => {
+  const userId = (user.raw_data || user).user_id;
+  return user.server
+    ? `/users/${userId}?server=${encodeURIComponent(user.server.id)}`
+    : `/users/${userId}`;
+};
+
+const UsersTable = ({ users, onSelect }) => (
   <div className="overflow-x-auto">
     <table className="w-full border-separate border-spacing-0">
       <thead>
@@ -101,11 +116,14 @@ const UsersTable = ({ users }) => (
           // Use raw_data for consistent information retrieval
           const userData = user.raw_data || user;
           const isWatching = userData.is_watching === "Watching";
+          const isListening =
+            isWatching && userData.media_type?.toLowerCase() === "track";
 
           return (
             <tr
               key={userData.user_id || index}
-              className={`hover:bg-gray-800/30 transition-theme ${
+              onClick={() => onSelect(user)}
+              className={`cursor-pointer hover:bg-gray-800/30 transition-theme ${
                 isWatching ? "bg-gray-800/20" : ""
               }`}
             >
@@ -116,7 +134,7 @@ const UsersTable = ({ users }) => (
                 {isWatching ? (
                   <span className="font-medium text-green-400 flex items-center gap-1.5">
                     <span className="w-2 h-2 rounded-full bg-green-500"></span>
-                    Watching
+                    {isListening ? "Listening" : "Watching"}
                   </span>
                 ) : (
                   <span className="text-theme">
@@ -188,89 +206,76 @@ const TableSkeleton = () => (
   </ThemedCard>
 );
 
-const PaginationSkeleton = () => (
-  <div className="flex justify-center mt-6 animate-pulse">
-    <div className="flex gap-2">
-      <div className="w-10 h-10 bg-gray-700/50 rounded-lg"></div>
-      <div className="w-10 h-10 bg-gray-700/50 rounded-lg"></div>
-      <div className="w-10 h-10 bg-gray-700/50 rounded-lg"></div>
-    </div>
-  </div>
-);
-
-// Pagination component
-const Pagination = ({ currentPage, totalPages, onPageChange }) => {
-  return (
-    <div className="flex justify-center items-center gap-2 mt-6">
-      <button
-        onClick={() => onPageChange(currentPage - 1)}
-        disabled={currentPage === 1}
-        className="p-2 rounded-lg border  border-accent bg-gray-800/50 text-theme-muted 
-          hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-      >
-        <Icons.ChevronLeft size={16} />
-      </button>
-
-      <div className="flex items-center gap-1">
-        {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => (
-          <button
-            key={page}
-            onClick={() => onPageChange(page)}
-            className={`w-8 h-8 rounded-lg text-sm font-medium transition-colors
-              ${
-                currentPage === page
-                  ? "bg-accent-light text-white"
-                  : "bg-gray-800/50 text-theme-muted hover:bg-gray-700 hover:text-white border  border-accent"
-              }`}
-          >
-            {page}
-          </button>
-        ))}
-      </div>
-
-      <button
-        onClick={() => onPageChange(currentPage + 1)}
-        disabled={currentPage === totalPages}
-        className="p-2 rounded-lg border  border-accent bg-gray-800/50 text-theme-muted 
-          hover:bg-gray-700 hover:text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-      >
-        <Icons.ChevronRight size={16} />
-      </button>
-    </div>
-  );
-};
+// Users are loaded from /api/users in pages of this size. It matches the
+// page the live feed pushes, so an update can replace the first page.
+const USERS_PAGE_SIZE = 50;
 
 const Users = () => {
   const { config } = useConfig();
   const { theme } = useTheme();
   const location = useLocation();
-  const [currentPage, setCurrentPage] = useState(1);
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [lastRefreshTime, setLastRefreshTime] = useState(Date.now());
   const previousPath = useRef(null);
-  const itemsPerPage = 10;
   const refreshInterval = useRef(null);
   const REFRESH_INTERVAL = 60000; // 60 seconds
 
   // Use React Query for data fetching with better loading state handling
-  const { data, error, isLoading, isError, refetch } = useQuery(
-    ["users", config.tautulliApiKey],
-    async () => {
-      const response = await fetch(`/api/users`);
+  const {
+    data,
+    error,
+    isLoading,
+    isError,
+    refetch,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery(
+    ["users", config.hasTautulliKey],
+    async ({ pageParam }) => {
+      const params = new URLSearchParams({ limit: USERS_PAGE_SIZE });
+      if (pageParam) params.set("cursor", pageParam);
+
+      const response = await fetch(`/api/users?${params}`);
       if (!response.ok) {
         throw new Error(`Error fetching users: ${response.statusText}`);
       }
-      const data = await response.json();
-      return data.users || [];
+      return response.json();
     },
     {
-      enabled: !!config.tautulliApiKey,
+      enabled: !!config.hasTautulliKey,
+      getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
       refetchInterval: false, // We'll handle manual refresh
       refetchOnWindowFocus: false,
       staleTime: 30000, // 30 seconds
     }
   );
 
+  // Server pushes user state whenever a session starts, stops or changes
+  const { isLive } = useLiveUpdates(
+    "users",
+    (payload) => {
+      const current = queryClient.getQueryData([
+        "users",
+        config.hasTautulliKey,
+      ]);
+
+      // Later pages shift when activity changes, so reload them all
+      if (current?.pages?.length > 1) {
+        refetch();
+      } else {
+        queryClient.setQueryData(["users", config.hasTautulliKey], {
+          pages: [payload],
+          pageParams: [undefined],
+        });
+      }
+      setLastRefreshTime(Date.now());
+    },
+    !!config.hasTautulliKey
+  );
+
   const handleRefresh = async () => {
     if (isRefreshing) return;
 
@@ -296,12 +301,16 @@ const Users = () => {
     previousPath.current = location.pathname;
   }, [location.pathname]);
 
-  // Set up auto-refresh
+  // Initial refresh
   useEffect(() => {
-    // Initial refresh
-    if (config.tautulliApiKey) {
+    if (config.hasTautulliKey) {
       handleRefresh();
     }
+  }, [config.hasTautulliKey]);
+
+  // Poll only while the live connection is down
+  useEffect(() => {
+    if (isLive) return;
 
     // Set up interval for refresh
     refreshInterval.current = setInterval(() => {
@@ -313,30 +322,28 @@ const Users = () => {
         clearInterval(refreshInterval.current);
       }
     };
-  }, [config.tautulliApiKey]);
-
-  // Pagination calculations
-  const totalItems = data?.length || 0;
-  const totalPages = Math.max(1, Math.ceil(totalItems / itemsPerPage));
-
-  // Reset to page 1 if needed
-  useEffect(() => {
-    if (totalPages > 0 && currentPage > totalPages) {
-      setCurrentPage(1);
-    }
-  }, [totalPages, currentPage]);
-
-  // Get current page items
-  const currentItems = data
-    ? data.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage)
-    : [];
-
-  // Handle page change
-  const handlePageChange = (page) => {
-    setCurrentPage(page);
-    // Smooth scroll to top
-    window.scrollTo({ top: 0, behavior: "smooth" });
-  };
+  }, [isLive]);
+
+  // Users move between pages as their activity changes, so each user is
+  // only shown once
+  const users = useMemo(() => {
+    const seen = new Set();
+    return (data?.pages || [])
+      .flatMap((page) => page.users || [])
+      .filter((user) => {
+        const userId = user.raw_data?.user_id;
+        if (seen.has(userId)) return false;
+        seen.add(userId);
+        return true;
+      });
+  }, [data]);
+  const totalItems = data?.pages?.[0]?.total ?? users.length;
+
+  // Load the next page as the end of the table scrolls into view
+  const sentinelRef = useInfiniteScroll(
+    fetchNextPage,
+    !!hasNextPage && !isFetchingNextPage && !isRefreshing
+  );
 
   // Calculate time until next refresh
   const timeUntilNextRefresh = Math.max(
@@ -368,6 +375,11 @@ const Users = () => {
           )}
           {isRefreshing || isLoading ? (
             <span className="text-xs text-theme-muted">Refreshing...</span>
+          ) : isLive ? (
+            <span className="flex items-center gap-1.5 text-xs text-green-400">
+              <span className="w-2 h-2 rounded-full bg-green-500 animate-pulse"></span>
+              Live
+            </span>
           ) : (
             <span className="text-xs text-theme-muted">
               Auto-refresh in {secondsUntilRefresh}s
@@ -410,7 +422,6 @@ const Users = () => {
       <div className="space-y-6">
         {pageHeader}
         <TableSkeleton />
-        <PaginationSkeleton />
       </div>
     );
   }
@@ -423,29 +434,27 @@ const Users = () => {
         <TableSkeleton />
       ) : (
         <ThemedCard className="overflow-hidden">
-          <UsersTable users={currentItems} />
+          <UsersTable
+            users={users}
+            onSelect={(user) => navigate(getUserPath(user))}
+          />
         </ThemedCard>
       )}
 
-      {/* Pagination controls */}
-      {isRefreshing ? (
-        <PaginationSkeleton />
-      ) : (
-        totalPages > 1 && (
-          <Pagination
-            currentPage={currentPage}
-            totalPages={totalPages}
-            onPageChange={handlePageChange}
-          />
-        )
+      {/* Next page loads when this comes into view */}
+      {!isRefreshing && hasNextPage && (
+        <div
+          ref={sentinelRef}
+          className="flex justify-center items-center gap-2 py-4 text-sm text-theme-muted"
+        >
+          <Icons.Loader2 size={16} className="animate-spin text-accent" />
+          Loading more users...
+        </div>
       )}
 
-      {/* Page indicator */}
-      {!isRefreshing && totalPages > 1 && (
+      {!isRefreshing && !hasNextPage && users.length > 0 && (
         <div className="text-center text-sm text-theme-muted">
-          Showing {(currentPage - 1) * itemsPerPage + 1} to{" "}
-          {Math.min(currentPage * itemsPerPage, totalItems)} of {totalItems}{" "}
-          users
+          Showing all {totalItems} users
         </div>
       )}
     </div>
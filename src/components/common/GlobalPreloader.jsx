@@ -341,7 +341,6 @@ const GlobalPreloader = ({ children }) => {
           // Load exactly 10 recently added items for this section
           const response = await axios.get(`/api/tautulli/api/v2`, {
             params: {
-              apikey: config.tautulliApiKey,
               cmd: "get_recently_added",
               section_id: sectionId,
               count: 10, // Exactly 10 items per section
@@ -357,7 +356,6 @@ const GlobalPreloader = ({ children }) => {
               .slice(0, 10) // Ensure only 10 items max
               .map((item) => ({
                 ...item,
-                apiKey: config.tautulliApiKey,
                 section_id: sectionId,
               }));
 
@@ -385,21 +383,12 @@ const GlobalPreloader = ({ children }) => {
                     try {
                       // Fetch full metadata for this item
                       const metadataResponse = await axios.get(
-                        `/api/tautulli/api/v2`,
-                        {
-                          params: {
-                            apikey: config.tautulliApiKey,
-                            cmd: "get_metadata",
-                            rating_key: item.rating_key,
-                          },
-                          timeout: 20000,
-                        }
+                        `/api/metadata/${item.rating_key}`,
+                        { timeout: 20000 }
                       );
 
-                      if (
-                        metadataResponse.data?.response?.result === "success"
-                      ) {
-                        const metadata = metadataResponse.data.response.data;
+                      if (metadataResponse.data?.success) {
+                        const metadata = metadataResponse.data.metadata;
 
                         // Enhance item with full metadata
                         const enhancedItem = {
@@ -421,7 +410,6 @@ const GlobalPreloader = ({ children }) => {
                             posterCacheService.cachePoster(
                               item.rating_key,
                               thumbPath,
-                              config.tautulliApiKey,
                               enhancedItem.media_type
                             );
 
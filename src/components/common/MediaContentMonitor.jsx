@@ -31,7 +31,7 @@ const MediaContentMonitor = () => {
   // Function to check sections for new content
   const checkForNewContent = async () => {
     // Skip if already checking or not configured
-    if (isChecking.current || !isConfigured() || !config?.tautulliApiKey) {
+    if (isChecking.current || !isConfigured() || !config?.hasTautulliKey) {
       return;
     }
 
@@ -78,7 +78,6 @@ const MediaContentMonitor = () => {
           // Fetch the latest data for this section
           const response = await axios.get(`/api/tautulli/api/v2`, {
             params: {
-              apikey: config.tautulliApiKey,
               cmd: "get_recently_added",
               section_id: sectionId,
               count: 10, // Get extra items to ensure we have enough
@@ -106,7 +105,6 @@ const MediaContentMonitor = () => {
                 newContentFound = true;
                 newMediaItems.push({
                   ...newestItem,
-                  apiKey: config.tautulliApiKey,
                   section_id: sectionId,
                   section_name: sectionName,
                   media_type: newestItem.media_type,
@@ -141,7 +139,6 @@ const MediaContentMonitor = () => {
                 for (const newItem of itemsToProcess) {
                   newMediaItems.push({
                     ...newItem,
-                    apiKey: config.tautulliApiKey,
                     section_id: sectionId,
                     section_name: sectionName,
                     media_type: newItem.media_type,
@@ -183,10 +180,9 @@ const MediaContentMonitor = () => {
 
               // Create a new media array with the new item first, then the existing items (minus the last one)
               const updatedMedia = [
-                // Add the new item with apiKey
+                // Add the new item
                 {
                   ...newItem,
-                  apiKey: config.tautulliApiKey,
                 },
                 // Add all existing items except the last one, and filter out any duplicates
                 ...existingItems.slice(0, -1),
@@ -207,22 +203,17 @@ const MediaContentMonitor = () => {
             }
 
             // Get full metadata for the new item
-            const metadataResponse = await axios.get(`/api/tautulli/api/v2`, {
-              params: {
-                apikey: config.tautulliApiKey,
-                cmd: "get_metadata",
-                rating_key: newItem.rating_key,
-              },
-              timeout: 5000,
-            });
-
-            if (metadataResponse.data?.response?.result === "success") {
-              const metadata = metadataResponse.data.response.data;
+            const metadataResponse = await axios.get(
+              `/api/metadata/${newItem.rating_key}`,
+              { timeout: 5000 }
+            );
+
+            if (metadataResponse.data?.success) {
+              const metadata = metadataResponse.data.metadata;
 
               // Cache the metadata
               queryClient.setQueryData([`media:${newItem.rating_key}`], {
                 ...metadata,
-                apiKey: config.tautulliApiKey,
                 complete_metadata: true,
               });
 
@@ -235,7 +226,6 @@ const MediaContentMonitor = () => {
                 posterCacheService.cachePoster(
                   newItem.rating_key,
                   thumbPath,
-                  config.tautulliApiKey,
                   newItem.media_type
                 );
               }
@@ -0,0 +1,135 @@
+import React, { createContext, useState, useContext, useEffect } from "react";
+import { logInfo, logError, logWarn } from "../utils/logger";
+import axios from "axios";
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [setupRequired, setSetupRequired] = useState(false);
+  const [username, setUsername] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  // Ask the server who we are
+  const checkAuthStatus = async () => {
+    try {
+      setIsLoading(true);
+
+      const response = await axios.get("/api/auth/status");
+
+      setIsAuthenticated(!!response.data.authenticated);
+      setSetupRequired(!!response.data.setupRequired);
+      setUsername(response.data.username || null);
+    } catch (error) {
+      logError("Error checking authentication status:", error);
+      setIsAuthenticated(false);
+      setUsername(null);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Check auth status on mount
+  useEffect(() => {
+    checkAuthStatus();
+  }, []);
+
+  // Drop back to the login screen whenever the server rejects our session
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        const url = error.config?.url || "";
+        if (error.response?.status === 401 && !url.includes("/api/auth/")) {
+          logWarn("Session expired or invalid, logging out");
+          setIsAuthenticated(false);
+          setUsername(null);
+          if (error.response.data?.setupRequired) {
+            setSetupRequired(true);
+          }
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, []);
+
+  // Log in with username and password
+  const login = async (user, password) => {
+    try {
+      const response = await axios.post("/api/auth/login", {
+        username: user,
+        password,
+      });
+
+      setIsAuthenticated(true);
+      setUsername(response.data.username);
+      logInfo("Logged in successfully");
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.error || "Login failed");
+    }
+  };
+
+  // Create the admin account during first-run setup
+  const createAdminAccount = async (user, password) => {
+    try {
+      const response = await axios.post("/api/auth/setup", {
+        username: user,
+        password,
+      });
+
+      setSetupRequired(false);
+      setIsAuthenticated(true);
+      setUsername(response.data.username);
+      logInfo("Admin account created");
+      return response.data;
+    } catch (error) {
+      throw new Error(
+        error.response?.data?.error || "Failed to create admin account"
+      );
+    }
+  };
+
+  // Log out of the current session
+  const logout = async () => {
+    try {
+      await axios.post("/api/auth/logout");
+    } catch (error) {
+      logError("Error logging out:", error);
+    } finally {
+      setIsAuthenticated(false);
+      setUsername(null);
+    }
+  };
+
+  return (
+    <AuthContext.Provider
+      value={{
+        isAuthenticated,
+        setupRequired,
+        username,
+        isLoading,
+        login,
+        logout,
+        createAdminAccount,
+        refreshAuth: checkAuthStatus,
+      }}
+    >
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+
+  if (!context) {
+    throw new Error("useAuth must be used within an AuthProvider");
+  }
+
+  return context;
+};
+
+export default AuthContext;
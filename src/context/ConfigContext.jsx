@@ -1,5 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from "react";
 import { logInfo, logError } from "../utils/logger";
+import { useAuth } from "./AuthContext";
 import axios from "axios";
 
 const API_BASE_URL =
@@ -8,6 +9,7 @@ const API_BASE_URL =
 const ConfigContext = createContext(null);
 
 export const ConfigProvider = ({ children }) => {
+  const { isAuthenticated, isLoading: authLoading } = useAuth();
   const [config, setConfig] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [configError, setConfigError] = useState(null);
@@ -22,12 +24,13 @@ export const ConfigProvider = ({ children }) => {
 
       const configData = response.data;
 
-      // Check if all required config values are present and non-null
+      // Check if all required config values are present; the server only
+      // tells us whether the token and API key are set, never their values
       if (
         configData.plexUrl &&
-        configData.plexToken &&
+        configData.hasPlexToken &&
         configData.tautulliUrl &&
-        configData.tautulliApiKey
+        configData.hasTautulliKey
       ) {
         setConfig(configData);
         logInfo("Existing configuration loaded successfully");
@@ -55,10 +58,18 @@ export const ConfigProvider = ({ children }) => {
     }
   };
 
-  // Load configuration on component mount
+  // Load configuration once we know the user is logged in
   useEffect(() => {
+    if (authLoading) return;
+
+    if (!isAuthenticated) {
+      setConfig(null);
+      setIsLoading(false);
+      return;
+    }
+
     checkExistingConfig();
-  }, []);
+  }, [isAuthenticated, authLoading]);
 
   // Update the configuration on the server
   const updateConfig = async (newConfig) => {
@@ -72,12 +83,7 @@ export const ConfigProvider = ({ children }) => {
       }
 
       // Use the response data to avoid any synchronization issues
-      const serverConfig = {
-        plexUrl: newConfig.plexUrl,
-        plexToken: newConfig.plexToken,
-        tautulliUrl: newConfig.tautulliUrl,
-        tautulliApiKey: newConfig.tautulliApiKey,
-      };
+      const serverConfig = response.data.config;
 
       setConfig(serverConfig);
 
@@ -98,9 +104,9 @@ export const ConfigProvider = ({ children }) => {
     return !!(
       config &&
       config.plexUrl &&
-      config.plexToken &&
+      config.hasPlexToken &&
       config.tautulliUrl &&
-      config.tautulliApiKey
+      config.hasTautulliKey
     );
   };
 
@@ -128,8 +128,8 @@ const useConnectionStatus = (config) => {
   useEffect(() => {
     // Only perform checks if we have at least one service configured
     const hasConfig = !!(
-      (config?.plexUrl && config?.plexToken) ||
-      (config?.tautulliUrl && config?.tautulliApiKey)
+      (config?.plexUrl && config?.hasPlexToken) ||
+      (config?.tautulliUrl && config?.hasTautulliKey)
     );
 
     if (hasConfig) {
@@ -152,9 +152,9 @@ const useConnectionStatus = (config) => {
     }
   }, [
     config?.plexUrl,
-    config?.plexToken,
+    config?.hasPlexToken,
     config?.tautulliUrl,
-    config?.tautulliApiKey,
+    config?.hasTautulliKey,
   ]);
 
   return {
@@ -0,0 +1,44 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * Load the next page when a sentinel element scrolls into view
+ * @param {Function} onLoadMore - Called when the sentinel becomes visible
+ * @param {boolean} enabled - Whether more pages can be loaded right now
+ * @param {Object} options - IntersectionObserver options; pass a root ref to
+ *   watch a scrolling container instead of the window
+ * @returns {Object} - Ref to attach to the sentinel element
+ */
+const useInfiniteScroll = (
+  onLoadMore,
+  enabled = true,
+  { rootRef = null, rootMargin = "400px" } = {}
+) => {
+  const sentinelRef = useRef(null);
+
+  // Keep the latest callback without re-observing on every render
+  const onLoadMoreRef = useRef(onLoadMore);
+  onLoadMoreRef.current = onLoadMore;
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === "undefined") {
+      return;
+    }
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          onLoadMoreRef.current();
+        }
+      },
+      { root: rootRef?.current || null, rootMargin }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled, rootRef, rootMargin]);
+
+  return sentinelRef;
+};
+
+export default useInfiniteScroll;
@@ -0,0 +1,129 @@
+import { useState, useEffect, useRef } from "react";
+import { logDebug, logError } from "../utils/logger";
+
+// One EventSource per page, shared by every component that subscribes
+let source = null;
+
+// Subscribers by feed name; each has an onUpdate ref and an isLive setter
+const subscribers = new Map();
+
+// Feeds the server offered on the current connection, null while offline
+let connectedFeeds = null;
+
+// Event names with a listener on the current source; a feed whose last
+// subscriber left keeps its listener, so it must not be added twice
+let listening = new Set();
+
+const getSubscribers = () =>
+  [...subscribers.values()].flatMap((set) => [...set]);
+
+// Views without a feed (e.g. "all servers") stay on polling
+const notifyStatus = () => {
+  getSubscribers().forEach((subscriber) =>
+    subscriber.setIsLive(!!connectedFeeds?.includes(subscriber.eventName))
+  );
+};
+
+const listenTo = (eventName) => {
+  if (listening.has(eventName)) return;
+  listening.add(eventName);
+
+  source.addEventListener(eventName, (event) => {
+    let payload;
+    try {
+      payload = JSON.parse(event.data);
+    } catch (error) {
+      logError(`Failed to parse live ${eventName} update:`, error);
+      return;
+    }
+
+    (subscribers.get(eventName) || []).forEach((subscriber) => {
+      try {
+        subscriber.onUpdateRef.current(payload);
+      } catch (error) {
+        logError(`Failed to handle live ${eventName} update:`, error);
+      }
+    });
+  });
+};
+
+const connect = () => {
+  source = new EventSource("/api/events");
+  listening = new Set();
+
+  source.addEventListener("connected", (event) => {
+    connectedFeeds = JSON.parse(event.data).feeds || [];
+    logDebug(`Live updates connected for ${connectedFeeds.join(", ")}`);
+    notifyStatus();
+  });
+  [...subscribers.keys()].forEach(listenTo);
+
+  // EventSource reconnects on its own; callers fall back to polling meanwhile
+  source.onerror = () => {
+    connectedFeeds = null;
+    notifyStatus();
+  };
+};
+
+const subscribe = (subscriber) => {
+  const { eventName } = subscriber;
+
+  if (!source) {
+    subscribers.set(eventName, new Set([subscriber]));
+    connect();
+  } else {
+    if (!subscribers.has(eventName)) {
+      subscribers.set(eventName, new Set());
+      listenTo(eventName);
+    }
+    subscribers.get(eventName).add(subscriber);
+    subscriber.setIsLive(!!connectedFeeds?.includes(eventName));
+  }
+
+  return () => {
+    const set = subscribers.get(eventName);
+    set.delete(subscriber);
+    if (set.size === 0) subscribers.delete(eventName);
+
+    // Close the connection once nobody listens; a new one starts fresh
+    if (subscribers.size === 0) {
+      source.close();
+      source = null;
+      connectedFeeds = null;
+    }
+  };
+};
+
+/**
+ * Subscribe to a server-sent live update feed (see /api/events). Every
+ * subscriber on the page shares one connection.
+ * @param {string} eventName - Feed to listen for, e.g. "users" or "downloads"
+ * @param {Function} onUpdate - Called with the pushed payload
+ * @param {boolean} enabled - Whether to keep the subscription open
+ * @returns {Object} - Whether the live connection is currently open
+ */
+const useLiveUpdates = (eventName, onUpdate, enabled = true) => {
+  const [isLive, setIsLive] = useState(false);
+
+  // Keep the latest callback without resubscribing on every render
+  const onUpdateRef = useRef(onUpdate);
+  onUpdateRef.current = onUpdate;
+
+  useEffect(() => {
+    if (!enabled || typeof EventSource === "undefined") {
+      setIsLive(false);
+      return;
+    }
+
+    const unsubscribe = subscribe({ eventName, onUpdateRef, setIsLive });
+
+    return () => {
+      unsubscribe();
+      setIsLive(false);
+    };
+  }, [eventName, enabled]);
+
+  return { isLive };
+};
+
+export default useLiveUpdates;
@@ -17,7 +17,8 @@ export const testPlexConnection = async (plexUrl, plexToken) => {
   try {
     logInfo("Testing Plex connection...", { url: plexUrl });
 
-    // Configure the proxy with both URL and token
+    // Configure the proxy with both URL and token (a blank token keeps the
+    // saved one); the server adds the token to proxied requests
     await axios.post(`/api/config`, {
       plexUrl,
       plexToken,
@@ -26,9 +27,6 @@ export const testPlexConnection = async (plexUrl, plexToken) => {
     // Test connection with more detailed error handling
     try {
       const response = await plexAxios.get("/identity", {
-        params: {
-          "X-Plex-Token": plexToken,
-        },
         timeout: 30000, // Specific timeout for this request
       });
 
@@ -70,17 +68,9 @@ export const testPlexConnection = async (plexUrl, plexToken) => {
   }
 };
 
-export const fetchPlexActivities = async (plexToken) => {
+export const fetchPlexActivities = async () => {
   try {
-    if (!plexToken) {
-      throw new Error("Plex token is required");
-    }
-
-    const response = await plexAxios.get("/activities", {
-      params: {
-        "X-Plex-Token": plexToken,
-      },
-    });
+    const response = await plexAxios.get("/activities");
 
     if (!response.data?.MediaContainer) {
       throw new Error("Invalid response from Plex server");
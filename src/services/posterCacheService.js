@@ -14,17 +14,46 @@ const PENDING_REQUESTS = new Map();
  * This service manages poster URLs and caching to improve performance
  */
 
+/**
+ * Add a size to a poster URL so the server sends a resized copy
+ * @param {string} posterUrl - Poster URL, e.g. /api/posters/12345
+ * @param {string} size - "thumb", "card", "modal" or "backdrop"
+ * @returns {string|null} - Poster URL with the size
+ */
+export const withPosterSize = (posterUrl, size) => {
+  if (!posterUrl || !size || !/^\/api\/(posters|images)\//.test(posterUrl)) {
+    return posterUrl;
+  }
+
+  const separator = posterUrl.includes("?") ? "&" : "?";
+  return `${posterUrl}${separator}size=${size}`;
+};
+
+/**
+ * URL of a cached image of a rating key, downloaded by the server on first use
+ * @param {string} ratingKey - Media rating key, or user id for avatars
+ * @param {string} kind - "poster", "art", "season", "still" or "avatar"
+ * @param {string} [size] - "thumb", "card", "modal" or "backdrop"
+ * @returns {string|null} - Image URL or null
+ */
+export const getImageUrl = (ratingKey, kind, size) => {
+  if (!ratingKey) return null;
+
+  return withPosterSize(`/api/images/${ratingKey}/${kind}`, size);
+};
+
 /**
  * Get cached poster URL from global cache first, then from server
  * @param {string} ratingKey - Media rating key
+ * @param {string} [size] - "thumb", "card" or "modal", original size if unset
  * @returns {string|null} - Cached poster URL or null
  */
-export const getCachedPosterUrl = (ratingKey) => {
+export const getCachedPosterUrl = (ratingKey, size) => {
   if (!ratingKey) return null;
 
   // Check our global in-memory cache first (fastest)
   if (GLOBAL_POSTER_CACHE.has(ratingKey)) {
-    return GLOBAL_POSTER_CACHE.get(ratingKey);
+    return withPosterSize(GLOBAL_POSTER_CACHE.get(ratingKey), size);
   }
 
   // Generate server-side cached poster URL
@@ -33,15 +62,16 @@ export const getCachedPosterUrl = (ratingKey) => {
   // Store in global cache
   GLOBAL_POSTER_CACHE.set(ratingKey, posterUrl);
 
-  return posterUrl;
+  return withPosterSize(posterUrl, size);
 };
 
 /**
  * Force refresh the cached poster URL
  * @param {string} ratingKey - Media rating key
+ * @param {string} [size] - "thumb", "card" or "modal", original size if unset
  * @returns {string} - New poster URL with cache-busting parameter
  */
-export const refreshCachedPosterUrl = (ratingKey) => {
+export const refreshCachedPosterUrl = (ratingKey, size) => {
   if (!ratingKey) return null;
 
   // Generate a new URL with cache busting
@@ -50,7 +80,7 @@ export const refreshCachedPosterUrl = (ratingKey) => {
   // Update global cache
   GLOBAL_POSTER_CACHE.set(ratingKey, refreshedUrl);
 
-  return refreshedUrl;
+  return withPosterSize(refreshedUrl, size);
 };
 
 /**
@@ -84,8 +114,9 @@ export const getAppropriateThumbPath = (media) => {
     case "album":
       return media.thumb || media.parent_thumb || null;
     case "track":
+      // Album art; the grandparent thumb is the artist photo
       return (
-        media.grandparent_thumb || media.parent_thumb || media.thumb || null
+        media.parent_thumb || media.thumb || media.grandparent_thumb || null
       );
     default:
       return media.thumb || null;
@@ -96,12 +127,11 @@ export const getAppropriateThumbPath = (media) => {
  * Cache a poster with the server
  * @param {string} ratingKey - Media rating key
  * @param {string} thumbPath - Thumb path
- * @param {string} apiKey - API key
  * @param {string} mediaType - Media type
  * @returns {Promise<boolean>} - Success status
  */
-export const cachePoster = async (ratingKey, thumbPath, apiKey, mediaType) => {
-  if (!ratingKey || !thumbPath || !apiKey) {
+export const cachePoster = async (ratingKey, thumbPath, mediaType) => {
+  if (!ratingKey || !thumbPath) {
     return false;
   }
 
@@ -119,7 +149,6 @@ export const cachePoster = async (ratingKey, thumbPath, apiKey, mediaType) => {
       const response = await axios.post("/api/posters/cache", {
         ratingKey,
         thumbPath,
-        apiKey,
         mediaType,
       });
 
@@ -152,11 +181,10 @@ export const cachePoster = async (ratingKey, thumbPath, apiKey, mediaType) => {
 /**
  * Preload multiple posters in the background
  * @param {Array} mediaItems - Array of media items to preload posters for
- * @param {string} apiKey - API key
  * @returns {Promise<void>}
  */
-export const preloadPosters = async (mediaItems, apiKey) => {
-  if (!mediaItems || !mediaItems.length || !apiKey) return;
+export const preloadPosters = async (mediaItems) => {
+  if (!mediaItems || !mediaItems.length) return;
 
   // Track how many posters we're preloading for logging
   let preloadCount = 0;
@@ -180,7 +208,7 @@ export const preloadPosters = async (mediaItems, apiKey) => {
           if (!thumbPath) return;
 
           // Request caching (don't wait for completion)
-          cachePoster(item.rating_key, thumbPath, apiKey, item.media_type);
+          cachePoster(item.rating_key, thumbPath, item.media_type);
           preloadCount++;
         } catch (error) {
           // Ignore errors during preloading
@@ -243,6 +271,8 @@ export const getInMemoryCacheSize = () => {
 };
 
 export default {
+  withPosterSize,
+  getImageUrl,
   getCachedPosterUrl,
   refreshCachedPosterUrl,
   getAppropriateThumbPath,
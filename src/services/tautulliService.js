@@ -5,20 +5,20 @@ import * as tmdbService from "./tmdbService";
 /**
  * Test the connection to the Tautulli server
  * @param {String} tautulliUrl - Tautulli server URL
- * @param {String} apiKey - Tautulli API key
+ * @param {String} apiKey - Tautulli API key (blank keeps the saved key)
  * @returns {Promise<Object>} - Connection test result
  */
 export const testTautulliConnection = async (tautulliUrl, apiKey) => {
   try {
-    // Configure the proxy first
+    // Configure the proxy first; the server adds the API key to proxied calls
     await axios.post(`/api/config`, {
       tautulliUrl,
+      tautulliApiKey: apiKey,
     });
 
     try {
       const response = await axios.get("/api/tautulli/api/v2", {
         params: {
-          apikey: apiKey,
           cmd: "get_server_info",
         },
         timeout: 30000, // Specific timeout for this request
@@ -57,11 +57,10 @@ export const testTautulliConnection = async (tautulliUrl, apiKey) => {
 /**
  * Get image URL for a media item - tries TMDB first, then falls back to Tautulli
  * @param {String} imagePath - Plex thumbnail path
- * @param {String} apiKey - Tautulli API key
  * @param {Object} mediaItem - Optional media item with additional metadata
  * @returns {String|null} - URL to the image or null if not available
  */
-export const getImageUrl = async (imagePath, apiKey, mediaItem = null) => {
+export const getImageUrl = async (imagePath, mediaItem = null) => {
   // If no imagePath provided, we can't get a Tautulli image
   if (!imagePath) return null;
 
@@ -100,28 +99,23 @@ export const getImageUrl = async (imagePath, apiKey, mediaItem = null) => {
     }
 
     // Step 3: Fallback to Tautulli image proxy
-    return `/api/tautulli/pms_image_proxy?img=${encodeURIComponent(
-      imagePath
-    )}&apikey=${apiKey}`;
+    return `/api/image-proxy?img=${encodeURIComponent(imagePath)}`;
   } catch (error) {
     logWarn(
       `Failed to get TMDB poster, falling back to Tautulli: ${error.message}`
     );
     // Fallback to Tautulli image
-    return `/api/tautulli/pms_image_proxy?img=${encodeURIComponent(
-      imagePath
-    )}&apikey=${apiKey}`;
+    return `/api/image-proxy?img=${encodeURIComponent(imagePath)}`;
   }
 };
 
 /**
  * Get sync-version of image URL that doesn't do async TMDB lookup
  * @param {String} imagePath - Plex thumbnail path
- * @param {String} apiKey - Tautulli API key
  * @param {String} ratingKey - Optional rating key for TMDB cache lookup
  * @returns {String|null} - URL to the image or null if not available
  */
-export const getImageUrlSync = (imagePath, apiKey, ratingKey = null) => {
+export const getImageUrlSync = (imagePath, ratingKey = null) => {
   // If no imagePath provided, we can't get a Tautulli image
   if (!imagePath) return null;
 
@@ -132,9 +126,7 @@ export const getImageUrlSync = (imagePath, apiKey, ratingKey = null) => {
   }
 
   // Fallback to Tautulli image proxy
-  return `/api/tautulli/pms_image_proxy?img=${encodeURIComponent(
-    imagePath
-  )}&apikey=${apiKey}`;
+  return `/api/image-proxy?img=${encodeURIComponent(imagePath)}`;
 };
 
 /**
@@ -157,19 +149,13 @@ export const configureProxy = async (plexUrl, tautulliUrl) => {
 
 /**
  * Fetch recently added media from Tautulli
- * @param {String} apiKey - Tautulli API key
  * @param {Number} count - Number of items to fetch (default: 50)
  * @param {Number} sectionId - Optional section ID to filter by
  * @returns {Promise<Array>} - Array of recently added media items
  */
-export const fetchRecentlyAdded = async (
-  apiKey,
-  count = 50,
-  sectionId = null
-) => {
+export const fetchRecentlyAdded = async (count = 50, sectionId = null) => {
   try {
     const params = {
-      apikey: apiKey,
       cmd: "get_recently_added",
       count: count,
     };
@@ -188,7 +174,7 @@ export const fetchRecentlyAdded = async (
     const recentlyAdded = response.data?.response?.data?.recently_added || [];
     logInfo("Fetched Tautulli recently added", { count: recentlyAdded.length });
 
-    // Process each item to include API key for image loading
+    // Process each item into a consistent shape with image URLs
     const processedItems = await Promise.all(
       recentlyAdded.map(async (item) => {
         const enhancedItem = {
@@ -201,7 +187,6 @@ export const fetchRecentlyAdded = async (
           rating: item.rating,
           duration: item.duration,
           contentRating: item.content_rating,
-          apiKey: apiKey,
           // Store original paths
           originalThumb: item.thumb,
           originalArt: item.art,
@@ -217,17 +202,13 @@ export const fetchRecentlyAdded = async (
             enhancedItem.thumb = cachedPoster; // Override thumb with TMDB URL
           } else {
             // Use Tautulli URL as fallback
-            enhancedItem.thumb = getImageUrlSync(
-              item.thumb,
-              apiKey,
-              item.rating_key
-            );
+            enhancedItem.thumb = getImageUrlSync(item.thumb, item.rating_key);
           }
         } else {
-          enhancedItem.thumb = getImageUrlSync(item.thumb, apiKey);
+          enhancedItem.thumb = getImageUrlSync(item.thumb);
         }
 
-        enhancedItem.art = getImageUrlSync(item.art, apiKey);
+        enhancedItem.art = getImageUrlSync(item.art);
 
         return enhancedItem;
       })
@@ -242,34 +223,21 @@ export const fetchRecentlyAdded = async (
 
 /**
  * Get full metadata for a media item
- * @param {String} apiKey - Tautulli API key
  * @param {String} ratingKey - Rating key of the media item
  * @param {Boolean} includeChildren - Whether to include children (default: false)
  * @returns {Promise<Object>} - Media metadata
  */
-export const getMetadata = async (
-  apiKey,
-  ratingKey,
-  includeChildren = false
-) => {
+export const getMetadata = async (ratingKey, includeChildren = false) => {
   try {
-    const params = {
-      apikey: apiKey,
-      cmd: "get_metadata",
-      rating_key: ratingKey,
-    };
-
-    if (includeChildren) {
-      params.include_children = 1;
-    }
-
-    const response = await axios.get(`/api/tautulli/api/v2`, { params });
+    const response = await axios.get(`/api/metadata/${ratingKey}`, {
+      params: includeChildren ? { children: true } : {},
+    });
 
-    if (!response.data?.response?.result === "success") {
+    if (!response.data?.success) {
       throw new Error("Invalid response from Tautulli server");
     }
 
-    const metadata = response.data?.response?.data || {};
+    const metadata = response.data.metadata || {};
 
     // Try to get TMDB poster if appropriate
     if (metadata && metadata.media_type) {
@@ -294,11 +262,10 @@ export const getMetadata = async (
 
 /**
  * Clear Tautulli image cache for specific media items
- * @param {String} apiKey - Tautulli API key
  * @param {String} ratingKey - Rating key of the media item
  * @returns {Promise<Boolean>} - Success status
  */
-export const clearImageCache = async (apiKey, ratingKey = null) => {
+export const clearImageCache = async (ratingKey = null) => {
   try {
     // Clear image cache through API
     await axios.get("/api/clear-image-cache");
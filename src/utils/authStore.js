@@ -0,0 +1,447 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { logError, logInfo, logWarn } from "./logger.js";
+
+// Define the auth file in the configs folder in root directory
+const AUTH_FILE = path.join(process.cwd(), "configs", "auth.json");
+
+// Sessions stay valid for 7 days unless overridden via environment
+const SESSION_MAX_AGE =
+  (parseInt(process.env.SESSION_MAX_AGE_HOURS) || 24 * 7) * 60 * 60 * 1000;
+
+// Prefix makes dashboard API keys easy to recognise in scripts and logs
+const API_KEY_PREFIX = "ptd_";
+
+// Scopes that can be granted to API keys and the routes each one unlocks.
+// Routes not listed under a read scope require admin:config.
+const API_SCOPES = {
+  "read:activity": {
+    description:
+      "Read user activity, streams, watch history, statistics and Plex sync activities",
+    routes: [
+      "GET /api/users",
+      "GET /api/users/:userId",
+      "GET /api/users/:userId/history",
+      "GET /api/downloads",
+      "GET /api/sessions",
+      "GET /api/events",
+      "GET /api/history",
+      "GET /api/history/status",
+      "GET /api/stats",
+    ],
+  },
+  "read:media": {
+    description:
+      "Read recently added media, libraries, sections, metadata and artwork, and search them",
+    routes: [
+      "GET /api/recent/:type",
+      "GET /api/media/:type",
+      "GET /api/search",
+      "GET /api/libraries",
+      "GET /api/libraries/:sectionId",
+      "GET /api/libraries/:sectionId/items",
+      "GET /api/sections",
+      "GET /api/posters/:ratingKey",
+      "GET /api/images/:ratingKey/:kind",
+      "GET /api/metadata/:ratingKey",
+      "GET /api/image-proxy",
+    ],
+  },
+  "read:formats": {
+    description: "Read and validate format templates",
+    routes: [
+      "GET /api/formats",
+      "GET /api/formats/history",
+      "GET /api/formats/history/:revision",
+      "GET /api/formats/presets",
+      "GET /api/formats/export/:type",
+      "POST /api/formats/validate",
+    ],
+  },
+  "read:status": {
+    description: "Read server health, service status and Tautulli metrics",
+    routes: [
+      "GET /api/health",
+      "GET /api/health/tautulli",
+      "GET /api/profiles",
+    ],
+  },
+  "admin:config": {
+    description:
+      "Full access, including configuration changes, caches, logs and resets",
+    routes: ["*"],
+  },
+};
+
+// Scopes granted to API keys created before scopes existed
+const LEGACY_API_KEY_SCOPES = ["read:activity", "read:media"];
+
+// Persist last-used timestamps at most this often
+const LAST_USED_SAVE_DELAY = 30 * 1000;
+
+// Compile "METHOD /path/:param" route strings into matchers
+const SCOPE_ROUTE_MATCHERS = Object.entries(API_SCOPES).flatMap(
+  ([scope, { routes }]) =>
+    routes
+      .filter((route) => route !== "*")
+      .map((route) => {
+        const [method, routePath] = route.split(" ");
+        const pattern = routePath.replace(/:[^/]+/g, "[^/]+");
+        return { scope, method, regex: new RegExp(`^${pattern}$`) };
+      })
+);
+
+// Initialize auth state with default values
+let auth = {
+  admin: null,
+  sessionSecret: null,
+  apiKeys: [],
+};
+
+// Hash a password with scrypt and the given salt
+const hashSecret = (secret, salt) =>
+  crypto.scryptSync(String(secret), salt, 64).toString("hex");
+
+// API keys are long random strings, so a plain SHA-256 digest is enough
+const hashApiKey = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+// Constant-time comparison of two hex strings
+const safeEqual = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+};
+
+// Save auth state to file
+const saveAuth = () => {
+  try {
+    const authDir = path.dirname(AUTH_FILE);
+    if (!fs.existsSync(authDir)) {
+      fs.mkdirSync(authDir, { recursive: true });
+      logInfo(`Created configs directory at: ${authDir}`);
+    }
+
+    fs.writeFileSync(AUTH_FILE, JSON.stringify(auth, null, 2), {
+      encoding: "utf8",
+      mode: 0o600,
+    });
+  } catch (error) {
+    logError("Error saving auth settings:", error);
+    throw error;
+  }
+};
+
+// Load auth state from file, creating the session secret on first run
+const loadAuth = () => {
+  try {
+    if (fs.existsSync(AUTH_FILE)) {
+      const loaded = JSON.parse(fs.readFileSync(AUTH_FILE, "utf8"));
+      auth = {
+        admin: loaded.admin || null,
+        sessionSecret: loaded.sessionSecret || null,
+        apiKeys: (Array.isArray(loaded.apiKeys) ? loaded.apiKeys : []).map(
+          (apiKey) => ({
+            ...apiKey,
+            scopes: apiKey.scopes || LEGACY_API_KEY_SCOPES,
+            lastUsedAt: apiKey.lastUsedAt || null,
+          })
+        ),
+      };
+    }
+
+    if (!auth.sessionSecret) {
+      auth.sessionSecret = crypto.randomBytes(32).toString("hex");
+      saveAuth();
+      logInfo("Generated new session secret");
+    }
+
+    logInfo("Auth settings loaded:", {
+      hasAdmin: !!auth.admin,
+      apiKeys: auth.apiKeys.length,
+    });
+  } catch (error) {
+    logError("Error loading auth settings:", error);
+  }
+};
+
+// The secret used to sign session tokens; SESSION_SECRET wins if set
+const getSessionSecret = () => process.env.SESSION_SECRET || auth.sessionSecret;
+
+const hasAdmin = () => !!auth.admin;
+
+const getAdminUsername = () => auth.admin?.username || null;
+
+// Create the single admin account (only allowed once)
+const createAdmin = (username, password) => {
+  if (auth.admin) {
+    throw new Error("Admin account already exists");
+  }
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  auth.admin = {
+    username: username.trim(),
+    salt,
+    passwordHash: hashSecret(password, salt),
+    sessionVersion: 1,
+    createdAt: new Date().toISOString(),
+  };
+  saveAuth();
+
+  logInfo(`Admin account created for ${auth.admin.username}`);
+  return { username: auth.admin.username };
+};
+
+// Check a username/password pair against the stored admin account
+const verifyCredentials = (username, password) => {
+  if (!auth.admin || !username || !password) return false;
+  if (username.trim() !== auth.admin.username) return false;
+
+  return safeEqual(
+    hashSecret(password, auth.admin.salt),
+    auth.admin.passwordHash
+  );
+};
+
+// Change the admin password; existing sessions are invalidated
+const changePassword = (currentPassword, newPassword) => {
+  if (!verifyCredentials(auth.admin?.username, currentPassword)) {
+    return false;
+  }
+
+  const salt = crypto.randomBytes(16).toString("hex");
+  auth.admin = {
+    ...auth.admin,
+    salt,
+    passwordHash: hashSecret(newPassword, salt),
+    sessionVersion: (auth.admin.sessionVersion || 1) + 1,
+  };
+  saveAuth();
+
+  logInfo("Admin password changed, existing sessions invalidated");
+  return true;
+};
+
+// Sign a payload into a compact "payload.signature" token
+const signToken = (payload) => {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const signature = crypto
+    .createHmac("sha256", getSessionSecret())
+    .update(body)
+    .digest("base64url");
+  return `${body}.${signature}`;
+};
+
+// Create a session token for the admin account
+const createSession = () => {
+  const expires = Date.now() + SESSION_MAX_AGE;
+  const token = signToken({
+    sub: auth.admin.username,
+    ver: auth.admin.sessionVersion || 1,
+    exp: expires,
+  });
+
+  return { token, expires, maxAge: SESSION_MAX_AGE };
+};
+
+// Validate a session token, returning the session payload or null
+const verifySession = (token) => {
+  if (!token || !auth.admin || typeof token !== "string") return null;
+
+  const [body, signature] = token.split(".");
+  if (!body || !signature) return null;
+
+  const expected = crypto
+    .createHmac("sha256", getSessionSecret())
+    .update(body)
+    .digest("base64url");
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+
+    if (
+      payload.sub !== auth.admin.username ||
+      payload.ver !== (auth.admin.sessionVersion || 1) ||
+      Date.now() > payload.exp
+    ) {
+      return null;
+    }
+
+    return payload;
+  } catch (error) {
+    logWarn("Malformed session token received");
+    return null;
+  }
+};
+
+// Strip secret material before handing API key records to callers
+const publicApiKey = ({ hash, ...record }) => record;
+
+const listApiKeys = () => auth.apiKeys.map(publicApiKey);
+
+// Scope catalogue for the UI
+const getApiScopes = () =>
+  Object.entries(API_SCOPES).map(([id, { description, routes }]) => ({
+    id,
+    description,
+    routes,
+  }));
+
+const isValidScope = (scope) =>
+  Object.prototype.hasOwnProperty.call(API_SCOPES, scope);
+
+// Work out which scope a request needs
+const getRequiredScope = (method, requestPath) => {
+  const match = SCOPE_ROUTE_MATCHERS.find(
+    (matcher) => matcher.method === method && matcher.regex.test(requestPath)
+  );
+  return match ? match.scope : "admin:config";
+};
+
+// Keep only known scopes, throwing if none are left
+const normalizeScopes = (scopes) => {
+  const validScopes = [...new Set(Array.isArray(scopes) ? scopes : [])].filter(
+    isValidScope
+  );
+
+  if (validScopes.length === 0) {
+    throw new Error(
+      `At least one valid scope is required (${Object.keys(API_SCOPES).join(
+        ", "
+      )})`
+    );
+  }
+
+  return validScopes;
+};
+
+// Create a new API key; the plain key is only ever returned here
+const createApiKey = (name, scopes) => {
+  const id = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${API_KEY_PREFIX}${id}_${secret}`;
+
+  const record = {
+    id,
+    name: (name || "").trim() || `API key ${auth.apiKeys.length + 1}`,
+    prefix: key.slice(0, API_KEY_PREFIX.length + id.length + 4),
+    scopes: normalizeScopes(scopes),
+    hash: hashApiKey(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+
+  auth.apiKeys.push(record);
+  saveAuth();
+
+  logInfo(`API key created: ${record.name} (${record.id})`);
+  return { key, apiKey: publicApiKey(record) };
+};
+
+// Change the label and/or scopes of an existing API key
+const updateApiKey = (id, { name, scopes }) => {
+  const record = auth.apiKeys.find((apiKey) => apiKey.id === id);
+  if (!record) return null;
+
+  if (typeof name === "string" && name.trim()) {
+    record.name = name.trim();
+  }
+  if (scopes !== undefined) {
+    record.scopes = normalizeScopes(scopes);
+  }
+  saveAuth();
+
+  logInfo(`API key updated: ${record.name} (${record.id})`);
+  return publicApiKey(record);
+};
+
+// Remove an API key by id
+const revokeApiKey = (id) => {
+  const index = auth.apiKeys.findIndex((apiKey) => apiKey.id === id);
+  if (index === -1) return false;
+
+  const [removed] = auth.apiKeys.splice(index, 1);
+  saveAuth();
+
+  logInfo(`API key revoked: ${removed.name} (${removed.id})`);
+  return true;
+};
+
+// Validate a plain API key, returning its public record or null
+const verifyApiKey = (key) => {
+  if (!key || typeof key !== "string" || !key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const match = key.slice(API_KEY_PREFIX.length).match(/^([a-f0-9]+)_(.+)$/);
+  if (!match) return null;
+
+  const [, id, secret] = match;
+  const record = auth.apiKeys.find((apiKey) => apiKey.id === id);
+  if (!record) return null;
+
+  return safeEqual(hashApiKey(secret), record.hash)
+    ? publicApiKey(record)
+    : null;
+};
+
+// Record that an API key was used; writes are batched to spare the disk
+let lastUsedSaveTimer = null;
+
+const saveLastUsed = () => {
+  clearTimeout(lastUsedSaveTimer);
+  lastUsedSaveTimer = null;
+  try {
+    saveAuth();
+  } catch (error) {
+    // saveAuth already logged the failure
+  }
+};
+
+const markApiKeyUsed = (id) => {
+  const record = auth.apiKeys.find((apiKey) => apiKey.id === id);
+  if (!record) return;
+
+  record.lastUsedAt = new Date().toISOString();
+
+  if (!lastUsedSaveTimer) {
+    lastUsedSaveTimer = setTimeout(saveLastUsed, LAST_USED_SAVE_DELAY);
+    lastUsedSaveTimer.unref();
+  }
+};
+
+// Write pending last-used times now, e.g. before the server stops
+const flushApiKeyUsage = () => {
+  if (lastUsedSaveTimer) saveLastUsed();
+};
+
+// Load initial auth state
+loadAuth();
+
+// Export all functions
+export {
+  hasAdmin,
+  getAdminUsername,
+  createAdmin,
+  verifyCredentials,
+  changePassword,
+  createSession,
+  verifySession,
+  listApiKeys,
+  getApiScopes,
+  getRequiredScope,
+  isValidScope,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey,
+  verifyApiKey,
+  markApiKeyUsed,
+  flushApiKeyUsage,
+};
@@ -0,0 +1,104 @@
+import fs from "fs";
+import path from "path";
+import { logError, logInfo, logWarn } from "./logger.js";
+
+// Define the saved API caches in the cache folder in root directory
+const CACHE_DIR = path.join(process.cwd(), "cache", "data");
+
+// "memory" keeps the API caches in memory only, "file" also saves them to
+// CACHE_DIR so they survive restarts
+const CACHE_BACKENDS = ["memory", "file"];
+const CACHE_BACKEND = (process.env.CACHE_BACKEND || "memory").toLowerCase();
+
+if (!CACHE_BACKENDS.includes(CACHE_BACKEND)) {
+  logWarn(
+    `Unknown CACHE_BACKEND "${CACHE_BACKEND}", keeping caches in memory only`
+  );
+}
+
+// Caches change on most requests, so writes are batched
+const CACHE_SAVE_DELAY = 5000;
+
+// Saved caches by name, each with a function returning its entries
+const caches = new Map();
+
+const isPersistent = () => CACHE_BACKEND === "file";
+
+const getCacheBackend = () => (isPersistent() ? "file" : "memory");
+
+const getCacheFile = (name) => path.join(CACHE_DIR, `${name}.json`);
+
+// Save a cache's unexpired entries; written to a temp file first so a crash
+// can't truncate it
+const saveCache = (name) => {
+  const saved = caches.get(name);
+  if (!saved) return;
+
+  if (saved.saveTimer) {
+    clearTimeout(saved.saveTimer);
+    saved.saveTimer = null;
+  }
+
+  try {
+    if (!fs.existsSync(CACHE_DIR)) {
+      fs.mkdirSync(CACHE_DIR, { recursive: true });
+    }
+
+    const now = Date.now();
+    const entries = {};
+    saved.getEntries().forEach((item, key) => {
+      if (item.expires > now) entries[key] = item;
+    });
+
+    const cacheFile = getCacheFile(name);
+    const tempFile = `${cacheFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ entries }));
+    fs.renameSync(tempFile, cacheFile);
+  } catch (error) {
+    logError(`Error saving ${name} cache:`, error);
+  }
+};
+
+const scheduleCacheSave = (name) => {
+  const saved = caches.get(name);
+  if (!saved || saved.saveTimer) return;
+
+  saved.saveTimer = setTimeout(() => saveCache(name), CACHE_SAVE_DELAY);
+  saved.saveTimer.unref();
+};
+
+// Register a cache to be saved and return the unexpired entries it had when
+// the server stopped, as [key, { value, expires }] pairs. Expiry times are
+// absolute, so entries keep the TTL they were stored with.
+const openCache = (name, getEntries) => {
+  if (!isPersistent()) return [];
+
+  caches.set(name, { getEntries, saveTimer: null });
+
+  const cacheFile = getCacheFile(name);
+  if (!fs.existsSync(cacheFile)) return [];
+
+  try {
+    const { entries = {} } = JSON.parse(fs.readFileSync(cacheFile, "utf8"));
+    const now = Date.now();
+    const loaded = Object.entries(entries).filter(
+      ([, item]) => item && item.expires > now
+    );
+
+    logInfo(`Warmed ${name} cache with ${loaded.length} saved entries`);
+    return loaded;
+  } catch (error) {
+    logWarn(`Could not load saved ${name} cache: ${error.message}`);
+    return [];
+  }
+};
+
+// Write every pending change now, e.g. before the server stops
+const flushCaches = () => {
+  caches.forEach((saved, name) => {
+    if (saved.saveTimer) saveCache(name);
+  });
+};
+
+// Export all functions
+export { flushCaches, getCacheBackend, openCache, scheduleCacheSave };
@@ -1,7 +1,15 @@
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
 import { fileURLToPath } from "url";
 import { logError, logInfo, logDebug } from "./logger.js";
+import {
+  isEncrypted,
+  hasEncryptionKey,
+  encryptSecret,
+  decryptSecret,
+} from "./secrets.js";
 
 // Get directory name in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -10,13 +18,61 @@ const __dirname = path.dirname(__filename);
 // Determine the correct path for the config file in the configs folder in root directory
 const CONFIG_FILE = path.join(process.cwd(), "configs", "config.json");
 
-// Initialize config with default values
-let config = {
+// Fields that are encrypted at rest and never sent to the browser
+const SECRET_FIELDS = ["plexToken", "tautulliApiKey"];
+
+// Stored secrets that could not be decrypted, by "<profile id>:<field>".
+// They are written back unchanged so a wrong or rotated
+// CONFIG_ENCRYPTION_KEY can't erase them.
+const undecryptedSecrets = new Map();
+
+// Decrypt a stored secret, falling back to null if it can't be read
+const readSecret = (profileId, field, value) => {
+  try {
+    return decryptSecret(value) || null;
+  } catch (error) {
+    logError(
+      `Failed to decrypt ${field} of server profile "${profileId}". Check CONFIG_ENCRYPTION_KEY; the stored value is kept until it is entered again:`,
+      { message: error.message }
+    );
+    undecryptedSecrets.set(`${profileId}:${field}`, value);
+    return null;
+  }
+};
+
+// Value of a secret to store: the current one encrypted, or the stored value
+// if it could not be decrypted and has not been entered again
+const writeSecret = (profile, field) => {
+  const key = `${profile.id}:${field}`;
+
+  if (profile[field]) {
+    undecryptedSecrets.delete(key);
+    return encryptSecret(profile[field]);
+  }
+
+  return undecryptedSecrets.get(key) || null;
+};
+
+// Id of the profile migrated from single-server configs; its files keep
+// their original names
+const DEFAULT_PROFILE_ID = "default";
+
+const emptyProfile = (id, name) => ({
+  id,
+  name,
   plexUrl: null,
   plexToken: null,
   tautulliUrl: null,
   tautulliApiKey: null,
-};
+});
+
+// Server profiles; requests use the one picked by the browser or API client,
+// everything else (background jobs, old clients) uses the default profile
+let profiles = [emptyProfile(DEFAULT_PROFILE_ID, "Default")];
+let defaultProfileId = DEFAULT_PROFILE_ID;
+
+// Profile selected for the current request
+const profileContext = new AsyncLocalStorage();
 
 // Ensure the config directory and file exists
 const ensureConfigFileExists = () => {
@@ -35,7 +91,7 @@ const ensureConfigFileExists = () => {
   // Create the file with default settings if it doesn't exist
   if (!fs.existsSync(CONFIG_FILE)) {
     try {
-      fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+      saveConfig();
       logInfo(`Created config file at: ${CONFIG_FILE}`);
     } catch (error) {
       logError("Failed to create config file:", error);
@@ -43,6 +99,19 @@ const ensureConfigFileExists = () => {
   }
 };
 
+// Read one stored profile, decrypting its secrets
+const readProfile = (stored, fallbackId) => {
+  const id = stored.id || fallbackId;
+  return {
+    id,
+    name: stored.name || "Default",
+    plexUrl: stored.plexUrl || null,
+    plexToken: readSecret(id, "plexToken", stored.plexToken),
+    tautulliUrl: stored.tautulliUrl || null,
+    tautulliApiKey: readSecret(id, "tautulliApiKey", stored.tautulliApiKey),
+  };
+};
+
 // Load config from file if it exists
 const loadConfig = () => {
   try {
@@ -53,20 +122,46 @@ const loadConfig = () => {
     if (fs.existsSync(CONFIG_FILE)) {
       const rawData = fs.readFileSync(CONFIG_FILE, "utf8");
       const loadedConfig = JSON.parse(rawData);
+      undecryptedSecrets.clear();
+
+      // Older versions stored a single server at the top level
+      const storedProfiles =
+        Array.isArray(loadedConfig.profiles) && loadedConfig.profiles.length
+          ? loadedConfig.profiles
+          : [{ ...loadedConfig, id: DEFAULT_PROFILE_ID, name: "Default" }];
 
-      // Merge loaded config with default config structure
-      config = {
-        plexUrl: loadedConfig.plexUrl || null,
-        plexToken: loadedConfig.plexToken || null,
-        tautulliUrl: loadedConfig.tautulliUrl || null,
-        tautulliApiKey: loadedConfig.tautulliApiKey || null,
-      };
+      profiles = storedProfiles.map((stored, index) =>
+        readProfile(stored, index === 0 ? DEFAULT_PROFILE_ID : `server${index}`)
+      );
+      defaultProfileId = profiles.some(
+        (profile) => profile.id === loadedConfig.defaultProfile
+      )
+        ? loadedConfig.defaultProfile
+        : profiles[0].id;
+
+      // Encrypt secrets left over from older versions and move single-server
+      // configs into the profile list
+      const needsEncryption =
+        hasEncryptionKey() &&
+        storedProfiles.some((stored) =>
+          SECRET_FIELDS.some(
+            (field) => stored[field] && !isEncrypted(stored[field])
+          )
+        );
+      if (needsEncryption || !Array.isArray(loadedConfig.profiles)) {
+        saveConfig();
+        logInfo("Updated stored configuration format");
+      }
 
       logInfo("Configuration loaded:", {
-        plexUrl: config.plexUrl ? "[REDACTED]" : "Not set",
-        tautulliUrl: config.tautulliUrl ? "[REDACTED]" : "Not set",
-        hasPlexToken: !!config.plexToken,
-        hasTautulliKey: !!config.tautulliApiKey,
+        profiles: profiles.map((profile) => ({
+          id: profile.id,
+          plexUrl: profile.plexUrl ? "[REDACTED]" : "Not set",
+          tautulliUrl: profile.tautulliUrl ? "[REDACTED]" : "Not set",
+          hasPlexToken: !!profile.plexToken,
+          hasTautulliKey: !!profile.tautulliApiKey,
+        })),
+        defaultProfile: defaultProfileId,
       });
     } else {
       logInfo("No existing configuration found. Using default.");
@@ -76,12 +171,8 @@ const loadConfig = () => {
   } catch (error) {
     logError("Error loading configuration:", error);
     // Fallback to default config
-    config = {
-      plexUrl: null,
-      plexToken: null,
-      tautulliUrl: null,
-      tautulliApiKey: null,
-    };
+    profiles = [emptyProfile(DEFAULT_PROFILE_ID, "Default")];
+    defaultProfileId = DEFAULT_PROFILE_ID;
   }
 };
 
@@ -90,23 +181,27 @@ const saveConfig = () => {
   try {
     // Prepare config for saving (avoid saving null values)
     const configToSave = {
-      plexUrl: config.plexUrl || null,
-      plexToken: config.plexToken || null,
-      tautulliUrl: config.tautulliUrl || null,
-      tautulliApiKey: config.tautulliApiKey || null,
+      defaultProfile: defaultProfileId,
+      profiles: profiles.map((profile) => ({
+        id: profile.id,
+        name: profile.name,
+        plexUrl: profile.plexUrl || null,
+        plexToken: writeSecret(profile, "plexToken"),
+        tautulliUrl: profile.tautulliUrl || null,
+        tautulliApiKey: writeSecret(profile, "tautulliApiKey"),
+      })),
     };
 
     // Write file with full error handling
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(configToSave, null, 2), {
       encoding: "utf8",
       flag: "w", // overwrite
+      mode: 0o600,
     });
 
     logInfo("Configuration saved:", {
-      plexUrl: configToSave.plexUrl ? "[REDACTED]" : "Not set",
-      tautulliUrl: configToSave.tautulliUrl ? "[REDACTED]" : "Not set",
-      hasPlexToken: !!configToSave.plexToken,
-      hasTautulliKey: !!configToSave.tautulliApiKey,
+      profiles: configToSave.profiles.length,
+      defaultProfile: defaultProfileId,
     });
   } catch (error) {
     logError("Error saving configuration:", error);
@@ -114,16 +209,28 @@ const saveConfig = () => {
   }
 };
 
-// Set configuration method
+// Id of the profile the current request works with
+const getCurrentProfileId = () => profileContext.getStore() || defaultProfileId;
+
+const findProfile = (id) =>
+  profiles.find((profile) => profile.id === id) || null;
+
+// Run fn with a different profile selected (used by background jobs and the
+// "all servers" views)
+const runWithProfile = (profileId, fn) => profileContext.run(profileId, fn);
+
+// Set configuration method; updates the current profile
 const setConfig = (newConfig) => {
   try {
+    const profile = findProfile(getCurrentProfileId());
+
     // Update config with new values, preserving existing values if not provided
-    config = {
-      plexUrl: newConfig.plexUrl || config.plexUrl,
-      plexToken: newConfig.plexToken || config.plexToken,
-      tautulliUrl: newConfig.tautulliUrl || config.tautulliUrl,
-      tautulliApiKey: newConfig.tautulliApiKey || config.tautulliApiKey,
-    };
+    Object.assign(profile, {
+      plexUrl: newConfig.plexUrl || profile.plexUrl,
+      plexToken: newConfig.plexToken || profile.plexToken,
+      tautulliUrl: newConfig.tautulliUrl || profile.tautulliUrl,
+      tautulliApiKey: newConfig.tautulliApiKey || profile.tautulliApiKey,
+    });
 
     // Save the updated configuration
     saveConfig();
@@ -133,11 +240,113 @@ const setConfig = (newConfig) => {
   }
 };
 
-// Define getConfig function separately
-const getConfig = () => config;
+// Connection settings of the current profile
+const getConfig = () =>
+  findProfile(getCurrentProfileId()) || findProfile(defaultProfileId);
+
+// Config safe to hand to API clients: secrets are replaced by flags
+const toPublicProfile = (profile) => ({
+  id: profile.id,
+  name: profile.name,
+  plexUrl: profile.plexUrl,
+  tautulliUrl: profile.tautulliUrl,
+  hasPlexToken: !!profile.plexToken,
+  hasTautulliKey: !!profile.tautulliApiKey,
+  isDefault: profile.id === defaultProfileId,
+});
+
+const getPublicConfig = () => {
+  const { id, name, ...config } = toPublicProfile(getConfig());
+  return { ...config, profileId: id, profileName: name };
+};
+
+const listProfiles = () => profiles.map(toPublicProfile);
+
+const getDefaultProfileId = () => defaultProfileId;
+
+const createProfile = (input) => {
+  const profile = {
+    ...emptyProfile(crypto.randomBytes(4).toString("hex"), ""),
+    name: String(input.name || "").trim() || `Server ${profiles.length + 1}`,
+    plexUrl: input.plexUrl || null,
+    plexToken: input.plexToken || null,
+    tautulliUrl: input.tautulliUrl || null,
+    tautulliApiKey: input.tautulliApiKey || null,
+  };
+
+  profiles.push(profile);
+  saveConfig();
+  logInfo(`Server profile created: ${profile.name}`);
+  return toPublicProfile(profile);
+};
+
+// Blank secrets keep the stored ones, like setConfig
+const updateProfile = (id, input) => {
+  const profile = findProfile(id);
+  if (!profile) return null;
+
+  if (input.name !== undefined) {
+    profile.name = String(input.name).trim() || profile.name;
+  }
+  ["plexUrl", "plexToken", "tautulliUrl", "tautulliApiKey"].forEach((field) => {
+    if (input[field]) profile[field] = input[field];
+  });
+  if (input.isDefault) defaultProfileId = profile.id;
+
+  saveConfig();
+  return toPublicProfile(profile);
+};
+
+// The last remaining profile can't be removed
+const deleteProfile = (id) => {
+  if (!findProfile(id) || profiles.length === 1) return false;
+
+  profiles = profiles.filter((profile) => profile.id !== id);
+  if (defaultProfileId === id) defaultProfileId = profiles[0].id;
+
+  saveConfig();
+  logInfo(`Server profile deleted: ${id}`);
+  return true;
+};
+
+// Forget every server profile and its secrets, leaving one empty default
+// profile
+const resetConfig = () => {
+  profiles = [emptyProfile(DEFAULT_PROFILE_ID, "Default")];
+  defaultProfileId = DEFAULT_PROFILE_ID;
+  undecryptedSecrets.clear();
+
+  saveConfig();
+  logInfo("Configuration reset");
+};
+
+// Give each profile its own copy of a data file; the original profile keeps
+// the plain name so existing installs find their files
+const getProfileScopedPath = (filePath, profileId = getCurrentProfileId()) => {
+  if (profileId === DEFAULT_PROFILE_ID) return filePath;
+
+  const { dir, name, ext } = path.parse(filePath);
+  return path.join(dir, `${name}-${profileId}${ext}`);
+};
 
 // Load initial configuration
 loadConfig();
 
 // Export all functions
-export { setConfig, getConfig, loadConfig, saveConfig };
+export {
+  setConfig,
+  getConfig,
+  getPublicConfig,
+  loadConfig,
+  saveConfig,
+  listProfiles,
+  findProfile,
+  getDefaultProfileId,
+  getCurrentProfileId,
+  runWithProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  resetConfig,
+  getProfileScopedPath,
+};
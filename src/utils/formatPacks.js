@@ -0,0 +1,187 @@
+// Shareable format packs
+// src/utils/formatPacks.js
+//
+// A format pack is a JSON file with formats of one type, so a set of
+// templates can be exported from one dashboard and imported into another.
+// Shared by the server (import/export endpoints) and the format settings.
+
+import { parseTemplate } from "./templateEngine.js";
+import { FORMAT_TYPES } from "./templateValidator.js";
+
+// Marks a JSON file as a format pack
+const PACK_FORMAT = "plex-tautulli-dashboard/format-pack";
+const PACK_VERSION = 1;
+
+// What to do with an imported format whose name is already taken
+const CONFLICT_RESOLUTIONS = ["skip", "replace", "rename"];
+
+// Fields of a format worth sharing; anything else is dropped on export
+const FORMAT_FIELDS = [
+  "name",
+  "template",
+  "output",
+  "type",
+  "mediaType",
+  "sectionId",
+];
+
+// Formats may share a name when they target different sections or media
+// types, same as the duplicate check of validateFormats
+const conflictKey = (format) =>
+  [
+    format.name,
+    format.sectionId || "all",
+    format.type || format.mediaType || "",
+  ].join("\u0000");
+
+const collectVariables = (nodes, variables) => {
+  nodes.forEach((node) => {
+    if (node.type === "variable") {
+      variables.add(node.key);
+    } else if (node.type === "if") {
+      variables.add(node.condition.key);
+      collectVariables(node.children, variables);
+      collectVariables(node.otherwise, variables);
+    }
+  });
+  return variables;
+};
+
+// Variables the templates of a pack read, so users can see what a pack
+// expects before importing it
+const getRequiredVariables = (formats) => {
+  const variables = new Set();
+  formats.forEach((format) => {
+    collectVariables(
+      parseTemplate(String(format.template || "")).nodes,
+      variables
+    );
+  });
+  return [...variables].sort();
+};
+
+const cleanFormat = (format) =>
+  FORMAT_FIELDS.reduce((clean, field) => {
+    if (format[field] !== undefined) clean[field] = format[field];
+    return clean;
+  }, {});
+
+// Build a pack from formats of one type
+const createFormatPack = ({ name, description = "", type, formats = [] }) => {
+  const cleaned = formats.map(cleanFormat);
+
+  return {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    name: name || `${type} formats`,
+    description,
+    type,
+    requiredVariables: getRequiredVariables(cleaned),
+    formats: cleaned,
+  };
+};
+
+// Check an uploaded pack. Returns { pack } or { error }.
+const parseFormatPack = (input) => {
+  let pack = input;
+
+  if (typeof input === "string") {
+    try {
+      pack = JSON.parse(input);
+    } catch (error) {
+      return { error: "File is not valid JSON" };
+    }
+  }
+
+  if (!pack || typeof pack !== "object" || pack.format !== PACK_FORMAT) {
+    return { error: "File is not a format pack" };
+  }
+  if (pack.version > PACK_VERSION) {
+    return {
+      error: `Format pack version ${pack.version} is newer than this dashboard supports`,
+    };
+  }
+  if (!FORMAT_TYPES.includes(pack.type)) {
+    return {
+      error: `Unknown format type "${pack.type}"; use ${FORMAT_TYPES.join(
+        ", "
+      )}`,
+    };
+  }
+  if (!Array.isArray(pack.formats) || pack.formats.length === 0) {
+    return { error: "Format pack contains no formats" };
+  }
+
+  return {
+    pack: createFormatPack({
+      name: typeof pack.name === "string" ? pack.name : "",
+      description: typeof pack.description === "string" ? pack.description : "",
+      type: pack.type,
+      formats: pack.formats.filter(
+        (format) => format && typeof format === "object"
+      ),
+    }),
+  };
+};
+
+// Imported formats whose name is already used by an existing format
+const findPackConflicts = (existing, incoming) => {
+  const taken = new Set((existing || []).map(conflictKey));
+  return incoming
+    .filter((format) => taken.has(conflictKey(format)))
+    .map((format) => format.name);
+};
+
+// First "<name> (n)" that is free for this format's target
+const renameFormat = (format, taken) => {
+  let counter = 2;
+  let renamed = { ...format, name: `${format.name} (${counter})` };
+
+  while (taken.has(conflictKey(renamed))) {
+    counter += 1;
+    renamed = { ...format, name: `${format.name} (${counter})` };
+  }
+  return renamed;
+};
+
+// Add the formats of a pack to the existing formats of its type
+const mergeFormatPack = (existing, incoming, resolution = "skip") => {
+  const merged = [...(existing || [])];
+  const taken = new Set(merged.map(conflictKey));
+  const result = { added: 0, replaced: 0, skipped: 0, renamed: 0 };
+
+  incoming.forEach((format) => {
+    const key = conflictKey(format);
+
+    if (!taken.has(key)) {
+      merged.push(format);
+      taken.add(key);
+      result.added += 1;
+    } else if (resolution === "replace") {
+      const index = merged.findIndex((current) => conflictKey(current) === key);
+      merged[index] = format;
+      result.replaced += 1;
+    } else if (resolution === "rename") {
+      const renamed = renameFormat(format, taken);
+      merged.push(renamed);
+      taken.add(conflictKey(renamed));
+      result.renamed += 1;
+    } else {
+      result.skipped += 1;
+    }
+  });
+
+  return { formats: merged, ...result };
+};
+
+// Export all functions
+export {
+  CONFLICT_RESOLUTIONS,
+  PACK_FORMAT,
+  PACK_VERSION,
+  createFormatPack,
+  findPackConflicts,
+  getRequiredVariables,
+  mergeFormatPack,
+  parseFormatPack,
+};
@@ -0,0 +1,209 @@
+// Built-in format packs
+// src/utils/formatPresets.js
+//
+// Ready-made templates for common setups, offered in the format settings
+// next to the import button. Each preset is an ordinary format pack and is
+// imported the same way.
+
+import { createFormatPack } from "./formatPacks.js";
+
+const EPISODE_NUMBER = "S{parent_media_index|pad}E{media_index|pad}";
+
+const PRESETS = [
+  // Homepage (gethomepage.dev) customapi widgets show one short value per field
+  {
+    id: "homepage-recently-added",
+    name: "Homepage: Recently Added",
+    description:
+      "Short titles for Homepage customapi widgets listing new movies and episodes",
+    type: "recentlyAdded",
+    formats: [
+      {
+        name: "homepage",
+        type: "movies",
+        sectionId: "all",
+        template: "{title|truncate:30} ({year})",
+      },
+      {
+        name: "homepage",
+        type: "shows",
+        sectionId: "all",
+        template: `{grandparent_title|truncate:25} ${EPISODE_NUMBER}`,
+      },
+      {
+        name: "homepage_added",
+        type: "movies",
+        sectionId: "all",
+        template: "{addedAt:relative}",
+      },
+      {
+        name: "homepage_added",
+        type: "shows",
+        sectionId: "all",
+        template: "{addedAt:relative}",
+      },
+    ],
+  },
+  {
+    id: "homepage-streams",
+    name: "Homepage: Streams",
+    description: "Who is watching what, one line per stream",
+    type: "sessions",
+    formats: [
+      {
+        name: "homepage",
+        template:
+          "{friendly_name}: {#if grandparent_title}{grandparent_title|truncate:20} " +
+          `${EPISODE_NUMBER}{:else}{title|truncate:25}{/if} ({progress_percent}%)`,
+      },
+      {
+        name: "homepage_quality",
+        template:
+          "{transcode_decision|capitalize} · {stream_video_resolution|upper} · {formatted_bandwidth}",
+      },
+    ],
+  },
+  {
+    id: "homepage-users",
+    name: "Homepage: Users",
+    description: "Last activity and play count per user",
+    type: "users",
+    formats: [
+      {
+        name: "homepage",
+        mediaType: "movie",
+        template:
+          "{#if is_watching}▶ {title|truncate:25}{:else}{last_seen:relative}{/if}",
+      },
+      {
+        name: "homepage",
+        mediaType: "episode",
+        template:
+          "{#if is_watching}▶ {grandparent_title|truncate:20} " +
+          `${EPISODE_NUMBER}{:else}{last_seen:relative}{/if}`,
+      },
+      {
+        name: "homepage_plays",
+        mediaType: "movie",
+        template: "{plays|number} plays",
+      },
+      {
+        name: "homepage_plays",
+        mediaType: "episode",
+        template: "{plays|number} plays",
+      },
+    ],
+  },
+  {
+    id: "homepage-libraries",
+    name: "Homepage: Libraries",
+    description: "Item counts per library",
+    type: "libraries",
+    formats: [
+      {
+        name: "homepage",
+        mediaType: "movies",
+        sectionId: "all",
+        template: "{count|number} movies",
+      },
+      {
+        name: "homepage",
+        mediaType: "shows",
+        sectionId: "all",
+        template: "{count|number} shows · {child_count|number} episodes",
+      },
+      {
+        name: "homepage",
+        mediaType: "music",
+        sectionId: "all",
+        template: "{count|number} artists · {child_count|number} tracks",
+      },
+    ],
+  },
+  {
+    id: "homepage-sync",
+    name: "Homepage: Sync",
+    description: "Plex sync progress",
+    type: "downloads",
+    formats: [
+      {
+        name: "homepage",
+        template: "{title|truncate:30} · {progress}%",
+      },
+    ],
+  },
+  // Discord bots and rich presence scripts expect a single status line
+  {
+    id: "discord-streams",
+    name: "Discord: Stream Status",
+    description: "Status lines for Discord bots and rich presence",
+    type: "sessions",
+    formats: [
+      {
+        name: "discord_status",
+        template:
+          '{#if state == "paused"}⏸{:else}▶{/if} {#if grandparent_title}{grandparent_title} ' +
+          `${EPISODE_NUMBER} - {title}{:else}{title} ({year}){/if}`,
+      },
+      {
+        name: "discord_details",
+        template:
+          "{friendly_name} on {player} · {progress_percent}% · {transcode_decision|capitalize}",
+      },
+    ],
+  },
+  {
+    id: "discord-recently-added",
+    name: "Discord: Recently Added",
+    description:
+      "Markdown announcements for new movies and episodes, with titles escaped",
+    type: "recentlyAdded",
+    formats: [
+      {
+        name: "discord_announce",
+        output: "markdown",
+        type: "movies",
+        sectionId: "all",
+        template:
+          "🎬 **{title}** ({year}){#if content_rating} · {content_rating}{/if} · {duration|duration}",
+      },
+      {
+        name: "discord_announce",
+        output: "markdown",
+        type: "shows",
+        sectionId: "all",
+        template: `📺 **{grandparent_title}** ${EPISODE_NUMBER} - {title}`,
+      },
+    ],
+  },
+  {
+    id: "discord-users",
+    name: "Discord: User Activity",
+    description: "What each user is watching or last watched",
+    type: "users",
+    formats: [
+      {
+        name: "discord_status",
+        mediaType: "movie",
+        template:
+          '{#if is_watching}{friendly_name} is watching {title}{:else}{friendly_name} last watched {last_played|default:"nothing"}{/if}',
+      },
+      {
+        name: "discord_status",
+        mediaType: "episode",
+        template:
+          "{#if is_watching}{friendly_name} is watching {grandparent_title} " +
+          `${EPISODE_NUMBER}{:else}{friendly_name} last watched {last_played|default:"nothing"}{/if}`,
+      },
+    ],
+  },
+];
+
+// Presets as format packs, optionally only those of one format type
+const getFormatPresets = (type) =>
+  PRESETS.filter((preset) => !type || preset.type === type).map(
+    ({ id, ...preset }) => ({ id, ...createFormatPack(preset) })
+  );
+
+// Export all functions
+export { getFormatPresets };
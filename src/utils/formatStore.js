@@ -10,6 +10,28 @@ const __dirname = path.dirname(__filename);
 // Define the formats file in the configs folder in root directory
 const FORMATS_FILE = path.join(process.cwd(), "configs", "formats.json");
 
+// Earlier revisions of formats.json, newest last
+const HISTORY_FILE = path.join(
+  process.cwd(),
+  "configs",
+  "formats-history.json"
+);
+
+// Number of revisions kept in the history
+const HISTORY_LIMIT_SETTING = parseInt(process.env.FORMATS_HISTORY_LIMIT);
+const HISTORY_LIMIT = Number.isNaN(HISTORY_LIMIT_SETTING)
+  ? 50
+  : Math.max(1, HISTORY_LIMIT_SETTING);
+
+const FORMAT_TYPES = [
+  "downloads",
+  "recentlyAdded",
+  "users",
+  "sections",
+  "libraries",
+  "sessions",
+];
+
 // Initialize formats file if it doesn't exist
 const ensureFormatsFileExists = () => {
   const configDir = path.dirname(FORMATS_FILE);
@@ -33,6 +55,7 @@ const ensureFormatsFileExists = () => {
         users: [],
         sections: [],
         libraries: [], // Add separate libraries array
+        sessions: [],
       };
 
       fs.writeFileSync(FORMATS_FILE, JSON.stringify(defaultFormats, null, 2));
@@ -57,6 +80,7 @@ const getFormats = () => {
       users: formats.users || [],
       sections: formats.sections || [],
       libraries: formats.libraries || [], // Include libraries in the returned object
+      sessions: formats.sessions || [],
     };
   } catch (error) {
     logError("Error reading formats:", error);
@@ -66,11 +90,132 @@ const getFormats = () => {
       users: [],
       sections: [],
       libraries: [],
+      sessions: [],
     };
   }
 };
 
-const saveFormats = (formats) => {
+// ======================================================================
+// Revision history
+// ======================================================================
+
+let history = null;
+
+// Load the history on first use. Formats saved before the history existed
+// become revision 1 so they can still be rolled back to.
+const loadHistory = () => {
+  if (history) return history;
+
+  try {
+    if (fs.existsSync(HISTORY_FILE)) {
+      history = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
+      return history;
+    }
+  } catch (error) {
+    logError("Error reading formats history:", error);
+  }
+
+  history = {
+    revision: 1,
+    revisions: [
+      {
+        revision: 1,
+        savedAt: new Date().toISOString(),
+        author: "system",
+        summary: "Formats before revision history",
+        formats: getFormats(),
+      },
+    ],
+  };
+  return history;
+};
+
+const saveHistory = () => {
+  try {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2));
+  } catch (error) {
+    logError("Error saving formats history:", error);
+  }
+};
+
+const getFormatsRevision = () => loadHistory().revision;
+
+// Revision details without the formats themselves, newest first
+const listFormatRevisions = () =>
+  loadHistory()
+    .revisions.map(({ formats, ...entry }) => ({
+      ...entry,
+      counts: Object.fromEntries(
+        FORMAT_TYPES.map((type) => [type, (formats[type] || []).length])
+      ),
+    }))
+    .reverse();
+
+const getFormatRevision = (revision) =>
+  loadHistory().revisions.find((entry) => entry.revision === revision) || null;
+
+// Formats may share a name when they target different sections or media types
+const formatKey = (format) =>
+  [
+    format.name,
+    format.sectionId || "all",
+    format.type || format.mediaType || "",
+  ].join("\u0000");
+
+// Added, removed and changed formats between two revisions
+const diffFormats = (before, after) => {
+  const changes = [];
+
+  FORMAT_TYPES.forEach((type) => {
+    const previous = new Map(
+      (before[type] || []).map((format) => [formatKey(format), format])
+    );
+    const current = new Map(
+      (after[type] || []).map((format) => [formatKey(format), format])
+    );
+
+    current.forEach((format, key) => {
+      const old = previous.get(key);
+      if (!old) {
+        changes.push({
+          type,
+          name: format.name,
+          change: "added",
+          after: format,
+        });
+      } else if (JSON.stringify(old) !== JSON.stringify(format)) {
+        changes.push({
+          type,
+          name: format.name,
+          change: "changed",
+          before: old,
+          after: format,
+        });
+      }
+    });
+
+    previous.forEach((format, key) => {
+      if (!current.has(key)) {
+        changes.push({
+          type,
+          name: format.name,
+          change: "removed",
+          before: format,
+        });
+      }
+    });
+  });
+
+  return changes;
+};
+
+// ======================================================================
+// Saving
+// ======================================================================
+
+// Write formats.json and record a revision. Returns the new revision number,
+// or false when the file could not be written.
+const saveFormats = (formats, { author = "system", summary = "" } = {}) => {
   try {
     // Ensure we have all required keys
     const updatedFormats = {
@@ -79,21 +224,54 @@ const saveFormats = (formats) => {
       users: formats.users || [],
       sections: formats.sections || [],
       libraries: formats.libraries || [], // Include libraries in the saved object
+      sessions: formats.sessions || [],
     };
 
+    const current = loadHistory();
+    const latest = current.revisions[current.revisions.length - 1];
+
     fs.writeFileSync(FORMATS_FILE, JSON.stringify(updatedFormats, null, 2));
+
+    // Saving the same formats again does not need a new revision
+    if (
+      latest &&
+      JSON.stringify(latest.formats) === JSON.stringify(updatedFormats)
+    ) {
+      return current.revision;
+    }
+
+    current.revision += 1;
+    current.revisions.push({
+      revision: current.revision,
+      savedAt: new Date().toISOString(),
+      author,
+      summary,
+      formats: updatedFormats,
+    });
+    current.revisions = current.revisions.slice(-HISTORY_LIMIT);
+    saveHistory();
+
     logInfo("Format settings saved successfully", {
       downloads: updatedFormats.downloads.length,
       recentlyAdded: updatedFormats.recentlyAdded.length,
       users: updatedFormats.users.length,
       sections: updatedFormats.sections.length,
       libraries: updatedFormats.libraries.length,
+      sessions: updatedFormats.sessions.length,
+      revision: current.revision,
     });
-    return true;
+    return current.revision;
   } catch (error) {
     logError("Error saving formats:", error);
     return false;
   }
 };
 
-export { getFormats, saveFormats };
+export {
+  getFormats,
+  saveFormats,
+  getFormatsRevision,
+  listFormatRevisions,
+  getFormatRevision,
+  diffFormats,
+};
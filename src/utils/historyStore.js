@@ -0,0 +1,412 @@
+import fs from "fs";
+import path from "path";
+import { callTautulli, isTautulliConfigured } from "./tautulliClient.js";
+import {
+  listProfiles,
+  runWithProfile,
+  getCurrentProfileId,
+  getProfileScopedPath,
+} from "./configStore.js";
+import { logDebug, logError, logInfo, logWarn } from "./logger.js";
+
+// Define the history file in the configs folder in root directory
+const HISTORY_FILE = path.join(process.cwd(), "configs", "history.json");
+
+// Rows requested from Tautulli per page while syncing
+const SYNC_PAGE_SIZE = 500;
+
+// Background sync interval, 0 disables the schedule
+const SYNC_INTERVAL_MINUTES = parseInt(
+  process.env.HISTORY_SYNC_INTERVAL_MINUTES
+);
+const SYNC_INTERVAL =
+  (Number.isNaN(SYNC_INTERVAL_MINUTES) ? 15 : SYNC_INTERVAL_MINUTES) *
+  60 *
+  1000;
+
+const MAX_PAGE_SIZE = 500;
+
+// Fields kept for every history row
+const HISTORY_FIELDS = [
+  "id",
+  "date",
+  "started",
+  "stopped",
+  "play_duration",
+  "paused_counter",
+  "user_id",
+  "friendly_name",
+  "platform",
+  "product",
+  "player",
+  "media_type",
+  "rating_key",
+  "parent_rating_key",
+  "grandparent_rating_key",
+  "full_title",
+  "title",
+  "parent_title",
+  "grandparent_title",
+  "original_title",
+  "year",
+  "media_index",
+  "parent_media_index",
+  "thumb",
+  "transcode_decision",
+  "percent_complete",
+  "watched_status",
+];
+
+// History of each server profile, loaded on first use. Rows are keyed by
+// Tautulli's history row id so re-syncing never duplicates.
+const stores = new Map();
+
+let syncTimer = null;
+
+const emptyHistory = () => ({ rows: {}, sections: {}, lastSync: null });
+
+// Save history to file; written to a temp file first so a crash can't truncate it
+const saveHistory = (store) => {
+  try {
+    const historyDir = path.dirname(store.file);
+    if (!fs.existsSync(historyDir)) {
+      fs.mkdirSync(historyDir, { recursive: true });
+      logInfo(`Created configs directory at: ${historyDir}`);
+    }
+
+    const tempFile = `${store.file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store.history), "utf8");
+    fs.renameSync(tempFile, store.file);
+  } catch (error) {
+    logError("Error saving watch history:", error);
+  }
+};
+
+// Load history from file
+const loadHistory = (file) => {
+  let history = emptyHistory();
+
+  try {
+    if (fs.existsSync(file)) {
+      const loaded = JSON.parse(fs.readFileSync(file, "utf8"));
+      history = {
+        rows: loaded.rows || {},
+        sections: loaded.sections || {},
+        lastSync: loaded.lastSync || null,
+      };
+    }
+
+    logInfo("Watch history loaded:", {
+      file: path.basename(file),
+      rows: Object.keys(history.rows).length,
+      lastSync: history.lastSync,
+    });
+  } catch (error) {
+    logError("Error loading watch history:", error);
+  }
+
+  return history;
+};
+
+// History store of the current server profile
+const getStore = () => {
+  const profileId = getCurrentProfileId();
+
+  if (!stores.has(profileId)) {
+    const file = getProfileScopedPath(HISTORY_FILE, profileId);
+    stores.set(profileId, {
+      file,
+      history: loadHistory(file),
+      syncPromise: null,
+      lastSyncResult: null,
+    });
+  }
+  return stores.get(profileId);
+};
+
+// Keep only the fields we query or display
+const toHistoryRow = (row, section) => {
+  const record = {};
+  HISTORY_FIELDS.forEach((field) => {
+    if (row[field] !== undefined) record[field] = row[field];
+  });
+
+  record.id = Number(row.id ?? row.row_id);
+  record.user_id = row.user_id != null ? String(row.user_id) : null;
+  record.friendly_name = row.friendly_name || row.user || null;
+  record.section_id = String(section.section_id);
+  record.section_name = section.section_name || null;
+  return record;
+};
+
+// Pull new rows for one library section, newest first, until we reach rows we
+// already have
+const syncSection = async (history, section, full) => {
+  const sectionId = String(section.section_id);
+  const sectionState = history.sections[sectionId] || { maxRowId: 0 };
+  const knownMaxId = full ? 0 : sectionState.maxRowId;
+
+  let start = 0;
+  let added = 0;
+  let updated = 0;
+  let maxRowId = sectionState.maxRowId;
+
+  while (true) {
+    const page = await callTautulli(
+      "get_history",
+      {
+        section_id: sectionId,
+        grouping: 0,
+        order_column: "date",
+        order_dir: "desc",
+        start,
+        length: SYNC_PAGE_SIZE,
+      },
+      { timeout: 30000 }
+    );
+
+    const rows = page?.data || [];
+    let reachedKnownRows = false;
+
+    rows.forEach((row) => {
+      const record = toHistoryRow(row, section);
+      if (!record.id) return;
+
+      if (record.id <= knownMaxId) {
+        reachedKnownRows = true;
+        return;
+      }
+
+      if (history.rows[record.id]) {
+        updated++;
+      } else {
+        added++;
+      }
+      history.rows[record.id] = record;
+      maxRowId = Math.max(maxRowId, record.id);
+    });
+
+    start += rows.length;
+
+    if (
+      reachedKnownRows ||
+      rows.length < SYNC_PAGE_SIZE ||
+      start >= (page?.recordsFiltered ?? Infinity)
+    ) {
+      break;
+    }
+  }
+
+  history.sections[sectionId] = {
+    maxRowId,
+    name: section.section_name || null,
+    lastSync: new Date().toISOString(),
+  };
+
+  logDebug(
+    `History sync: section ${sectionId} added ${added}, updated ${updated}`
+  );
+  return { added, updated };
+};
+
+// Ingest new Tautulli history. Pass { full: true } to re-read everything.
+const syncHistory = ({ full = false } = {}) => {
+  const store = getStore();
+  if (store.syncPromise) return store.syncPromise;
+
+  if (!isTautulliConfigured()) {
+    return Promise.reject(new Error("Tautulli is not configured"));
+  }
+
+  const { history } = store;
+  store.syncPromise = (async () => {
+    const startTime = Date.now();
+    const librariesTable = await callTautulli("get_libraries_table");
+    const sections = librariesTable?.data || [];
+
+    let added = 0;
+    let updated = 0;
+    const failedSections = [];
+
+    for (const section of sections) {
+      try {
+        const result = await syncSection(history, section, full);
+        added += result.added;
+        updated += result.updated;
+      } catch (error) {
+        logWarn(
+          `History sync failed for section ${section.section_id}: ${error.message}`
+        );
+        failedSections.push(String(section.section_id));
+      }
+    }
+
+    history.lastSync = new Date().toISOString();
+    saveHistory(store);
+
+    store.lastSyncResult = {
+      added,
+      updated,
+      sections: sections.length,
+      failedSections,
+      durationMs: Date.now() - startTime,
+      finishedAt: history.lastSync,
+    };
+
+    logInfo(
+      `History sync finished: ${added} new, ${updated} updated rows in ${store.lastSyncResult.durationMs}ms`
+    );
+    return store.lastSyncResult;
+  })().finally(() => {
+    store.syncPromise = null;
+  });
+
+  return store.syncPromise;
+};
+
+// Parse a date filter given as unix seconds or an ISO date string
+const parseDateFilter = (value, endOfDay = false) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  if (/^\d+$/.test(String(value))) return parseInt(value, 10);
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+
+  // A bare YYYY-MM-DD "to" date should include the whole day
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return Math.floor(date.getTime() / 1000);
+};
+
+// Filter and paginate stored history, newest first
+const queryHistory = ({
+  userId,
+  sectionId,
+  mediaType,
+  from,
+  to,
+  offset = 0,
+  limit = 50,
+} = {}) => {
+  const fromDate = parseDateFilter(from);
+  const toDate = parseDateFilter(to, true);
+  const mediaTypes = mediaType
+    ? String(mediaType).toLowerCase().split(",")
+    : null;
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, limit);
+
+  const matches = Object.values(getStore().history.rows)
+    .filter(
+      (row) =>
+        (!userId || row.user_id === String(userId)) &&
+        (!sectionId || row.section_id === String(sectionId)) &&
+        (!mediaTypes || mediaTypes.includes(row.media_type)) &&
+        (fromDate === null || row.date >= fromDate) &&
+        (toDate === null || row.date <= toDate)
+    )
+    .sort((a, b) => b.date - a.date || b.id - a.id);
+
+  return {
+    total: matches.length,
+    page: Math.floor(offset / pageSize) + 1,
+    pageSize,
+    totalPages: Math.max(1, Math.ceil(matches.length / pageSize)),
+    history: matches.slice(offset, offset + pageSize),
+  };
+};
+
+// Count plays and watch time per value of a field (e.g. player or platform)
+const getPlayBreakdown = (field, { since = 0, userId } = {}) => {
+  const totals = {};
+
+  Object.values(getStore().history.rows).forEach((row) => {
+    if (row.date < since) return;
+    if (userId && row.user_id !== String(userId)) return;
+
+    const name = row[field] || "Unknown";
+    totals[name] = totals[name] || { name, plays: 0, duration: 0 };
+    totals[name].plays++;
+    totals[name].duration += Number(row.play_duration) || 0;
+  });
+
+  return Object.values(totals).sort((a, b) => b.plays - a.plays);
+};
+
+const getHistoryStatus = () => {
+  const { history, syncPromise, lastSyncResult } = getStore();
+
+  return {
+    rows: Object.keys(history.rows).length,
+    lastSync: history.lastSync,
+    syncing: !!syncPromise,
+    intervalMinutes: SYNC_INTERVAL / 60000,
+    lastResult: lastSyncResult,
+    sections: history.sections,
+  };
+};
+
+// Forget all stored history of the current profile (used when resetting the
+// dashboard)
+const clearHistory = () => {
+  const store = getStore();
+  store.history = emptyHistory();
+  store.lastSyncResult = null;
+  saveHistory(store);
+  logInfo("Watch history cleared");
+};
+
+// Delete the current profile's history file, e.g. when every configuration
+// is reset
+const deleteHistory = () => {
+  const profileId = getCurrentProfileId();
+  const file = getProfileScopedPath(HISTORY_FILE, profileId);
+
+  stores.delete(profileId);
+  fs.rmSync(file, { force: true });
+  logInfo(`Watch history deleted for ${profileId}`);
+};
+
+// Run a sync shortly after startup and then on a fixed schedule
+const startHistorySync = () => {
+  if (syncTimer || SYNC_INTERVAL <= 0) return;
+
+  // Every server profile is synced, one after another
+  const runSync = async () => {
+    for (const profile of listProfiles()) {
+      await runWithProfile(profile.id, async () => {
+        if (!isTautulliConfigured()) return;
+        try {
+          await syncHistory();
+        } catch (error) {
+          logError(
+            `Scheduled history sync failed for ${profile.name}:`,
+            error.message
+          );
+        }
+      });
+    }
+  };
+
+  setTimeout(runSync, 10 * 1000).unref();
+  syncTimer = setInterval(runSync, SYNC_INTERVAL);
+  syncTimer.unref();
+};
+
+// Load initial history
+getStore();
+
+// Export all functions
+export {
+  syncHistory,
+  queryHistory,
+  getPlayBreakdown,
+  getHistoryStatus,
+  clearHistory,
+  deleteHistory,
+  startHistorySync,
+};
@@ -0,0 +1,109 @@
+// Statistics of a library section
+// src/utils/libraryStats.js
+//
+// Used by /api/libraries/:sectionId. Items are rows of Tautulli's
+// get_library_media_info; duration and dynamic range are only known for the
+// items that were merged with get_metadata.
+
+import { normalizeResolution } from "./mediaQuery.js";
+
+const MOST_WATCHED_COUNT = 10;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? 0 : number;
+};
+
+// "HDR", "Dolby Vision" or "SDR" from the first media version
+const getDynamicRange = (item) => {
+  const mediaInfo = item.media_info?.[0];
+  const videoStream = mediaInfo?.parts?.[0]?.streams?.find(
+    (stream) => stream.type === "1" || stream.type === 1
+  );
+  return (
+    mediaInfo?.video_dynamic_range ||
+    videoStream?.video_dynamic_range ||
+    item.video_dynamic_range ||
+    null
+  );
+};
+
+// Count items and their file size per value, most items first
+const groupBy = (items, getValue) => {
+  const groups = new Map();
+
+  items.forEach((item) => {
+    const value = getValue(item) || "unknown";
+    const group = groups.get(value) || { value, count: 0, size: 0 };
+    group.count += 1;
+    group.size += toNumber(item.file_size);
+    groups.set(value, group);
+  });
+
+  return [...groups.values()].sort(
+    (a, b) => b.count - a.count || String(a.value).localeCompare(b.value)
+  );
+};
+
+// Resolution, codec and container breakdown of every item; dynamic range
+// only of the items with metadata
+const getLibraryBreakdown = (items, itemsWithMetadata = []) => ({
+  resolution: groupBy(items, (item) =>
+    normalizeResolution(item.video_full_resolution || item.video_resolution)
+  ),
+  videoCodec: groupBy(items, (item) =>
+    String(item.video_codec || "").toLowerCase()
+  ),
+  audioCodec: groupBy(items, (item) =>
+    String(item.audio_codec || "").toLowerCase()
+  ),
+  container: groupBy(items, (item) =>
+    String(item.container || "").toLowerCase()
+  ),
+  dynamicRange: groupBy(itemsWithMetadata, getDynamicRange),
+});
+
+// Totals of the library. Duration (in milliseconds) is summed over the items
+// with metadata and is null when none of them has one.
+const getLibraryTotals = (items, itemsWithMetadata = []) => {
+  const durations = itemsWithMetadata
+    .map((item) => toNumber(item.duration))
+    .filter((duration) => duration > 0);
+
+  return {
+    items: items.length,
+    size: items.reduce((sum, item) => sum + toNumber(item.file_size), 0),
+    plays: items.reduce((sum, item) => sum + toNumber(item.play_count), 0),
+    duration:
+      durations.length > 0
+        ? durations.reduce((sum, duration) => sum + duration, 0)
+        : null,
+  };
+};
+
+// Items with the most plays, ties broken by the most recent play
+const getMostWatched = (items, count = MOST_WATCHED_COUNT) =>
+  items
+    .filter((item) => toNumber(item.play_count) > 0)
+    .sort(
+      (a, b) =>
+        toNumber(b.play_count) - toNumber(a.play_count) ||
+        toNumber(b.last_played) - toNumber(a.last_played)
+    )
+    .slice(0, count);
+
+// Rows of get_library_watch_time_stats, e.g. the last 1, 7 and 30 days
+const toWatchTimeStats = (rows) =>
+  (Array.isArray(rows) ? rows : []).map((row) => ({
+    days: toNumber(row.query_days),
+    plays: toNumber(row.total_plays),
+    time: toNumber(row.total_time),
+  }));
+
+// Export all functions
+export {
+  getLibraryBreakdown,
+  getLibraryTotals,
+  getMostWatched,
+  toWatchTimeStats,
+};
@@ -0,0 +1,228 @@
+import { logDebug, logInfo, logWarn } from "./logger.js";
+import { getCurrentProfileId, runWithProfile } from "./configStore.js";
+
+// How often the poller checks Tautulli and Plex while browsers are connected
+const LIVE_POLL_INTERVAL =
+  parseInt(process.env.LIVE_POLL_INTERVAL_MS) || 5 * 1000;
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Connected Server-Sent Events clients, each watching one server profile
+const clients = new Set();
+
+// Registered feeds, keyed by event name
+const feeds = new Map();
+
+// Data shared by several feeds, keyed by name; fetched once per profile and
+// poll
+const sources = new Map();
+
+let pollTimer = null;
+let polling = false;
+
+// Write a single SSE message to a client
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (profileId, event, data) => {
+  for (const client of clients) {
+    if (client.profileId === profileId) sendEvent(client.res, event, data);
+  }
+};
+
+// Profiles that at least one client is watching
+const getWatchedProfiles = () =>
+  new Set([...clients].map((client) => client.profileId));
+
+// Last pushed state of a feed for one profile
+const getFeedState = (feed, profileId) => {
+  if (!feed.profiles.has(profileId)) {
+    feed.profiles.set(profileId, {
+      lastFingerprint: null,
+      lastPayload: null,
+      lastUpdate: null,
+    });
+  }
+  return feed.profiles.get(profileId);
+};
+
+// Register a shared source. fetch() returns raw state for every feed that
+// names the source instead of having its own poll().
+const registerLiveSource = (name, fetch) => {
+  sources.set(name, fetch);
+};
+
+// Register a feed. poll() fetches raw state, or the feed reads the named
+// source; fingerprint(raw) reduces it to a string that only changes when the
+// view should update, and build(raw) turns it into the payload pushed to
+// browsers.
+const registerLiveFeed = (
+  event,
+  { poll, source, fingerprint, build, enabled }
+) => {
+  feeds.set(event, {
+    poll,
+    source,
+    fingerprint,
+    build,
+    enabled: enabled || (() => true),
+    profiles: new Map(),
+  });
+};
+
+// Check every feed of one profile and push the ones that changed
+const pollProfileFeeds = async (profileId) => {
+  const fetched = new Map();
+  const pollFeed = (feed) => {
+    if (!feed.source) return feed.poll();
+    if (!fetched.has(feed.source)) {
+      fetched.set(feed.source, sources.get(feed.source)());
+    }
+    return fetched.get(feed.source);
+  };
+
+  for (const [event, feed] of feeds) {
+    if (!feed.enabled()) continue;
+
+    const state = getFeedState(feed, profileId);
+
+    try {
+      const raw = await pollFeed(feed);
+      const fingerprint = feed.fingerprint(raw);
+
+      if (fingerprint === state.lastFingerprint) continue;
+
+      const payload = await feed.build(raw);
+      state.lastFingerprint = fingerprint;
+      state.lastPayload = payload;
+      state.lastUpdate = new Date().toISOString();
+
+      logDebug(`Live update: ${event} changed for ${profileId}`);
+      broadcast(profileId, event, payload);
+    } catch (error) {
+      logWarn(`Live update poll for ${event} failed: ${error.message}`);
+      broadcast(profileId, "feed-error", {
+        feed: event,
+        message: error.message,
+      });
+    }
+  }
+};
+
+// Check every feed once for each profile that has listeners
+const pollFeeds = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    for (const profileId of getWatchedProfiles()) {
+      await runWithProfile(profileId, () => pollProfileFeeds(profileId));
+    }
+  } finally {
+    polling = false;
+  }
+};
+
+// The poller only runs while at least one browser is listening
+const startPoller = () => {
+  if (pollTimer) return;
+
+  logInfo(`Live updates: polling every ${LIVE_POLL_INTERVAL / 1000}s`);
+  pollFeeds();
+  pollTimer = setInterval(pollFeeds, LIVE_POLL_INTERVAL);
+};
+
+const stopPoller = () => {
+  if (!pollTimer) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+
+  // Start from scratch next time so the first client gets fresh data
+  for (const feed of feeds.values()) {
+    feed.profiles.clear();
+  }
+  logInfo("Live updates: no clients connected, poller stopped");
+};
+
+// Express handler that upgrades the response to an SSE stream
+const handleLiveConnection = (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable buffering in nginx
+  });
+  res.write(`retry: ${LIVE_POLL_INTERVAL}\n\n`);
+
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  // The "all servers" view merges every profile, which a single profile's
+  // payload would overwrite, so it gets no feeds and keeps polling
+  if (req.allServers) {
+    sendEvent(res, "connected", { feeds: [], interval: LIVE_POLL_INTERVAL });
+    req.on("close", () => clearInterval(heartbeat));
+    return;
+  }
+
+  const client = { res, profileId: getCurrentProfileId(), heartbeat };
+  clients.add(client);
+
+  sendEvent(res, "connected", {
+    feeds: [...feeds.keys()],
+    interval: LIVE_POLL_INTERVAL,
+  });
+
+  // Hand the newcomer whatever we already know
+  for (const [event, feed] of feeds) {
+    const { lastPayload } = getFeedState(feed, client.profileId);
+    if (lastPayload) sendEvent(res, event, lastPayload);
+  }
+
+  startPoller();
+
+  req.on("close", () => {
+    clearInterval(client.heartbeat);
+    clients.delete(client);
+    if (clients.size === 0) stopPoller();
+  });
+};
+
+// Drop cached fingerprints so the next poll pushes everything again
+const invalidateLiveFeeds = () => {
+  for (const feed of feeds.values()) {
+    for (const state of feed.profiles.values()) {
+      state.lastFingerprint = null;
+    }
+  }
+  if (pollTimer) pollFeeds();
+};
+
+const getLiveStats = () => ({
+  clients: clients.size,
+  polling: !!pollTimer,
+  interval: LIVE_POLL_INTERVAL,
+  feeds: Object.fromEntries(
+    [...feeds].map(([event, feed]) => [
+      event,
+      {
+        enabled: feed.enabled(),
+        lastUpdate: getFeedState(feed, getCurrentProfileId()).lastUpdate,
+      },
+    ])
+  ),
+});
+
+// Export all functions
+export {
+  registerLiveSource,
+  registerLiveFeed,
+  handleLiveConnection,
+  invalidateLiveFeeds,
+  getLiveStats,
+};
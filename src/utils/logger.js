@@ -75,6 +75,7 @@ const redactSensitiveData = (data) => {
     const sensitiveKeys = [
       "plexToken",
       "tautulliApiKey",
+      "apikey",
       "password",
       "apiKey",
       "token",
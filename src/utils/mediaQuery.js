@@ -0,0 +1,253 @@
+// Filtering and sorting of library items
+// src/utils/mediaQuery.js
+//
+// Used by /api/media/:type and /api/libraries/:sectionId/items. Items are
+// rows of Tautulli's get_library_media_info, optionally merged with
+// get_metadata for the fields that list does not have (genres, ratings,
+// content rating). Paging is left to pagination.js.
+
+// ?sort= values and the item field each one sorts by
+const MEDIA_SORTS = {
+  added: "added_at",
+  title: "sort_title",
+  year: "year",
+  rating: "rating",
+  plays: "play_count",
+  resolution: "video_resolution",
+};
+
+// Resolutions from lowest to highest, for sorting
+const RESOLUTION_RANKS = { sd: 480, "4k": 2160 };
+
+// Filters that can only be checked with the item's metadata
+const METADATA_FILTERS = ["genres", "minRating", "contentRatings"];
+
+const parseList = (value) =>
+  value
+    ? String(value)
+        .split(",")
+        .map((entry) => entry.trim().toLowerCase())
+        .filter(Boolean)
+    : [];
+
+// "2160", "4K", "uhd" → "4k"; "1080p" → "1080"; "480", "576" → "sd"
+const normalizeResolution = (value) => {
+  const text = String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/p$/, "");
+  if (!text) return "";
+  if (["4k", "2160", "uhd"].includes(text)) return "4k";
+  if (["sd", "480", "576"].includes(text)) return "sd";
+  return text;
+};
+
+// Unix seconds from "1700000000", "1700000000000" or an ISO date
+const parseTimestamp = (value) => {
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value, 10);
+    return number > 1e12 ? Math.floor(number / 1000) : number;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : Math.floor(parsed / 1000);
+};
+
+// "2010", "2010-2019" or "1-"; either end of a range may be left out
+const parseRange = (value, digits = "\\d+") => {
+  const match = String(value)
+    .trim()
+    .match(new RegExp(`^(${digits})?\\s*(-)?\\s*(${digits})?$`));
+  if (!match || (!match[1] && !match[3])) return null;
+
+  const from = match[1] ? parseInt(match[1], 10) : null;
+  const to = match[2] ? (match[3] ? parseInt(match[3], 10) : null) : from;
+  return { from, to };
+};
+
+const parseYearRange = (value) => parseRange(value, "\\d{4}");
+
+const inRange = (number, range) =>
+  !Number.isNaN(number) &&
+  (range.from === null || number >= range.from) &&
+  (range.to === null || number <= range.to);
+
+// Turn the query string into a media query. Returns { query } or { error }.
+const parseMediaQuery = (params = {}) => {
+  const query = {
+    title: String(params.title || "")
+      .trim()
+      .toLowerCase(),
+    years: null,
+    plays: null,
+    genres: parseList(params.genre),
+    resolutions: parseList(params.resolution).map(normalizeResolution),
+    minRating: null,
+    contentRatings: parseList(params.contentRating),
+    addedAfter: null,
+    addedBefore: null,
+    sort: params.sort || "added",
+    order: null,
+  };
+
+  if (params.year) {
+    query.years = parseYearRange(params.year);
+    if (!query.years) {
+      return { error: `Invalid year "${params.year}"; use 2010 or 2010-2019` };
+    }
+  }
+
+  if (params.plays) {
+    query.plays = parseRange(params.plays);
+    if (!query.plays) {
+      return {
+        error: `Invalid plays "${params.plays}"; use 0, 5, 1- or 1-10`,
+      };
+    }
+  }
+
+  if (params.rating) {
+    query.minRating = parseFloat(params.rating);
+    if (Number.isNaN(query.minRating)) {
+      return { error: `Invalid rating "${params.rating}"; use a number` };
+    }
+  }
+
+  for (const field of ["addedAfter", "addedBefore"]) {
+    if (params[field]) {
+      query[field] = parseTimestamp(params[field]);
+      if (query[field] === null) {
+        return {
+          error: `Invalid ${field} "${params[field]}"; use a date or a Unix timestamp`,
+        };
+      }
+    }
+  }
+
+  if (!MEDIA_SORTS[query.sort]) {
+    return {
+      error: `Invalid sort "${query.sort}"; use ${Object.keys(MEDIA_SORTS).join(
+        ", "
+      )}`,
+    };
+  }
+
+  // Titles read best A to Z, everything else newest or highest first
+  query.order = params.order || (query.sort === "title" ? "asc" : "desc");
+  if (!["asc", "desc"].includes(query.order)) {
+    return { error: `Invalid order "${query.order}"; use asc or desc` };
+  }
+
+  return { query };
+};
+
+// True when the query filters or sorts on fields from get_metadata
+const needsMetadata = (query) =>
+  query.sort === "rating" ||
+  METADATA_FILTERS.some((filter) =>
+    Array.isArray(query[filter])
+      ? query[filter].length > 0
+      : query[filter] !== null
+  );
+
+const getRating = (item) => {
+  const rating = parseFloat(item.rating || item.audience_rating);
+  return Number.isNaN(rating) ? null : rating;
+};
+
+// Check an item against the query. With metadata: false the filters that
+// need get_metadata are skipped, to narrow items down before fetching it.
+const matchesMediaQuery = (item, query, { metadata = true } = {}) => {
+  if (query.title) {
+    const title = `${item.title || ""} ${item.sort_title || ""}`.toLowerCase();
+    if (!title.includes(query.title)) return false;
+  }
+
+  if (query.years && !inRange(parseInt(item.year, 10), query.years)) {
+    return false;
+  }
+
+  // Items that were never played have no play count at all
+  if (
+    query.plays &&
+    !inRange(parseInt(item.play_count, 10) || 0, query.plays)
+  ) {
+    return false;
+  }
+
+  if (query.resolutions.length > 0) {
+    const resolution = normalizeResolution(
+      item.video_full_resolution || item.video_resolution
+    );
+    if (!query.resolutions.includes(resolution)) return false;
+  }
+
+  const addedAt = parseInt(item.added_at, 10) || 0;
+  if (query.addedAfter !== null && addedAt <= query.addedAfter) return false;
+  if (query.addedBefore !== null && addedAt >= query.addedBefore) return false;
+
+  if (!metadata) return true;
+
+  if (query.genres.length > 0) {
+    const genres = (item.genres || []).map((genre) =>
+      String(genre).toLowerCase()
+    );
+    if (!query.genres.some((genre) => genres.includes(genre))) return false;
+  }
+
+  if (query.minRating !== null) {
+    const rating = getRating(item);
+    if (rating === null || rating < query.minRating) return false;
+  }
+
+  if (query.contentRatings.length > 0) {
+    const contentRating = String(item.content_rating || "").toLowerCase();
+    if (!query.contentRatings.includes(contentRating)) return false;
+  }
+
+  return true;
+};
+
+const sortValue = (item, sort) => {
+  if (sort === "title") {
+    return String(item.sort_title || item.title || "").toLowerCase();
+  }
+  if (sort === "rating") return getRating(item);
+  if (sort === "resolution") {
+    const resolution = normalizeResolution(
+      item.video_full_resolution || item.video_resolution
+    );
+    return RESOLUTION_RANKS[resolution] || parseInt(resolution, 10) || null;
+  }
+
+  const number = parseFloat(item[MEDIA_SORTS[sort]]);
+  return Number.isNaN(number) ? null : number;
+};
+
+const isMissing = (value) => value === null || value === "";
+
+// Sort a copy of the items; items without a value go last either way
+const sortMedia = (items, { sort, order }) => {
+  const direction = order === "asc" ? 1 : -1;
+
+  return [...items].sort((a, b) => {
+    const first = sortValue(a, sort);
+    const second = sortValue(b, sort);
+
+    if (isMissing(first)) return isMissing(second) ? 0 : 1;
+    if (isMissing(second)) return -1;
+    if (typeof first === "string") {
+      return first.localeCompare(second) * direction;
+    }
+    return (first - second) * direction;
+  });
+};
+
+// Export all functions
+export {
+  MEDIA_SORTS,
+  matchesMediaQuery,
+  needsMetadata,
+  normalizeResolution,
+  parseMediaQuery,
+  sortMedia,
+};
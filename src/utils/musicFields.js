@@ -0,0 +1,89 @@
+// Artist, album and track names of music items
+// src/utils/musicFields.js
+//
+// Tautulli names music items after their place in the artist → album →
+// track tree, so "title" is the artist, the album or the track depending on
+// the item and "grandparent_title" is only the artist for tracks. These
+// helpers give every music item the same artist, album and track fields for
+// templates and the UI.
+
+const MUSIC_MEDIA_TYPES = ["artist", "album", "track"];
+
+// Template variables added to music items
+const MUSIC_VARIABLES = [
+  "artist",
+  "album",
+  "track",
+  "track_number",
+  "disc_number",
+];
+
+const getMediaType = (item) => String(item?.media_type || "").toLowerCase();
+
+const isMusicItem = (item) => MUSIC_MEDIA_TYPES.includes(getMediaType(item));
+
+// Music fields of an item; other items get empty values so templates using
+// them still render
+const getMusicFields = (item) => {
+  const fields = {
+    artist: "",
+    album: "",
+    track: "",
+    track_number: "",
+    disc_number: "",
+  };
+
+  switch (getMediaType(item)) {
+    case "artist":
+      fields.artist = item.title || "";
+      break;
+    case "album":
+      fields.artist = item.parent_title || "";
+      fields.album = item.title || "";
+      break;
+    case "track":
+      // Compilation tracks keep their own artist in original_title
+      fields.artist = item.original_title || item.grandparent_title || "";
+      fields.album = item.parent_title || "";
+      fields.track = item.title || "";
+      fields.track_number = item.media_index ? String(item.media_index) : "";
+      fields.disc_number = item.parent_media_index
+        ? String(item.parent_media_index)
+        : "";
+      break;
+    default:
+      break;
+  }
+
+  return fields;
+};
+
+// "Artist - Track" for tracks, "Artist - Album" for albums
+const formatMusicTitle = (item) => {
+  const { artist, album, track } = getMusicFields(item);
+  const title = track || album || artist;
+  return artist && title !== artist ? `${artist} - ${title}` : title;
+};
+
+// Album art for tracks and albums, the artist image for artists
+const getMusicThumb = (item) => {
+  switch (getMediaType(item)) {
+    case "track":
+      return item.parent_thumb || item.thumb || item.grandparent_thumb || "";
+    case "album":
+    case "artist":
+      return item.thumb || item.parent_thumb || "";
+    default:
+      return "";
+  }
+};
+
+// Export all functions
+export {
+  MUSIC_MEDIA_TYPES,
+  MUSIC_VARIABLES,
+  formatMusicTitle,
+  getMusicFields,
+  getMusicThumb,
+  isMusicItem,
+};
@@ -0,0 +1,305 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { encryptSecret, decryptSecret } from "./secrets.js";
+import { logError, logInfo } from "./logger.js";
+
+// Define the notifications file in the configs folder in root directory
+const NOTIFICATIONS_FILE = path.join(
+  process.cwd(),
+  "configs",
+  "notifications.json"
+);
+
+// Supported delivery targets
+const TARGET_TYPES = ["webhook", "discord", "slack", "ntfy", "gotify"];
+
+// Delivery log entries kept on disk
+const MAX_LOG_ENTRIES = 200;
+
+let store = {
+  targets: [],
+  rules: [],
+  state: {},
+  log: [],
+};
+
+// Save notification settings to file
+const saveNotifications = () => {
+  try {
+    const configDir = path.dirname(NOTIFICATIONS_FILE);
+    if (!fs.existsSync(configDir)) {
+      fs.mkdirSync(configDir, { recursive: true });
+      logInfo(`Created configs directory at: ${configDir}`);
+    }
+
+    fs.writeFileSync(NOTIFICATIONS_FILE, JSON.stringify(store, null, 2));
+  } catch (error) {
+    logError("Error saving notifications:", error);
+  }
+};
+
+// Load notification settings from file
+const loadNotifications = () => {
+  try {
+    if (fs.existsSync(NOTIFICATIONS_FILE)) {
+      const loaded = JSON.parse(fs.readFileSync(NOTIFICATIONS_FILE, "utf8"));
+      store = {
+        targets: loaded.targets || [],
+        rules: loaded.rules || [],
+        state: loaded.state || {},
+        log: loaded.log || [],
+      };
+    }
+
+    logInfo("Notifications loaded:", {
+      targets: store.targets.length,
+      rules: store.rules.length,
+    });
+  } catch (error) {
+    logError("Error loading notifications:", error);
+  }
+};
+
+const generateId = () => crypto.randomBytes(6).toString("hex");
+
+// Only show where a target points; webhook URLs embed their tokens
+const maskUrl = (url) => {
+  try {
+    return `${new URL(decryptSecret(url)).origin}/…`;
+  } catch (error) {
+    return url ? "…" : "";
+  }
+};
+
+// Target as returned to the browser
+const toPublicTarget = (target) => {
+  const { url, token, ...rest } = target;
+  return {
+    ...rest,
+    url: maskUrl(url),
+    hasToken: !!token,
+  };
+};
+
+// Target with decrypted credentials for delivery
+const getTarget = (id) => {
+  const target = store.targets.find((item) => item.id === id);
+  if (!target) return null;
+
+  return {
+    ...target,
+    url: decryptSecret(target.url),
+    token: decryptSecret(target.token),
+  };
+};
+
+const listTargets = () => store.targets.map(toPublicTarget);
+
+// Validate target input; returns an error message or null
+const validateTarget = (input, existing = null) => {
+  const type = input.type ?? existing?.type;
+  if (!TARGET_TYPES.includes(type)) {
+    return `Target type must be one of: ${TARGET_TYPES.join(", ")}`;
+  }
+
+  const url = input.url || (existing && decryptSecret(existing.url));
+  try {
+    const parsed = new URL(url);
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+      return "Target URL must use http or https";
+    }
+  } catch (error) {
+    return "A valid target URL is required";
+  }
+
+  if (type === "ntfy" && !(input.topic ?? existing?.topic)) {
+    return "ntfy targets need a topic";
+  }
+  if (type === "gotify" && !input.token && !existing?.token) {
+    return "Gotify targets need an application token";
+  }
+
+  return null;
+};
+
+const createTarget = (input) => {
+  const target = {
+    id: generateId(),
+    name: String(input.name || input.type).trim(),
+    type: input.type,
+    url: encryptSecret(input.url),
+    token: input.token ? encryptSecret(input.token) : null,
+    topic: input.topic || null,
+    priority: input.priority ?? null,
+    enabled: input.enabled !== false,
+    createdAt: new Date().toISOString(),
+  };
+
+  store.targets.push(target);
+  saveNotifications();
+  logInfo(`Notification target created: ${target.name} (${target.type})`);
+  return toPublicTarget(target);
+};
+
+// Blank url/token keep the stored value so the UI never needs the secret
+const updateTarget = (id, input) => {
+  const target = store.targets.find((item) => item.id === id);
+  if (!target) return null;
+
+  if (input.name !== undefined) target.name = String(input.name).trim();
+  if (input.type !== undefined) target.type = input.type;
+  if (input.url) target.url = encryptSecret(input.url);
+  if (input.token) target.token = encryptSecret(input.token);
+  if (input.clearToken) target.token = null;
+  if (input.topic !== undefined) target.topic = input.topic || null;
+  if (input.priority !== undefined) target.priority = input.priority;
+  if (input.enabled !== undefined) target.enabled = !!input.enabled;
+
+  saveNotifications();
+  return toPublicTarget(target);
+};
+
+const deleteTarget = (id) => {
+  const before = store.targets.length;
+  store.targets = store.targets.filter((target) => target.id !== id);
+  if (store.targets.length === before) return false;
+
+  // Drop the target from any rule that delivered to it
+  store.rules.forEach((rule) => {
+    rule.targetIds = rule.targetIds.filter((targetId) => targetId !== id);
+  });
+
+  saveNotifications();
+  return true;
+};
+
+const listRules = () => store.rules;
+
+const getRule = (id) => store.rules.find((rule) => rule.id === id) || null;
+
+const createRule = (input) => {
+  const rule = {
+    id: generateId(),
+    name: String(input.name || input.type).trim(),
+    type: input.type,
+    profileId: input.profileId || null,
+    enabled: input.enabled !== false,
+    targetIds: input.targetIds || [],
+    title: input.title || "",
+    template: input.template || "",
+    conditions: input.conditions || {},
+    createdAt: new Date().toISOString(),
+    lastTriggered: null,
+  };
+
+  store.rules.push(rule);
+  saveNotifications();
+  logInfo(`Notification rule created: ${rule.name} (${rule.type})`);
+  return rule;
+};
+
+const updateRule = (id, input) => {
+  const rule = getRule(id);
+  if (!rule) return null;
+
+  ["name", "type", "targetIds", "title", "template", "conditions"].forEach(
+    (field) => {
+      if (input[field] !== undefined) rule[field] = input[field];
+    }
+  );
+  if (input.profileId !== undefined) rule.profileId = input.profileId || null;
+  if (input.enabled !== undefined) rule.enabled = !!input.enabled;
+
+  // Changed conditions mean the old baseline no longer applies
+  if (
+    input.type !== undefined ||
+    input.conditions !== undefined ||
+    input.profileId !== undefined
+  ) {
+    delete store.state[id];
+  }
+
+  saveNotifications();
+  return rule;
+};
+
+const deleteRule = (id) => {
+  const before = store.rules.length;
+  store.rules = store.rules.filter((rule) => rule.id !== id);
+  if (store.rules.length === before) return false;
+
+  delete store.state[id];
+  saveNotifications();
+  return true;
+};
+
+// Rules can't follow a deleted server profile, so they're switched off and
+// their baseline dropped. Returns how many rules were disabled.
+const disableProfileRules = (profileId) => {
+  const rules = store.rules.filter((rule) => rule.profileId === profileId);
+
+  rules.forEach((rule) => {
+    rule.enabled = false;
+    rule.profileId = null;
+    delete store.state[rule.id];
+  });
+
+  if (rules.length > 0) saveNotifications();
+  return rules.length;
+};
+
+const markRuleTriggered = (id) => {
+  const rule = getRule(id);
+  if (rule) rule.lastTriggered = new Date().toISOString();
+};
+
+// Per-rule baseline used to detect changes between checks
+const getRuleState = (id) => store.state[id];
+
+const setRuleState = (id, value) => {
+  store.state[id] = value;
+};
+
+const addLogEntry = (entry) => {
+  store.log.unshift({
+    id: generateId(),
+    time: new Date().toISOString(),
+    ...entry,
+  });
+  store.log = store.log.slice(0, MAX_LOG_ENTRIES);
+};
+
+const getDeliveryLog = (limit = 50) => store.log.slice(0, limit);
+
+const clearDeliveryLog = () => {
+  store.log = [];
+  saveNotifications();
+};
+
+// Load initial notifications
+loadNotifications();
+
+// Export all functions
+export {
+  TARGET_TYPES,
+  saveNotifications,
+  listTargets,
+  getTarget,
+  validateTarget,
+  createTarget,
+  updateTarget,
+  deleteTarget,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  disableProfileRules,
+  markRuleTriggered,
+  getRuleState,
+  setRuleState,
+  addLogEntry,
+  getDeliveryLog,
+  clearDeliveryLog,
+};
@@ -0,0 +1,310 @@
+import axios from "axios";
+import {
+  saveNotifications,
+  getTarget,
+  listRules,
+  markRuleTriggered,
+  getRuleState,
+  setRuleState,
+  addLogEntry,
+} from "./notificationStore.js";
+import {
+  findProfile,
+  getDefaultProfileId,
+  runWithProfile,
+} from "./configStore.js";
+import { logDebug, logError, logInfo, logWarn } from "./logger.js";
+
+// How often rules are evaluated, 0 disables the schedule
+const CHECK_INTERVAL_SECONDS = parseInt(
+  process.env.NOTIFICATION_CHECK_INTERVAL_SECONDS
+);
+const CHECK_INTERVAL =
+  (Number.isNaN(CHECK_INTERVAL_SECONDS) ? 60 : CHECK_INTERVAL_SECONDS) * 1000;
+
+// Delivery attempts after the first one fails
+const DELIVERY_RETRIES_ENV = parseInt(process.env.NOTIFICATION_RETRIES);
+const DELIVERY_RETRIES = Number.isNaN(DELIVERY_RETRIES_ENV)
+  ? 3
+  : DELIVERY_RETRIES_ENV;
+const DELIVERY_TIMEOUT = 10 * 1000;
+const RETRY_BASE_DELAY = 2 * 1000;
+
+// Registered rule types, keyed by type name
+const ruleTypes = new Map();
+
+let renderTemplate = (template) => template;
+let checkTimer = null;
+let checking = false;
+let lastCheck = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Register a rule type. check(rules, state) receives every enabled rule of
+// the type and returns [{ rule, data }] for the rules that fired; state.get()
+// and state.set() keep a per-rule baseline between checks.
+const registerRuleType = (
+  type,
+  { label, description, defaultTitle, defaultTemplate, variables = [], check }
+) => {
+  ruleTypes.set(type, {
+    label,
+    description,
+    defaultTitle,
+    defaultTemplate,
+    variables,
+    check,
+  });
+};
+
+const getRuleTypes = () =>
+  [...ruleTypes].map(([type, { check, ...info }]) => ({ type, ...info }));
+
+const isValidRuleType = (type) => ruleTypes.has(type);
+
+// Build the HTTP request for each kind of target
+const buildRequest = (target, { title, message, event, data }) => {
+  const baseUrl = target.url.replace(/\/+$/, "");
+
+  switch (target.type) {
+    case "discord":
+      return {
+        url: target.url,
+        body: {
+          embeds: [{ title, description: message }],
+        },
+      };
+    case "slack":
+      return {
+        url: target.url,
+        body: { text: `*${title}*\n${message}` },
+      };
+    case "ntfy":
+      return {
+        url: `${baseUrl}/${encodeURIComponent(target.topic)}`,
+        body: message,
+        headers: {
+          "Content-Type": "text/plain",
+          Title: title,
+          ...(target.priority ? { Priority: String(target.priority) } : {}),
+          ...(target.token ? { Authorization: `Bearer ${target.token}` } : {}),
+        },
+      };
+    case "gotify":
+      return {
+        url: `${baseUrl}/message`,
+        body: {
+          title,
+          message,
+          priority: Number(target.priority) || 5,
+        },
+        headers: { "X-Gotify-Key": target.token },
+      };
+    default:
+      return {
+        url: target.url,
+        body: { event, title, message, data },
+        headers: target.token
+          ? { Authorization: `Bearer ${target.token}` }
+          : {},
+      };
+  }
+};
+
+// Send to one target, retrying with exponential backoff
+const deliver = async (target, notification) => {
+  const request = buildRequest(target, notification);
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= DELIVERY_RETRIES + 1; attempt++) {
+    try {
+      await axios.post(request.url, request.body, {
+        headers: request.headers,
+        timeout: DELIVERY_TIMEOUT,
+      });
+      return { status: "delivered", attempts: attempt };
+    } catch (error) {
+      lastError = error.response
+        ? `HTTP ${error.response.status}`
+        : error.code || error.message;
+
+      // Client errors other than rate limiting won't succeed on retry
+      const status = error.response?.status;
+      if (status && status < 500 && status !== 429) {
+        return { status: "failed", attempts: attempt, error: lastError };
+      }
+
+      if (attempt <= DELIVERY_RETRIES) {
+        logDebug(
+          `Notification to ${target.name} failed (${lastError}), retrying`
+        );
+        await sleep(RETRY_BASE_DELAY * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  return {
+    status: "failed",
+    attempts: DELIVERY_RETRIES + 1,
+    error: lastError,
+  };
+};
+
+// Render a rule's templates and deliver them to all of its targets
+const notify = async (rule, data) => {
+  const ruleType = ruleTypes.get(rule.type);
+  const title = renderTemplate(rule.title || ruleType.defaultTitle, data);
+  const message = renderTemplate(
+    rule.template || ruleType.defaultTemplate,
+    data
+  );
+
+  const results = [];
+  for (const targetId of rule.targetIds) {
+    const target = getTarget(targetId);
+    if (!target || !target.enabled) continue;
+
+    const result = await deliver(target, {
+      title,
+      message,
+      event: rule.type,
+      data,
+    });
+
+    addLogEntry({
+      ruleId: rule.id,
+      ruleName: rule.name,
+      targetId: target.id,
+      targetName: target.name,
+      targetType: target.type,
+      title,
+      message,
+      ...result,
+    });
+
+    if (result.status === "failed") {
+      logWarn(
+        `Notification "${rule.name}" to ${target.name} failed after ${result.attempts} attempts: ${result.error}`
+      );
+    }
+    results.push({ targetId: target.id, ...result });
+  }
+
+  markRuleTriggered(rule.id);
+  return results;
+};
+
+// Evaluate every enabled rule once and send what fired
+const runNotificationChecks = async () => {
+  if (checking) return { skipped: true };
+  checking = true;
+
+  const summary = { rules: 0, fired: 0, failedTypes: [] };
+
+  try {
+    const enabledRules = listRules().filter(
+      (rule) => rule.enabled && ruleTypes.has(rule.type)
+    );
+    summary.rules = enabledRules.length;
+
+    // Rules watch the server profile they were created for; rules without
+    // one (or whose profile was deleted) follow the default profile
+    const profileOf = (rule) =>
+      findProfile(rule.profileId) ? rule.profileId : getDefaultProfileId();
+
+    for (const [type, ruleType] of ruleTypes) {
+      const rules = enabledRules.filter((rule) => rule.type === type);
+      const profileIds = [...new Set(rules.map(profileOf))];
+
+      for (const profileId of profileIds) {
+        try {
+          const events = await runWithProfile(profileId, () =>
+            ruleType.check(
+              rules.filter((rule) => profileOf(rule) === profileId),
+              { get: getRuleState, set: setRuleState }
+            )
+          );
+
+          for (const { rule, data } of events) {
+            logInfo(`Notification rule "${rule.name}" fired`);
+            summary.fired++;
+            await notify(rule, data);
+          }
+        } catch (error) {
+          logWarn(`Notification check for ${type} failed: ${error.message}`);
+          if (!summary.failedTypes.includes(type)) {
+            summary.failedTypes.push(type);
+          }
+        }
+      }
+    }
+  } finally {
+    saveNotifications();
+    lastCheck = { ...summary, finishedAt: new Date().toISOString() };
+    checking = false;
+  }
+
+  return summary;
+};
+
+// Send a sample notification straight to one target
+const sendTestNotification = async (targetId) => {
+  const target = getTarget(targetId);
+  if (!target) return null;
+
+  const notification = {
+    title: "Test notification",
+    message: "Plex & Tautulli Dashboard notifications are working.",
+    event: "test",
+    data: {},
+  };
+  const result = await deliver(target, notification);
+
+  addLogEntry({
+    ruleId: null,
+    ruleName: "Test",
+    targetId: target.id,
+    targetName: target.name,
+    targetType: target.type,
+    title: notification.title,
+    message: notification.message,
+    ...result,
+  });
+  saveNotifications();
+
+  return result;
+};
+
+const getNotifierStatus = () => ({
+  intervalSeconds: CHECK_INTERVAL / 1000,
+  running: !!checkTimer,
+  checking,
+  lastCheck,
+});
+
+// Start evaluating rules on a fixed schedule. The template renderer is passed
+// in so notifications use the same format engine as the dashboard.
+const startNotifications = ({ render } = {}) => {
+  if (render) renderTemplate = render;
+  if (checkTimer || CHECK_INTERVAL <= 0) return;
+
+  checkTimer = setInterval(() => {
+    runNotificationChecks().catch((error) =>
+      logError("Notification check failed:", error.message)
+    );
+  }, CHECK_INTERVAL);
+  checkTimer.unref();
+
+  logInfo(`Notifications: checking rules every ${CHECK_INTERVAL / 1000}s`);
+};
+
+// Export all functions
+export {
+  registerRuleType,
+  getRuleTypes,
+  isValidRuleType,
+  runNotificationChecks,
+  sendTestNotification,
+  getNotifierStatus,
+  startNotifications,
+};
@@ -0,0 +1,90 @@
+// Paging for the list endpoints
+// src/utils/pagination.js
+//
+// List endpoints take ?limit= (?count= still works) and either ?offset= or
+// the ?cursor= of a previous response. Every page reports total, offset,
+// limit, hasMore and the cursor and link of the next page.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Parameters replaced by the cursor in next-page links
+const POSITION_PARAMS = ["cursor", "offset", "page"];
+
+// Cursors are opaque to clients so they can carry more than an offset later
+const encodeCursor = (offset) =>
+  Buffer.from(`offset:${offset}`).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  const match = Buffer.from(String(cursor), "base64url")
+    .toString("utf8")
+    .match(/^offset:(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+const parseCount = (value) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+};
+
+// Read the page from the query string. Returns { page } or { error }.
+const parsePagination = (
+  params = {},
+  { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}
+) => {
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseCount(params.limit ?? params.count) ?? defaultLimit)
+  );
+
+  if (params.cursor) {
+    const offset = decodeCursor(params.cursor);
+    if (offset === null) {
+      return { error: "Invalid cursor; use the nextCursor of a response" };
+    }
+    return { page: { offset, limit } };
+  }
+
+  // ?page= counts from 1, in pages of the current limit
+  const page = parseCount(params.page);
+  const offset =
+    params.offset !== undefined
+      ? parseCount(params.offset) ?? 0
+      : page
+      ? (page - 1) * limit
+      : 0;
+
+  return { page: { offset: Math.max(0, offset), limit } };
+};
+
+const paginate = (items, { offset, limit }) =>
+  items.slice(offset, offset + limit);
+
+// Page fields of a response. Lists whose size is unknown pass total: null
+// and say themselves whether more items follow.
+const getPageInfo = (
+  { offset, limit },
+  { total, count, hasMore = offset + count < total }
+) => ({
+  total,
+  offset,
+  limit,
+  hasMore,
+  nextCursor: hasMore ? encodeCursor(offset + count) : null,
+});
+
+// Link to the next page: the same request with the cursor swapped in
+const getNextPageUrl = (path, query, cursor) => {
+  const params = new URLSearchParams();
+
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (POSITION_PARAMS.includes(key) || value === undefined) return;
+    [].concat(value).forEach((entry) => params.append(key, entry));
+  });
+  params.set("cursor", cursor);
+
+  return `${path}?${params}`;
+};
+
+// Export all functions
+export { getNextPageUrl, getPageInfo, paginate, parsePagination };
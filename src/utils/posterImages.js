@@ -0,0 +1,192 @@
+// Resized posters and art in WebP, AVIF or their original format
+// src/utils/posterImages.js
+//
+// Used by GET /api/posters/:ratingKey and /api/images/:ratingKey/:kind. A
+// request asks for one of the POSTER_SIZES, or a width that is rounded up to
+// the nearest size, so only a few variants of each image are ever stored. The
+// format is the best one the browser's Accept header allows. Variants are
+// kept in the poster cache next to the original.
+
+import sharp from "sharp";
+import {
+  addPosterVariant,
+  findPoster,
+  findPosterVariant,
+} from "./posterStore.js";
+import { logDebug, logWarn } from "./logger.js";
+
+// Widths of the image sizes the dashboard shows
+const POSTER_SIZES = {
+  thumb: 150,
+  card: 300,
+  modal: 780,
+  backdrop: 1280,
+};
+
+const DEFAULT_QUALITY = 80;
+
+// Qualities are rounded to steps of 5 within these bounds
+const MIN_QUALITY = 30;
+const MAX_QUALITY = 95;
+
+// Sizes generated in WebP as soon as an image of each kind is downloaded;
+// everything else is generated on first request
+const PREGENERATED_SIZES = {
+  poster: ["thumb", "card", "modal"],
+  art: ["backdrop"],
+  season: ["thumb", "card"],
+  still: ["card"],
+  avatar: ["thumb"],
+};
+
+// Output formats; AVIF is slow to encode, so keep its effort low
+const FORMATS = {
+  avif: {
+    ext: "avif",
+    options: (quality) => ({ quality, effort: 2 }),
+  },
+  webp: {
+    ext: "webp",
+    options: (quality) => ({ quality }),
+  },
+  jpeg: {
+    ext: "jpg",
+    options: (quality) => ({ quality, mozjpeg: true }),
+  },
+  png: {
+    ext: "png",
+    options: () => ({ compressionLevel: 9 }),
+  },
+};
+
+// Variants being generated, so concurrent requests share one resize
+const pending = new Map();
+
+const parseInteger = (value) =>
+  /^\d+$/.test(String(value)) ? parseInt(value, 10) : null;
+
+// Best format the Accept header allows; PNG posters stay PNG so transparency
+// survives when neither WebP nor AVIF is accepted
+const negotiateFormat = (accept = "", originalType = "") => {
+  if (accept.includes("image/avif")) return "avif";
+  if (accept.includes("image/webp")) return "webp";
+  return originalType === "image/png" ? "png" : "jpeg";
+};
+
+// Smallest size at least as wide as the requested width, else the largest
+const getSizeForWidth = (width) => {
+  const sizes = Object.entries(POSTER_SIZES).sort(([, a], [, b]) => a - b);
+  const match = sizes.find(([, sizeWidth]) => sizeWidth >= width);
+  return (match || sizes[sizes.length - 1])[0];
+};
+
+// Parse ?size=, ?width= and ?quality=. Returns null when the original poster
+// was asked for, { error } for invalid values, else the variant to serve
+// minus its format, which depends on the cached poster.
+const parsePosterOptions = (query = {}) => {
+  const { size, width, quality } = query;
+  if (size === undefined && width === undefined && quality === undefined) {
+    return null;
+  }
+
+  let sizeName = "full";
+  if (size !== undefined) {
+    if (!POSTER_SIZES[size]) {
+      return {
+        error: `size must be one of ${Object.keys(POSTER_SIZES).join(", ")}`,
+      };
+    }
+    sizeName = size;
+  } else if (width !== undefined) {
+    const parsedWidth = parseInteger(width);
+    if (!parsedWidth) {
+      return { error: "width must be a positive integer" };
+    }
+    sizeName = getSizeForWidth(parsedWidth);
+  }
+
+  let parsedQuality = DEFAULT_QUALITY;
+  if (quality !== undefined) {
+    parsedQuality = parseInteger(quality);
+    if (!parsedQuality || parsedQuality > 100) {
+      return { error: "quality must be an integer from 1 to 100" };
+    }
+  }
+
+  return {
+    size: sizeName,
+    width: POSTER_SIZES[sizeName] || null,
+    quality: Math.min(
+      MAX_QUALITY,
+      Math.max(MIN_QUALITY, Math.round(parsedQuality / 5) * 5)
+    ),
+  };
+};
+
+// File name suffix of a variant, e.g. "card-q80.webp"
+const getVariantName = ({ size, quality, format }) =>
+  `${size}-q${quality}.${FORMATS[format].ext}`;
+
+const resizePoster = (sourcePath, { width, quality, format }) => {
+  const image = sharp(sourcePath);
+  if (width) image.resize({ width, withoutEnlargement: true });
+  return image.toFormat(format, FORMATS[format].options(quality)).toBuffer();
+};
+
+// Cached variant of a cached image, generated on first use. Returns null
+// when the image is not cached.
+const getPosterVariant = async (ratingKey, options) => {
+  const { kind = "poster" } = options;
+  const poster = findPoster(ratingKey, kind);
+  if (!poster) return null;
+
+  const format =
+    options.format || negotiateFormat(options.accept, poster.contentType);
+  const name = getVariantName({ ...options, format });
+
+  const cached = findPosterVariant(ratingKey, name, kind);
+  if (cached) return cached;
+
+  const pendingKey = `${poster.path}@${name}`;
+  if (!pending.has(pendingKey)) {
+    pending.set(
+      pendingKey,
+      resizePoster(poster.path, { ...options, format })
+        .then((data) => {
+          logDebug(`Generated ${kind} variant ${name} for ${ratingKey}`);
+          return addPosterVariant(ratingKey, name, data, kind);
+        })
+        .finally(() => pending.delete(pendingKey))
+    );
+  }
+  return pending.get(pendingKey);
+};
+
+// Generate the usual sizes of a freshly downloaded image, one at a time so
+// a batch of downloads doesn't hog the CPU
+const pregeneratePosterVariants = async (ratingKey, kind = "poster") => {
+  for (const size of PREGENERATED_SIZES[kind] || []) {
+    try {
+      await getPosterVariant(ratingKey, {
+        kind,
+        size,
+        width: POSTER_SIZES[size],
+        quality: DEFAULT_QUALITY,
+        format: "webp",
+      });
+    } catch (error) {
+      logWarn(
+        `Could not generate ${size} ${kind} for ${ratingKey}: ${error.message}`
+      );
+      return;
+    }
+  }
+};
+
+// Export all functions
+export {
+  POSTER_SIZES,
+  getPosterVariant,
+  parsePosterOptions,
+  pregeneratePosterVariants,
+};
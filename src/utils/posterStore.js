@@ -0,0 +1,505 @@
+import fs from "fs";
+import path from "path";
+import { getCurrentProfileId, getProfileScopedPath } from "./configStore.js";
+import { logDebug, logError, logInfo, logWarn } from "./logger.js";
+
+// Define the poster cache in the cache folder in root directory
+const POSTER_CACHE_DIR = path.join(process.cwd(), "cache", "posters");
+
+// Index of the cached posters, kept next to them
+const INDEX_FILE = "index.json";
+
+// Quotas of each server profile's poster cache, 0 disables a limit
+const parseLimit = (value, fallback) => {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) || limit < 0 ? fallback : limit;
+};
+const MAX_SIZE = parseLimit(process.env.POSTER_CACHE_MAX_MB, 500) * 1024 * 1024;
+const MAX_FILES = parseLimit(process.env.POSTER_CACHE_MAX_FILES, 5000);
+
+// Every served poster updates the index, so writes are batched
+const INDEX_SAVE_DELAY = 5000;
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+};
+
+// Kinds of images cached per rating key. Avatars are keyed by user id.
+const IMAGE_KINDS = ["poster", "art", "season", "still", "avatar"];
+
+// Images of each server profile, loaded on first use. Posters are keyed by
+// rating key and stored as 12345.jpg, other kinds as "<rating key>.<kind>",
+// e.g. 12345.art.jpg. Resized copies are kept in each entry's variants as
+// "<key>@<variant>" files, e.g. 12345@card-q80.webp.
+const stores = new Map();
+
+const getEntryKey = (ratingKey, kind = "poster") =>
+  kind === "poster" ? String(ratingKey) : `${ratingKey}.${kind}`;
+
+const parseEntryKey = (key) => {
+  const [ratingKey, kind = "poster"] = key.split(".");
+  return { ratingKey, kind };
+};
+
+// Each server profile keeps its own posters
+const getPosterCacheDir = () => {
+  const dir = getProfileScopedPath(POSTER_CACHE_DIR);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return dir;
+};
+
+const getExtension = (contentType = "") => {
+  if (contentType.includes("png")) return "png";
+  if (contentType.includes("gif")) return "gif";
+  return "jpg";
+};
+
+// Save the index; written to a temp file first so a crash can't truncate it
+const saveIndex = (store) => {
+  if (store.saveTimer) {
+    clearTimeout(store.saveTimer);
+    store.saveTimer = null;
+  }
+
+  try {
+    const indexFile = path.join(store.dir, INDEX_FILE);
+    const tempFile = `${indexFile}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ entries: store.entries }));
+    fs.renameSync(tempFile, indexFile);
+  } catch (error) {
+    logError("Error saving poster cache index:", error);
+  }
+};
+
+const scheduleSave = (store) => {
+  if (store.saveTimer) return;
+
+  store.saveTimer = setTimeout(() => saveIndex(store), INDEX_SAVE_DELAY);
+  store.saveTimer.unref();
+};
+
+// Build the index from the files on disk, for caches created before the
+// index existed or whose index was lost
+const scanPosters = (dir) => {
+  const entries = {};
+  const files = fs.readdirSync(dir);
+
+  const getFileStats = (file) => {
+    try {
+      return fs.statSync(path.join(dir, file));
+    } catch (error) {
+      logWarn(`Could not get stats for poster ${file}: ${error.message}`);
+      return null;
+    }
+  };
+
+  files.forEach((file) => {
+    const match = file.match(/^([^@]+)\.(jpg|png|gif)$/);
+    const stats = match && getFileStats(file);
+    if (!stats) return;
+
+    entries[match[1]] = {
+      file,
+      size: stats.size,
+      contentType: CONTENT_TYPES[match[2]],
+      created: stats.mtimeMs,
+      lastServed: null,
+      variants: {},
+    };
+  });
+
+  // Variants of posters that are gone are left for clearPosters
+  files.forEach((file) => {
+    const match = file.match(/^([^@]+)@(.+\.(jpg|png|webp|avif))$/);
+    const stats = match && entries[match[1]] && getFileStats(file);
+    if (!stats) return;
+
+    entries[match[1]].variants[match[2]] = {
+      file,
+      size: stats.size,
+      contentType: CONTENT_TYPES[match[3]],
+      created: stats.mtimeMs,
+    };
+  });
+
+  return entries;
+};
+
+// Add posters and variants on disk that the index doesn't track, e.g. ones
+// cached after its last save before a crash. Returns how many were added.
+const addUntrackedPosters = (entries, scanned) => {
+  let added = 0;
+
+  Object.entries(scanned).forEach(([key, scannedEntry]) => {
+    const entry = entries[key];
+    if (!entry || entry.file !== scannedEntry.file) {
+      entries[key] = { ...scannedEntry, lastServed: entry?.lastServed || null };
+      added += 1 + Object.keys(scannedEntry.variants).length;
+      return;
+    }
+
+    entry.variants = entry.variants || {};
+    Object.entries(scannedEntry.variants).forEach(([name, variant]) => {
+      if (entry.variants[name]) return;
+      entry.variants[name] = variant;
+      added++;
+    });
+  });
+  return added;
+};
+
+// Load the index of a poster cache directory, completed with the files the
+// index doesn't know about
+const loadIndex = (dir) => {
+  const indexFile = path.join(dir, INDEX_FILE);
+  const scanned = scanPosters(dir);
+
+  try {
+    if (fs.existsSync(indexFile)) {
+      const loaded = JSON.parse(fs.readFileSync(indexFile, "utf8"));
+      if (loaded && typeof loaded.entries === "object") {
+        const added = addUntrackedPosters(loaded.entries, scanned);
+        if (added > 0) {
+          logWarn(`Added ${added} untracked poster files to the index`);
+        }
+        return { entries: loaded.entries, rebuilt: added > 0 };
+      }
+    }
+  } catch (error) {
+    logWarn(`Poster cache index is unreadable, rebuilding: ${error.message}`);
+  }
+
+  return { entries: scanned, rebuilt: true };
+};
+
+// Bytes used by a poster and its variants
+const getEntrySize = (entry) =>
+  Object.values(entry.variants || {}).reduce(
+    (size, variant) => size + (variant.size || 0),
+    entry.size || 0
+  );
+
+// Total bytes and posters of a store
+const getUsage = (store) =>
+  Object.values(store.entries).reduce(
+    (usage, entry) => ({
+      size: usage.size + getEntrySize(entry),
+      count: usage.count + 1,
+    }),
+    { size: 0, count: 0 }
+  );
+
+const unlinkPosterFile = (store, file) => {
+  try {
+    fs.unlinkSync(path.join(store.dir, file));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      logWarn(`Error deleting poster ${file}: ${error.message}`);
+    }
+  }
+};
+
+const isOverQuota = ({ size, count }) =>
+  (MAX_SIZE > 0 && size > MAX_SIZE) || (MAX_FILES > 0 && count > MAX_FILES);
+
+// Delete a poster and its variants, returns the number of files deleted
+const deleteEntry = (store, ratingKey) => {
+  const entry = store.entries[ratingKey];
+  if (!entry) return 0;
+
+  const variants = Object.values(entry.variants || {});
+  variants.forEach((variant) => unlinkPosterFile(store, variant.file));
+  unlinkPosterFile(store, entry.file);
+
+  delete store.entries[ratingKey];
+  return variants.length + 1;
+};
+
+// Evict the least recently served posters until the cache fits its quotas.
+// The poster that was just added is never evicted.
+const enforceQuota = (store, keepKey = null) => {
+  const usage = getUsage(store);
+  if (!isOverQuota(usage)) return 0;
+
+  const candidates = Object.entries(store.entries)
+    .filter(([ratingKey]) => ratingKey !== keepKey)
+    .sort(
+      ([, a], [, b]) =>
+        (a.lastServed || a.created || 0) - (b.lastServed || b.created || 0)
+    );
+
+  let evicted = 0;
+  for (const [ratingKey, entry] of candidates) {
+    if (!isOverQuota(usage)) break;
+
+    deleteEntry(store, ratingKey);
+    usage.size -= getEntrySize(entry);
+    usage.count -= 1;
+    evicted++;
+  }
+
+  if (evicted > 0) {
+    store.evictions += evicted;
+    store.lastEviction = new Date().toISOString();
+    logInfo(`Evicted ${evicted} least recently served posters`, {
+      files: usage.count,
+      size: usage.size,
+    });
+    scheduleSave(store);
+  }
+  return evicted;
+};
+
+// Poster store of the current server profile
+const getStore = () => {
+  const profileId = getCurrentProfileId();
+
+  if (!stores.has(profileId)) {
+    const dir = getPosterCacheDir();
+    const { entries, rebuilt } = loadIndex(dir);
+    const store = {
+      dir,
+      entries,
+      saveTimer: null,
+      evictions: 0,
+      lastEviction: null,
+    };
+    stores.set(profileId, store);
+
+    logInfo("Poster cache loaded:", {
+      directory: dir,
+      posters: Object.keys(entries).length,
+      rebuilt,
+    });
+
+    if (rebuilt) saveIndex(store);
+
+    // The quotas may have been lowered since the last run
+    enforceQuota(store);
+  }
+  return stores.get(profileId);
+};
+
+// Cached image of a rating key, or null. Entries whose file has gone
+// missing are dropped.
+const findPoster = (ratingKey, kind = "poster") => {
+  const store = getStore();
+  const key = getEntryKey(ratingKey, kind);
+  const entry = store.entries[key];
+  if (!entry) return null;
+
+  const posterPath = path.join(store.dir, entry.file);
+  if (!fs.existsSync(posterPath)) {
+    logDebug(`Image file ${entry.file} is missing, dropping it`);
+    deleteEntry(store, key);
+    scheduleSave(store);
+    return null;
+  }
+
+  return { ...entry, path: posterPath };
+};
+
+// Cached variant of an image, e.g. "card-q80.webp", or null
+const findPosterVariant = (ratingKey, name, kind = "poster") => {
+  const store = getStore();
+  const entry = store.entries[getEntryKey(ratingKey, kind)];
+  const variant = entry?.variants?.[name];
+  if (!variant) return null;
+
+  const variantPath = path.join(store.dir, variant.file);
+  if (!fs.existsSync(variantPath)) {
+    delete entry.variants[name];
+    scheduleSave(store);
+    return null;
+  }
+
+  return { ...variant, path: variantPath };
+};
+
+// Record that an image was served, this is what eviction is based on
+const markPosterServed = (ratingKey, kind = "poster") => {
+  const store = getStore();
+  const entry = store.entries[getEntryKey(ratingKey, kind)];
+  if (!entry) return;
+
+  entry.lastServed = Date.now();
+  scheduleSave(store);
+};
+
+// Store an image, replacing any earlier copy and its variants, and evict
+// others if the cache is now over quota
+const addPoster = (ratingKey, data, contentType, kind = "poster") => {
+  const store = getStore();
+  const key = getEntryKey(ratingKey, kind);
+  const ext = getExtension(contentType);
+  const file = `${key}.${ext}`;
+  const lastServed = store.entries[key]?.lastServed || null;
+
+  deleteEntry(store, key);
+
+  const posterPath = path.join(store.dir, file);
+  fs.mkdirSync(store.dir, { recursive: true });
+  fs.writeFileSync(posterPath, data);
+
+  store.entries[key] = {
+    file,
+    size: data.length,
+    contentType: CONTENT_TYPES[ext],
+    created: Date.now(),
+    lastServed,
+    variants: {},
+  };
+
+  enforceQuota(store, key);
+  scheduleSave(store);
+
+  return { path: posterPath, contentType: CONTENT_TYPES[ext] };
+};
+
+// Store a resized copy of a cached image; returns null when the image
+// itself is no longer cached
+const addPosterVariant = (ratingKey, name, data, kind = "poster") => {
+  const store = getStore();
+  const key = getEntryKey(ratingKey, kind);
+  const entry = store.entries[key];
+  if (!entry) return null;
+
+  const file = `${key}@${name}`;
+  const variantPath = path.join(store.dir, file);
+  fs.writeFileSync(variantPath, data);
+
+  const contentType = CONTENT_TYPES[path.extname(name).slice(1)];
+  entry.variants = {
+    ...entry.variants,
+    [name]: { file, size: data.length, contentType, created: Date.now() },
+  };
+
+  enforceQuota(store, key);
+  scheduleSave(store);
+
+  return { path: variantPath, contentType };
+};
+
+// Delete every cached image of a rating key and their variants, returns the
+// number of files deleted
+const removePoster = (ratingKey) => {
+  const store = getStore();
+  const deleted = IMAGE_KINDS.reduce(
+    (total, kind) => total + deleteEntry(store, getEntryKey(ratingKey, kind)),
+    0
+  );
+  if (deleted) scheduleSave(store);
+  return deleted;
+};
+
+// Delete every cached image, including files the index doesn't know about
+const clearPosters = () => {
+  const store = getStore();
+  let deleted = 0;
+
+  fs.readdirSync(store.dir)
+    .filter((file) => !file.startsWith(INDEX_FILE))
+    .forEach((file) => {
+      try {
+        fs.unlinkSync(path.join(store.dir, file));
+        deleted++;
+      } catch (error) {
+        logWarn(`Error deleting file ${file}: ${error.message}`);
+      }
+    });
+
+  store.entries = {};
+  saveIndex(store);
+  return deleted;
+};
+
+// Delete the cached images of the given kinds whose rating key is not in
+// keepKeys, returns the number of images deleted
+const removePostersExcept = (keepKeys, kinds = IMAGE_KINDS) => {
+  const store = getStore();
+  const keep = new Set([...keepKeys].map(String));
+
+  const deleted = Object.keys(store.entries).filter((key) => {
+    const { ratingKey, kind } = parseEntryKey(key);
+    return (
+      kinds.includes(kind) &&
+      !keep.has(ratingKey) &&
+      deleteEntry(store, key) > 0
+    );
+  }).length;
+
+  if (deleted > 0) saveIndex(store);
+  return deleted;
+};
+
+// Bytes and files used against the quotas, in total and per image kind
+const getPosterCacheStats = () => {
+  const store = getStore();
+  const { size, count } = getUsage(store);
+  const kinds = Object.fromEntries(
+    IMAGE_KINDS.map((kind) => [kind, { count: 0, size: 0 }])
+  );
+  let variants = 0;
+
+  Object.entries(store.entries).forEach(([key, entry]) => {
+    const { kind } = parseEntryKey(key);
+    if (kinds[kind]) {
+      kinds[kind].count += 1;
+      kinds[kind].size += getEntrySize(entry);
+    }
+    variants += Object.keys(entry.variants || {}).length;
+  });
+
+  return {
+    count,
+    variants,
+    size,
+    kinds,
+    maxSize: MAX_SIZE || null,
+    maxFiles: MAX_FILES || null,
+    evictions: store.evictions,
+    lastEviction: store.lastEviction,
+    directory: store.dir,
+  };
+};
+
+// Delete the current profile's image cache directory with its index
+const deletePosterCache = () => {
+  const profileId = getCurrentProfileId();
+  const store = stores.get(profileId);
+  if (store) clearTimeout(store.saveTimer);
+  stores.delete(profileId);
+
+  fs.rmSync(getProfileScopedPath(POSTER_CACHE_DIR), {
+    recursive: true,
+    force: true,
+  });
+};
+
+// Write every pending index change now, e.g. before the server stops
+const flushPosterIndexes = () => {
+  stores.forEach((store) => {
+    if (store.saveTimer) saveIndex(store);
+  });
+};
+
+// Export all functions
+export {
+  IMAGE_KINDS,
+  getPosterCacheDir,
+  findPoster,
+  findPosterVariant,
+  markPosterServed,
+  addPoster,
+  addPosterVariant,
+  removePoster,
+  clearPosters,
+  deletePosterCache,
+  removePostersExcept,
+  getPosterCacheStats,
+  flushPosterIndexes,
+};
@@ -0,0 +1,224 @@
+// Search across libraries and users
+// src/utils/search.js
+//
+// Used by /api/search. Results come from Plex hub search when Plex is
+// reachable and otherwise from the library items and metadata the server
+// has cached, plus Tautulli's user list. Both sources are turned into the
+// same result shape and ranked the same way here.
+
+// Result types, in the order ?type= accepts them
+const SEARCH_TYPES = ["movie", "show", "episode", "artist", "user"];
+
+const DEFAULT_RESULTS = 20;
+const MAX_RESULTS = 100;
+
+// Read the search from the query string. Returns { query } or { error }.
+const parseSearchQuery = (params = {}) => {
+  const text = String(params.q ?? params.query ?? "").trim();
+  if (!text) {
+    return { error: "Enter something to search for with ?q=" };
+  }
+
+  const types = params.type
+    ? String(params.type)
+        .split(",")
+        .map((type) => type.trim().toLowerCase())
+        .filter(Boolean)
+    : SEARCH_TYPES;
+  const unknown = types.filter((type) => !SEARCH_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return {
+      error: `Invalid type "${unknown.join(",")}"; use ${SEARCH_TYPES.join(
+        ", "
+      )}`,
+    };
+  }
+
+  const limit = Math.min(
+    MAX_RESULTS,
+    Math.max(1, parseInt(params.limit, 10) || DEFAULT_RESULTS)
+  );
+
+  return { query: { text, types, limit } };
+};
+
+// Lowercase without accents, so "Amelie" finds "Amélie"
+const normalizeText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim();
+
+const pad = (number) => String(number).padStart(2, "0");
+
+// Second line of a result: year, episode number, artist or user
+const getSubtitle = (result) => {
+  switch (result.type) {
+    case "episode":
+      return [
+        result.show,
+        result.season && result.episode
+          ? `S${pad(result.season)}E${pad(result.episode)}`
+          : "",
+      ]
+        .filter(Boolean)
+        .join(" · ");
+    case "artist":
+      return "Artist";
+    case "user":
+      return result.username && result.username !== result.title
+        ? result.username
+        : "User";
+    default:
+      return result.year ? String(result.year) : "";
+  }
+};
+
+const toResult = (fields) => {
+  const result = {
+    type: fields.type,
+    rating_key: fields.rating_key ? String(fields.rating_key) : null,
+    title: fields.title || "",
+    year: fields.year || null,
+    show: fields.show || null,
+    season: fields.season || null,
+    episode: fields.episode || null,
+    section_id: fields.section_id ? String(fields.section_id) : null,
+    library_name: fields.library_name || null,
+    user_id: fields.user_id ?? null,
+    username: fields.username || null,
+    thumb: fields.thumb || null,
+    // Posters are served from the poster cache, users keep their avatar
+    poster: fields.rating_key ? `/api/posters/${fields.rating_key}` : null,
+  };
+  return { ...result, subtitle: getSubtitle(result) };
+};
+
+// Results from the Hub list of Plex's /hubs/search
+const fromPlexHubs = (hubs = []) =>
+  hubs
+    .flatMap((hub) => hub.Metadata || [])
+    .filter((item) => SEARCH_TYPES.includes(item.type))
+    .map((item) =>
+      toResult({
+        type: item.type,
+        rating_key: item.ratingKey,
+        title: item.title,
+        year: item.year,
+        show: item.grandparentTitle,
+        season: item.parentIndex,
+        episode: item.index,
+        section_id: item.librarySectionID,
+        library_name: item.librarySectionTitle,
+        thumb:
+          item.type === "episode"
+            ? item.grandparentThumb || item.thumb
+            : item.thumb,
+      })
+    );
+
+// A result from a Tautulli library item, recently added item or metadata
+const fromTautulliItem = (item) => {
+  const type = String(item.media_type || "").toLowerCase();
+  if (!SEARCH_TYPES.includes(type) || type === "user") return null;
+
+  return toResult({
+    type,
+    rating_key: item.rating_key,
+    title: item.title,
+    year: item.year,
+    show: item.grandparent_title,
+    season: item.parent_media_index,
+    episode: item.media_index,
+    section_id: item.section_id,
+    library_name: item.library_name || item.section_name,
+    thumb:
+      type === "episode" ? item.grandparent_thumb || item.thumb : item.thumb,
+  });
+};
+
+// A result from a row of Tautulli's get_users_table
+const fromTautulliUser = (user) =>
+  toResult({
+    type: "user",
+    title: user.friendly_name || user.username || "",
+    user_id: user.user_id,
+    username: user.username,
+    thumb: user.user_thumb,
+  });
+
+// How well a result matches: an exact title beats a title that starts with
+// the search, which beats a word in the title, which beats the other fields.
+// Every word of the search must appear somewhere; 0 means no match.
+const scoreResult = (result, text) => {
+  const search = normalizeText(text);
+  const title = normalizeText(result.title);
+  const haystack = normalizeText(
+    [result.title, result.show, result.username, result.year].join(" ")
+  );
+
+  const words = search.split(/\s+/);
+  if (!words.every((word) => haystack.includes(word))) return 0;
+
+  if (title === search) return 100;
+  if (title.startsWith(search)) return 75;
+  if (title.split(/\W+/).some((word) => word.startsWith(search))) return 50;
+  if (title.includes(search)) return 25;
+  return 10;
+};
+
+// Keep the matching results of the wanted types, best first, one per item.
+// Plex matches on more than titles (actors, fuzzy spelling), so its results
+// are ranked with matchAll: false and kept even when no field matches.
+const rankResults = (
+  results,
+  { text, types, limit },
+  { matchAll = true } = {}
+) => {
+  const seen = new Set();
+
+  return results
+    .filter((result) => result && types.includes(result.type))
+    .map((result, order) => ({
+      result,
+      order,
+      score: scoreResult(result, text),
+    }))
+    .filter(({ score }) => score > 0 || !matchAll)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map(({ result }) => result)
+    .filter((result) => {
+      // Rating keys repeat across servers in the all-servers view
+      const key = [
+        result.server?.id,
+        result.type,
+        result.rating_key ?? result.user_id,
+      ].join(":");
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+};
+
+// Number of results of each type
+const countByType = (results) =>
+  results.reduce(
+    (counts, result) => ({
+      ...counts,
+      [result.type]: (counts[result.type] || 0) + 1,
+    }),
+    {}
+  );
+
+// Export all functions
+export {
+  SEARCH_TYPES,
+  countByType,
+  fromPlexHubs,
+  fromTautulliItem,
+  fromTautulliUser,
+  parseSearchQuery,
+  rankResults,
+};
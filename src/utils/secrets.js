@@ -0,0 +1,77 @@
+import crypto from "crypto";
+import { logWarn } from "./logger.js";
+
+// Encrypted values are stored as "enc:v1:<iv>:<auth tag>:<ciphertext>"
+const ENCRYPTED_PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+
+let warnedMissingKey = false;
+
+// Derive a 256-bit key from CONFIG_ENCRYPTION_KEY (any passphrase works)
+const getEncryptionKey = () => {
+  const passphrase = process.env.CONFIG_ENCRYPTION_KEY;
+
+  if (!passphrase) {
+    if (!warnedMissingKey) {
+      logWarn(
+        "CONFIG_ENCRYPTION_KEY is not set - Plex and Tautulli credentials are stored unencrypted"
+      );
+      warnedMissingKey = true;
+    }
+    return null;
+  }
+
+  return crypto.createHash("sha256").update(passphrase).digest();
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+
+const hasEncryptionKey = () => !!process.env.CONFIG_ENCRYPTION_KEY;
+
+// Encrypt a secret for storage; returns the value unchanged without a key
+const encryptSecret = (value) => {
+  if (!value || isEncrypted(value)) return value;
+
+  const key = getEncryptionKey();
+  if (!key) return value;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return `${ENCRYPTED_PREFIX}${iv.toString("base64")}:${cipher
+    .getAuthTag()
+    .toString("base64")}:${encrypted.toString("base64")}`;
+};
+
+// Decrypt a stored secret; plain values pass straight through
+const decryptSecret = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const key = getEncryptionKey();
+  if (!key) {
+    throw new Error(
+      "Stored credentials are encrypted but CONFIG_ENCRYPTION_KEY is not set"
+    );
+  }
+
+  const [iv, tag, data] = value.slice(ENCRYPTED_PREFIX.length).split(":");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Export all functions
+export { isEncrypted, hasEncryptionKey, encryptSecret, decryptSecret };
@@ -0,0 +1,275 @@
+import axios from "axios";
+import crypto from "crypto";
+import { getConfig } from "./configStore.js";
+import { logDebug, logWarn } from "./logger.js";
+
+// Defaults can be tuned via environment for slow or flaky Tautulli servers
+const DEFAULT_TIMEOUT = parseInt(process.env.TAUTULLI_TIMEOUT_MS) || 15000;
+const DEFAULT_RETRIES = Number.isNaN(parseInt(process.env.TAUTULLI_RETRIES))
+  ? 2
+  : parseInt(process.env.TAUTULLI_RETRIES);
+const RETRY_BASE_DELAY = parseInt(process.env.TAUTULLI_RETRY_DELAY_MS) || 500;
+const MAX_RETRY_DELAY = 10000;
+
+// Network errors worth another attempt
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+// Error raised for failed Tautulli commands
+class TautulliError extends Error {
+  constructor(message, { cmd, status = null, code = null, retryable = false }) {
+    super(message);
+    this.name = "TautulliError";
+    this.cmd = cmd;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+// Requests currently on the wire, keyed by server, credentials, options,
+// command and parameters
+const inFlight = new Map();
+
+// Per-command call statistics
+let metrics = {};
+let metricsSince = new Date().toISOString();
+
+const getCommandMetrics = (cmd) => {
+  if (!metrics[cmd]) {
+    metrics[cmd] = {
+      calls: 0,
+      successes: 0,
+      failures: 0,
+      retries: 0,
+      coalesced: 0,
+      totalDurationMs: 0,
+      maxDurationMs: 0,
+      lastDurationMs: null,
+      lastCalledAt: null,
+      lastError: null,
+      lastErrorAt: null,
+    };
+  }
+  return metrics[cmd];
+};
+
+const isTautulliConfigured = () => {
+  const config = getConfig();
+  return !!(config.tautulliUrl && config.tautulliApiKey);
+};
+
+// Stable key for de-duplicating identical commands. Calls with another API
+// key, timeout or retry count may get another answer, so they never share a
+// request; the API key is hashed to keep it out of the key.
+const buildRequestKey = (baseUrl, apiKey, cmd, params, options) => {
+  const apiKeyHash = crypto
+    .createHash("sha256")
+    .update(String(apiKey))
+    .digest("hex")
+    .slice(0, 16);
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join("&");
+
+  return `${baseUrl}|${apiKeyHash}|${timeout}|${retries}|${cmd}|${query}`;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with a little jitter
+const getRetryDelay = (attempt) =>
+  Math.min(
+    RETRY_BASE_DELAY * 2 ** attempt + Math.floor(Math.random() * 100),
+    MAX_RETRY_DELAY
+  );
+
+// Turn an axios failure into a TautulliError
+const toTautulliError = (cmd, error) => {
+  if (error instanceof TautulliError) return error;
+
+  const status = error.response?.status || null;
+  const retryable = status
+    ? status >= 500 || status === 429
+    : RETRYABLE_CODES.includes(error.code);
+
+  let message = error.message;
+  if (status === 401 || status === 403) {
+    message = "Invalid Tautulli API key";
+  } else if (error.code === "ECONNREFUSED") {
+    message = "Could not connect to Tautulli server";
+  } else if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    message = "Tautulli request timed out";
+  }
+
+  return new TautulliError(message, {
+    cmd,
+    status,
+    code: error.code || null,
+    retryable,
+  });
+};
+
+// Send a single request and validate the Tautulli envelope
+const sendCommand = async (baseUrl, apiKey, cmd, params, timeout) => {
+  try {
+    const response = await axios.get(`${baseUrl}/api/v2`, {
+      params: { ...params, apikey: apiKey, cmd },
+      timeout,
+      headers: {
+        "Cache-Control": "no-cache",
+        Pragma: "no-cache",
+      },
+    });
+
+    const envelope = response.data?.response;
+    if (!envelope || envelope.result !== "success") {
+      throw new TautulliError(
+        envelope?.message || `Tautulli command ${cmd} failed`,
+        { cmd, status: response.status }
+      );
+    }
+
+    return envelope.data;
+  } catch (error) {
+    throw toTautulliError(cmd, error);
+  }
+};
+
+// Run a command with retries, recording metrics along the way
+const executeCommand = async (baseUrl, apiKey, cmd, params, options) => {
+  const stats = getCommandMetrics(cmd);
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const startTime = Date.now();
+
+  stats.calls++;
+  stats.lastCalledAt = new Date().toISOString();
+
+  let attempt = 0;
+  try {
+    while (true) {
+      try {
+        const data = await sendCommand(baseUrl, apiKey, cmd, params, timeout);
+        stats.successes++;
+        return data;
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) throw error;
+
+        const delay = getRetryDelay(attempt);
+        attempt++;
+        stats.retries++;
+        logWarn(
+          `Tautulli ${cmd} failed (${error.message}), retry ${attempt}/${retries} in ${delay}ms`
+        );
+        await sleep(delay);
+      }
+    }
+  } catch (error) {
+    stats.failures++;
+    stats.lastError = error.message;
+    stats.lastErrorAt = new Date().toISOString();
+    throw error;
+  } finally {
+    const duration = Date.now() - startTime;
+    stats.totalDurationMs += duration;
+    stats.lastDurationMs = duration;
+    stats.maxDurationMs = Math.max(stats.maxDurationMs, duration);
+  }
+};
+
+// Call a Tautulli API command and return response.data.
+// Options: timeout (ms), retries, and url/apiKey to override the saved config.
+const callTautulli = (cmd, params = {}, options = {}) => {
+  const config = getConfig();
+  const baseUrl = options.url || config.tautulliUrl;
+  const apiKey = options.apiKey || config.tautulliApiKey;
+
+  if (!baseUrl || !apiKey) {
+    return Promise.reject(
+      new TautulliError("Tautulli is not configured", { cmd })
+    );
+  }
+
+  // Drop empty parameters so equivalent calls share a key
+  const cleanParams = Object.fromEntries(
+    Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+  );
+
+  const requestKey = buildRequestKey(
+    baseUrl,
+    apiKey,
+    cmd,
+    cleanParams,
+    options
+  );
+  const pending = inFlight.get(requestKey);
+  if (pending) {
+    getCommandMetrics(cmd).coalesced++;
+    logDebug(`Joining in-flight Tautulli request: ${cmd}`);
+    return pending;
+  }
+
+  const request = executeCommand(
+    baseUrl,
+    apiKey,
+    cmd,
+    cleanParams,
+    options
+  ).finally(() => inFlight.delete(requestKey));
+
+  inFlight.set(requestKey, request);
+  return request;
+};
+
+// Snapshot of the per-command metrics
+const getTautulliMetrics = () => {
+  const commands = Object.fromEntries(
+    Object.entries(metrics).map(([cmd, stats]) => [
+      cmd,
+      {
+        ...stats,
+        avgDurationMs: stats.calls
+          ? Math.round(stats.totalDurationMs / stats.calls)
+          : 0,
+      },
+    ])
+  );
+
+  return {
+    since: metricsSince,
+    inFlight: inFlight.size,
+    settings: {
+      timeout: DEFAULT_TIMEOUT,
+      retries: DEFAULT_RETRIES,
+      retryDelay: RETRY_BASE_DELAY,
+    },
+    commands,
+  };
+};
+
+const resetTautulliMetrics = () => {
+  metrics = {};
+  metricsSince = new Date().toISOString();
+};
+
+// Export all functions
+export {
+  TautulliError,
+  callTautulli,
+  isTautulliConfigured,
+  getTautulliMetrics,
+  resetTautulliMetrics,
+};
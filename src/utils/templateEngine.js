@@ -0,0 +1,555 @@
+// Template engine shared by the API and the format settings previews
+// src/utils/templateEngine.js
+//
+// Syntax:
+//   {title}                        variable
+//   {added_at:relative}            date variable with a date format
+//   {title|upper|truncate:30}      filters, applied left to right
+//   {year|default:"?"}             quoted filter arguments
+//   {#if is_active}…{:else}…{/if}  conditionals ({#if !key}, {#if key == "x"})
+//   \{ and \}                      literal braces ({" and {} are literal too,
+//                                  so JSON can be written as is)
+//
+// A format's output type decides how variable values are escaped: plain text,
+// HTML, Markdown or JSON. Text written in the template itself is never escaped.
+
+import { logError, logWarn } from "./logger.js";
+
+// Variables that hold timestamps and are shown as dates
+const DATE_FIELDS = [
+  "addedAt",
+  "added_at",
+  "last_seen",
+  "updated_at",
+  "last_viewed_at",
+  "originally_available_at",
+  "last_accessed",
+];
+
+// Season and episode numbers are always shown with two digits
+const INDEX_FIELDS = ["parent_media_index", "media_index"];
+
+const DATE_FORMATS = ["default", "short", "relative", "full", "time"];
+
+// ======================================================================
+// Value formatting
+// ======================================================================
+
+const parseDate = (timestamp) => {
+  // Handle ISO date strings (YYYY-MM-DD)
+  if (typeof timestamp === "string" && timestamp.includes("-")) {
+    return new Date(timestamp);
+  }
+
+  // Numeric timestamps below 2^32 are in seconds
+  if (typeof timestamp === "number" || !isNaN(Number(timestamp))) {
+    const ts = Number(timestamp);
+    return ts < 4294967296 ? new Date(ts * 1000) : new Date(ts);
+  }
+
+  return new Date(timestamp);
+};
+
+const plural = (count, unit) =>
+  count === 1 ? `1 ${unit} ago` : `${count} ${unit}s ago`;
+
+const formatDate = (timestamp, format = "default") => {
+  // Return early if no timestamp; the API fills missing ones with "Never"
+  if (!timestamp || timestamp === "Never") return "Never";
+
+  const date = parseDate(timestamp);
+
+  // Ensure we have a valid date
+  if (isNaN(date.getTime())) {
+    logWarn(`Invalid date from timestamp: ${timestamp}`);
+    return "Invalid Date";
+  }
+
+  const diffSeconds = Math.floor((Date.now() - date.getTime()) / 1000);
+  const diffMinutes = Math.floor(diffSeconds / 60);
+  const diffHours = Math.floor(diffMinutes / 60);
+  const diffDays = Math.floor(diffHours / 24);
+  const diffMonths = Math.floor(diffDays / 30);
+  const diffYears = Math.floor(diffDays / 365);
+
+  switch (format) {
+    case "short":
+      return date.toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+      });
+
+    case "relative":
+      if (diffSeconds < 0) return date.toLocaleDateString();
+      if (diffYears > 0) return plural(diffYears, "year");
+      if (diffMonths > 0) return plural(diffMonths, "month");
+      if (diffDays > 0) return plural(diffDays, "day");
+      if (diffHours > 0) return plural(diffHours, "hour");
+      if (diffMinutes > 0) return plural(diffMinutes, "minute");
+      return plural(diffSeconds, "second");
+
+    case "full":
+      return date.toLocaleDateString("en-US", {
+        weekday: "long",
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      });
+
+    case "time":
+      return date.toLocaleTimeString("en-US", {
+        hour: "2-digit",
+        minute: "2-digit",
+      });
+
+    default:
+      return date.toLocaleDateString("en-US", {
+        year: "numeric",
+        month: "long",
+        day: "numeric",
+      });
+  }
+};
+
+// Durations arrive in milliseconds, seconds or already formatted ("1h 30m")
+const formatDuration = (durationMs) => {
+  // Ensure we have a valid input
+  if (!durationMs) return "0m";
+
+  // If it's already in the format we want, return it
+  if (
+    typeof durationMs === "string" &&
+    /^\d+h( \d+m)?$|^\d+m$/.test(durationMs.trim())
+  ) {
+    return durationMs.trim();
+  }
+
+  let duration = Number(durationMs);
+
+  // If duration is invalid or 0, return "0m"
+  if (isNaN(duration) || duration <= 0) return "0m";
+
+  // Plex and Tautulli mix units; small values are seconds
+  if (duration < 10000) {
+    duration *= 1000;
+  }
+
+  const totalMinutes = Math.floor(duration / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+
+  if (hours > 0 && minutes > 0) return `${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h`;
+  return `${minutes}m`;
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// Tautulli sends flags as "0"/"1" strings
+const isTruthy = (value) =>
+  !isEmpty(value) &&
+  value !== false &&
+  value !== 0 &&
+  value !== "0" &&
+  value !== "false";
+
+// Lists such as genres or actors are shown comma separated
+const toText = (value) => {
+  if (isEmpty(value)) return "";
+  return Array.isArray(value) ? value.join(", ") : String(value);
+};
+
+// ======================================================================
+// Filters
+// ======================================================================
+
+// Filters receive the current value and their arguments as strings
+const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  title: (value) =>
+    toText(value).replace(/\b\w/g, (letter) => letter.toUpperCase()),
+  trim: (value) => toText(value).trim(),
+  truncate: (value, length = "30", suffix = "…") => {
+    const text = toText(value);
+    const max = parseInt(length, 10);
+    if (isNaN(max) || text.length <= max) return text;
+    return text.slice(0, Math.max(0, max - suffix.length)) + suffix;
+  },
+  default: (value, fallback = "") => (isEmpty(value) ? fallback : value),
+  pad: (value, length = "2", char = "0") =>
+    isEmpty(value)
+      ? ""
+      : toText(value).padStart(parseInt(length, 10) || 0, char || "0"),
+  date: (value, format = "default") => formatDate(value, format),
+  duration: (value) => formatDuration(value),
+  number: (value) => {
+    const number = Number(value);
+    return isEmpty(value) || isNaN(number)
+      ? toText(value)
+      : number.toLocaleString("en-US");
+  },
+  replace: (value, search = "", replacement = "") =>
+    search ? toText(value).split(search).join(replacement) : toText(value),
+  yesno: (value, yes = "Yes", no = "No") => (isTruthy(value) ? yes : no),
+};
+
+// Filters that take care of formatting raw dates and durations themselves
+const FORMATTING_FILTERS = ["date", "duration"];
+
+// ======================================================================
+// Parsing
+// ======================================================================
+
+// Split on a separator, ignoring separators inside double quotes
+const splitOutsideQuotes = (text, separator) => {
+  const parts = [];
+  let current = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\" && quoted && i + 1 < text.length) {
+      current += char + text[i + 1];
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (char === separator && !quoted) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+};
+
+const unquote = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, "$1");
+  }
+  return trimmed;
+};
+
+// "title|upper|truncate:30" → { key, format, filters }
+const parseExpression = (source) => {
+  const [head, ...filterParts] = splitOutsideQuotes(source, "|");
+  const [key, format] = head.trim().split(":");
+
+  return {
+    key: key.trim(),
+    format: format ? format.trim() : null,
+    filters: filterParts.map((part) => {
+      const [name, ...args] = splitOutsideQuotes(part, ":");
+      return { name: name.trim(), args: args.map(unquote) };
+    }),
+  };
+};
+
+// "!is_active", "media_type == \"episode\""
+const parseCondition = (source) => {
+  const comparison = source.match(/^\s*([^\s!=]+)\s*(==|!=)\s*(.+?)\s*$/);
+  if (comparison) {
+    return {
+      key: comparison[1],
+      operator: comparison[2],
+      value: unquote(comparison[3]),
+    };
+  }
+
+  const trimmed = source.trim();
+  return trimmed.startsWith("!")
+    ? { key: trimmed.slice(1).trim(), operator: "not" }
+    : { key: trimmed, operator: "truthy" };
+};
+
+// Find the closing brace of a tag, skipping quoted text
+const findTagEnd = (template, start) => {
+  let quoted = false;
+  for (let i = start + 1; i < template.length; i++) {
+    const char = template[i];
+    if (char === "\\" && quoted) i++;
+    else if (char === '"') quoted = !quoted;
+    else if (char === "}" && !quoted) return i;
+    else if (char === "{" && !quoted) return -1;
+  }
+  return -1;
+};
+
+// A brace that opens JSON rather than a tag: {"key": …}, {[, {{, {}
+const isLiteralBrace = (template, start) => {
+  const next = template.slice(start + 1).trimStart()[0];
+  return next === undefined || '"[{}'.includes(next);
+};
+
+// Turn a template into a tree of text, variable and if nodes. Problems are
+// collected in errors instead of thrown so a broken template still renders.
+const parseTemplate = (template) => {
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  const errors = [];
+  let text = "";
+
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.type === "if" && node.inElse ? node.otherwise : node.children;
+  };
+
+  const flushText = () => {
+    if (text) current().push({ type: "text", value: text });
+    text = "";
+  };
+
+  let i = 0;
+  while (i < template.length) {
+    const char = template[i];
+
+    // Escaped braces are literal text
+    if (char === "\\" && (template[i + 1] === "{" || template[i + 1] === "}")) {
+      text += template[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char !== "{" || isLiteralBrace(template, i)) {
+      text += char;
+      i++;
+      continue;
+    }
+
+    const end = findTagEnd(template, i);
+    if (end === -1) {
+      errors.push({ index: i, message: "Unclosed {" });
+      text += char;
+      i++;
+      continue;
+    }
+
+    const tag = template.slice(i + 1, end);
+    flushText();
+
+    if (tag.startsWith("#if ")) {
+      const node = {
+        type: "if",
+        index: i,
+        condition: parseCondition(tag.slice(4)),
+        children: [],
+        otherwise: [],
+        inElse: false,
+      };
+      current().push(node);
+      stack.push(node);
+    } else if (tag === ":else" || tag === "#else") {
+      const node = stack[stack.length - 1];
+      if (node.type !== "if" || node.inElse) {
+        errors.push({ index: i, message: "{:else} without a matching {#if}" });
+      } else {
+        node.inElse = true;
+      }
+    } else if (tag === "/if") {
+      if (stack.length === 1) {
+        errors.push({ index: i, message: "{/if} without a matching {#if}" });
+      } else {
+        stack.pop();
+      }
+    } else {
+      current().push({ type: "variable", index: i, ...parseExpression(tag) });
+    }
+
+    i = end + 1;
+  }
+
+  flushText();
+
+  stack.slice(1).forEach((node) => {
+    errors.push({ index: node.index, message: "{#if} is never closed" });
+  });
+
+  return { nodes: root.children, errors };
+};
+
+// ======================================================================
+// Output types
+// ======================================================================
+
+const OUTPUT_TYPES = ["plain", "html", "markdown", "json"];
+
+const HTML_ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+// Escape a rendered variable so it cannot break out of the surrounding
+// markup. JSON values are escaped for use inside a quoted string.
+const ESCAPERS = {
+  plain: (text) => text,
+  html: (text) => text.replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]),
+  markdown: (text) => text.replace(/[\\`*_~|[\]()<>#]/g, "\\$&"),
+  json: (text) => JSON.stringify(text).slice(1, -1),
+};
+
+// ======================================================================
+// Rendering
+// ======================================================================
+
+const toCamelCase = (key) =>
+  key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
+const toSnakeCase = (key) => key.replace(/([A-Z])/g, "_$1").toLowerCase();
+
+// Look a key up in the data; addedAt and added_at are interchangeable
+const lookup = (data, key) => {
+  if (data[key] !== undefined) return data[key];
+
+  const alias = key.includes("_") ? toCamelCase(key) : toSnakeCase(key);
+  return data[alias];
+};
+
+// Built-in formatting applied unless a filter formats the value itself
+const resolveVariable = (data, { key, format, filters }) => {
+  const value = lookup(data, key);
+  if (filters.some((filter) => FORMATTING_FILTERS.includes(filter.name))) {
+    return value;
+  }
+
+  if (DATE_FIELDS.includes(key)) {
+    return formatDate(value, format || "default");
+  }
+
+  if (key === "duration") {
+    return data.formatted_duration || formatDuration(value);
+  }
+
+  if (INDEX_FIELDS.includes(key)) {
+    return isEmpty(value) ? "" : String(value).padStart(2, "0");
+  }
+
+  return value;
+};
+
+const renderVariable = (node, data, escape) => {
+  let value = resolveVariable(data, node);
+
+  node.filters.forEach(({ name, args }) => {
+    // Unknown filters are left out; validation reports them
+    const filter = FILTERS[name];
+    if (filter) value = filter(value, ...args);
+  });
+
+  return escape(toText(value));
+};
+
+const testCondition = ({ key, operator, value }, data) => {
+  const actual = lookup(data, key);
+
+  switch (operator) {
+    case "==":
+      return toText(actual) === value;
+    case "!=":
+      return toText(actual) !== value;
+    case "not":
+      return !isTruthy(actual);
+    default:
+      return isTruthy(actual);
+  }
+};
+
+const renderNodes = (nodes, data, escape) =>
+  nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      if (node.type === "variable") return renderVariable(node, data, escape);
+      return renderNodes(
+        testCondition(node.condition, data) ? node.children : node.otherwise,
+        data,
+        escape
+      );
+    })
+    .join("");
+
+// Parsed templates, keyed by source; the same few formats render for every
+// item in a list
+const templateCache = new Map();
+const TEMPLATE_CACHE_LIMIT = 500;
+
+const getParsedTemplate = (template) => {
+  let parsed = templateCache.get(template);
+  if (!parsed) {
+    parsed = parseTemplate(template);
+    if (templateCache.size >= TEMPLATE_CACHE_LIMIT) templateCache.clear();
+    templateCache.set(template, parsed);
+  }
+  return parsed;
+};
+
+// Render a template against one item. Items with a raw_data object (as
+// returned by the API) expose its fields as well. Values are escaped for
+// the given output type.
+const renderTemplate = (template, data = {}, { output = "plain" } = {}) => {
+  if (!template) return "";
+
+  try {
+    const values = data?.raw_data ? { ...data.raw_data, ...data } : data || {};
+    return renderNodes(
+      getParsedTemplate(String(template)).nodes,
+      values,
+      ESCAPERS[output] || ESCAPERS.plain
+    );
+  } catch (error) {
+    logError("Error rendering template:", error);
+    return "";
+  }
+};
+
+// Output type to render a format with: the requested override, else the
+// type the format declares
+const getOutputType = (format, output) =>
+  OUTPUT_TYPES.includes(output)
+    ? output
+    : OUTPUT_TYPES.includes(format?.output)
+    ? format.output
+    : "plain";
+
+// Render a format for the API. JSON formats become objects; a template that
+// does not produce valid JSON (such as a plain format requested with
+// ?output=json) falls back to its plain text.
+const renderFormat = (format, data, output) => {
+  const type = getOutputType(format, output);
+  if (type !== "json") {
+    return renderTemplate(format.template, data, { output: type });
+  }
+
+  const text = renderTemplate(format.template, data, { output: "json" });
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return renderTemplate(format.template, data);
+  }
+};
+
+// Export all functions
+export {
+  DATE_FIELDS,
+  DATE_FORMATS,
+  FILTERS,
+  OUTPUT_TYPES,
+  formatDate,
+  formatDuration,
+  getOutputType,
+  parseTemplate,
+  renderFormat,
+  renderTemplate,
+  toCamelCase,
+  toSnakeCase,
+};
@@ -0,0 +1,401 @@
+// Validation of format definitions before they are saved
+// src/utils/templateValidator.js
+//
+// Used by POST /api/formats to reject broken formats and by the format
+// editors to point out problems while typing. Errors block a save, warnings
+// are only shown.
+
+import {
+  DATE_FIELDS,
+  DATE_FORMATS,
+  FILTERS,
+  OUTPUT_TYPES,
+  parseTemplate,
+  renderTemplate,
+  toCamelCase,
+  toSnakeCase,
+} from "./templateEngine.js";
+import { MUSIC_VARIABLES } from "./musicFields.js";
+
+// Fields shared by everything that comes from a library item
+const MEDIA_VARIABLES = [
+  "rating_key",
+  "parent_rating_key",
+  "grandparent_rating_key",
+  "title",
+  "original_title",
+  "sort_title",
+  "full_title",
+  "parent_title",
+  "grandparent_title",
+  "parent_media_index",
+  "media_index",
+  "year",
+  "summary",
+  "tagline",
+  "studio",
+  "rating",
+  "audience_rating",
+  "user_rating",
+  "content_rating",
+  "duration",
+  "formatted_duration",
+  "mediaType",
+  "media_type",
+  "video_full_resolution",
+  "addedAt",
+  "added_at",
+  "updated_at",
+  "last_viewed_at",
+  "originally_available_at",
+  "thumb",
+  "parent_thumb",
+  "grandparent_thumb",
+  "art",
+  "banner",
+  "directors",
+  "writers",
+  "actors",
+  "genres",
+  "labels",
+  "collections",
+  "section_id",
+  "section_name",
+  "section_type",
+  "library_name",
+  ...MUSIC_VARIABLES,
+];
+
+// Fields shared by the library and section summaries
+const LIBRARY_VARIABLES = [
+  "section_id",
+  "section_name",
+  "section_type",
+  "count",
+  "parent_count",
+  "child_count",
+  "total_plays",
+  "last_accessed",
+  "last_updated",
+  "last_played",
+];
+
+// Variables each format type can use, keyed like formats.json
+const FORMAT_VARIABLES = {
+  downloads: ["uuid", "title", "subtitle", "progress", "type"],
+  recentlyAdded: MEDIA_VARIABLES,
+  sections: [...MEDIA_VARIABLES, ...LIBRARY_VARIABLES],
+  libraries: LIBRARY_VARIABLES,
+  users: [
+    "friendly_name",
+    "user_id",
+    "email",
+    "plays",
+    "duration",
+    "formatted_duration",
+    "last_seen",
+    "last_seen_formatted",
+    "is_active",
+    "is_watching",
+    "state",
+    "media_type",
+    "progress_percent",
+    "progress_time",
+    "title",
+    "original_title",
+    "year",
+    "full_title",
+    "last_played",
+    "last_played_modified",
+    "parent_title",
+    "grandparent_title",
+    "media_index",
+    "parent_media_index",
+    ...MUSIC_VARIABLES,
+  ],
+  sessions: [
+    "session_key",
+    "session_id",
+    "user_id",
+    "user",
+    "friendly_name",
+    "user_thumb",
+    "state",
+    "media_type",
+    "rating_key",
+    "title",
+    "full_title",
+    "parent_title",
+    "grandparent_title",
+    "parent_media_index",
+    "media_index",
+    "year",
+    ...MUSIC_VARIABLES,
+    "thumb",
+    "progress_percent",
+    "view_offset",
+    "duration",
+    "player",
+    "platform",
+    "product",
+    "device",
+    "quality_profile",
+    "ip_address",
+    "location",
+    "relayed",
+    "secure",
+    "city",
+    "region",
+    "country",
+    "transcode_decision",
+    "video_decision",
+    "audio_decision",
+    "subtitle_decision",
+    "container",
+    "stream_container",
+    "video_codec",
+    "stream_video_codec",
+    "video_resolution",
+    "stream_video_resolution",
+    "audio_codec",
+    "stream_audio_codec",
+    "audio_channels",
+    "stream_audio_channels",
+    "bitrate",
+    "stream_bitrate",
+    "bandwidth",
+    "formatted_bitrate",
+    "formatted_stream_bitrate",
+    "formatted_bandwidth",
+    "transcode_speed",
+    "transcode_hw",
+  ],
+};
+
+const FORMAT_TYPES = Object.keys(FORMAT_VARIABLES);
+
+// Names this close to a known variable are treated as typos
+const TYPO_DISTANCE = 2;
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const isKnownVariable = (variables, key) =>
+  variables.includes(key) ||
+  variables.includes(key.includes("_") ? toCamelCase(key) : toSnakeCase(key));
+
+const findSuggestion = (variables, key) => {
+  let best = null;
+  let bestDistance = TYPO_DISTANCE + 1;
+
+  variables.forEach((variable) => {
+    const distance = editDistance(key.toLowerCase(), variable.toLowerCase());
+    if (distance < bestDistance) {
+      best = variable;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+};
+
+// Unknown variables that look like a typo are errors; anything else may be
+// a raw field from Tautulli or Plex, so it is only a warning
+const checkVariableName = (variables, key, index, issues) => {
+  if (isKnownVariable(variables, key)) return;
+
+  const suggestion = key.length > 3 ? findSuggestion(variables, key) : null;
+  if (suggestion) {
+    issues.errors.push({
+      index,
+      variable: key,
+      message: `Unknown variable {${key}}, did you mean {${suggestion}}?`,
+    });
+  } else {
+    issues.warnings.push({
+      index,
+      variable: key,
+      message: `Unknown variable {${key}}; it will be empty unless the item has this field`,
+    });
+  }
+};
+
+const checkVariable = (variables, node, issues) => {
+  const { key, format, filters, index } = node;
+
+  checkVariableName(variables, key, index, issues);
+
+  if (format) {
+    if (DATE_FIELDS.includes(key)) {
+      if (!DATE_FORMATS.includes(format)) {
+        issues.errors.push({
+          index,
+          variable: key,
+          message: `Unknown date format "${format}" in {${key}:${format}}; use ${DATE_FORMATS.join(
+            ", "
+          )}`,
+        });
+      }
+    } else if (key === "duration") {
+      issues.errors.push({
+        index,
+        variable: key,
+        message: `Unknown duration format "${format}"; use {duration} or {duration|duration}`,
+      });
+    } else {
+      issues.warnings.push({
+        index,
+        variable: key,
+        message: `{${key}} is not a date, so ":${format}" is ignored`,
+      });
+    }
+  }
+
+  filters.forEach(({ name, args }) => {
+    if (!FILTERS[name]) {
+      issues.errors.push({
+        index,
+        variable: key,
+        message: `Unknown filter "${name}" in {${key}}`,
+      });
+    } else if (name === "date" && args[0] && !DATE_FORMATS.includes(args[0])) {
+      issues.errors.push({
+        index,
+        variable: key,
+        message: `Unknown date format "${
+          args[0]
+        }" in {${key}}; use ${DATE_FORMATS.join(", ")}`,
+      });
+    }
+  });
+};
+
+const checkNodes = (variables, nodes, issues) => {
+  nodes.forEach((node) => {
+    if (node.type === "variable") {
+      checkVariable(variables, node, issues);
+    } else if (node.type === "if") {
+      checkVariableName(variables, node.condition.key, node.index, issues);
+      checkNodes(variables, node.children, issues);
+      checkNodes(variables, node.otherwise, issues);
+    }
+  });
+};
+
+// JSON formats must produce valid JSON whatever the values are, so the
+// template is tried with every variable empty
+const checkJsonOutput = (template, issues) => {
+  try {
+    JSON.parse(renderTemplate(template, {}, { output: "json" }));
+  } catch (error) {
+    issues.errors.push({
+      index: 0,
+      message:
+        'Template does not produce valid JSON; put variables inside quotes, e.g. {"title": "{title}"}',
+    });
+  }
+};
+
+// Check a single template against the variables of a format type
+const validateTemplate = (template, type, { output = "plain" } = {}) => {
+  const issues = { errors: [], warnings: [] };
+
+  if (!template || !String(template).trim()) {
+    issues.errors.push({ index: 0, message: "Template is empty" });
+    return issues;
+  }
+
+  const { nodes, errors } = parseTemplate(String(template));
+  issues.errors.push(...errors);
+  checkNodes(FORMAT_VARIABLES[type] || [], nodes, issues);
+  if (output === "json" && errors.length === 0) {
+    checkJsonOutput(String(template), issues);
+  }
+
+  // Report problems in the order they appear
+  issues.errors.sort((a, b) => a.index - b.index);
+  issues.warnings.sort((a, b) => a.index - b.index);
+  return issues;
+};
+
+// Formats may share a name when they target different sections or media types
+const duplicateKey = (format) =>
+  [
+    format.name,
+    format.sectionId || "all",
+    format.type || format.mediaType || "",
+  ].join("\u0000");
+
+// Check all formats of one type, as sent to POST /api/formats
+const validateFormats = (type, formats) => {
+  const errors = [];
+  const warnings = [];
+
+  if (!FORMAT_VARIABLES[type]) {
+    errors.push({
+      message: `Unknown format type "${type}"; use ${FORMAT_TYPES.join(", ")}`,
+    });
+    return { valid: false, errors, warnings };
+  }
+
+  const seen = new Set();
+
+  (formats || []).forEach((format, position) => {
+    const name = typeof format?.name === "string" ? format.name.trim() : "";
+
+    if (!name) {
+      errors.push({ position, message: "Format name is required" });
+      return;
+    }
+
+    const key = duplicateKey({ ...format, name });
+    if (seen.has(key)) {
+      errors.push({
+        position,
+        format: name,
+        message: `Duplicate format name "${name}"`,
+      });
+    }
+    seen.add(key);
+
+    if (format.output !== undefined && !OUTPUT_TYPES.includes(format.output)) {
+      errors.push({
+        position,
+        format: name,
+        message: `Unknown output type "${
+          format.output
+        }"; use ${OUTPUT_TYPES.join(", ")}`,
+      });
+    }
+
+    const issues = validateTemplate(format.template, type, {
+      output: format.output,
+    });
+    errors.push(
+      ...issues.errors.map((issue) => ({ position, format: name, ...issue }))
+    );
+    warnings.push(
+      ...issues.warnings.map((issue) => ({ position, format: name, ...issue }))
+    );
+  });
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+// Export all functions
+export { FORMAT_TYPES, FORMAT_VARIABLES, validateFormats, validateTemplate };
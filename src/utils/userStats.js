@@ -0,0 +1,170 @@
+// Statistics of a user's watch history
+// src/utils/userStats.js
+//
+// Used by /api/users/:userId. History rows are Tautulli's get_history rows,
+// newest first; player rows come from get_user_player_stats. Episodes count
+// towards their show and tracks towards their artist.
+
+const TOP_COUNT = 10;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? 0 : number;
+};
+
+// The show, artist or movie a play belongs to
+const getPlayedTitle = (row) => {
+  switch (String(row.media_type || "").toLowerCase()) {
+    case "episode":
+      return {
+        rating_key: row.grandparent_rating_key || row.rating_key,
+        title: row.grandparent_title || row.title || "",
+        media_type: "show",
+      };
+    case "track":
+      return {
+        rating_key: row.grandparent_rating_key || row.rating_key,
+        title: row.original_title || row.grandparent_title || row.title || "",
+        media_type: "artist",
+      };
+    default:
+      return {
+        rating_key: row.rating_key,
+        title: row.title || row.full_title || "",
+        media_type: row.media_type || "",
+      };
+  }
+};
+
+// Shows, artists and movies with the most plays, ties broken by the most
+// recent play
+const getTopTitles = (history, count = TOP_COUNT) => {
+  const titles = new Map();
+
+  history.forEach((row) => {
+    const played = getPlayedTitle(row);
+    const key = played.rating_key
+      ? String(played.rating_key)
+      : `${played.media_type}:${played.title}`;
+    const entry = titles.get(key) || {
+      ...played,
+      rating_key: played.rating_key ? String(played.rating_key) : null,
+      plays: 0,
+      duration: 0,
+      last_played: 0,
+    };
+
+    entry.plays += 1;
+    entry.duration += toNumber(row.play_duration ?? row.duration);
+    entry.last_played = Math.max(entry.last_played, toNumber(row.date));
+    titles.set(key, entry);
+  });
+
+  return [...titles.values()]
+    .sort((a, b) => b.plays - a.plays || b.last_played - a.last_played)
+    .slice(0, count)
+    .map((entry) => ({
+      ...entry,
+      poster: entry.rating_key ? `/api/posters/${entry.rating_key}` : null,
+    }));
+};
+
+// Genres of the most watched titles, weighted by their plays. Titles are
+// the entries of getTopTitles merged with their metadata's genres.
+const getTopGenres = (titles, count = TOP_COUNT) => {
+  const genres = new Map();
+
+  titles.forEach((title) => {
+    (title.genres || []).forEach((genre) => {
+      const entry = genres.get(genre) || { genre, plays: 0, titles: 0 };
+      entry.plays += title.plays;
+      entry.titles += 1;
+      genres.set(genre, entry);
+    });
+  });
+
+  return [...genres.values()]
+    .sort((a, b) => b.plays - a.plays || a.genre.localeCompare(b.genre))
+    .slice(0, count);
+};
+
+// IP addresses the user played from, most recently seen first
+const getIpAddresses = (history) => {
+  const addresses = new Map();
+
+  history
+    .filter((row) => row.ip_address)
+    .forEach((row) => {
+      const entry = addresses.get(row.ip_address) || {
+        ip_address: row.ip_address,
+        plays: 0,
+        last_seen: 0,
+        platforms: [],
+      };
+
+      entry.plays += 1;
+      entry.last_seen = Math.max(entry.last_seen, toNumber(row.date));
+      if (row.platform && !entry.platforms.includes(row.platform)) {
+        entry.platforms.push(row.platform);
+      }
+      addresses.set(row.ip_address, entry);
+    });
+
+  return [...addresses.values()].sort((a, b) => b.last_seen - a.last_seen);
+};
+
+// Rows of get_user_player_stats, most plays first
+const toPlayerStats = (rows) =>
+  (Array.isArray(rows) ? rows : [])
+    .map((row) => ({
+      player: row.player_name || row.player || "",
+      platform: row.platform_name || row.platform || "",
+      plays: toNumber(row.total_plays),
+      time: toNumber(row.total_time),
+    }))
+    .sort((a, b) => b.plays - a.plays);
+
+// One play of the history timeline
+const toHistoryEntry = (row) => {
+  // Show posters for episodes, album art for tracks
+  const mediaType = String(row.media_type || "").toLowerCase();
+  const posterKey =
+    (mediaType === "episode" && row.grandparent_rating_key) ||
+    (mediaType === "track" && row.parent_rating_key) ||
+    row.rating_key;
+
+  return {
+    id: row.id ?? row.row_id ?? null,
+    date: toNumber(row.date),
+    started: toNumber(row.started),
+    stopped: toNumber(row.stopped),
+    duration: toNumber(row.play_duration ?? row.duration),
+    paused: toNumber(row.paused_counter),
+    media_type: row.media_type || "",
+    rating_key: row.rating_key ? String(row.rating_key) : null,
+    title: row.title || "",
+    full_title: row.full_title || row.title || "",
+    grandparent_title: row.grandparent_title || "",
+    parent_title: row.parent_title || "",
+    media_index: row.media_index || "",
+    parent_media_index: row.parent_media_index || "",
+    year: row.year || "",
+    platform: row.platform || "",
+    player: row.player || "",
+    product: row.product || "",
+    ip_address: row.ip_address || "",
+    transcode_decision: row.transcode_decision || "",
+    percent_complete: toNumber(row.percent_complete),
+    watched: toNumber(row.watched_status) >= 1,
+    poster: posterKey ? `/api/posters/${posterKey}` : null,
+  };
+};
+
+// Export all functions
+export {
+  getIpAddresses,
+  getTopGenres,
+  getTopTitles,
+  toHistoryEntry,
+  toPlayerStats,
+};